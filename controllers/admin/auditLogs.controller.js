@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { Parser } = require('json2csv');
+const AuditLog = require('../../models/auditLog.model');
+const { ErrorResponse } = require('../../middleware/error.middleware');
+const { paginate } = require('../../utils/response.util');
+const { hasPermission } = require('../../utils/permissions.util');
+const { redactAuditLogPii } = require('../../utils/audit.util');
+
+// The CSV export is for answering questions, not for copying the whole collection
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * @desc    Helper function to build the audit log filter from the query string.
+ * @param   {object} query - req.query
+ * @returns {{ filter: object|null, error: string|null }}
+ */
+const buildFilter = (query) => {
+  const filter = {};
+
+  for (const field of ['actor', 'targetId']) {
+    if (query[field]) {
+      if (!mongoose.Types.ObjectId.isValid(query[field])) {
+        return { filter: null, error: `Invalid ${field}` };
+      }
+      filter[field] = query[field];
+    }
+  }
+
+  // An action like 'orders' matches every order action ('orders.refund', 'orders.status', ...)
+  if (query.action) {
+    const escaped = query.action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.action = new RegExp(`^${escaped}(\\.|$)`);
+  }
+  if (query.targetModel) filter.targetModel = query.targetModel;
+  if (query.actorEmail) filter.actorEmail = query.actorEmail.toLowerCase();
+
+  // Filter by date range
+  if (query.startDate || query.endDate) {
+    filter.createdAt = {};
+    if (query.startDate) filter.createdAt.$gte = new Date(query.startDate);
+    if (query.endDate) filter.createdAt.$lte = new Date(new Date(query.endDate).setHours(23, 59, 59, 999));
+  }
+
+  return { filter, error: null };
+};
+
+/**
+ * @desc    Get audit log entries
+ * @route   GET /api/v1/admin/audit-logs
+ * @access  Private/Admin
+ * @query   actor, actorEmail, action, targetModel, targetId, startDate, endDate, page, limit
+ */
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const { filter, error: filterError } = buildFilter(req.query);
+    if (filterError) {
+      return next(new ErrorResponse(filterError, 400));
+    }
+
+    const total = await AuditLog.countDocuments(filter);
+    const logs = await AuditLog.find(filter)
+      .populate('actor', 'firstName lastName email role')
+      .sort({ createdAt: -1 })
+      .skip(startIndex)
+      .limit(limit)
+      .lean();
+
+    const canViewPii = hasPermission(req, 'customers.view_pii');
+    const data = canViewPii ? logs : logs.map(redactAuditLogPii);
+
+    return paginate(res, 'Audit logs retrieved successfully', data, page, limit, total);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Export audit log entries as CSV
+ * @route   GET /api/v1/admin/audit-logs/export
+ * @access  Private/Admin
+ * @query   Same filters as GET /audit-logs
+ */
+exports.exportAuditLogs = async (req, res, next) => {
+  try {
+    const { filter, error: filterError } = buildFilter(req.query);
+    if (filterError) {
+      return next(new ErrorResponse(filterError, 400));
+    }
+
+    const logs = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const canViewPii = hasPermission(req, 'customers.view_pii');
+    const data = (canViewPii ? logs : logs.map(redactAuditLogPii)).map(log => ({
+      date: log.createdAt.toISOString(),
+      actorEmail: log.actorEmail,
+      actorRole: log.actorRole,
+      action: log.action,
+      method: log.method,
+      path: log.path,
+      targetModel: log.targetModel || '',
+      targetId: log.targetId ? log.targetId.toString() : '',
+      // One "path: before -> after" line per changed field, kept in one cell
+      changes: (log.changes || [])
+        .map(change => `${change.path}: ${JSON.stringify(change.before) ?? ''} -> ${JSON.stringify(change.after) ?? ''}`)
+        .join('\n'),
+      ipAddress: log.ipAddress,
+      userAgent: log.userAgent,
+    }));
+
+    const fields = [
+      { label: 'Date', value: 'date' },
+      { label: 'User', value: 'actorEmail' },
+      { label: 'Role', value: 'actorRole' },
+      { label: 'Action', value: 'action' },
+      { label: 'Method', value: 'method' },
+      { label: 'Path', value: 'path' },
+      { label: 'Target', value: 'targetModel' },
+      { label: 'Target ID', value: 'targetId' },
+      { label: 'Changes', value: 'changes' },
+      { label: 'IP Address', value: 'ipAddress' },
+      { label: 'User Agent', value: 'userAgent' },
+    ];
+
+    const parser = new Parser({ fields });
+    const csv = parser.parse(data);
+
+    res.header('Content-Type', 'text/csv');
+    res.attachment('audit-log-export.csv');
+    res.send(csv);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,227 @@
+const Coupon = require('../../models/coupon.model');
+const Product = require('../../models/product.model');
+const Category = require('../../models/category.model');
+const { ErrorResponse } = require('../../middleware/error.middleware');
+const { success, paginate } = require('../../utils/response.util');
+
+const updateableFields = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'minSubtotal',
+  'startsAt',
+  'expiresAt',
+  'usageLimit',
+  'usageLimitPerCustomer',
+  'appliesTo',
+  'active',
+];
+
+/**
+ * @desc Helper function to make sure every product and category a coupon is restricted to exists.
+ * @param {object} appliesTo - The `appliesTo` object from the request body.
+ * @returns {Promise<string|null>} An error message, or null if all references are valid.
+ */
+const validateRestrictions = async (appliesTo) => {
+  if (!appliesTo) return null;
+
+  const productIds = appliesTo.products || [];
+  const categoryIds = appliesTo.categories || [];
+
+  if (!Array.isArray(productIds) || !Array.isArray(categoryIds)) {
+    return 'appliesTo.products and appliesTo.categories must be arrays';
+  }
+
+  const [productCount, categoryCount] = await Promise.all([
+    Product.countDocuments({ _id: { $in: productIds } }),
+    Category.countDocuments({ _id: { $in: categoryIds } }),
+  ]);
+
+  if (productCount !== new Set(productIds.map(String)).size) {
+    return 'One or more products in appliesTo.products do not exist';
+  }
+  if (categoryCount !== new Set(categoryIds.map(String)).size) {
+    return 'One or more categories in appliesTo.categories do not exist';
+  }
+  return null;
+};
+
+/**
+ * @desc    Get all coupons
+ * @route   GET /api/v1/admin/coupons
+ * @access  Private/Admin
+ */
+exports.getCoupons = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const filter = {};
+
+    if (req.query.active !== undefined) {
+      filter.active = req.query.active === 'true';
+    }
+
+    if (req.query.type && ['percentage', 'fixed', 'free_shipping'].includes(req.query.type)) {
+      filter.type = req.query.type;
+    }
+
+    if (req.query.status === 'expired') {
+      filter.expiresAt = { $lt: new Date() };
+    } else if (req.query.status === 'current') {
+      filter.$or = [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gte: new Date() } }];
+    }
+
+    if (req.query.search) {
+      filter.code = new RegExp(req.query.search, 'i');
+    }
+
+    const total = await Coupon.countDocuments(filter);
+    const coupons = await Coupon.find(filter)
+      .select('-redemptions')
+      .sort(req.query.sort || '-createdAt')
+      .skip(startIndex)
+      .limit(limit)
+      .lean();
+
+    return paginate(res, 'Coupons retrieved successfully', coupons, page, limit, total);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get single coupon with its redemption history
+ * @route   GET /api/v1/admin/coupons/:id
+ * @access  Private/Admin
+ */
+exports.getCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('appliesTo.products', 'name sku')
+      .populate('appliesTo.categories', 'name slug')
+      .populate('redemptions.order', 'orderNumber totalAmount status')
+      .populate('createdBy', 'firstName lastName');
+
+    if (!coupon) {
+      return next(new ErrorResponse(`Coupon not found with id of ${req.params.id}`, 404));
+    }
+
+    const totalDiscountGiven = coupon.redemptions.reduce((sum, r) => sum + (r.discount || 0), 0);
+
+    return success(res, 'Coupon retrieved successfully', {
+      coupon,
+      stats: { usageCount: coupon.usageCount, totalDiscountGiven },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create coupon
+ * @route   POST /api/v1/admin/coupons
+ * @access  Private/Admin
+ */
+exports.createCoupon = async (req, res, next) => {
+  try {
+    const { code, type } = req.body;
+
+    if (!code || !type) {
+      return next(new ErrorResponse('Please provide a coupon code and type', 400));
+    }
+
+    const existingCoupon = await Coupon.findOne({ code: code.toUpperCase().trim() }).lean();
+    if (existingCoupon) {
+      return next(new ErrorResponse(`Coupon code ${code.toUpperCase()} already exists`, 400));
+    }
+
+    const restrictionError = await validateRestrictions(req.body.appliesTo);
+    if (restrictionError) {
+      return next(new ErrorResponse(restrictionError, 400));
+    }
+
+    const couponData = { createdBy: req.user.id };
+    updateableFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        couponData[field] = req.body[field];
+      }
+    });
+
+    const coupon = await Coupon.create(couponData);
+
+    return success(res, 'Coupon created successfully', { coupon }, 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update coupon
+ * @route   PUT /api/v1/admin/coupons/:id
+ * @access  Private/Admin
+ */
+exports.updateCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return next(new ErrorResponse(`Coupon not found with id of ${req.params.id}`, 404));
+    }
+
+    if (req.body.code && req.body.code.toUpperCase().trim() !== coupon.code) {
+      const existingCoupon = await Coupon.findOne({ code: req.body.code.toUpperCase().trim() }).lean();
+      if (existingCoupon) {
+        return next(new ErrorResponse(`Coupon code ${req.body.code.toUpperCase()} already exists`, 400));
+      }
+    }
+
+    const restrictionError = await validateRestrictions(req.body.appliesTo);
+    if (restrictionError) {
+      return next(new ErrorResponse(restrictionError, 400));
+    }
+
+    updateableFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        coupon[field] = req.body[field];
+      }
+    });
+    coupon.updatedBy = req.user.id;
+
+    // Saving the document (rather than findByIdAndUpdate) runs the pre-validate hook
+    await coupon.save();
+
+    return success(res, 'Coupon updated successfully', { coupon });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete coupon
+ * @route   DELETE /api/v1/admin/coupons/:id
+ * @access  Private/Admin
+ */
+exports.deleteCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return next(new ErrorResponse(`Coupon not found with id of ${req.params.id}`, 404));
+    }
+
+    // Coupons that have been used are kept for reporting; deactivate them instead.
+    if (coupon.usageCount > 0) {
+      return next(new ErrorResponse(`Cannot delete. This coupon has been redeemed ${coupon.usageCount} times. Deactivate it instead.`, 400));
+    }
+
+    await coupon.deleteOne();
+
+    return success(res, 'Coupon deleted successfully', {});
+  } catch (err) {
+    next(err);
+  }
+};
@@ -3,6 +3,7 @@ const Order = require('../../models/order.model');
 const Review = require('../../models/review.model');
 const { ErrorResponse } = require('../../middleware/error.middleware');
 const { success, error, paginate } = require('../../utils/response.util');
+const { hasPermission, redactCustomerPii } = require('../../utils/permissions.util');
 
 /**
  * @desc    Get all customers
@@ -34,15 +35,17 @@ exports.getCustomers = async (req, res, next) => {
       }
     }
 
-    // Search by name, email, or phone
+    // Search by name, email, or phone (contact details only for staff allowed to see them)
+    const canViewPii = hasPermission(req, 'customers.view_pii');
     if (req.query.search) {
       const searchRegex = new RegExp(req.query.search, 'i');
       filter.$or = [
         { firstName: searchRegex },
         { lastName: searchRegex },
-        { email: searchRegex },
-        { phone: searchRegex },
       ];
+      if (canViewPii) {
+        filter.$or.push({ email: searchRegex }, { phone: searchRegex });
+      }
     }
 
     const total = await User.countDocuments(filter);
@@ -84,7 +87,7 @@ exports.getCustomers = async (req, res, next) => {
         ? new Date(orderInfoMap[customer._id].last_order_date).toISOString().split('T')[0]
         : null;
       customerObj.id = customer._id;
-      return customerObj;
+      return canViewPii ? customerObj : redactCustomerPii(customerObj);
     });
 
     return paginate(
@@ -168,7 +171,7 @@ exports.getCustomer = async (req, res, next) => {
       {
         $match: {
           user: customer._id,
-          'paymentInfo.status': 'paid',
+          'paymentInfo.status': { $in: ['paid', 'partially_refunded'] },
         },
       },
       {
@@ -209,7 +212,7 @@ exports.getCustomer = async (req, res, next) => {
     }));
 
     return success(res, 'Customer retrieved successfully', {
-      customer: formattedCustomer,
+      customer: hasPermission(req, 'customers.view_pii') ? formattedCustomer : redactCustomerPii(formattedCustomer),
       recentOrders: formattedOrders,
       stats: { totalSpent, orderCount },
     });
@@ -277,7 +280,9 @@ exports.updateCustomer = async (req, res, next) => {
       postal_code: customer.address?.postalCode,
     };
 
-    return success(res, 'Customer updated successfully', { customer: formattedCustomer });
+    return success(res, 'Customer updated successfully', {
+      customer: hasPermission(req, 'customers.view_pii') ? formattedCustomer : redactCustomerPii(formattedCustomer),
+    });
   } catch (err) {
     next(new ErrorResponse('Failed to update customer', 500));
   }
@@ -385,7 +390,9 @@ exports.addCustomerNote = async (req, res, next) => {
       date: note.createdAt.toISOString().split('T')[0],
     }));
 
-    return success(res, 'Customer note added successfully', { customer: formattedCustomer });
+    return success(res, 'Customer note added successfully', {
+      customer: hasPermission(req, 'customers.view_pii') ? formattedCustomer : redactCustomerPii(formattedCustomer),
+    });
   } catch (err) {
     next(new ErrorResponse('Failed to add customer note', 500));
   }
@@ -534,7 +541,9 @@ exports.updateCustomerVip = async (req, res, next) => {
     formattedCustomer.name = customer.fullName;
     formattedCustomer.status = customer.active ? 'active' : 'inactive';
 
-    return success(res, 'Customer VIP status updated successfully', { customer: formattedCustomer });
+    return success(res, 'Customer VIP status updated successfully', {
+      customer: hasPermission(req, 'customers.view_pii') ? formattedCustomer : redactCustomerPii(formattedCustomer),
+    });
   } catch (err) {
     next(new ErrorResponse('Failed to update customer VIP status', 500));
   }
@@ -565,7 +574,9 @@ exports.updateCustomerFlag = async (req, res, next) => {
     formattedCustomer.name = customer.fullName;
     formattedCustomer.status = customer.active ? 'active' : 'inactive';
 
-    return success(res, 'Customer flag status updated successfully', { customer: formattedCustomer });
+    return success(res, 'Customer flag status updated successfully', {
+      customer: hasPermission(req, 'customers.view_pii') ? formattedCustomer : redactCustomerPii(formattedCustomer),
+    });
   } catch (err) {
     next(new ErrorResponse('Failed to update customer flag status', 500));
   }
@@ -596,7 +607,9 @@ exports.deactivateCustomer = async (req, res, next) => {
     formattedCustomer.name = customer.fullName;
     formattedCustomer.status = 'inactive';
 
-    return success(res, 'Customer deactivated successfully', { customer: formattedCustomer });
+    return success(res, 'Customer deactivated successfully', {
+      customer: hasPermission(req, 'customers.view_pii') ? formattedCustomer : redactCustomerPii(formattedCustomer),
+    });
   } catch (err) {
     next(new ErrorResponse('Failed to deactivate customer', 500));
   }
@@ -1,6 +1,7 @@
 const Order = require('../../models/order.model');
 const Product = require('../../models/product.model');
 const User = require('../../models/user.model');
+const AbandonedCart = require('../../models/abandonedCart.model');
 const { success, error } = require('../../utils/response.util');
 
 /**
@@ -35,7 +36,7 @@ exports.getDashboardSummary = async (req, res, next) => {
             {
               $match: {
                 createdAt: { $gte: startDate, $lte: endDate },
-                'paymentInfo.status': 'paid',
+                'paymentInfo.status': { $in: ['paid', 'partially_refunded'] },
               },
             },
             {
@@ -50,7 +51,7 @@ exports.getDashboardSummary = async (req, res, next) => {
             {
               $match: {
                 createdAt: { $gte: prevStartDate, $lte: prevEndDate },
-                'paymentInfo.status': 'paid',
+                'paymentInfo.status': { $in: ['paid', 'partially_refunded'] },
               },
             },
             {
@@ -66,7 +67,7 @@ exports.getDashboardSummary = async (req, res, next) => {
             {
               $match: {
                 createdAt: { $gte: startDate, $lte: endDate },
-                'paymentInfo.status': 'paid',
+                'paymentInfo.status': { $in: ['paid', 'partially_refunded'] },
               },
             },
             {
@@ -82,6 +83,23 @@ exports.getDashboardSummary = async (req, res, next) => {
             { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
             { $group: { _id: '$status', count: { $sum: 1 } } },
           ],
+          // Paid orders placed after an abandoned cart recovery email
+          recoveredCarts: [
+            {
+              $match: {
+                createdAt: { $gte: startDate, $lte: endDate },
+                abandonedCart: { $exists: true },
+                'paymentInfo.status': { $in: ['paid', 'partially_refunded'] },
+              },
+            },
+            {
+              $group: {
+                _id: null,
+                revenue: { $sum: '$totalAmount' },
+                orders: { $sum: 1 },
+              },
+            },
+          ],
         },
       },
     ]);
@@ -112,6 +130,27 @@ exports.getDashboardSummary = async (req, res, next) => {
       },
     ]);
 
+    // Abandoned Cart Metrics (from AbandonedCart collection)
+    const [abandonedCartSummary] = await AbandonedCart.aggregate([
+      {
+        $facet: {
+          emailsSent: [
+            { $unwind: '$emails' },
+            { $match: { 'emails.sentAt': { $gte: startDate, $lte: endDate } } },
+            { $count: 'count' },
+          ],
+          cartsEmailed: [
+            { $match: { 'emails.sentAt': { $gte: startDate, $lte: endDate } } },
+            { $count: 'count' },
+          ],
+          cartsRecovered: [
+            { $match: { recoveredAt: { $gte: startDate, $lte: endDate } } },
+            { $count: 'count' },
+          ],
+        },
+      },
+    ]);
+
     // Inventory Metrics (from Product collection)
     const inventorySummary = await Product.aggregate([
       {
@@ -173,6 +212,8 @@ exports.getDashboardSummary = async (req, res, next) => {
     const prevNewCustomers = customerSummary[0].prevNewCustomers[0]?.count || 0;
     const inventoryValue = inventorySummary[0].inventoryValue[0]?.total || 0;
     const lowStockProducts = inventorySummary[0].lowStockProducts[0]?.count || 0;
+    const cartsEmailed = abandonedCartSummary.cartsEmailed[0]?.count || 0;
+    const cartsRecovered = abandonedCartSummary.cartsRecovered[0]?.count || 0;
 
     const calculateGrowth = (current, previous) => {
       if (previous === 0) {
@@ -205,6 +246,14 @@ exports.getDashboardSummary = async (req, res, next) => {
         ordersGrowth: calculateGrowth(currentOrders, prevOrders),
         customersGrowth: calculateGrowth(newCustomers, prevNewCustomers),
       },
+      abandonedCarts: {
+        emailsSent: abandonedCartSummary.emailsSent[0]?.count || 0,
+        cartsEmailed,
+        cartsRecovered,
+        recoveryRate: cartsEmailed > 0 ? parseFloat((cartsRecovered / cartsEmailed * 100).toFixed(1)) : 0,
+        recoveredOrders: orderSummary.recoveredCarts[0]?.orders || 0,
+        recoveredRevenue: orderSummary.recoveredCarts[0]?.revenue || 0,
+      },
       charts: {
         salesChart: salesChart,
         orderStatusChart: orderSummary.orderStatusDistribution || [],
@@ -0,0 +1,111 @@
+const EmailOutbox = require('../../models/emailOutbox.model');
+const { ErrorResponse } = require('../../middleware/error.middleware');
+const { success, paginate } = require('../../utils/response.util');
+const { retryOutboxEntry, hasOneTimeLink } = require('../../utils/email.util');
+const { hasPermission, showEmailTo } = require('../../utils/permissions.util');
+
+/**
+ * @desc    Get all emails in the outbox
+ * @route   GET /api/v1/admin/emails
+ * @access  Private/Admin
+ */
+exports.getEmails = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const filter = {};
+
+    if (req.query.status && ['queued', 'sending', 'sent', 'failed'].includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.template) {
+      filter.template = req.query.template;
+    }
+
+    if (req.query.order) {
+      filter.order = req.query.order;
+    }
+
+    if (req.query.search) {
+      const searchRegex = new RegExp(req.query.search, 'i');
+      // Searching by recipient would reveal addresses to staff who cannot see them
+      filter.$or = hasPermission(req, 'customers.view_pii')
+        ? [{ to: searchRegex }, { subject: searchRegex }]
+        : [{ subject: searchRegex }];
+    }
+
+    const total = await EmailOutbox.countDocuments(filter);
+    const emails = await EmailOutbox.find(filter)
+      .select('-html -text -history')
+      .populate('order', 'orderNumber')
+      .sort(req.query.sort || '-createdAt')
+      .skip(startIndex)
+      .limit(limit);
+
+    return paginate(res, 'Emails retrieved successfully', emails.map(email => showEmailTo(req, email)), page, limit, total);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get single email with its delivery history
+ * @route   GET /api/v1/admin/emails/:id
+ * @access  Private/Admin
+ */
+exports.getEmail = async (req, res, next) => {
+  try {
+    const email = await EmailOutbox.findById(req.params.id)
+      .populate('order', 'orderNumber')
+      .populate('user', 'firstName lastName email');
+
+    if (!email) {
+      return next(new ErrorResponse(`Email not found with id of ${req.params.id}`, 404));
+    }
+
+    // Password reset, verification and cart restore emails are only shown without their content
+    if (hasOneTimeLink(email.template)) {
+      email.html = undefined;
+      email.text = undefined;
+    }
+
+    return success(res, 'Email retrieved successfully', { email: showEmailTo(req, email) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Retry sending an email
+ * @route   POST /api/v1/admin/emails/:id/retry
+ * @access  Private/Admin
+ */
+exports.retryEmail = async (req, res, next) => {
+  try {
+    const email = await EmailOutbox.findById(req.params.id);
+
+    if (!email) {
+      return next(new ErrorResponse(`Email not found with id of ${req.params.id}`, 404));
+    }
+
+    if (['sent', 'sending'].includes(email.status)) {
+      return next(new ErrorResponse(`Cannot retry an email that is ${email.status}`, 400));
+    }
+
+    if (hasOneTimeLink(email.template)) {
+      return next(new ErrorResponse('This email contained a one-time link and cannot be sent again; the customer can ask for a new one', 400));
+    }
+
+    const updatedEmail = await retryOutboxEntry(email, req.user.id);
+
+    const message = updatedEmail.status === 'sent'
+      ? 'Email sent successfully'
+      : 'Email could not be sent and has been queued for another attempt';
+    return success(res, message, { email: showEmailTo(req, updatedEmail) });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -7,24 +7,33 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 const { Parser } = require('json2csv'); 
+const { queueEmailSafely } = require('../../utils/email.util');
+const { getBundleUsage, describeBundleComponents } = require('../../utils/bundle.util');
 
 /**
- * @desc Helper function to calculate the stock status of a product.
+ * @desc Helper function to calculate the stock available across a product's variants, or the product itself.
  * @param {Object} product - The product object from the database.
- * @param {number} lowStockThreshold - The configured low stock threshold.
- * @returns {string} The stock status ('in_stock', 'low_stock', 'out_of_stock').
+ * @returns {number} The effective stock quantity.
  */
-const calculateProductStatus = (product, lowStockThreshold) => {
+const getEffectiveStock = (product) => {
     const hasVariants = product.variants && product.variants.length > 0;
-    let effectiveStock = 0;
 
     if (hasVariants) {
         // Sum stock of all variants if they exist
-        effectiveStock = product.variants.reduce((sum, v) => sum + (v.stockQuantity || 0), 0);
-    } else {
-        // Use main product stock if no variants
-        effectiveStock = product.stockQuantity || 0;
+        return product.variants.reduce((sum, v) => sum + (v.stockQuantity || 0), 0);
     }
+    // Use main product stock if no variants
+    return product.stockQuantity || 0;
+};
+
+/**
+ * @desc Helper function to calculate the stock status of a product.
+ * @param {Object} product - The product object from the database.
+ * @param {number} lowStockThreshold - The configured low stock threshold.
+ * @returns {string} The stock status ('in_stock', 'low_stock', 'out_of_stock').
+ */
+const calculateProductStatus = (product, lowStockThreshold) => {
+    const effectiveStock = getEffectiveStock(product);
 
     if (effectiveStock <= 0) {
         return 'out_of_stock';
@@ -160,6 +169,7 @@ exports.getInventory = async (req, res, next) => {
                     category: { _id: '$category._id', name: '$category.name' },
                     variants: 1,
                     images: 1,
+                    type: 1,
                     totalEffectiveStock: 1 // Include this for summary calculations in facet
                 },
             }
@@ -175,6 +185,8 @@ exports.getInventory = async (req, res, next) => {
                 ],
                 total: [{ $count: 'count' }],
                 summary: [
+                    // Bundles hold no stock of their own; their components are counted instead
+                    { $match: { type: { $ne: 'bundle' } } },
                     // Use the calculated totalEffectiveStock for accurate summary
                     {
                         $group: {
@@ -219,12 +231,16 @@ exports.getInventory = async (req, res, next) => {
         // Calculate total inventory value using the static method from Product model
         const totalInventoryValue = await Product.getTotalInventoryValue();
 
+        // Show which bundles each product's stock is also sold through
+        const bundleUsage = await getBundleUsage(products.map(product => product._id));
+
         // Map items to include calculated status and reorder_point
         const items = products.map(product => {
             return {
                 ...product,
                 status: calculateProductStatus(product, lowStockThreshold), // Use centralized helper
                 reorder_point: product.reorderPoint || lowStockThreshold,
+                bundleUsage: bundleUsage.get(product._id.toString()) || [],
             };
         });
 
@@ -391,6 +407,9 @@ exports.adjustStock = async (req, res, next) => {
         if (!product) {
             return next(new ErrorResponse(`Product not found with id of ${req.params.id}`, 404));
         }
+        if (product.type === 'bundle') {
+            return next(new ErrorResponse('A bundle\'s stock comes from its components. Adjust the component products instead.', 400));
+        }
 
         const itemToCheck = variantId ? product.variants.id(variantId) : product;
         if (!itemToCheck) {
@@ -411,6 +430,20 @@ exports.adjustStock = async (req, res, next) => {
         });
 
         await product.save(); // Save the product document with updated stock and history
+
+        // Only alert when stock is taken down into the low stock range
+        if (numericAdjustment < 0 && await product.isLowStock()) {
+            const settings = await Settings.getSettings();
+            queueEmailSafely({
+                template: 'lowStockAlert',
+                to: settings.storeEmail,
+                data: {
+                    products: [{ name: product.name, sku: product.sku, stock: getEffectiveStock(product) }],
+                    threshold: settings.lowStockThreshold,
+                },
+            });
+        }
+
         return success(res, 'Stock adjusted successfully', { product });
     } catch (err) {
         next(err);
@@ -602,7 +635,7 @@ exports.exportInventoryCSV = async (req, res, next) => {
 exports.getInventoryItem = async (req, res, next) => {
     try {
         const product = await Product.findById(req.params.id)
-            .select('name sku stockQuantity reorderPoint price category variants images') // Removed 'status' as it's calculated
+            .select('name sku stockQuantity reorderPoint price category variants images type bundle') // Removed 'status' as it's calculated
             .populate('category', 'name')
             .lean(); // Added .lean() for performance
 
@@ -620,6 +653,11 @@ exports.getInventoryItem = async (req, res, next) => {
             ...product,
             status,
             reorder_point: product.reorderPoint || lowStockThreshold,
+            // The bundles this product is sold in, and for a bundle, the stock it is made from
+            bundleUsage: (await getBundleUsage([product._id])).get(product._id.toString()),
+            bundle: product.type === 'bundle'
+                ? { ...product.bundle, components: await describeBundleComponents(product) }
+                : undefined,
         };
 
         return success(res, 'Inventory item retrieved successfully', { product: productData });
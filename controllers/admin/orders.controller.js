@@ -3,6 +3,15 @@ const User = require('../../models/user.model');
 const { ErrorResponse } = require('../../middleware/error.middleware');
 const { success, error, paginate } = require('../../utils/response.util');
 const sanitizeHtml = require('sanitize-html');
+const { changeOrderStatus } = require('../../utils/orderStatus.util');
+const { issueRefund } = require('../../utils/refund.util');
+const { hasPermission, showOrderTo, showEmailTo } = require('../../utils/permissions.util');
+const { createShipment, addShipmentEvent } = require('../../utils/shipment.util');
+const { getInvoiceError, sendInvoicePdf, sendPackingSlipsPdf } = require('../../utils/orderDocuments.util');
+const { queueEmail, queueEmailSafely } = require('../../utils/email.util');
+
+// Maximum number of orders printed in one bulk packing slip request
+const MAX_BULK_PACKING_SLIPS = 100;
 
 /**
  * @desc    Get all orders
@@ -21,7 +30,7 @@ exports.getOrders = async (req, res, next) => {
       filter.status = req.query.status;
     }
 
-    if (req.query.paymentStatus && ['pending', 'paid', 'failed', 'refunded'].includes(req.query.paymentStatus)) {
+    if (req.query.paymentStatus && ['pending', 'paid', 'partially_refunded', 'failed', 'refunded'].includes(req.query.paymentStatus)) {
       filter['paymentInfo.status'] = req.query.paymentStatus;
     }
 
@@ -70,7 +79,7 @@ exports.getOrders = async (req, res, next) => {
     return paginate(
       res,
       'Orders retrieved successfully',
-      orders,
+      orders.map(order => showOrderTo(req, order)),
       page,
       limit,
       total
@@ -108,7 +117,7 @@ exports.getOrder = async (req, res, next) => {
       subtotal: item.subtotal || item.price * item.quantity
     }));
 
-    return success(res, 'Order retrieved successfully', { order });
+    return success(res, 'Order retrieved successfully', { order: showOrderTo(req, order) });
   } catch (err) {
     next(err);
   }
@@ -118,29 +127,38 @@ exports.getOrder = async (req, res, next) => {
  * @desc    Update order status
  * @route   PUT /api/v1/admin/orders/:id/status
  * @access  Private/Admin
+ * @body    status, note (optional, shown on the timeline and in the customer email)
  */
 exports.updateOrderStatus = async (req, res, next) => {
   try {
     const { status } = req.body;
 
-    if (!status || !['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'].includes(status)) {
+    if (!status || !Object.keys(Order.STATUS_TRANSITIONS).includes(status)) {
       return next(new ErrorResponse('Please provide a valid status', 400));
     }
 
+    // Marking an order refunded is part of refunding it, not of fulfilling it
+    if (status === 'refunded' && !hasPermission(req, 'orders.refund')) {
+      return next(new ErrorResponse('You do not have permission to mark orders as refunded (requires orders.refund)', 403));
+    }
+
     let order = await Order.findById(req.params.id);
 
     if (!order) {
       return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404));
     }
 
-    // Capture old status for timeline note if needed, or rely on pre-save hook
-    const oldStatus = order.status;
-
-    order.updatedBy = req.user.id;
-    order.status = status;
+    const note = req.body.note ? sanitizeHtml(req.body.note, { allowedTags: [], allowedAttributes: {} }) : undefined;
 
-    // The pre-save hook in the Order model handles timeline updates and setting shippedAt/deliveredAt.
-    await order.save();
+    // The state machine checks the transition, updates the timeline and runs side effects such as restocking and emails
+    const { error: transitionError } = await changeOrderStatus(order, status, {
+      userId: req.user.id,
+      actor: 'admin',
+      note,
+    });
+    if (transitionError) {
+      return next(new ErrorResponse(transitionError, 400));
+    }
 
     // Re-fetch and populate for the response to ensure all virtuals and latest data are present
     // Populating 'items.product' with 'images' for consistency with getOrder
@@ -161,7 +179,7 @@ exports.updateOrderStatus = async (req, res, next) => {
       subtotal: item.subtotal || item.price * item.quantity
     }));
 
-    return success(res, 'Order status updated successfully', { order });
+    return success(res, 'Order status updated successfully', { order: showOrderTo(req, order) });
   } catch (err) {
     next(err);
   }
@@ -212,157 +230,222 @@ exports.addOrderNote = async (req, res, next) => {
       subtotal: item.subtotal || item.price * item.quantity
     }));
 
-    return success(res, 'Order note added successfully', { order });
+    return success(res, 'Order note added successfully', { order: showOrderTo(req, order) });
   } catch (err) {
     next(err);
   }
 };
 
 /**
- * @desc    Process refund
- * @route   POST /api/v1/admin/orders/:id/refund
+ * @desc    Download the invoice for an order as a PDF
+ * @route   GET /api/v1/admin/orders/:id/invoice
  * @access  Private/Admin
  */
-exports.processRefund = async (req, res, next) => {
+exports.getInvoice = async (req, res, next) => {
   try {
-    const { amount, reason } = req.body;
+    const order = await Order.findById(req.params.id);
 
-    if (!amount || !reason) {
-      return next(new ErrorResponse('Please provide refund amount and reason', 400));
+    if (!order) {
+      return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404));
     }
 
-    const cleanReason = sanitizeHtml(reason, { allowedTags: [], allowedAttributes: {} });
-    const refundAmountInKobo = parseFloat(amount) * 100; // Convert to kobo for Paystack
+    const invoiceError = getInvoiceError(order);
+    if (invoiceError) {
+      return next(new ErrorResponse(invoiceError, 400));
+    }
 
-    let order = await Order.findById(req.params.id);
+    await sendInvoicePdf(res, order, { hideContactDetails: !hasPermission(req, 'customers.view_pii') });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Download the packing slip for an order as a PDF
+ * @route   GET /api/v1/admin/orders/:id/packing-slip
+ * @access  Private/Admin
+ */
+exports.getPackingSlip = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate({ path: 'items.product', select: 'sku' });
 
     if (!order) {
       return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404));
     }
 
-    if (order.paymentInfo.status !== 'paid') {
-      return next(new ErrorResponse('Cannot refund an order that has not been paid', 400));
-    }
-
-    if (parseFloat(amount) <= 0 || parseFloat(amount) > order.totalAmount) {
-      return next(new ErrorResponse('Invalid refund amount', 400));
-    }
-
-    // Process the refund
-    let refundProcessed = false;
-    let refundError = null;
-    let refundReference = null;
-    
-    try {
-      // Check if we have a transaction ID and Paystack is configured
-      if (order.paymentInfo.transactionId && process.env.PAYSTACK_SECRET_KEY) {
-        // Use the Paystack utility for processing refunds
-        const paystackUtil = require('../../utils/paystack.util');
-        
-        try {
-          const refundResponse = await paystackUtil.processRefund(
-            order.paymentInfo.transactionId,
-            refundAmountInKobo, // Pass amount in kobo
-            cleanReason
-          );
-          
-          if (refundResponse.status) {
-            refundProcessed = true;
-            refundReference = refundResponse.data?.reference || 'N/A';
-          } else {
-            refundError = refundResponse.message || 'Paystack refund failed';
-          }
-        } catch (paystackError) {
-          console.error('Paystack refund error:', paystackError);
-          refundError = paystackError.message;
-        }
-      } else {
-        // Manual refund process (no payment gateway integration)
-        refundProcessed = true;
-        refundReference = `MANUAL-${Date.now()}`;
-      }
-    } catch (refundErr) {
-      console.error('Refund processing error:', refundErr);
-      refundError = refundErr.message;
-      refundProcessed = false;
+    await sendPackingSlipsPdf(res, [order], `packing-slip-${order.orderNumber}.pdf`);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Download packing slips for many orders in one PDF
+ * @route   POST /api/v1/admin/orders/packing-slips
+ * @access  Private/Admin
+ * @body    orderIds [id]
+ */
+exports.getBulkPackingSlips = async (req, res, next) => {
+  try {
+    const { orderIds } = req.body;
+
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+      return next(new ErrorResponse('Please provide the ids of the orders to print', 400));
     }
-    
-    if (!refundProcessed) {
-      return next(new ErrorResponse(`Refund failed: ${refundError || 'Unknown error'}`, 400));
+    if (orderIds.length > MAX_BULK_PACKING_SLIPS) {
+      return next(new ErrorResponse(`You can print at most ${MAX_BULK_PACKING_SLIPS} packing slips at a time`, 400));
     }
-    
-    // Store refund reference in payment info
-    order.paymentInfo.refundReference = refundReference;
 
-    // Update order status and payment info
-    order.paymentInfo.status = 'refunded';
-    order.status = 'refunded';
-    order.updatedBy = req.user.id;
+    const orders = await Order.find({ _id: { $in: orderIds } })
+      .populate({ path: 'items.product', select: 'sku' });
 
-    // Add refund details to order notes
-    order.notes.push({
-      content: `Refund processed: ${parseFloat(amount).toFixed(2)} - Reason: ${cleanReason} (Ref: ${refundReference})`,
-      isInternal: true,
-      createdBy: req.user.id
+    if (orders.length !== new Set(orderIds.map(String)).size) {
+      const foundIds = orders.map(order => order._id.toString());
+      const missingIds = orderIds.filter(id => !foundIds.includes(String(id)));
+      return error(res, 'Some orders could not be found', 404, { orderIds: missingIds });
+    }
+
+    // Print in the order the ids were given
+    orders.sort((a, b) => orderIds.indexOf(a._id.toString()) - orderIds.indexOf(b._id.toString()));
+
+    await sendPackingSlipsPdf(res, orders, `packing-slips-${Date.now()}.pdf`);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create a shipment for some or all of the order's items
+ * @route   POST /api/v1/admin/orders/:id/shipments
+ * @access  Private/Admin
+ * @body    carrier, trackingNumber, trackingUrl (optional), items [{ itemId, quantity }] (defaults to everything left to ship), note
+ */
+exports.createShipment = async (req, res, next) => {
+  try {
+    const { carrier, trackingNumber, trackingUrl, items = [] } = req.body;
+
+    if (!carrier) {
+      return next(new ErrorResponse('Please provide a carrier', 400));
+    }
+    if (!Array.isArray(items)) {
+      return next(new ErrorResponse('Shipment items must be an array', 400));
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404));
+    }
+
+    const note = req.body.note ? sanitizeHtml(req.body.note, { allowedTags: [], allowedAttributes: {} }) : undefined;
+
+    const { shipment, error: shipmentError } = await createShipment(order, {
+      carrier: sanitizeHtml(carrier, { allowedTags: [], allowedAttributes: {} }),
+      trackingNumber: trackingNumber ? sanitizeHtml(trackingNumber, { allowedTags: [], allowedAttributes: {} }) : undefined,
+      trackingUrl,
+      items,
+      note,
+      userId: req.user.id,
     });
 
-    // Add to timeline
-    order.timeline.push({
-      status: 'refunded',
-      note: `Refund processed: ${parseFloat(amount).toFixed(2)} - Reason: ${cleanReason}`,
-      updatedBy: req.user.id
+    if (shipmentError) {
+      return next(new ErrorResponse(shipmentError, 400));
+    }
+
+    return success(res, 'Shipment created successfully', { shipment, order: showOrderTo(req, order) }, 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Add a delivery event to a shipment
+ * @route   POST /api/v1/admin/orders/:id/shipments/:shipmentId/events
+ * @access  Private/Admin
+ * @body    status, description, location, occurredAt (optional, defaults to now)
+ */
+exports.addShipmentEvent = async (req, res, next) => {
+  try {
+    const { status, description, location, occurredAt } = req.body;
+
+    if (!status || !Order.SHIPMENT_STATUSES.includes(status)) {
+      return next(new ErrorResponse(`Please provide a valid shipment status (${Order.SHIPMENT_STATUSES.join(', ')})`, 400));
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404));
+    }
+
+    const { shipment, error: eventError } = await addShipmentEvent(order, req.params.shipmentId, {
+      status,
+      description: description ? sanitizeHtml(description, { allowedTags: [], allowedAttributes: {} }) : undefined,
+      location: location ? sanitizeHtml(location, { allowedTags: [], allowedAttributes: {} }) : undefined,
+      occurredAt,
+      userId: req.user.id,
     });
 
-    await order.save();
+    if (eventError) {
+      return next(new ErrorResponse(eventError, 400));
+    }
 
-    // Send refund confirmation email if customer has email
-    if (order.user?.email) {
-      try {
-        const { sendEmail } = require('../../utils/email.util');
-        await sendEmail({
-          to: order.user.email,
-          subject: `Refund Processed for Order ${order.orderNumber}`,
-          text: `Dear ${order.user.firstName || 'Customer'},\n\nWe have processed a refund of ₦${parseFloat(amount).toFixed(2)} for your order ${order.orderNumber}.\n\nReason: ${cleanReason}\n\nThe refund should appear in your account within 5-10 business days, depending on your payment provider.\n\nIf you have any questions, please contact our customer service.\n\nThank you for shopping with Scenture Lagos!`,
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-              <h2 style="color: #333;">Refund Processed</h2>
-              <p>Dear ${order.user.firstName || 'Customer'},</p>
-              <p>We have processed a refund for your order.</p>
-              
-              <div style="background-color: #f7f7f7; padding: 15px; margin: 20px 0;">
-                <p><strong>Order Number:</strong> ${order.orderNumber}</p>
-                <p><strong>Refund Amount:</strong> ₦${parseFloat(amount).toFixed(2)}</p>
-                <p><strong>Reason:</strong> ${cleanReason}</p>
-                <p><strong>Refund Reference:</strong> ${refundReference}</p>
-              </div>
-              
-              <p>The refund should appear in your account within 5-10 business days, depending on your payment provider.</p>
-              <p>If you have any questions, please contact our customer service.</p>
-              <p>Thank you for shopping with Scenture Lagos!</p>
-            </div>
-          `
-        });
-        
-        // Add note about email
-        order.notes.push({
-          content: `Refund confirmation email sent to ${order.user.email}`,
-          isInternal: true,
-          createdBy: req.user.id
-        });
-        
-        await order.save();
-      } catch (emailErr) {
-        console.error('Failed to send refund email:', emailErr);
-        // Don't fail the whole operation if email fails
-        order.notes.push({
-          content: `Failed to send refund email to ${order.user.email}: ${emailErr.message}`,
-          isInternal: true,
-          createdBy: req.user.id
-        });
-        await order.save(); // Save the note about email failure
-      }
+    return success(res, 'Shipment event added successfully', { shipment, order: showOrderTo(req, order) }, 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Process a full or partial refund
+ * @route   POST /api/v1/admin/orders/:id/refund
+ * @access  Private/Admin
+ * @body    amount (optional when items are given), reason, items [{ itemId, quantity }], restock (boolean)
+ */
+exports.processRefund = async (req, res, next) => {
+  try {
+    const { amount, reason, items = [], restock = false } = req.body;
+
+    if (!reason) {
+      return next(new ErrorResponse('Please provide a refund reason', 400));
+    }
+    if (!Array.isArray(items)) {
+      return next(new ErrorResponse('Refund items must be an array', 400));
+    }
+    if (!amount && items.length === 0) {
+      return next(new ErrorResponse('Please provide a refund amount or the items to refund', 400));
+    }
+
+    const cleanReason = sanitizeHtml(reason, { allowedTags: [], allowedAttributes: {} });
+
+    let order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404));
+    }
+
+    const { refund, error: refundError } = await issueRefund(order, {
+      amount,
+      items,
+      reason: cleanReason,
+      restock: Boolean(restock),
+      userId: req.user.id,
+    });
+
+    if (refundError) {
+      return next(new ErrorResponse(refundError, 400));
     }
 
+    // Send refund confirmation email to the customer
+    queueEmailSafely({
+      template: 'refundProcessed',
+      to: order.shippingAddress.email,
+      data: { order, refund },
+      order: order._id,
+      user: order.user
+    });
+
     // Get updated order with populated fields for the response
     order = await Order.findById(req.params.id)
       .populate({
@@ -384,7 +467,7 @@ exports.processRefund = async (req, res, next) => {
       subtotal: item.subtotal || item.price * item.quantity
     }));
 
-    return success(res, 'Refund processed successfully', { order });
+    return success(res, 'Refund processed successfully', { order: showOrderTo(req, order) });
   } catch (err) {
     next(err);
   }
@@ -408,41 +491,33 @@ exports.sendOrderEmail = async (req, res, next) => {
       return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404));
     }
 
-    if (!order.user?.email) {
+    const customerEmail = order.user?.email || order.shippingAddress?.email;
+    if (!customerEmail) {
       return next(new ErrorResponse('No customer email found for this order', 400));
     }
 
-    // Import email utility
-    const { sendOrderConfirmationEmail } = require('../../utils/email.util');
-    
-    try {
-      // Send the email
-      await sendOrderConfirmationEmail(order, order.user.email);
-      
-      // Add a note to the order
-      order.notes.push({
-        content: `Order confirmation email sent to ${order.user?.email || 'N/A'}`,
-        isInternal: true,
-        createdBy: req.user.id
-      });
+    // Queued emails are retried automatically; the outbox entry records every attempt
+    const emailEntry = await queueEmail({
+      template: 'orderConfirmation',
+      to: customerEmail,
+      data: { order, customerName: order.user?.firstName },
+      order: order._id,
+      user: order.user?._id
+    });
+    if (!emailEntry) {
+      return next(new ErrorResponse('Order confirmation emails are switched off in the store settings', 400));
+    }
 
-      await order.save();
+    // Add a note to the order
+    order.notes.push({
+      content: `Order confirmation email queued for ${customerEmail}`,
+      isInternal: true,
+      createdBy: req.user.id
+    });
 
-      return success(res, 'Email sent successfully', { order });
-    } catch (emailError) {
-      console.error('Email sending failed:', emailError);
-      
-      // Still add a note about the attempt
-      order.notes.push({
-        content: `Failed to send order confirmation email to ${order.user?.email || 'N/A'}: ${emailError.message}`,
-        isInternal: true,
-        createdBy: req.user.id
-      });
+    await order.save();
 
-      await order.save();
-      
-      return next(new ErrorResponse(`Failed to send email: ${emailError.message}`, 500));
-    }
+    return success(res, 'Email queued successfully', { order: showOrderTo(req, order), email: showEmailTo(req, emailEntry) });
   } catch (err) {
     next(err);
   }
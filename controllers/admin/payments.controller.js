@@ -0,0 +1,239 @@
+const Order = require('../../models/order.model');
+const CodRemittance = require('../../models/codRemittance.model');
+const { ErrorResponse } = require('../../middleware/error.middleware');
+const { success, paginate } = require('../../utils/response.util');
+const { confirmBankTransfer, rejectBankTransfer } = require('../../utils/bankTransfer.util');
+const { recordCodRemittance } = require('../../utils/cashOnDelivery.util');
+const { showOrderTo } = require('../../utils/permissions.util');
+const sanitizeHtml = require('sanitize-html');
+
+/**
+ * @desc    Get bank transfers waiting for confirmation
+ * @route   GET /api/v1/admin/payments/pending-transfers
+ * @access  Private/Admin
+ * @query   status (submitted by default, or awaiting_proof, rejected, all), search, page, limit
+ */
+exports.getPendingTransfers = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const filter = {
+      'paymentInfo.method': 'bank_transfer',
+      'paymentInfo.status': 'pending',
+      status: { $ne: 'cancelled' }
+    };
+
+    const status = req.query.status || 'submitted';
+    if (['submitted', 'awaiting_proof', 'rejected'].includes(status)) {
+      filter['paymentInfo.bankTransfer.status'] = status;
+    } else if (status !== 'all') {
+      return next(new ErrorResponse('Invalid transfer status filter', 400));
+    }
+
+    if (req.query.search) {
+      const searchRegex = new RegExp(req.query.search, 'i');
+      filter.$or = [
+        { orderNumber: searchRegex },
+        { 'shippingAddress.email': searchRegex },
+        { 'paymentInfo.bankTransfer.transferReference': searchRegex },
+        { 'paymentInfo.bankTransfer.senderName': searchRegex }
+      ];
+    }
+
+    const total = await Order.countDocuments(filter);
+    // Oldest submissions first, so transfers are reviewed in the order they arrived
+    const orders = await Order.find(filter)
+      .select('orderNumber totalAmount status shippingAddress.firstName shippingAddress.lastName shippingAddress.email paymentInfo createdAt')
+      .populate('user', 'firstName lastName email')
+      .sort('paymentInfo.bankTransfer.submittedAt createdAt')
+      .skip(startIndex)
+      .limit(limit);
+
+    return paginate(res, 'Pending bank transfers retrieved successfully', orders.map(order => showOrderTo(req, order)), page, limit, total);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Confirm a bank transfer and start processing the order
+ * @route   PUT /api/v1/admin/payments/pending-transfers/:id/confirm
+ * @access  Private/Admin
+ * @body    note (optional)
+ */
+exports.confirmTransfer = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404));
+    }
+
+    const note = req.body.note ? sanitizeHtml(req.body.note, { allowedTags: [], allowedAttributes: {} }) : undefined;
+
+    const { error: confirmError } = await confirmBankTransfer(order, { userId: req.user.id, note });
+    if (confirmError) {
+      return next(new ErrorResponse(confirmError, 400));
+    }
+
+    return success(res, 'Bank transfer confirmed successfully', { order: showOrderTo(req, order) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reject a bank transfer's proof of payment
+ * @route   PUT /api/v1/admin/payments/pending-transfers/:id/reject
+ * @access  Private/Admin
+ * @body    reason
+ */
+exports.rejectTransfer = async (req, res, next) => {
+  try {
+    if (!req.body.reason) {
+      return next(new ErrorResponse('Please provide a reason for rejecting the transfer', 400));
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404));
+    }
+
+    const { error: rejectError } = await rejectBankTransfer(order, {
+      userId: req.user.id,
+      reason: sanitizeHtml(req.body.reason, { allowedTags: [], allowedAttributes: {} }),
+    });
+    if (rejectError) {
+      return next(new ErrorResponse(rejectError, 400));
+    }
+
+    return success(res, 'Bank transfer rejected', { order: showOrderTo(req, order) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get delivered cash on delivery orders whose cash has not been reconciled
+ * @route   GET /api/v1/admin/payments/cod-outstanding
+ * @access  Private/Admin
+ */
+exports.getOutstandingCodOrders = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const filter = {
+      'paymentInfo.method': 'cash_on_delivery',
+      'paymentInfo.status': 'pending',
+      status: 'delivered'
+    };
+
+    const total = await Order.countDocuments(filter);
+    const orders = await Order.find(filter)
+      .select('orderNumber totalAmount status shippingAddress deliveredAt shipments.carrier')
+      .sort('deliveredAt')
+      .skip(startIndex)
+      .limit(limit);
+
+    return paginate(res, 'Outstanding cash on delivery orders retrieved successfully', orders.map(order => showOrderTo(req, order)), page, limit, total);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get cash on delivery remittances
+ * @route   GET /api/v1/admin/payments/cod-remittances
+ * @access  Private/Admin
+ */
+exports.getCodRemittances = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const filter = {};
+
+    if (req.query.rider) {
+      filter.riderName = new RegExp(req.query.rider, 'i');
+    }
+
+    // Only remittances where the cash did not match what was expected
+    if (req.query.withDifferences === 'true') {
+      filter.difference = { $ne: 0 };
+    }
+
+    const total = await CodRemittance.countDocuments(filter);
+    const remittances = await CodRemittance.find(filter)
+      .populate('recordedBy', 'firstName lastName')
+      .sort(req.query.sort || '-createdAt')
+      .skip(startIndex)
+      .limit(limit);
+
+    return paginate(res, 'Remittances retrieved successfully', remittances, page, limit, total);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get single cash on delivery remittance
+ * @route   GET /api/v1/admin/payments/cod-remittances/:id
+ * @access  Private/Admin
+ */
+exports.getCodRemittance = async (req, res, next) => {
+  try {
+    const remittance = await CodRemittance.findById(req.params.id)
+      .populate('recordedBy', 'firstName lastName')
+      .populate('orders.order', 'orderNumber status paymentInfo.status shippingAddress.firstName shippingAddress.lastName');
+
+    if (!remittance) {
+      return next(new ErrorResponse(`Remittance not found with id of ${req.params.id}`, 404));
+    }
+
+    return success(res, 'Remittance retrieved successfully', { remittance });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Record the cash a rider collected and mark the delivered orders as paid
+ * @route   POST /api/v1/admin/payments/cod-remittances
+ * @access  Private/Admin
+ * @body    riderName, orders [{ orderId, collectedAmount }], note
+ */
+exports.createCodRemittance = async (req, res, next) => {
+  try {
+    const { riderName, orders } = req.body;
+
+    if (!riderName) {
+      return next(new ErrorResponse('Please provide the rider name', 400));
+    }
+    if (!Array.isArray(orders) || orders.length === 0) {
+      return next(new ErrorResponse('Please provide the orders the cash was collected for', 400));
+    }
+
+    const { remittance, error: remittanceError } = await recordCodRemittance({
+      riderName: sanitizeHtml(riderName, { allowedTags: [], allowedAttributes: {} }),
+      orders,
+      note: req.body.note ? sanitizeHtml(req.body.note, { allowedTags: [], allowedAttributes: {} }) : undefined,
+      userId: req.user.id,
+    });
+    if (remittanceError) {
+      return next(new ErrorResponse(remittanceError, 400));
+    }
+
+    const message = remittance.difference === 0
+      ? 'Remittance recorded. The collected cash matches the orders.'
+      : `Remittance recorded with a difference of ${remittance.difference.toFixed(2)}`;
+    return success(res, message, { remittance }, 201);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -6,8 +6,14 @@ const { ErrorResponse } = require('../../middleware/error.middleware');
 const cloudinary = require('../../config/cloudinary');
 const mongoose = require('mongoose');
 const fs = require('fs').promises;
-const { success, paginate } = require('../../utils/response.util');
-const { calculateProductStatus } = require('../../utils/product.util'); // Import the shared utility
+const { Parser } = require('json2csv');
+const ProductImportJob = require('../../models/productImportJob.model');
+const { success, error, paginate } = require('../../utils/response.util');
+const { calculateProductStatus, getRegularPrice } = require('../../utils/product.util'); // Import the shared utility
+const { buildPricing, buildPublishSchedule } = require('../../utils/productSchedule.util');
+const { hasPermission } = require('../../utils/permissions.util');
+const { CATALOG_COLUMNS, validateCatalogCsv, processProductImports, buildCatalogRows } = require('../../utils/productCsv.util');
+const { validateBundle, describeBundleComponents, getBundleUsage } = require('../../utils/bundle.util');
 
 // #region ============================ Product Retrieval ============================
 
@@ -239,8 +245,13 @@ exports.getProduct = async (req, res, next) => {
             name: product.name,
             sku: product.sku,
             price: product.price,
+            regularPrice: getRegularPrice(product),
+            compareAtPrice: product.compareAtPrice ?? null,
+            sale: product.sale || null,
             stock: product.stockQuantity,
             status: product.status,
+            publishAt: product.publishAt || null,
+            unpublishAt: product.unpublishAt || null,
             category: product.category ? product.category.name : 'Uncategorized',
             categoryId: product.category ? product.category._id : null,
             description: product.description || '',
@@ -252,7 +263,11 @@ exports.getProduct = async (req, res, next) => {
             },
             ingredients: product.ingredients || [], // Keep as array, not joined string
             variants: product.variants || [],
-            images: product.images || []
+            images: product.images || [],
+            type: product.type || 'simple',
+            bundle: product.type === 'bundle'
+                ? { components: await describeBundleComponents(product), pricing: product.bundle.pricing }
+                : undefined,
         };
 
         return success(res, 'Product retrieved successfully', { product: formattedProduct });
@@ -267,13 +282,34 @@ exports.getProduct = async (req, res, next) => {
 
 exports.createProduct = async (req, res, next) => {
     try {
-        const { name, sku, price, stockQuantity, status, category, description, scentNotes, ingredients, variants } = req.body;
+        const { name, sku, price, stockQuantity, status, category, description, scentNotes, ingredients, variants, type, bundle, sale } = req.body;
+        const isBundle = type === 'bundle';
 
-        // Validate required fields
-        if (!name || !price || !stockQuantity || !category || !description) {
+        if (type && !['simple', 'bundle'].includes(type)) {
+            return next(new ErrorResponse('Product type must be simple or bundle', 400));
+        }
+
+        // Validate required fields; a bundle's price and stock come from its components
+        if (!name || (!isBundle && (!price || !stockQuantity)) || !category || !description) {
             return next(new ErrorResponse('Missing required fields: name, price, stockQuantity, category, or description', 400));
         }
 
+        if (isBundle && sale) {
+            return next(new ErrorResponse('Bundles cannot have a sale; change their pricing instead', 400));
+        }
+        let pricing = null;
+        if (!isBundle) {
+            const { fields, error: pricingError } = buildPricing({ price, sale });
+            if (pricingError) {
+                return next(new ErrorResponse(pricingError, 400));
+            }
+            pricing = fields;
+        }
+        const { fields: publishSchedule, error: scheduleError } = buildPublishSchedule(req.body);
+        if (scheduleError) {
+            return next(new ErrorResponse(scheduleError, 400));
+        }
+
         // Perform independent validations concurrently
         const [categoryDoc, existingProductByName] = await Promise.all([
             Category.findById(category).lean(),
@@ -307,9 +343,21 @@ exports.createProduct = async (req, res, next) => {
             return next(new ErrorResponse(`SKU ${finalSku} already exists`, 400));
         }
 
+        let bundleDetails;
+        if (isBundle) {
+            if (variants && variants.length > 0) {
+                return next(new ErrorResponse('Bundles cannot have variants', 400));
+            }
+            const { bundle: validBundle, error: bundleError } = await validateBundle(bundle);
+            if (bundleError) {
+                return next(new ErrorResponse(bundleError, 400));
+            }
+            bundleDetails = validBundle;
+        }
+
         // Validate and format variants
         let formattedVariants = [];
-        if (variants) {
+        if (variants && !isBundle) {
             if (!Array.isArray(variants)) return next(new ErrorResponse('Variants must be an array', 400));
             const variantSkus = variants.map(v => v.sku);
 
@@ -344,9 +392,15 @@ exports.createProduct = async (req, res, next) => {
         const product = new Product({
             name,
             sku: finalSku,
-            price,
-            stockQuantity,
+            // Worked out from the components when a bundle is saved
+            price: isBundle ? 0 : pricing.price,
+            compareAtPrice: isBundle ? null : pricing.compareAtPrice,
+            sale: isBundle ? null : pricing.sale,
+            stockQuantity: isBundle ? 0 : stockQuantity,
+            type: isBundle ? 'bundle' : 'simple',
+            bundle: bundleDetails,
             status: status || 'draft',
+            ...publishSchedule,
             category,
             description,
             scentNotes: scentNotes || {}, // Ensure scentNotes is an object, even if empty
@@ -388,7 +442,47 @@ exports.updateProduct = async (req, res, next) => {
             return next(new ErrorResponse(`Product not found with id of ${req.params.id}`, 404));
         }
 
-        const { sku, name, category, variants, images } = req.body;
+        const { sku, name, category, variants, images, type, bundle, sale } = req.body;
+
+        if (type && type !== (product.type || 'simple')) {
+            return next(new ErrorResponse('A product cannot be changed to or from a bundle', 400));
+        }
+        if (product.type === 'bundle') {
+            if (variants && variants.length > 0) {
+                return next(new ErrorResponse('Bundles cannot have variants', 400));
+            }
+            if (bundle) {
+                const { bundle: validBundle, error: bundleError } = await validateBundle(bundle, product._id);
+                if (bundleError) {
+                    return next(new ErrorResponse(bundleError, 400));
+                }
+                req.body.bundle = validBundle;
+            }
+            if (sale) {
+                return next(new ErrorResponse('Bundles cannot have a sale; change their pricing instead', 400));
+            }
+            // A bundle's price and stock are worked out from its components
+            delete req.body.price;
+            delete req.body.stockQuantity;
+            delete req.body.sale;
+        } else if (bundle) {
+            return next(new ErrorResponse('Only bundle products have components', 400));
+        } else if (req.body.price !== undefined || sale !== undefined) {
+            // The price sent is the regular price; during a sale the sale price is what is charged
+            const { fields: pricing, error: pricingError } = buildPricing({ price: req.body.price, sale }, product);
+            if (pricingError) {
+                return next(new ErrorResponse(pricingError, 400));
+            }
+            Object.assign(req.body, pricing);
+        }
+        // compareAtPrice only ever follows the sale
+        if (req.body.sale === undefined) delete req.body.compareAtPrice;
+
+        const { fields: publishSchedule, error: scheduleError } = buildPublishSchedule(req.body, product);
+        if (scheduleError) {
+            return next(new ErrorResponse(scheduleError, 400));
+        }
+        Object.assign(req.body, publishSchedule);
 
         // Validate uniqueness constraints if fields are being changed
         if (sku && sku !== product.sku) {
@@ -442,6 +536,21 @@ exports.updateProduct = async (req, res, next) => {
             }
         }
 
+        // Stock levels are the inventory's; like the CSV import, changing them needs inventory.adjust.
+        // New variants may still be given their opening stock.
+        if (!hasPermission(req, 'inventory.adjust')) {
+            const findCurrentVariant = (variant) => (product.variants || []).find(current =>
+                (variant._id && current._id.toString() === String(variant._id)) || current.sku === variant.sku);
+            const changesStock = (req.body.stockQuantity !== undefined && Number(req.body.stockQuantity) !== product.stockQuantity)
+                || (req.body.variants || []).some(variant => {
+                    const current = findCurrentVariant(variant);
+                    return current && variant.stockQuantity !== current.stockQuantity;
+                });
+            if (changesStock) {
+                return next(new ErrorResponse('Changing stock needs the inventory.adjust permission', 403));
+            }
+        }
+
         // Prepare update data
         const updateData = {
             ...req.body,
@@ -482,6 +591,12 @@ exports.deleteProduct = async (req, res, next) => {
             return next(new ErrorResponse(`Product not found with id of ${req.params.id}`, 404));
         }
 
+        const bundleUsage = (await getBundleUsage([product._id])).get(product._id.toString()) || [];
+        if (bundleUsage.length > 0) {
+            const bundleNames = [...new Set(bundleUsage.map(usage => usage.bundle.name))];
+            return next(new ErrorResponse(`This product is part of ${bundleNames.length} bundle(s) (${bundleNames.join(', ')}). Remove it from them first.`, 400));
+        }
+
         // Delete associated images from Cloudinary concurrently
         if (product.images && product.images.length > 0) {
             const publicIds = product.images.map(image => image.public_id).filter(Boolean); // Filter out any null/undefined public_ids
@@ -686,4 +801,133 @@ exports.generateVariantSKU = async (req, res, next) => {
     }
 };
 
-// #endregion
\ No newline at end of file
+// #endregion
+
+// #region ============================ Bulk Import & Export ============================
+
+/**
+ * @desc    Import products from a catalog CSV, or only validate it with dryRun=true
+ * @route   POST /api/v1/admin/products/import
+ * @access  Private/Admin
+ * @body    multipart/form-data with a `file` field; `dryRun` as a field or query parameter
+ */
+exports.importProducts = async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return next(new ErrorResponse('Please upload a CSV file in the file field', 400));
+        }
+
+        const dryRun = [req.body.dryRun, req.query.dryRun].includes('true');
+        const { items, rowErrors, totalRows } = await validateCatalogCsv(req.file.buffer.toString('utf8'), {
+            canAdjustStock: hasPermission(req, 'inventory.adjust'),
+        });
+        const isValid = rowErrors.length === 0;
+
+        let status = dryRun ? 'validated' : 'queued';
+        if (!isValid) status = 'invalid';
+
+        const job = await ProductImportJob.create({
+            fileName: req.file.originalname,
+            dryRun,
+            status,
+            totalRows,
+            totalProducts: items.length,
+            rowErrors,
+            items: dryRun ? [] : items,
+            createdBy: req.user._id,
+        });
+        const jobData = job.toObject();
+        delete jobData.items;
+
+        if (dryRun) {
+            const message = isValid
+                ? `CSV is valid: ${items.length} product(s) ready to import`
+                : `CSV has ${rowErrors.length} error(s)`;
+            return success(res, message, { job: jobData });
+        }
+        if (!isValid) {
+            return error(res, `CSV has ${rowErrors.length} error(s); nothing was imported`, 400, rowErrors);
+        }
+
+        // Start straight away; the product import job picks it up if this run is interrupted
+        processProductImports().catch(err => console.error(`Failed to run product imports: ${err.message}`));
+
+        return success(res, 'Product import started', { job: jobData }, 202);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * @desc    Get product imports, newest first
+ * @route   GET /api/v1/admin/products/import
+ * @access  Private/Admin
+ */
+exports.getProductImports = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page, 10) || 1;
+        const limit = parseInt(req.query.limit, 10) || 10;
+        const startIndex = (page - 1) * limit;
+
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+
+        const total = await ProductImportJob.countDocuments(filter);
+        const jobs = await ProductImportJob.find(filter)
+            .select('-rowErrors')
+            .populate('createdBy', 'firstName lastName email')
+            .sort({ createdAt: -1 })
+            .skip(startIndex)
+            .limit(limit);
+
+        return paginate(res, 'Product imports retrieved successfully', jobs, page, limit, total);
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * @desc    Get a product import with its progress and row errors
+ * @route   GET /api/v1/admin/products/import/:jobId
+ * @access  Private/Admin
+ */
+exports.getProductImport = async (req, res, next) => {
+    try {
+        const job = await ProductImportJob.findById(req.params.jobId)
+            .populate('createdBy', 'firstName lastName email');
+        if (!job) {
+            return next(new ErrorResponse(`Product import not found with id of ${req.params.jobId}`, 404));
+        }
+
+        return success(res, 'Product import retrieved successfully', { job });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * @desc    Export the full catalog as a CSV that can be edited and imported again
+ * @route   GET /api/v1/admin/products/export
+ * @access  Private/Admin
+ */
+exports.exportProducts = async (req, res, next) => {
+    try {
+        const products = await Product.find({ type: { $ne: 'bundle' } })
+            .select('-stockAdjustments -images')
+            .populate('category', 'slug')
+            .sort({ createdAt: 1 })
+            .lean();
+
+        const fields = CATALOG_COLUMNS.map(column => ({ label: column, value: column }));
+        const parser = new Parser({ fields });
+        const csv = parser.parse(buildCatalogRows(products));
+
+        res.header('Content-Type', 'text/csv');
+        res.attachment('product-catalog.csv');
+        res.send(csv);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// #endregion
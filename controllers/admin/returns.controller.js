@@ -0,0 +1,258 @@
+const ReturnRequest = require('../../models/returnRequest.model');
+const Order = require('../../models/order.model');
+const Product = require('../../models/product.model');
+const { ErrorResponse } = require('../../middleware/error.middleware');
+const { success, paginate } = require('../../utils/response.util');
+const { issueRefund } = require('../../utils/refund.util');
+const { getStockItems } = require('../../utils/inventory.util');
+const { queueEmailSafely } = require('../../utils/email.util');
+const { showOrderTo } = require('../../utils/permissions.util');
+const sanitizeHtml = require('sanitize-html');
+
+/**
+ * @desc Helper function to email the customer about a status change without failing the request.
+ * @param {Object} returnRequest - The return request, with `user` populated if available.
+ * @param {Object} order - The order being returned.
+ */
+const notifyCustomer = (returnRequest, order) => {
+  queueEmailSafely({
+    template: 'returnStatus',
+    to: returnRequest.email,
+    data: { returnRequest, order, customerName: returnRequest.user?.firstName },
+    order: order._id,
+    user: returnRequest.user?._id
+  });
+};
+
+/**
+ * @desc Helper function to load a return request and check it can move to the given status.
+ * @returns {Promise<{ returnRequest: Object|null, order: Object|null, error: ErrorResponse|null }>}
+ */
+const loadReturnForTransition = async (id, status) => {
+  const returnRequest = await ReturnRequest.findById(id).populate('user', 'firstName lastName email');
+  if (!returnRequest) {
+    return { error: new ErrorResponse(`Return request not found with id of ${id}`, 404) };
+  }
+  if (!returnRequest.canTransitionTo(status)) {
+    return { error: new ErrorResponse(`Cannot change a ${returnRequest.status} return to ${status}`, 400) };
+  }
+
+  const order = await Order.findById(returnRequest.order);
+  if (!order) {
+    return { error: new ErrorResponse('The order for this return no longer exists', 404) };
+  }
+
+  return { returnRequest, order, error: null };
+};
+
+/**
+ * @desc    Get all return requests
+ * @route   GET /api/v1/admin/returns
+ * @access  Private/Admin
+ */
+exports.getReturns = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const filter = {};
+
+    if (req.query.status && ['requested', 'approved', 'received', 'refunded', 'rejected'].includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.search) {
+      const searchRegex = new RegExp(req.query.search, 'i');
+      filter.$or = [{ rmaNumber: searchRegex }, { email: searchRegex }];
+    }
+
+    const total = await ReturnRequest.countDocuments(filter);
+    const returnRequests = await ReturnRequest.find(filter)
+      .populate('user', 'firstName lastName email')
+      .populate('order', 'orderNumber totalAmount')
+      .sort(req.query.sort || '-createdAt')
+      .skip(startIndex)
+      .limit(limit);
+
+    return paginate(res, 'Return requests retrieved successfully', returnRequests.map(returnRequest => showOrderTo(req, returnRequest)), page, limit, total);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get single return request
+ * @route   GET /api/v1/admin/returns/:id
+ * @access  Private/Admin
+ */
+exports.getReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('user', 'firstName lastName email phone')
+      .populate('order', 'orderNumber totalAmount status paymentInfo.status deliveredAt')
+      .populate('statusHistory.changedBy', 'firstName lastName');
+
+    if (!returnRequest) {
+      return next(new ErrorResponse(`Return request not found with id of ${req.params.id}`, 404));
+    }
+
+    return success(res, 'Return request retrieved successfully', { returnRequest: showOrderTo(req, returnRequest) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Approve a return request
+ * @route   PUT /api/v1/admin/returns/:id/approve
+ * @access  Private/Admin
+ */
+exports.approveReturn = async (req, res, next) => {
+  try {
+    const { returnRequest, order, error: loadError } = await loadReturnForTransition(req.params.id, 'approved');
+    if (loadError) return next(loadError);
+
+    const note = req.body.note ? sanitizeHtml(req.body.note, { allowedTags: [], allowedAttributes: {} }) : undefined;
+    returnRequest.transitionTo('approved', { note, userId: req.user.id });
+    await returnRequest.save();
+
+    notifyCustomer(returnRequest, order);
+
+    return success(res, 'Return request approved', { returnRequest: showOrderTo(req, returnRequest) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reject a return request
+ * @route   PUT /api/v1/admin/returns/:id/reject
+ * @access  Private/Admin
+ */
+exports.rejectReturn = async (req, res, next) => {
+  try {
+    if (!req.body.reason) {
+      return next(new ErrorResponse('Please provide a reason for rejecting the return', 400));
+    }
+
+    const { returnRequest, order, error: loadError } = await loadReturnForTransition(req.params.id, 'rejected');
+    if (loadError) return next(loadError);
+
+    const reason = sanitizeHtml(req.body.reason, { allowedTags: [], allowedAttributes: {} });
+    returnRequest.rejectionReason = reason;
+    returnRequest.transitionTo('rejected', { note: reason, userId: req.user.id });
+    await returnRequest.save();
+
+    notifyCustomer(returnRequest, order);
+
+    return success(res, 'Return request rejected', { returnRequest: showOrderTo(req, returnRequest) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Mark returned items as received and restock them
+ * @route   PUT /api/v1/admin/returns/:id/receive
+ * @access  Private/Admin
+ * @body    items [{ itemId, receivedQuantity }] (defaults to the requested quantities), restock (default true), note
+ */
+exports.receiveReturn = async (req, res, next) => {
+  try {
+    const { items = [], restock = true } = req.body;
+
+    const { returnRequest, order, error: loadError } = await loadReturnForTransition(req.params.id, 'received');
+    if (loadError) return next(loadError);
+
+    // Record how many units actually arrived for each line
+    for (const returnItem of returnRequest.items) {
+      const received = items.find(i => i.itemId?.toString() === returnItem.orderItem.toString());
+      const receivedQuantity = received ? parseInt(received.receivedQuantity, 10) : returnItem.quantity;
+      if (Number.isNaN(receivedQuantity) || receivedQuantity < 0 || receivedQuantity > returnItem.quantity) {
+        return next(new ErrorResponse(`Invalid received quantity for "${returnItem.name}"`, 400));
+      }
+      returnItem.receivedQuantity = receivedQuantity;
+    }
+
+    if (restock) {
+      // Bundles go back to stock as their components
+      const stockItems = getStockItems(returnRequest.items
+        .filter(returnItem => returnItem.receivedQuantity > 0)
+        .map(returnItem => ({
+          product: returnItem.product,
+          variant: returnItem.variantId,
+          name: returnItem.name,
+          quantity: returnItem.receivedQuantity,
+          bundleComponents: order.items.id(returnItem.orderItem)?.bundleComponents,
+        })));
+      for (const item of stockItems) {
+        const product = await Product.findById(item.product);
+        if (!product) continue;
+        product.adjustStock({
+          adjustment: item.quantity,
+          reason: `Return ${returnRequest.rmaNumber} received for order ${order.orderNumber}`,
+          userId: req.user.id,
+          variantId: item.variant || null,
+        });
+        await product.save();
+      }
+      returnRequest.restocked = true;
+    }
+
+    const note = req.body.note ? sanitizeHtml(req.body.note, { allowedTags: [], allowedAttributes: {} }) : undefined;
+    returnRequest.transitionTo('received', { note, userId: req.user.id });
+    await returnRequest.save();
+
+    notifyCustomer(returnRequest, order);
+
+    return success(res, 'Returned items received', { returnRequest: showOrderTo(req, returnRequest) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Refund a received return
+ * @route   POST /api/v1/admin/returns/:id/refund
+ * @access  Private/Admin
+ * @body    amount (optional, defaults to the value of the received items), note
+ */
+exports.refundReturn = async (req, res, next) => {
+  try {
+    const { returnRequest, order, error: loadError } = await loadReturnForTransition(req.params.id, 'refunded');
+    if (loadError) return next(loadError);
+
+    const refundItems = returnRequest.items
+      .filter(item => item.receivedQuantity > 0)
+      .map(item => ({ itemId: item.orderItem, quantity: item.receivedQuantity }));
+
+    if (refundItems.length === 0 && !req.body.amount) {
+      return next(new ErrorResponse('None of the returned items were received. Reject the return or provide an amount.', 400));
+    }
+
+    // Stock was already returned when the items were received
+    const { refund, error: refundError } = await issueRefund(order, {
+      amount: req.body.amount,
+      items: refundItems,
+      reason: `Return ${returnRequest.rmaNumber}: ${returnRequest.reason}`,
+      restock: false,
+      userId: req.user.id,
+    });
+    if (refundError) {
+      return next(new ErrorResponse(refundError, 400));
+    }
+
+    const note = req.body.note ? sanitizeHtml(req.body.note, { allowedTags: [], allowedAttributes: {} }) : undefined;
+    returnRequest.refundAmount = refund.amount;
+    returnRequest.refundId = refund._id;
+    returnRequest.transitionTo('refunded', { note, userId: req.user.id });
+    await returnRequest.save();
+
+    notifyCustomer(returnRequest, order);
+
+    return success(res, 'Return refunded successfully', { returnRequest: showOrderTo(req, returnRequest), refund });
+  } catch (err) {
+    next(err);
+  }
+};
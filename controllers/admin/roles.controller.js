@@ -0,0 +1,184 @@
+const Role = require('../../models/role.model');
+const User = require('../../models/user.model');
+const { ErrorResponse } = require('../../middleware/error.middleware');
+const { success } = require('../../utils/response.util');
+const { PERMISSIONS, findUnknownPermissions } = require('../../utils/permissions.util');
+
+/**
+ * @desc Helper function to check the permissions given to a role.
+ * @param {*} permissions - The `permissions` field from the request body.
+ * @returns {string|null} An error message, or null if every permission exists.
+ */
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'Permissions must be an array';
+  }
+  const unknown = findUnknownPermissions(permissions);
+  if (unknown.length > 0) {
+    return `Unknown permission(s): ${unknown.join(', ')}`;
+  }
+  return null;
+};
+
+/**
+ * @desc    Get the permissions that can be given to a role
+ * @route   GET /api/v1/admin/roles/permissions
+ * @access  Private/SuperAdmin
+ */
+exports.getPermissions = async (req, res, next) => {
+  try {
+    const permissions = Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+
+    return success(res, 'Permissions retrieved successfully', { permissions });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get all roles
+ * @route   GET /api/v1/admin/roles
+ * @access  Private/SuperAdmin
+ */
+exports.getRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 }).lean();
+
+    const userCounts = await User.aggregate([
+      { $match: { role: 'staff', staffRole: { $in: roles.map(role => role._id) } } },
+      { $group: { _id: '$staffRole', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(userCounts.map(item => [item._id.toString(), item.count]));
+
+    return success(res, 'Roles retrieved successfully', {
+      roles: roles.map(role => ({ ...role, userCount: countMap.get(role._id.toString()) || 0 }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get single role
+ * @route   GET /api/v1/admin/roles/:id
+ * @access  Private/SuperAdmin
+ */
+exports.getRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return next(new ErrorResponse(`Role not found with id of ${req.params.id}`, 404));
+    }
+
+    const users = await User.find({ role: 'staff', staffRole: role._id }).select('firstName lastName email active');
+
+    return success(res, 'Role retrieved successfully', { role, users });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create role
+ * @route   POST /api/v1/admin/roles
+ * @access  Private/SuperAdmin
+ * @body    { name, description, permissions }
+ */
+exports.createRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name) {
+      return next(new ErrorResponse('Please provide a role name', 400));
+    }
+
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) {
+      return next(new ErrorResponse(permissionError, 400));
+    }
+
+    if (await Role.exists({ name })) {
+      return next(new ErrorResponse(`A role named ${name} already exists`, 400));
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user.id
+    });
+
+    return success(res, 'Role created successfully', { role }, 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update role
+ * @route   PUT /api/v1/admin/roles/:id
+ * @access  Private/SuperAdmin
+ * @body    { name, description, permissions } (permissions replace the role's current list)
+ */
+exports.updateRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return next(new ErrorResponse(`Role not found with id of ${req.params.id}`, 404));
+    }
+
+    const { name, description, permissions } = req.body;
+
+    if (permissions !== undefined) {
+      const permissionError = validatePermissions(permissions);
+      if (permissionError) {
+        return next(new ErrorResponse(permissionError, 400));
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+
+    if (name !== undefined && name !== role.name) {
+      if (await Role.exists({ name, _id: { $ne: role._id } })) {
+        return next(new ErrorResponse(`A role named ${name} already exists`, 400));
+      }
+      role.name = name;
+    }
+    if (description !== undefined) role.description = description;
+    role.updatedBy = req.user.id;
+
+    await role.save();
+
+    return success(res, 'Role updated successfully', { role });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete role
+ * @route   DELETE /api/v1/admin/roles/:id
+ * @access  Private/SuperAdmin
+ */
+exports.deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return next(new ErrorResponse(`Role not found with id of ${req.params.id}`, 404));
+    }
+
+    // Staff users without a role would silently lose all access, so they must be moved first
+    const userCount = await User.countDocuments({ role: 'staff', staffRole: role._id });
+    if (userCount > 0) {
+      return next(new ErrorResponse(`This role is assigned to ${userCount} user(s). Give them another role first.`, 400));
+    }
+
+    await role.deleteOne();
+
+    return success(res, 'Role deleted successfully');
+  } catch (err) {
+    next(err);
+  }
+};
@@ -30,6 +30,17 @@ exports.updateSettings = async (req, res, next) => {
     if (req.body.storeEmail) fieldsToUpdate.storeEmail = req.body.storeEmail;
     if (req.body.storePhone) fieldsToUpdate.storePhone = req.body.storePhone;
     if (req.body.lowStockThreshold !== undefined) fieldsToUpdate.lowStockThreshold = req.body.lowStockThreshold;
+    if (req.body.returns) fieldsToUpdate.returns = { ...settings.returns, ...req.body.returns };
+    if (req.body.inventory) fieldsToUpdate.inventory = { ...settings.inventory, ...req.body.inventory };
+    if (req.body.cashOnDelivery) fieldsToUpdate.cashOnDelivery = { ...settings.cashOnDelivery, ...req.body.cashOnDelivery };
+    if (req.body.abandonedCarts) fieldsToUpdate.abandonedCarts = { ...settings.abandonedCarts, ...req.body.abandonedCarts };
+    if (req.body.security) {
+      if (req.user.role !== 'superadmin') {
+        return next(new ErrorResponse('Only a superadmin can change security settings', 403));
+      }
+      fieldsToUpdate.security = { ...settings.security, ...req.body.security };
+    }
+    if (req.body.emailVerification) fieldsToUpdate.emailVerification = { ...settings.emailVerification, ...req.body.emailVerification };
     if (req.body.socialMedia) fieldsToUpdate.socialMedia = { ...settings.socialMedia, ...req.body.socialMedia };
     if (req.body.currency) fieldsToUpdate.currency = { ...settings.currency, ...req.body.currency };
     if (req.body.tax) fieldsToUpdate.tax = { ...settings.tax, ...req.body.tax };
@@ -1,7 +1,61 @@
 const User = require('../../models/user.model');
+const Role = require('../../models/role.model');
 const { ErrorResponse } = require('../../middleware/error.middleware');
 const { success, error, paginate } = require('../../utils/response.util');
 const { validatePassword } = require('../../utils/validator.util');
+const { STAFF_ROLES } = require('../../utils/twoFactor.util');
+
+/**
+ * @desc    Helper function to check the role given to a staff account.
+ * Staff with the users.manage permission can only manage other `staff` accounts, and only
+ * superadmins can give a role with permissions the current user does not have.
+ * @returns {Promise<{ error: string|null, statusCode: number }>}
+ */
+const checkRoleAssignment = async (req, role, staffRole) => {
+  if (!STAFF_ROLES.includes(role)) {
+    return { error: 'Invalid role. Must be staff, admin or superadmin', statusCode: 400 };
+  }
+  if (req.user.role === 'staff' && role !== 'staff') {
+    return { error: 'Not authorized to give full access to a user', statusCode: 403 };
+  }
+  if (role === 'staff') {
+    if (!staffRole) {
+      return { error: 'Please choose a role for the staff user', statusCode: 400 };
+    }
+    const roleDoc = await Role.findById(staffRole).select('permissions').lean();
+    if (!roleDoc) {
+      return { error: `Role not found with id of ${staffRole}`, statusCode: 404 };
+    }
+    if (req.user.role !== 'superadmin') {
+      const missing = roleDoc.permissions.filter(permission => !req.permissions.includes(permission));
+      if (missing.length > 0) {
+        return { error: `Not authorized to give permissions you do not have: ${missing.join(', ')}`, statusCode: 403 };
+      }
+    }
+  }
+  return { error: null, statusCode: 200 };
+};
+
+/**
+ * @desc    Helper function to check the current user may change or delete a staff account.
+ * Only superadmins can act on staff holding permissions the current user does not have, or
+ * changing that user's email and resetting their password would hand those permissions over.
+ * @param   {object} req - The request, holding the current user and their permissions.
+ * @param   {object} user - The staff account being changed or deleted.
+ * @param   {string} action - 'modify' or 'delete', for the error message.
+ * @returns {Promise<string|null>} The reason the current user is not allowed, if any.
+ */
+const checkStaffTarget = async (req, user, action) => {
+  if (req.user.role === 'superadmin' || user.role !== 'staff' || !user.staffRole) {
+    return null;
+  }
+  const roleDoc = await Role.findById(user.staffRole).select('permissions').lean();
+  const missing = (roleDoc?.permissions || []).filter(permission => !req.permissions.includes(permission));
+  if (missing.length > 0) {
+    return `Not authorized to ${action} a user with permissions you do not have: ${missing.join(', ')}`;
+  }
+  return null;
+};
 
 /**
  * @desc    Get all admin users
@@ -15,8 +69,8 @@ exports.getUsers = async (req, res, next) => {
     const limit = parseInt(req.query.limit, 10) || 10;
     const startIndex = (page - 1) * limit;
 
-    // Filter for admin users only
-    const filter = { role: { $in: ['admin', 'superadmin'] } };
+    // Filter for staff users only
+    const filter = { role: { $in: STAFF_ROLES } };
 
     // Search by name or email
     if (req.query.search) {
@@ -32,6 +86,7 @@ exports.getUsers = async (req, res, next) => {
     const total = await User.countDocuments(filter);
     const users = await User.find(filter)
       .select('-password')
+      .populate('staffRole', 'name')
       .sort({ createdAt: -1 })
       .skip(startIndex)
       .limit(limit);
@@ -56,14 +111,14 @@ exports.getUsers = async (req, res, next) => {
  */
 exports.getUser = async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.id).select('-password');
+    const user = await User.findById(req.params.id).select('-password').populate('staffRole', 'name permissions');
 
     if (!user) {
       return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
     }
 
-    // Check if user is admin or superadmin
-    if (!['admin', 'superadmin'].includes(user.role)) {
+    // Check if user is a staff user
+    if (!STAFF_ROLES.includes(user.role)) {
       return next(new ErrorResponse(`User with id ${req.params.id} is not an admin user`, 400));
     }
 
@@ -80,7 +135,7 @@ exports.getUser = async (req, res, next) => {
  */
 exports.createUser = async (req, res, next) => {
   try {
-    const { firstName, lastName, email, password, role, phone } = req.body;
+    const { firstName, lastName, email, password, role = 'admin', staffRole, phone } = req.body;
 
     // Validate required fields
     if (!firstName || !lastName || !email || !password) {
@@ -99,9 +154,10 @@ exports.createUser = async (req, res, next) => {
       return next(new ErrorResponse('Email already in use', 400));
     }
 
-    // Ensure role is admin or superadmin
-    if (role && !['admin', 'superadmin'].includes(role)) {
-      return next(new ErrorResponse('Invalid role. Must be admin or superadmin', 400));
+    // Ensure role is a staff role the current user may give
+    const { error: roleError, statusCode } = await checkRoleAssignment(req, role, staffRole);
+    if (roleError) {
+      return next(new ErrorResponse(roleError, statusCode));
     }
 
     // Create user
@@ -110,7 +166,8 @@ exports.createUser = async (req, res, next) => {
       lastName,
       email,
       password,
-      role: role || 'admin',
+      role,
+      staffRole: role === 'staff' ? staffRole : undefined,
       phone,
       createdBy: req.user.id
     });
@@ -138,8 +195,8 @@ exports.updateUser = async (req, res, next) => {
       return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
     }
 
-    // Check if user is admin or superadmin
-    if (!['admin', 'superadmin'].includes(user.role)) {
+    // Check if user is a staff user
+    if (!STAFF_ROLES.includes(user.role)) {
       return next(new ErrorResponse(`User with id ${req.params.id} is not an admin user`, 400));
     }
 
@@ -148,11 +205,21 @@ exports.updateUser = async (req, res, next) => {
       return next(new ErrorResponse('Not authorized to modify a superadmin user', 403));
     }
 
+    // Staff managing users can only change other staff users
+    if (req.user.role === 'staff' && user.role !== 'staff') {
+      return next(new ErrorResponse('Not authorized to modify a user with full access', 403));
+    }
+
+    const targetError = await checkStaffTarget(req, user, 'modify');
+    if (targetError) {
+      return next(new ErrorResponse(targetError, 403));
+    }
+
     // Fields to update
     const fieldsToUpdate = {};
     
     // Only update fields that were actually passed
-    const updateableFields = ['firstName', 'lastName', 'email', 'phone', 'role', 'active'];
+    const updateableFields = ['firstName', 'lastName', 'email', 'phone', 'role', 'staffRole', 'active'];
     updateableFields.forEach(field => {
       if (req.body[field] !== undefined) {
         fieldsToUpdate[field] = req.body[field];
@@ -160,8 +227,19 @@ exports.updateUser = async (req, res, next) => {
     });
 
     // Validate role if being updated
-    if (fieldsToUpdate.role && !['admin', 'superadmin'].includes(fieldsToUpdate.role)) {
-      return next(new ErrorResponse('Invalid role. Must be admin or superadmin', 400));
+    if (fieldsToUpdate.role || fieldsToUpdate.staffRole) {
+      // Nobody changes their own access, or staff could raise their own permissions
+      if (req.params.id === req.user.id) {
+        return next(new ErrorResponse('You cannot change your own role', 403));
+      }
+      const role = fieldsToUpdate.role || user.role;
+      const staffRole = fieldsToUpdate.staffRole || user.staffRole;
+      const { error: roleError, statusCode } = await checkRoleAssignment(req, role, staffRole);
+      if (roleError) {
+        return next(new ErrorResponse(roleError, statusCode));
+      }
+      // Admins and superadmins have every permission, so a staff role would only mislead
+      fieldsToUpdate.staffRole = role === 'staff' ? staffRole : null;
     }
 
     // Update user
@@ -190,8 +268,8 @@ exports.deleteUser = async (req, res, next) => {
       return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
     }
 
-    // Check if user is admin or superadmin
-    if (!['admin', 'superadmin'].includes(user.role)) {
+    // Check if user is a staff user
+    if (!STAFF_ROLES.includes(user.role)) {
       return next(new ErrorResponse(`User with id ${req.params.id} is not an admin user`, 400));
     }
 
@@ -200,6 +278,16 @@ exports.deleteUser = async (req, res, next) => {
       return next(new ErrorResponse('Not authorized to delete a superadmin user', 403));
     }
 
+    // Staff managing users can only delete other staff users
+    if (req.user.role === 'staff' && user.role !== 'staff') {
+      return next(new ErrorResponse('Not authorized to delete a user with full access', 403));
+    }
+
+    const targetError = await checkStaffTarget(req, user, 'delete');
+    if (targetError) {
+      return next(new ErrorResponse(targetError, 403));
+    }
+
     // Prevent user from deleting themselves
     if (user._id.toString() === req.user.id) {
       return next(new ErrorResponse('You cannot delete your own account', 400));
@@ -1,9 +1,33 @@
 const User = require('../models/user.model');
+const Settings = require('../models/settings.model');
 const { ErrorResponse } = require('../middleware/error.middleware');
 const { success, error } = require('../utils/response.util');
 const { validatePassword } = require('../utils/validator.util');
 const crypto = require('crypto');
-const sendEmail = require('../utils/email.util');
+const { queueEmail } = require('../utils/email.util');
+const { mergeGuestCart } = require('../utils/cart.util');
+const { sendVerificationEmail, sendVerificationEmailSafely } = require('../utils/emailVerification.util');
+const {
+  startSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSessions,
+  setAuthCookies,
+  clearAuthCookies,
+  markSessionTwoFactorVerified
+} = require('../utils/authSession.util');
+const {
+  STAFF_ROLES,
+  generateTwoFactorSecret,
+  verifyTotp,
+  generateRecoveryCodes,
+  checkSecondFactor,
+  signChallengeToken,
+  verifyChallengeToken,
+  isStaff,
+  isTwoFactorRequired
+} = require('../utils/twoFactor.util');
 
 /**
  * @desc    Login user
@@ -38,11 +62,19 @@ exports.login = async (req, res, next) => {
       return next(new ErrorResponse('Invalid credentials', 401));
     }
 
+    // Accounts with two-factor authentication finish logging in at /auth/login/2fa
+    if (user.twoFactorEnabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
+
     // Update last login timestamp
     user.lastLogin = Date.now();
     await user.save({ validateBeforeSave: false });
 
-    sendTokenResponse(user, 200, res);
+    // Bring across anything the customer added to their cart before logging in
+    const cartMerge = await mergeGuestCart(req.session, user);
+
+    await sendTokenResponse(user, 200, req, res, cartMerge ? { cartMerge } : {});
   } catch (err) {
     next(err);
   }
@@ -66,7 +98,7 @@ exports.adminLogin = async (req, res, next) => {
     // Check for user with admin role
     const user = await User.findOne({ 
       email, 
-      role: { $in: ['admin', 'superadmin'] } 
+      role: { $in: STAFF_ROLES } 
     }).select('+password');
 
     console.log('admin:', user)
@@ -87,11 +119,241 @@ exports.adminLogin = async (req, res, next) => {
       return next(new ErrorResponse('Invalid credentials', 401));
     }
 
+    // Accounts with two-factor authentication finish logging in at /auth/login/2fa
+    if (user.twoFactorEnabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
+
+    // Update last login timestamp
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    await sendTokenResponse(user, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Complete a login with a code from the authenticator app or a recovery code
+ * @route   POST /api/v1/auth/login/2fa
+ * @access  Public
+ * @body    { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+exports.verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return next(new ErrorResponse('Please provide the login challenge and a verification code', 400));
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return next(new ErrorResponse('Your login has expired. Please log in again.', 401));
+    }
+
+    const user = await User.findById(userId).select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user || !user.active || !user.twoFactorEnabled) {
+      return next(new ErrorResponse('Your login has expired. Please log in again.', 401));
+    }
+
+    const { verified, method } = await checkSecondFactor(user, { code, recoveryCode });
+    if (!verified) {
+      return next(new ErrorResponse('Invalid verification code', 401));
+    }
+
     // Update last login timestamp
     user.lastLogin = Date.now();
     await user.save({ validateBeforeSave: false });
 
-    sendTokenResponse(user, 200, res);
+    const cartMerge = await mergeGuestCart(req.session, user);
+
+    await sendTokenResponse(user, 200, req, res, {
+      ...(cartMerge && { cartMerge }),
+      ...(method === 'recovery_code' && { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length })
+    }, { twoFactorVerified: true });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get two-factor authentication status
+ * @route   GET /api/v1/auth/2fa
+ * @access  Private/Admin
+ */
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    if (!isStaff(req.user)) {
+      return next(new ErrorResponse('Two-factor authentication is only available for staff accounts', 403));
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorRecoveryCodes');
+
+    return success(res, 'Two-factor authentication status retrieved successfully', {
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0,
+      sessionVerified: Boolean(req.twoFactorVerified)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Start setting up two-factor authentication
+ * @route   POST /api/v1/auth/2fa/setup
+ * @access  Private/Admin
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    if (!isStaff(req.user)) {
+      return next(new ErrorResponse('Two-factor authentication is only available for staff accounts', 403));
+    }
+    if (req.user.twoFactorEnabled) {
+      return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+    }
+
+    const user = await User.findById(req.user.id);
+    const { secret, otpauthUrl } = await generateTwoFactorSecret(user);
+
+    // The secret is only switched on once the app has produced a valid code
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    return success(res, 'Scan the QR code with your authenticator app, then confirm with a code', {
+      secret,
+      otpauthUrl
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Confirm the authenticator app and switch on two-factor authentication
+ * @route   POST /api/v1/auth/2fa/enable
+ * @access  Private/Admin
+ * @body    { code }
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    if (!isStaff(req.user)) {
+      return next(new ErrorResponse('Two-factor authentication is only available for staff accounts', 403));
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+    }
+    if (!user.twoFactorPendingSecret) {
+      return next(new ErrorResponse('Please start the two-factor authentication setup first', 400));
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return next(new ErrorResponse('Invalid verification code', 400));
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    // This login has just proved it holds the authenticator
+    await markSessionTwoFactorVerified(req.authSession);
+
+    return success(res, 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they will not be shown again.', {
+      recoveryCodes: codes
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Switch off two-factor authentication
+ * @route   POST /api/v1/auth/2fa/disable
+ * @access  Private/Admin
+ * @body    { password, code } or { password, recoveryCode }
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return next(new ErrorResponse('Please provide your password and a verification code', 400));
+    }
+
+    const user = await User.findById(req.user.id).select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+    }
+
+    const settings = await Settings.getSettings();
+    if (settings.security?.requireStaffTwoFactor) {
+      return next(new ErrorResponse('Two-factor authentication is required for staff accounts and cannot be switched off', 400));
+    }
+
+    const isMatch = await user.matchPassword(password);
+    if (!isMatch) {
+      return next(new ErrorResponse('Password is incorrect', 401));
+    }
+
+    const { verified } = await checkSecondFactor(user, { code, recoveryCode });
+    if (!verified) {
+      return next(new ErrorResponse('Invalid verification code', 401));
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return success(res, 'Two-factor authentication disabled');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Replace the recovery codes
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @access  Private/Admin
+ * @body    { code }
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+    }
+
+    const { verified } = await checkSecondFactor(user, { code: req.body.code });
+    if (!verified) {
+      return next(new ErrorResponse('Invalid verification code', 401));
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    return success(res, 'New recovery codes generated. Your old codes no longer work.', {
+      recoveryCodes: codes
+    });
   } catch (err) {
     next(err);
   }
@@ -177,7 +439,11 @@ exports.updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    // Every other device has to log in again with the new password
+    await revokeAllSessions(user._id, 'password_changed');
+
+    // This device stays logged in, keeping the two-factor check it already passed
+    await sendTokenResponse(user, 200, req, res, {}, { twoFactorVerified: Boolean(req.twoFactorVerified) });
   } catch (err) {
     next(err);
   }
@@ -190,10 +456,9 @@ exports.updatePassword = async (req, res, next) => {
  */
 exports.logout = async (req, res, next) => {
   try {
-    res.cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000), // 10 seconds
-      httpOnly: true
-    });
+    await revokeSession(req.authSession, 'logout', req.user.id);
+
+    clearAuthCookies(res);
 
     return success(res, 'User logged out successfully');
   } catch (err) {
@@ -201,6 +466,91 @@ exports.logout = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Log out of every device
+ * @route   POST /api/v1/auth/logout-all
+ * @access  Private
+ */
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user.id, 'logout_all');
+
+    clearAuthCookies(res);
+
+    return success(res, 'Logged out of all devices', { revokedCount });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access token
+ * @route   POST /api/v1/auth/refresh
+ * @access  Public
+ * @body    { refreshToken } (optional when the refreshToken cookie is set)
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const token = req.body.refreshToken || req.cookies?.refreshToken;
+
+    if (!token) {
+      return next(new ErrorResponse('Please provide a refresh token', 401));
+    }
+
+    const { user, session, accessToken, refreshToken, error: refreshError, statusCode } = await refreshSession(token);
+    if (refreshError) {
+      clearAuthCookies(res);
+      return next(new ErrorResponse(refreshError, statusCode));
+    }
+
+    return success(
+      setAuthCookies(res, { session, accessToken, refreshToken }),
+      'Token refreshed successfully',
+      { user, token: accessToken, refreshToken }
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the devices the user is logged in on
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id, req.authSession);
+
+    return success(res, 'Sessions retrieved successfully', { sessions });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Log out one of the user's devices
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.params.id, 'revoked_by_user', req.user.id);
+
+    if (!revoked) {
+      return next(new ErrorResponse('Session not found', 404));
+    }
+
+    if (req.params.id === String(req.authSession)) {
+      clearAuthCookies(res);
+    }
+
+    return success(res, 'Session revoked successfully');
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Register user
  * @route   POST /api/v1/auth/register
@@ -232,7 +582,72 @@ exports.register = async (req, res, next) => {
       role: 'customer'
     });
 
-    sendTokenResponse(user, 201, res);
+    // The account works straight away; the store decides what an unverified customer may do
+    await sendVerificationEmailSafely(user);
+
+    const cartMerge = await mergeGuestCart(req.session, user);
+
+    await sendTokenResponse(user, 201, req, res, cartMerge ? { cartMerge } : {});
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Verify email address
+ * @route   POST /api/v1/auth/verify-email/:token
+ * @access  Public
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    // Get hashed token
+    const emailVerificationToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken,
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return next(new ErrorResponse('Invalid or expired token', 400));
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return success(res, 'Email verified successfully', { user });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /api/v1/auth/verify-email/resend
+ * @access  Private
+ */
+exports.resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return next(new ErrorResponse('Your email address is already verified', 400));
+    }
+
+    try {
+      await sendVerificationEmail(user);
+
+      return success(res, 'Verification email sent');
+    } catch (err) {
+      console.error('Email error:', err);
+      return next(new ErrorResponse('Email could not be sent', 500));
+    }
   } catch (err) {
     next(err);
   }
@@ -265,14 +680,17 @@ exports.forgotPassword = async (req, res, next) => {
     // Create reset URL
     const resetUrl = `${req.protocol}://${req.get('host')}/reset-password/${resetToken}`;
 
-    const message = `You are receiving this email because you (or someone else) has requested the reset of a password. Please visit: \n\n${resetUrl}\n\nThis link will expire in 10 minutes.`;
-
     try {
-      await sendEmail({
-        email: user.email,
-        subject: 'Password reset token',
-        message
+      const emailEntry = await queueEmail({
+        template: 'passwordReset',
+        to: user.email,
+        data: { resetUrl, expiresInMinutes: 10, customerName: user.firstName },
+        user: user._id
       });
+      // The reset link is not kept in the outbox, so a failed send cannot be retried later
+      if (emailEntry.status !== 'sent') {
+        throw new Error(emailEntry.lastError || 'Delivery failed');
+      }
 
       return success(res, 'Email sent');
     } catch (err) {
@@ -323,6 +741,9 @@ exports.resetPassword = async (req, res, next) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
+    // Whoever knew the old password is logged out everywhere
+    await revokeAllSessions(user._id, 'password_changed');
+
     return success(res, 'Password reset successful');
   } catch (err) {
     next(err);
@@ -358,32 +779,29 @@ exports.verifyResetToken = async (req, res, next) => {
 };
 
 /**
- * Helper function to get token from model, create cookie and send response
+ * Helper function to start a session, set the token cookies and send response
  */
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+const sendTokenResponse = async (user, statusCode, req, res, extraData = {}, sessionOptions = {}) => {
+  // Start a session with a short-lived access token and a refresh token
+  const { session, accessToken, refreshToken } = await startSession(user, req, sessionOptions);
 
   // Remove password from output
   user.password = undefined;
 
-  // Create cookie options
-  const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000 // days to ms
-    ),
-    httpOnly: true
-  };
-
-  // Set secure flag in production
-  if (process.env.NODE_ENV === 'production') {
-    options.secure = true;
-  }
-  
   return success(
-    res.cookie('token', token, options),
+    setAuthCookies(res, { session, accessToken, refreshToken }),
     'Login successful',
-    { user, token },
+    { user, token: accessToken, refreshToken, ...extraData },
     statusCode
   );
-};
\ No newline at end of file
+};
+
+/**
+ * Helper function to ask for the second factor once the password has been checked
+ */
+const sendTwoFactorChallenge = (user, res) => {
+  return success(res, 'Enter the code from your authenticator app to finish logging in', {
+    twoFactorRequired: true,
+    challengeToken: signChallengeToken(user)
+  });
+};
@@ -4,25 +4,9 @@ const Cart = require('../models/cart.model');
 const Category = require('../models/category.model');
 const { ErrorResponse } = require('../middleware/error.middleware');
 const { success } = require('../utils/response.util');
-
-/**
- * @desc    Helper function to recalculate all cart totals.
- * This also applies any existing coupon discount.
- * @param   {object} cart - The cart object to recalculate.
- */
-const recalculateCart = (cart) => {
-  cart.subtotal = cart.items.reduce((sum, item) => sum + item.total, 0);
-  cart.totalItems = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-
-  if (cart.coupon && cart.coupon.code) {
-    // Re-apply discount based on the new subtotal
-    cart.discount = (cart.subtotal * cart.coupon.discount) / 100;
-  } else {
-    cart.discount = 0;
-  }
-
-  cart.total = cart.subtotal - cart.discount;
-};
+const { evaluateCoupon } = require('../utils/coupon.util');
+const { recalculateCart } = require('../utils/cart.util');
+const { restoreAbandonedCart } = require('../utils/abandonedCart.util');
 
 /**
  * @desc    Add item to cart
@@ -129,7 +113,7 @@ exports.addToCart = async (req, res, next) => {
     }
 
     // Use the centralized function to update all cart totals
-    recalculateCart(cart);
+    await recalculateCart(cart, req.user);
 
     if (req.user) {
       // Mongoose's pre-save hook will also run, providing a double-check
@@ -222,7 +206,7 @@ exports.getCart = async (req, res, next) => {
     if (cartWasModified) {
       // Filter out items that are now unavailable
       cart.items = cart.items.filter(item => item.isAvailable && item.quantity > 0);
-      recalculateCart(cart); // Recalculate totals after validation
+      await recalculateCart(cart, req.user); // Recalculate totals after validation
       
       if (req.user) {
         await cart.save();
@@ -274,7 +258,7 @@ exports.updateCartItem = async (req, res, next) => {
     if (!product || product.status !== 'published') {
       // If product is gone, remove item from cart
       cart.items.splice(itemIndex, 1);
-      recalculateCart(cart);
+      await recalculateCart(cart, req.user);
       if (req.user) await cart.save();
       return next(new ErrorResponse('This product is no longer available and has been removed from your cart.', 404));
     }
@@ -284,7 +268,7 @@ exports.updateCartItem = async (req, res, next) => {
       const variant = product.variants?.find((v) => v._id.toString() === cartItem.variant._id.toString());
       if (!variant) {
         cart.items.splice(itemIndex, 1);
-        recalculateCart(cart);
+        await recalculateCart(cart, req.user);
         if (req.user) await cart.save();
         return next(new ErrorResponse('This product variant is no longer available and has been removed.', 404));
       }
@@ -297,7 +281,7 @@ exports.updateCartItem = async (req, res, next) => {
 
     cart.items[itemIndex].quantity = quantity;
     cart.items[itemIndex].total = quantity * cartItem.price;
-    recalculateCart(cart);
+    await recalculateCart(cart, req.user);
 
     if (req.user) {
       await cart.save();
@@ -337,7 +321,7 @@ exports.removeCartItem = async (req, res, next) => {
         return next(new ErrorResponse(`Item not found in cart with id of ${itemId}`, 404));
     }
 
-    recalculateCart(cart);
+    await recalculateCart(cart, req.user);
 
     if (req.user) {
       await cart.save();
@@ -359,7 +343,7 @@ exports.removeCartItem = async (req, res, next) => {
 exports.clearCart = async (req, res, next) => {
   try {
     if (req.user) {
-      await Cart.findOneAndRemove({ user: req.user.id });
+      await Cart.deleteOne({ user: req.user.id });
     }
     // Clear session cart for both guests and logged-in users
     req.session.cart = null;
@@ -391,15 +375,13 @@ exports.applyCoupon = async (req, res, next) => {
       return next(new ErrorResponse('Your cart is empty', 404));
     }
 
-    // --- Recommended: Replace this mock logic with a database lookup for a Coupon model ---
-    if (code.toUpperCase() !== 'SAVE10') {
-      return next(new ErrorResponse('Invalid or expired coupon code', 400));
+    const result = await evaluateCoupon({ code, items: cart.items, email: req.user.email, userId: req.user.id });
+    if (result.error) {
+      return next(new ErrorResponse(result.error, 400));
     }
-    const discountPercentage = 10;
-    // --- End of mock logic ---
 
-    cart.coupon = { code: code.toUpperCase(), discount: discountPercentage };
-    recalculateCart(cart); // Let the helper function handle the math
+    cart.coupon = { code: result.coupon.code };
+    await recalculateCart(cart, req.user); // Let the helper function handle the math
 
     await cart.save();
     return success(res, 'Coupon applied successfully', { cart });
@@ -426,11 +408,35 @@ exports.removeCoupon = async (req, res, next) => {
 
     cart.coupon = undefined; // Use undefined to remove the field
     cart.discount = 0;
-    recalculateCart(cart); // Recalculate total without discount
+    await recalculateCart(cart, req.user); // Recalculate total without discount
 
     await cart.save();
     return success(res, 'Coupon removed successfully', { cart });
   } catch (err) {
     next(new ErrorResponse(err.message || 'Server error', 500));
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Restore an abandoned cart from the link in a recovery email
+ * @route   POST /api/v1/cart/restore
+ * @access  Public
+ * @body    { token }
+ */
+exports.restoreCart = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return next(new ErrorResponse('Please provide the cart restore token', 400));
+    }
+
+    const { cart, dropped, adjusted, couponError, error: restoreError } = await restoreAbandonedCart(token);
+    if (restoreError) {
+      return next(new ErrorResponse(restoreError, 400));
+    }
+
+    return success(res, 'Cart restored successfully', { cart, dropped, adjusted, couponError });
+  } catch (err) {
+    next(new ErrorResponse(err.message || 'Server error', 500));
+  }
+};
@@ -1,112 +1,125 @@
 const { success, error } = require('../utils/response.util');
 const { ErrorResponse } = require('../middleware/error.middleware');
 const Settings = require('../models/settings.model');
-const Product = require('../models/product.model');
+const Cart = require('../models/cart.model');
+const { findShippingRate, quoteOrder, placeOrder } = require('../utils/checkout.util');
+const { getCashOnDeliveryError } = require('../utils/cashOnDelivery.util');
+const { initializeOrderPayment } = require('../utils/payment.util');
+const { getBankTransferDetails } = require('../utils/bankTransfer.util');
+const { removeOrderedItems } = require('../utils/cart.util');
+const { resolveShippingAddress } = require('../utils/address.util');
 
 /**
- * @desc    Initialize checkout process
+ * @desc    Helper function to price the checkout stored in the session.
+ * The checkout only stores the customer's choices; prices, stock and totals are always
+ * worked out again here. A coupon that is no longer valid is removed from the checkout.
+ * @param   {object} req - The request, holding the checkout session and the logged in user.
+ * @param   {object} settings - The store settings.
+ * @returns {Promise<{ checkout: object|null, quote: object|null, error: string|null, statusCode: number }>}
+ */
+const priceCheckout = async (req, settings) => {
+  const checkout = req.session.checkout;
+  const { quote, error: quoteError, statusCode } = await quoteOrder({
+    items: checkout.items,
+    shippingAddress: checkout.shippingAddress,
+    shippingRateId: checkout.shippingRateId,
+    couponCode: checkout.couponCode,
+    email: checkout.shippingAddress?.email || req.user?.email,
+    userId: req.user?.id,
+    settings,
+  });
+  if (quoteError) {
+    return { checkout: null, quote: null, error: quoteError, statusCode };
+  }
+
+  if (quote.couponError) {
+    checkout.couponCode = null;
+  }
+
+  return {
+    checkout: {
+      step: checkout.step,
+      source: checkout.source,
+      items: quote.orderItems,
+      unavailableItems: quote.unavailableItems,
+      shippingAddress: checkout.shippingAddress || null,
+      shippingMethod: quote.shippingRate ? {
+        id: quote.shippingRate._id,
+        name: quote.shippingRate.name,
+        description: quote.shippingRate.description,
+        price: quote.shippingFee,
+      } : null,
+      paymentMethod: checkout.paymentMethod || null,
+      coupon: quote.coupon ? {
+        code: quote.coupon.coupon.code,
+        discount: quote.discount,
+        freeShipping: quote.coupon.freeShipping,
+      } : null,
+      couponError: quote.couponError,
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      shippingFee: quote.shippingFee,
+      freeShipping: quote.freeShipping,
+      taxRate: quote.taxRate,
+      taxInclusive: quote.taxInclusive,
+      taxAmount: quote.taxAmount,
+      totalAmount: quote.totalAmount,
+    },
+    quote,
+    error: null,
+    statusCode: 200,
+  };
+};
+
+/**
+ * @desc    Initialize checkout process from the customer's cart
  * @route   POST /api/v1/checkout/initialize
  * @access  Public
+ * @body    { couponCode } (optional; defaults to the coupon applied to the cart)
  */
 exports.initializeCheckout = async (req, res, next) => {
   try {
-    // Check if cart exists in session
-    if (!req.session.cart || !req.session.cart.items || req.session.cart.items.length === 0) {
-      return next(new ErrorResponse('Your cart is empty', 400));
+    // Logged in customers check out their saved cart, guests their session cart
+    let cart;
+    let source;
+    if (req.user) {
+      cart = await Cart.findOne({ user: req.user.id }).lean();
+      source = 'cart';
+    } else {
+      cart = req.session.cart;
+      source = 'session';
     }
 
-    // Get app settings for tax rates
-    const settings = await Settings.getSettings();
-
-    // Validate cart items and check stock
-    const cartItems = req.session.cart.items;
-    const validatedItems = [];
-    let subtotal = 0;
-
-    for (const item of cartItems) {
-      const product = await Product.findById(item.product);
-
-      if (!product) {
-        return next(new ErrorResponse(`Product not found with id of ${item.product}`, 404));
-      }
-
-      // Check if product is active
-      if (product.status !== 'active') {
-        return next(new ErrorResponse(`Product ${product.name} is currently unavailable`, 400));
-      }
-
-      // Determine price and stock based on variant or main product
-      let price = product.price;
-      let stock = product.stockQuantity;
-      let variantInfo = null;
-
-      if (item.variant) {
-        const variant = product.variants.id(item.variant);
-
-        if (!variant) {
-          return next(new ErrorResponse(`Variant not found with id of ${item.variant}`, 404));
-        }
-
-        price = product.price + variant.priceAdjustment;
-        stock = variant.stock;
-        variantInfo = {
-          _id: variant._id,
-          size: variant.size,
-          scentIntensity: variant.scentIntensity,
-          sku: variant.sku,
-          priceAdjustment: variant.priceAdjustment
-        };
-      }
-
-      // Check if there's enough stock
-      if (item.quantity > stock) {
-        return next(new ErrorResponse(`Not enough stock for ${product.name}. Only ${stock} available.`, 400));
-      }
-
-      // Calculate item total
-      const itemTotal = price * item.quantity;
-
-      // Add to validated items
-      validatedItems.push({
-        product: {
-          _id: product._id,
-          name: product.name,
-          sku: item.variant ? variantInfo.sku : product.sku,
-          price,
-          image: product.images.find(img => img.isMain) ? product.images.find(img => img.isMain).url : (product.images.length > 0 ? product.images[0].url : null),
-        },
-        variant: variantInfo,
-        quantity: item.quantity,
-        total: itemTotal
-      });
-
-      // Add to subtotal
-      subtotal += itemTotal;
+    if (!cart || !cart.items || cart.items.length === 0) {
+      return next(new ErrorResponse('Your cart is empty', 400));
     }
 
-    // Calculate tax
-    const taxRate = settings.tax.rate || 0;
-    const taxAmount = (subtotal * taxRate) / 100;
-
-    // Create checkout session
     req.session.checkout = {
-      items: validatedItems,
-      subtotal,
-      taxRate,
-      taxAmount,
-      step: 'shipping' // First step in checkout process
+      source,
+      items: cart.items.map(item => ({
+        product: item.product.toString(),
+        variant: item.variant?._id ? item.variant._id.toString() : null,
+        quantity: item.quantity,
+      })),
+      couponCode: req.body.couponCode || cart.coupon?.code || null,
+      step: 'shipping', // First step in checkout process
     };
 
-    return success(res, 'Checkout initialized successfully', {
-      checkout: req.session.checkout
-    });
+    const settings = await Settings.getSettings();
+    const { checkout, error: priceError, statusCode } = await priceCheckout(req, settings);
+    if (priceError) {
+      req.session.checkout = null;
+      return next(new ErrorResponse(priceError, statusCode));
+    }
+
+    return success(res, 'Checkout initialized successfully', { checkout });
   } catch (err) {
     next(err);
   }
 };
 
 /**
- * @desc    Get checkout session
+ * @desc    Get checkout session with up-to-date totals
  * @route   GET /api/v1/checkout
  * @access  Public
  */
@@ -117,18 +130,23 @@ exports.getCheckoutSession = async (req, res, next) => {
       return next(new ErrorResponse('No active checkout session', 404));
     }
 
-    return success(res, 'Checkout session retrieved successfully', {
-      checkout: req.session.checkout
-    });
+    const settings = await Settings.getSettings();
+    const { checkout, error: priceError, statusCode } = await priceCheckout(req, settings);
+    if (priceError) {
+      return next(new ErrorResponse(priceError, statusCode));
+    }
+
+    return success(res, 'Checkout session retrieved successfully', { checkout });
   } catch (err) {
     next(err);
   }
 };
 
 /**
- * @desc    Update shipping information
+ * @desc    Update shipping address and shipping rate
  * @route   POST /api/v1/checkout/shipping
  * @access  Public
+ * @body    { shippingAddress | addressId, shippingRateId } (addressId picks a saved address of the logged in customer)
  */
 exports.updateShipping = async (req, res, next) => {
   try {
@@ -137,64 +155,56 @@ exports.updateShipping = async (req, res, next) => {
       return next(new ErrorResponse('No active checkout session', 404));
     }
 
-    const { shippingAddress, shippingMethod } = req.body;
+    const { addressId, shippingRateId } = req.body;
+    const { shippingAddress, error: addressError, statusCode: addressStatus } = resolveShippingAddress({
+      addressId,
+      shippingAddress: req.body.shippingAddress,
+      user: req.user,
+    });
+    if (addressError) {
+      return next(new ErrorResponse(addressError, addressStatus));
+    }
 
     // Validate input
-    if (!shippingAddress) {
-      return next(new ErrorResponse('Please provide shipping address', 400));
+    if (!shippingAddress || !shippingAddress.state) {
+      return next(new ErrorResponse('Please provide a shipping address including state', 400));
     }
-
-    if (!shippingMethod) {
-      return next(new ErrorResponse('Please provide shipping method', 400));
+    if (!shippingRateId) {
+      return next(new ErrorResponse('Please select a shipping method', 400));
     }
 
-    // Get app settings for shipping rates
-    const settings = await Settings.getSettings();
-
-    // Find shipping method
-    const shippingZone = settings.shippingZones.find(zone => 
-      zone.rates.some(rate => rate._id.toString() === shippingMethod)
-    );
-
-    if (!shippingZone) {
-      return next(new ErrorResponse('Invalid shipping method', 400));
+    // Logged in customers do not have to repeat their email address
+    const address = { ...shippingAddress, email: shippingAddress.email || req.user?.email };
+    if (!address.email) {
+      return next(new ErrorResponse('Please provide an email address', 400));
     }
 
-    const shippingRate = shippingZone.rates.find(rate => rate._id.toString() === shippingMethod);
-
-    if (!shippingRate) {
-      return next(new ErrorResponse('Invalid shipping method', 400));
+    const settings = await Settings.getSettings();
+    const { error: rateError } = findShippingRate(settings, shippingRateId, address.state);
+    if (rateError) {
+      return next(new ErrorResponse(rateError, 400));
     }
 
-    // Update checkout session
-    req.session.checkout.shippingAddress = shippingAddress;
-    req.session.checkout.shippingMethod = {
-      _id: shippingRate._id,
-      name: shippingRate.name,
-      cost: shippingRate.cost,
-      estimatedDelivery: shippingRate.estimatedDelivery
-    };
-    req.session.checkout.shippingCost = shippingRate.cost;
+    req.session.checkout.shippingAddress = address;
+    req.session.checkout.shippingRateId = shippingRateId;
     req.session.checkout.step = 'payment';
 
-    // Recalculate total
-    req.session.checkout.totalAmount = 
-      req.session.checkout.subtotal + 
-      req.session.checkout.taxAmount + 
-      req.session.checkout.shippingCost;
+    const { checkout, error: priceError, statusCode } = await priceCheckout(req, settings);
+    if (priceError) {
+      return next(new ErrorResponse(priceError, statusCode));
+    }
 
-    return success(res, 'Shipping information updated successfully', {
-      checkout: req.session.checkout
-    });
+    return success(res, 'Shipping information updated successfully', { checkout });
   } catch (err) {
     next(err);
   }
 };
 
 /**
- * @desc    Update payment information
+ * @desc    Update payment method
  * @route   POST /api/v1/checkout/payment
  * @access  Public
+ * @body    { paymentMethod } (e.g. 'paystack', 'bank_transfer', 'cash_on_delivery')
  */
 exports.updatePayment = async (req, res, next) => {
   try {
@@ -202,6 +212,9 @@ exports.updatePayment = async (req, res, next) => {
     if (!req.session.checkout) {
       return next(new ErrorResponse('No active checkout session', 404));
     }
+    if (!req.session.checkout.shippingRateId) {
+      return next(new ErrorResponse('Please choose a shipping method first', 400));
+    }
 
     const { paymentMethod } = req.body;
 
@@ -210,31 +223,97 @@ exports.updatePayment = async (req, res, next) => {
       return next(new ErrorResponse('Please provide payment method', 400));
     }
 
-    // Get app settings for payment methods
     const settings = await Settings.getSettings();
+    const method = settings.payment.methods.find(m => m.name === paymentMethod);
+    if (!method || !method.active) {
+      return next(new ErrorResponse('Selected payment method is not available', 400));
+    }
 
-    // Find payment method
-    const method = settings.paymentMethods.find(m => m._id.toString() === paymentMethod);
-
-    if (!method) {
-      return next(new ErrorResponse('Invalid payment method', 400));
+    const { checkout, quote, error: priceError, statusCode } = await priceCheckout(req, settings);
+    if (priceError) {
+      return next(new ErrorResponse(priceError, statusCode));
     }
 
-    if (!method.isActive) {
-      return next(new ErrorResponse('Selected payment method is not available', 400));
+    // Tell the customer now rather than when they place the order
+    if (paymentMethod === 'cash_on_delivery') {
+      const codError = await getCashOnDeliveryError({
+        settings,
+        shippingZone: quote.shippingZone,
+        totalAmount: quote.totalAmount,
+        email: req.session.checkout.shippingAddress.email,
+        userId: req.user?.id,
+      });
+      if (codError) {
+        return next(new ErrorResponse(codError, 400));
+      }
     }
 
-    // Update checkout session
-    req.session.checkout.paymentMethod = {
-      _id: method._id,
-      name: method.name
-    };
+    req.session.checkout.paymentMethod = paymentMethod;
     req.session.checkout.step = 'review';
+    checkout.paymentMethod = paymentMethod;
+    checkout.step = 'review';
+
+    return success(res, 'Payment information updated successfully', { checkout });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Place the order for the checkout and start its payment
+ * @route   POST /api/v1/checkout/place-order
+ * @access  Public
+ */
+exports.placeCheckoutOrder = async (req, res, next) => {
+  try {
+    const checkout = req.session.checkout;
+    if (!checkout) {
+      return next(new ErrorResponse('No active checkout session', 404));
+    }
+    if (checkout.step !== 'review') {
+      return next(new ErrorResponse('Please complete your shipping and payment details first', 400));
+    }
 
-    return success(res, 'Payment information updated successfully', {
-      checkout: req.session.checkout
+    const { order, error: placeError, statusCode, unavailableItems } = await placeOrder({
+      items: checkout.items,
+      shippingAddress: checkout.shippingAddress,
+      shippingRateId: checkout.shippingRateId,
+      paymentMethod: checkout.paymentMethod,
+      couponCode: checkout.couponCode,
+      userId: req.user?.id || null,
     });
+    if (placeError) {
+      if (unavailableItems.length > 0) {
+        return error(res, placeError, statusCode, { items: unavailableItems });
+      }
+      return next(new ErrorResponse(placeError, statusCode));
+    }
+
+    // Lines added to the cart since the checkout started stay there
+    await removeOrderedItems(req.session, req.user, order.items);
+    req.session.checkout = null;
+
+    if (order.paymentInfo.method === 'bank_transfer') {
+      const settings = await Settings.getSettings();
+      return success(res, 'Order placed successfully. Please complete your bank transfer.', {
+        order,
+        bankDetails: getBankTransferDetails(settings),
+      }, 201);
+    }
+
+    if (order.paymentInfo.method === 'paystack') {
+      try {
+        const payment = await initializeOrderPayment(order);
+        return success(res, 'Order placed successfully. Proceed to payment.', { order, payment }, 201);
+      } catch (err) {
+        // The order stands; the customer can retry through /orders/:id/initialize-payment
+        console.error(`Failed to initialize payment for order ${order.orderNumber}:`, err.response?.data?.message || err.message);
+        return success(res, 'Order placed, but the payment could not be started. Please try again.', { order, payment: null }, 201);
+      }
+    }
+
+    return success(res, 'Order placed successfully.', { order }, 201);
   } catch (err) {
     next(err);
   }
-};
\ No newline at end of file
+};
@@ -1,9 +1,17 @@
 const User = require('../models/user.model');
 const Order = require('../models/order.model');
 const Product = require('../models/product.model');
+const Settings = require('../models/settings.model');
+const ReturnRequest = require('../models/returnRequest.model');
 const { ErrorResponse } = require('../middleware/error.middleware');
 const { success, error, paginate } = require('../utils/response.util');
 const { validateEmail, validatePassword } = require('../utils/validator.util');
+const { queueEmailSafely } = require('../utils/email.util');
+const { mergeGuestCart } = require('../utils/cart.util');
+const { getStateError, pickAddressFields } = require('../utils/address.util');
+const { sendVerificationEmailSafely } = require('../utils/emailVerification.util');
+const { startSession, setAuthCookies } = require('../utils/authSession.util');
+const { getInvoiceError, sendInvoicePdf } = require('../utils/orderDocuments.util');
 
 /**
  * @desc    Register customer
@@ -51,30 +59,27 @@ exports.register = async (req, res, next) => {
       role: 'customer'
     });
 
-    // Generate token
-    const token = user.getSignedJwtToken();
+    // The account works straight away; the store decides what an unverified customer may do
+    await sendVerificationEmailSafely(user);
+
+    // Bring across anything the customer added to their cart before registering
+    const cartMerge = await mergeGuestCart(req.session, user);
+
+    // Start a session with a short-lived access token and a refresh token
+    const { session, accessToken, refreshToken } = await startSession(user, req);
 
     // Remove password from response
     user.password = undefined;
 
-    // Set cookie
-    const options = {
-      expires: new Date(
-        Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-      ),
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production'
-    };
-
-    return res
-      .status(201)
-      .cookie('token', token, options)
+    return setAuthCookies(res.status(201), { session, accessToken, refreshToken })
       .json({
         success: true,
         message: 'Registration successful',
         data: {
           user,
-          token
+          token: accessToken,
+          refreshToken,
+          ...(cartMerge && { cartMerge })
         }
       });
   } catch (err) {
@@ -133,6 +138,140 @@ exports.updateProfile = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get saved addresses
+ * @route   GET /api/v1/customer/addresses
+ * @access  Private/Customer
+ */
+exports.getAddresses = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('addresses');
+
+    if (!user) {
+      return next(new ErrorResponse('User not found', 404));
+    }
+
+    return success(res, 'Addresses retrieved successfully', { addresses: user.addresses });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Add a saved address
+ * @route   POST /api/v1/customer/addresses
+ * @access  Private/Customer
+ * @body    { label, firstName, lastName, phone, street, city, state, postalCode, country, isDefaultShipping, isDefaultBilling }
+ */
+exports.addAddress = async (req, res, next) => {
+  try {
+    const fields = pickAddressFields(req.body);
+
+    if (!fields.label || !fields.street || !fields.city || !fields.state) {
+      return next(new ErrorResponse('Please provide a label, street, city and state', 400));
+    }
+
+    const settings = await Settings.getSettings();
+    const stateError = getStateError(settings, fields.state);
+    if (stateError) {
+      return next(new ErrorResponse(stateError, 400));
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return next(new ErrorResponse('User not found', 404));
+    }
+
+    user.addresses.push(fields);
+    const address = user.addresses[user.addresses.length - 1];
+    user.setDefaultAddress(address._id, {
+      shipping: req.body.isDefaultShipping === true,
+      billing: req.body.isDefaultBilling === true,
+    });
+
+    await user.save();
+
+    return success(res, 'Address added successfully', {
+      address: user.addresses.id(address._id),
+      addresses: user.addresses
+    }, 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a saved address
+ * @route   PUT /api/v1/customer/addresses/:addressId
+ * @access  Private/Customer
+ * @body    Any address field, plus isDefaultShipping / isDefaultBilling set to true to make it the default
+ */
+exports.updateAddress = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return next(new ErrorResponse('User not found', 404));
+    }
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return next(new ErrorResponse('Address not found', 404));
+    }
+
+    const fields = pickAddressFields(req.body);
+    if (fields.state !== undefined && fields.state !== address.state) {
+      const settings = await Settings.getSettings();
+      const stateError = getStateError(settings, fields.state);
+      if (stateError) {
+        return next(new ErrorResponse(stateError, 400));
+      }
+    }
+
+    address.set(fields);
+    // A default can only be moved to another address, so only `true` is acted on
+    user.setDefaultAddress(address._id, {
+      shipping: req.body.isDefaultShipping === true,
+      billing: req.body.isDefaultBilling === true,
+    });
+
+    await user.save();
+
+    return success(res, 'Address updated successfully', { address, addresses: user.addresses });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete a saved address
+ * @route   DELETE /api/v1/customer/addresses/:addressId
+ * @access  Private/Customer
+ */
+exports.deleteAddress = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return next(new ErrorResponse('User not found', 404));
+    }
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return next(new ErrorResponse('Address not found', 404));
+    }
+
+    // The first remaining address takes over any default flag this one held
+    address.deleteOne();
+    await user.save();
+
+    return success(res, 'Address deleted successfully', { addresses: user.addresses });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Get customer orders
  * @route   GET /api/v1/customer/orders
@@ -197,6 +336,157 @@ exports.getOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Download the invoice for an order as a PDF
+ * @route   GET /api/v1/customer/orders/:id/invoice
+ * @access  Private/Customer
+ */
+exports.getOrderInvoice = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure the order belongs to the customer
+    if (!order.user || order.user.toString() !== req.user.id) {
+      return next(new ErrorResponse('Not authorized to access this order', 401));
+    }
+
+    const invoiceError = getInvoiceError(order);
+    if (invoiceError) {
+      return next(new ErrorResponse(invoiceError, 400));
+    }
+
+    await sendInvoicePdf(res, order);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Request a return for a delivered order
+ * @route   POST /api/v1/customer/orders/:id/returns
+ * @access  Private/Customer
+ * @body    reason, items [{ itemId, quantity, reason }]
+ */
+exports.requestReturn = async (req, res, next) => {
+  try {
+    const { reason, items } = req.body;
+
+    if (!reason) {
+      return next(new ErrorResponse('Please provide a reason for the return', 400));
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return next(new ErrorResponse('Please select at least one item to return', 400));
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404));
+    }
+
+    // Make sure the order belongs to the customer
+    if (order.user?.toString() !== req.user.id) {
+      return next(new ErrorResponse('Not authorized to access this order', 401));
+    }
+
+    // --- CHECK ELIGIBILITY ---
+    const settings = await Settings.getSettings();
+    if (settings.returns?.enabled === false) {
+      return next(new ErrorResponse('Returns are not currently accepted', 400));
+    }
+    if (order.status !== 'delivered' || !order.deliveredAt) {
+      return next(new ErrorResponse('Only delivered orders can be returned', 400));
+    }
+
+    const windowDays = settings.returns?.windowDays ?? 14;
+    const returnDeadline = new Date(order.deliveredAt.getTime() + windowDays * 24 * 60 * 60 * 1000);
+    if (Date.now() > returnDeadline.getTime()) {
+      return next(new ErrorResponse(`The return window for this order closed on ${returnDeadline.toDateString()}`, 400));
+    }
+
+    // --- VALIDATE ITEMS ---
+    const returnedQuantities = await ReturnRequest.getReturnedQuantities(order._id);
+    const returnItems = [];
+
+    for (const { itemId, quantity, reason: itemReason } of items) {
+      const orderItem = order.items.id(itemId);
+      if (!orderItem) {
+        return next(new ErrorResponse(`Order item ${itemId} not found on this order`, 400));
+      }
+
+      const qty = parseInt(quantity, 10);
+      // Refunds issued for earlier returns cover the same units, so take the larger of the two counts
+      const returnableQuantity = orderItem.quantity - Math.max(
+        returnedQuantities.get(orderItem._id.toString()) || 0,
+        order.getRefundedQuantity(orderItem._id)
+      );
+      if (!qty || qty < 1 || qty > returnableQuantity) {
+        return next(new ErrorResponse(`Invalid quantity for "${orderItem.name}". You can return up to ${Math.max(returnableQuantity, 0)} unit(s).`, 400));
+      }
+
+      returnItems.push({
+        orderItem: orderItem._id,
+        product: orderItem.product,
+        variantId: orderItem.variant?._id || null,
+        name: orderItem.name,
+        price: orderItem.price,
+        quantity: qty,
+        reason: itemReason,
+      });
+    }
+
+    const returnRequest = await ReturnRequest.create({
+      order: order._id,
+      user: req.user.id,
+      email: order.shippingAddress.email,
+      items: returnItems,
+      reason,
+    });
+
+    queueEmailSafely({
+      template: 'returnStatus',
+      to: returnRequest.email,
+      data: { returnRequest, order, customerName: req.user.firstName },
+      order: order._id,
+      user: req.user.id
+    });
+
+    return success(res, 'Return request submitted successfully', { returnRequest }, 201);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get customer return requests
+ * @route   GET /api/v1/customer/returns
+ * @access  Private/Customer
+ */
+exports.getReturns = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const filter = { user: req.user.id };
+
+    const total = await ReturnRequest.countDocuments(filter);
+    const returnRequests = await ReturnRequest.find(filter)
+      .populate('order', 'orderNumber')
+      .sort('-createdAt')
+      .skip(startIndex)
+      .limit(limit);
+
+    return paginate(res, 'Return requests retrieved successfully', returnRequests, page, limit, total);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Get recently viewed products
  * @route   GET /api/v1/customer/recently-viewed
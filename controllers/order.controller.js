@@ -1,161 +1,72 @@
+const fs = require('fs').promises;
+const sanitizeHtml = require('sanitize-html');
 const Order = require('../models/order.model');
-const Product = require('../models/product.model');
 const Settings = require('../models/settings.model');
+const Cart = require('../models/cart.model');
 const { ErrorResponse } = require('../middleware/error.middleware');
-const { success } = require('../utils/response.util');
+const { success, error } = require('../utils/response.util');
 const paystackUtil = require('../utils/paystack.util');
+const { initializeOrderPayment, applySuccessfulCharge } = require('../utils/payment.util');
+const { queueEmailSafely } = require('../utils/email.util');
+const { commitOrderStock } = require('../utils/inventory.util');
+const { changeOrderStatus } = require('../utils/orderStatus.util');
+const { getBankTransferDetails, submitTransferProof } = require('../utils/bankTransfer.util');
+const { placeOrder } = require('../utils/checkout.util');
+const { removeOrderedItems } = require('../utils/cart.util');
+const { resolveShippingAddress } = require('../utils/address.util');
 
 
-const generateOrderNumber = () => {
-    // Generates a number like: ORD-1678886400000-AB12C
-    const timestamp = Date.now();
-    const randomComponent = Math.random().toString(36).substring(2, 7).toUpperCase();
-    return `ORD-${timestamp}-${randomComponent}`;
-};
-
 /**
  * @desc    Create new order
  * @route   POST /api/v1/orders
  * @access  Public
+ * @body    { items, shippingAddress | addressId, shippingRateId, paymentMethod, couponCode } (addressId picks a saved address of the logged in customer)
  */
 exports.createOrder = async (req, res, next) => {
   try {
-    const { items, shippingAddress, paymentMethod, shippingRateId } = req.body;
+    const { items, addressId, paymentMethod, shippingRateId } = req.body;
+    let { couponCode } = req.body;
 
-    // --- 1. VALIDATE INPUT ---
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return next(new ErrorResponse('Your cart is empty.', 400));
-    }
-    if (!shippingAddress || !shippingAddress.state || !shippingAddress.email) {
-      return next(new ErrorResponse('Please provide a complete shipping address including state and email.', 400));
-    }
-    if (!paymentMethod) {
-      return next(new ErrorResponse('Please select a payment method.', 400));
-    }
-    if (!shippingRateId) {
-      return next(new ErrorResponse('Please select a shipping method.', 400));
-    }
-
-    // --- 2. GET SETTINGS & VALIDATE SHIPPING RATE ---
-    const settings = await Settings.getSettings();
-    let selectedRate, shippingZone;
-
-    // Find the specific shipping rate and its parent zone.
-    for (const zone of settings.shipping.zones) {
-        const rate = zone.shippingRates.id(shippingRateId);
-        if (rate) {
-            selectedRate = rate;
-            shippingZone = zone;
-            break;
-        }
+    const { shippingAddress, error: addressError, statusCode: addressStatus } = resolveShippingAddress({
+      addressId,
+      shippingAddress: req.body.shippingAddress,
+      user: req.user,
+    });
+    if (addressError) {
+      return next(new ErrorResponse(addressError, addressStatus));
     }
 
-    if (!selectedRate || !shippingZone || !selectedRate.active || !shippingZone.active) {
-        return next(new ErrorResponse('The selected shipping method is invalid or unavailable.', 400));
-    }
-    
-    // Ensure the selected zone matches the customer's state
-    if (!shippingZone.regions.includes(shippingAddress.state) && !shippingZone.regions.includes('Others')) {
-        return next(new ErrorResponse('The selected shipping method is not available for your state.', 400));
+    // Logged in customers may have applied a coupon to their saved cart instead of sending one.
+    if (!couponCode && req.user) {
+      const cart = await Cart.findOne({ user: req.user.id }).select('coupon').lean();
+      couponCode = cart?.coupon?.code;
     }
 
-    // --- 3. VALIDATE PRODUCTS & CALCULATE SUBTOTAL ---
-    const orderItems = [];
-    let subtotal = 0;
-    const productIds = items.map(item => item.product);
-    const products = await Product.find({ '_id': { $in: productIds } });
-    const productMap = new Map(products.map(p => [p._id.toString(), p]));
-
-    for (const item of items) {
-      const product = productMap.get(item.product);
-      if (!product) {
-        return next(new ErrorResponse(`Product not found.`, 404));
-      }
-      if (product.status !== 'published') {
-        return next(new ErrorResponse(`Product "${product.name}" is currently unavailable.`, 400));
-      }
-
-      let price = product.price;
-      let stock = product.stockQuantity;
-      let sku = product.sku;
-      let variantInfo = null;
-
-      if (item.variant) {
-        const variant = product.variants.id(item.variant);
-        if (!variant) {
-          return next(new ErrorResponse(`Selected variant for "${product.name}" not found.`, 404));
-        }
-        price = product.price + variant.priceAdjustment;
-        stock = variant.stockQuantity; // Corrected from 'stock'
-        sku = variant.sku;
-        variantInfo = { _id: variant._id, size: variant.size, scentIntensity: variant.scentIntensity };
-      }
-
-      if (item.quantity > stock) {
-        return next(new ErrorResponse(`Not enough stock for "${product.name}". Only ${stock} available.`, 400));
-      }
-
-      const itemTotal = price * item.quantity;
-      orderItems.push({
-        product: product._id,
-        name: product.name,
-        sku,
-        price,
-        quantity: item.quantity,
-        variant: variantInfo,
-        image: product.images.find(img => img.isMain)?.url || product.images[0]?.url,
-        total: itemTotal
-      });
-      subtotal += itemTotal;
-    }
-    // --- 4. CALCULATE FINAL TOTALS ---
-    const shippingFee = subtotal >= (selectedRate.freeShippingThreshold || Infinity) ? 0 : selectedRate.price;
-    const taxRate = settings.tax.enabled ? settings.tax.rate : 0;
-    const taxAmount = (subtotal * taxRate) / 100;
-    const totalAmount = subtotal + shippingFee + taxAmount;
-
-     console.log('total items', orderItems, 'subtotal', subtotal);
-    // --- 5. CREATE ORDER IN DATABASE ---
-    const order = await Order.create({
-      orderNumber: generateOrderNumber(),
-      user: req.user?.id || null,
-      items: orderItems,
+    const { order, error: placeError, statusCode, unavailableItems } = await placeOrder({
+      items,
       shippingAddress,
-      shippingMethod: {
-        name: selectedRate.name,
-        rateId: selectedRate._id,
-        price: shippingFee, // Store the actual fee charged
-        description: selectedRate.description
-      },
-      paymentInfo: { method: paymentMethod, status: 'pending' },
-      subtotal,
-      shippingFee,
-      taxAmount,
-      taxRate,
-      totalAmount,
-      status: 'pending',
-      timeline: [{ status: 'pending', date: Date.now(), description: 'Order placed by customer.' }]
+      shippingRateId,
+      paymentMethod,
+      couponCode,
+      userId: req.user?.id || null,
     });
+    if (placeError) {
+      if (unavailableItems.length > 0) {
+        return error(res, placeError, statusCode, { items: unavailableItems });
+      }
+      return next(new ErrorResponse(placeError, statusCode));
+    }
 
-    console.log('order created', order)
-    // --- 6. UPDATE PRODUCT STOCK (ATOMICALLY) ---
-    const stockUpdatePromises = items.map(item => {
-      const update = {
-        $inc: {
-          'salesCount': item.quantity,
-          ...(item.variant
-            ? { 'variants.$[v].stockQuantity': -item.quantity }
-            : { 'stockQuantity': -item.quantity })
-        }
-      };
-      const options = item.variant ? { arrayFilters: [{ 'v._id': item.variant }] } : {};
-      return Product.findByIdAndUpdate(item.product, update, options);
-    });
-    await Promise.all(stockUpdatePromises);
-    
-    // Optional: Clear guest cart from session if you implement that
-    if (!req.user && req.session.cart) {
-      req.session.cart = { items: [], totalItems: 0, subtotal: 0 };
+    // The items come from the request, not the cart, so only the ordered lines leave the cart
+    await removeOrderedItems(req.session, req.user, order.items);
+
+    // Bank transfer customers need the account to pay into
+    if (paymentMethod === 'bank_transfer') {
+      const settings = await Settings.getSettings();
+      return success(res, 'Order created successfully. Please complete your bank transfer.', {
+        order,
+        bankDetails: getBankTransferDetails(settings)
+      }, 201);
     }
 
     return success(res, 'Order created successfully. Proceed to payment.', { order }, 201);
@@ -229,32 +140,9 @@ exports.initializePayment = async (req, res, next) => {
             return next(new ErrorResponse('This order has already been paid for.', 400));
         }
         
-        // Use the generated unique order number for the reference for easy reconciliation
-        const reference = order.orderNumber;
-        const paymentData = {
-            amount: Math.round(order.totalAmount * 100), // Ensure it's an integer in kobo
-            email: order.shippingAddress.email,
-            reference: reference,
-            // The callback URL should ideally point to a page that triggers the verification
-            callback_url: `${process.env.CLIENT_URL}/order-status?reference=${reference}`,
-            metadata: {
-                orderId: order._id.toString(),
-                orderNumber: order.orderNumber,
-                customerName: `${order.shippingAddress.firstName} ${order.shippingAddress.lastName}`
-            }
-        };
-
-        const paystackResponse = await paystackUtil.initializeTransaction(paymentData);
-        
-        // Save the reference to the order
-        order.paymentInfo.reference = reference;
-        await order.save();
+        const payment = await initializeOrderPayment(order);
 
-        return success(res, 'Payment initialized successfully', {
-            authorization_url: paystackResponse.data.authorization_url,
-            reference: paystackResponse.data.reference,
-            access_code: paystackResponse.data.access_code
-        });
+        return success(res, 'Payment initialized successfully', payment);
     } catch (err) {
         // Handle potential Paystack API errors
         if (err.response && err.response.data) {
@@ -290,40 +178,27 @@ exports.verifyPayment = async (req, res, next) => {
             return next(new ErrorResponse('Order not found for this payment reference.', 404));
         }
 
-        // --- CRITICAL: Verify amount paid matches order total ---
-        const amountPaidInKobo = data.amount;
-        const orderTotalInKobo = Math.round(order.totalAmount * 100);
-        if (amountPaidInKobo < orderTotalInKobo) {
-            // This is a security risk. Log this event for manual review.
-            console.error(`SECURITY ALERT: Partial payment detected for order ${order.orderNumber}. Expected ${orderTotalInKobo}, received ${amountPaidInKobo}.`);
+        // Amount check, idempotency and order updates are shared with the Paystack webhook
+        const result = await applySuccessfulCharge(order, data);
+        if (result.amountMismatch) {
             // You might want to flag the order for manual intervention
             return next(new ErrorResponse('Payment amount mismatch. Please contact support.', 400));
         }
 
-        // Idempotency check: If already verified, just return success
-        if (order.paymentInfo.status === 'paid') {
+        // Idempotency check: If already verified (here or by the webhook), just return success
+        if (result.alreadyPaid) {
             return success(res, 'Payment already verified.', { order });
         }
 
-        // --- Update Order Status ---
-        order.paymentInfo.status = 'paid';
-        order.paymentInfo.paidAt = new Date(data.paid_at);
-        order.paymentInfo.transactionId = data.id.toString();
-        order.paymentInfo.details = {
-            channel: data.channel,
-            bank: data.authorization?.bank,
-            card_type: data.authorization?.card_type,
-            last4: data.authorization?.last4,
-        };
-        order.status = 'processing';
-        order.timeline.push({
-            status: 'processing',
-            description: 'Payment successful. Order is now being processed.'
-        });
-
         await order.save();
-        
-        // TODO: Send order confirmation email here
+
+        queueEmailSafely({
+          template: 'orderConfirmation',
+          to: order.shippingAddress.email,
+          data: { order },
+          order: order._id,
+          user: order.user
+        });
 
         return success(res, 'Payment verified successfully. Your order is confirmed!', { order });
     } catch (err) {
@@ -382,7 +257,10 @@ exports.getPaymentMethods = async (req, res, next) => {
         id: method._id,
         name: method.name,
         displayName: method.displayName,
-        description: method.description
+        description: method.description,
+        instructions: method.instructions,
+        // Only bank transfer config is public; other methods may hold private keys
+        bankDetails: method.name === 'bank_transfer' ? getBankTransferDetails(settings) : undefined
       }));
     return success(res, 'Payment methods retrieved successfully', { paymentMethods });
   } catch (err) {
@@ -416,6 +294,7 @@ exports.processPayment = async (req, res, next) => {
       date: Date.now(),
       description: 'Payment received, order is being processed'
     });
+    await commitOrderStock(order, { userId: req.user?.id });
 
     await order.save();
     return success(res, 'Payment processed successfully', { order });
@@ -424,6 +303,45 @@ exports.processPayment = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Upload proof of payment for a bank transfer order
+ * @route   POST /api/v1/orders/:id/bank-transfer-proof
+ * @access  Public (the order's email address must be given)
+ * @body    multipart: receipt (image), email, senderName, transferReference
+ */
+exports.submitBankTransferProof = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new ErrorResponse('Please upload an image of your payment receipt', 400));
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return next(new ErrorResponse(`Order not found with id of ${req.params.id}`, 404));
+    }
+
+    // Orders can be placed by guests, so the customer proves the order is theirs with its email address
+    if ((req.body.email || '').trim().toLowerCase() !== order.shippingAddress.email.toLowerCase()) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return next(new ErrorResponse('Not authorized to update this order', 401));
+    }
+
+    const { error: proofError } = await submitTransferProof(order, {
+      file: req.file,
+      senderName: req.body.senderName ? sanitizeHtml(req.body.senderName, { allowedTags: [], allowedAttributes: {} }) : undefined,
+      transferReference: req.body.transferReference ? sanitizeHtml(req.body.transferReference, { allowedTags: [], allowedAttributes: {} }) : undefined,
+    });
+    if (proofError) {
+      return next(new ErrorResponse(proofError, 400));
+    }
+
+    return success(res, 'Proof of payment received. We will confirm your payment shortly.', { order });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Cancel an order
  * @route   POST /api/v1/orders/:id/cancel
@@ -442,38 +360,19 @@ exports.cancelOrder = async (req, res, next) => {
             return next(new ErrorResponse(`Not authorized to cancel this order`, 401));
         }
 
-        // Business logic: An order can only be cancelled if it's pending or processing
-        if (order.status !== 'pending' && order.status !== 'processing') {
-            return next(new ErrorResponse(`Cannot cancel order. It has already been ${order.status}.`, 400));
-        }
-
-        order.status = 'cancelled';
-        order.timeline.push({
-            status: 'cancelled',
-            description: `Order cancelled by ${req.user.role === 'admin' ? 'admin' : 'customer'}.`,
-            updatedBy: req.user.id,
-        });
+        const actor = req.user.role === 'admin' ? 'admin' : 'customer';
 
-        // --- IMPORTANT: Restore Product Stock ---
-        const stockUpdatePromises = order.items.map(item => {
-            const update = {
-                $inc: {
-                    'salesCount': -item.quantity,
-                    ...(item.variant
-                        ? { 'variants.$[v].stockQuantity': item.quantity }
-                        // The 'stockQuantity' here should refer to the base product if no variant
-                        : { 'stockQuantity': item.quantity }) 
-                }
-            };
-            const options = item.variant ? { arrayFilters: [{ 'v._id': item.variant._id }] } : {};
-            return Product.findByIdAndUpdate(item.product, update, options);
+        // The state machine only allows pending or processing orders to be cancelled,
+        // and restocks the items and emails the customer
+        const { error: transitionError } = await changeOrderStatus(order, 'cancelled', {
+            userId: req.user.id,
+            actor,
+            note: `Order cancelled by ${actor}.`,
         });
-        await Promise.all(stockUpdatePromises);
-
-        await order.save();
+        if (transitionError) {
+            return next(new ErrorResponse(transitionError, 400));
+        }
 
-        // TODO: Send order cancellation email
-        
         return success(res, 'Order cancelled successfully', { order });
     } catch (err) {
         next(err);
@@ -487,15 +386,38 @@ exports.cancelOrder = async (req, res, next) => {
  */
 exports.trackOrder = async (req, res, next) => {
     try {
-        const order = await Order.findById(req.params.id).select('orderNumber status timeline');
+        const order = await Order.findById(req.params.id).select('orderNumber status timeline shippedAt deliveredAt shipments');
 
         if (!order) {
             return next(new ErrorResponse(`No order found with that ID`, 404));
         }
 
+        // Only expose what the customer needs to follow their parcels
+        const shipments = order.shipments.map(shipment => ({
+            _id: shipment._id,
+            carrier: shipment.carrier,
+            trackingNumber: shipment.trackingNumber,
+            trackingUrl: shipment.trackingUrl,
+            status: shipment.status,
+            items: shipment.items,
+            shippedAt: shipment.shippedAt,
+            deliveredAt: shipment.deliveredAt,
+            events: shipment.events
+                .map(event => ({
+                    status: event.status,
+                    description: event.description,
+                    location: event.location,
+                    occurredAt: event.occurredAt
+                }))
+                .sort((a, b) => b.occurredAt - a.occurredAt)
+        }));
+
         return success(res, 'Tracking information retrieved', {
             orderNumber: order.orderNumber,
             status: order.status,
+            shippedAt: order.shippedAt,
+            deliveredAt: order.deliveredAt,
+            shipments,
             timeline: order.timeline
         });
     } catch (err) {
@@ -0,0 +1,203 @@
+const Order = require('../models/order.model');
+const WebhookEvent = require('../models/webhookEvent.model');
+const { ErrorResponse } = require('../middleware/error.middleware');
+const { success } = require('../utils/response.util');
+const paystackUtil = require('../utils/paystack.util');
+const { applySuccessfulCharge } = require('../utils/payment.util');
+const { queueEmailSafely } = require('../utils/email.util');
+
+/**
+ * @desc Helper function to find the order a Paystack payload refers to.
+ * Charges carry the transaction reference directly; refunds carry it as `transaction_reference`.
+ * @param {Object} data - The `data` object of the webhook payload.
+ * @returns {Promise<Object|null>} The order document, if found.
+ */
+const findOrderForPayload = async (data) => {
+  const reference = data.reference || data.transaction_reference || data.transaction?.reference;
+  if (reference) {
+    const order = await Order.findOne({ 'paymentInfo.reference': reference });
+    if (order) return order;
+  }
+  if (data.metadata?.orderId) {
+    return Order.findById(data.metadata.orderId);
+  }
+  return null;
+};
+
+/**
+ * @desc Helper function to find the ledger entry a Paystack refund payload refers to.
+ * Matches on the refund id first, then falls back to the oldest pending refund of the same amount.
+ * @param {Object} order - The order document.
+ * @param {Object} data - The `data` object of the webhook payload.
+ * @returns {Object|undefined} The refund subdocument, if found.
+ */
+const findRefundForPayload = (order, data) => {
+  const gatewayId = data.id?.toString();
+  const byId = order.refunds.find(r => gatewayId && (r.gatewayId === gatewayId || r.reference === data.refund_reference));
+  if (byId) return byId;
+
+  return order.refunds.find(r => r.method === 'paystack' && r.status === 'pending' && Math.round(r.amount * 100) === data.amount);
+};
+
+/**
+ * @desc Handlers for each Paystack event we act on. Each returns the outcome to record
+ * on the WebhookEvent; throwing makes Paystack retry the delivery.
+ */
+const paystackEventHandlers = {
+  'charge.success': async (data) => {
+    const order = await findOrderForPayload(data);
+    if (!order) {
+      return { status: 'ignored', error: 'Order not found for this payment reference' };
+    }
+    if (data.status && data.status !== 'success') {
+      return { status: 'ignored', order, error: `Unexpected charge status: ${data.status}` };
+    }
+
+    const result = await applySuccessfulCharge(order, data);
+    if (result.amountMismatch) {
+      // Do not throw: retrying will not change the amount, it needs manual review.
+      return { status: 'failed', order, error: 'Payment amount mismatch' };
+    }
+    if (result.alreadyPaid) {
+      return { status: 'processed', order };
+    }
+
+    await order.save();
+
+    queueEmailSafely({
+      template: 'orderConfirmation',
+      to: order.shippingAddress.email,
+      data: { order },
+      order: order._id,
+      user: order.user
+    });
+
+    return { status: 'processed', order };
+  },
+
+  'refund.processed': async (data) => {
+    const order = await findOrderForPayload(data);
+    if (!order) {
+      return { status: 'ignored', error: 'Order not found for this refund' };
+    }
+
+    const refund = findRefundForPayload(order, data);
+    if (!refund) {
+      return { status: 'ignored', order, error: 'No matching refund recorded on this order' };
+    }
+    if (refund.status === 'processed') {
+      return { status: 'processed', order };
+    }
+
+    refund.status = 'processed';
+    refund.processedAt = new Date();
+    order.syncRefundStatus();
+    order.timeline.push({
+      status: order.status,
+      note: `Refund of ₦${refund.amount.toFixed(2)} confirmed by Paystack.`
+    });
+
+    await order.save();
+    return { status: 'processed', order };
+  },
+
+  'refund.failed': async (data) => {
+    const order = await findOrderForPayload(data);
+    if (!order) {
+      return { status: 'ignored', error: 'Order not found for this refund' };
+    }
+
+    const refund = findRefundForPayload(order, data);
+    if (!refund) {
+      return { status: 'ignored', order, error: 'No matching refund recorded on this order' };
+    }
+    if (refund.status === 'failed') {
+      return { status: 'processed', order };
+    }
+
+    // A failed refund no longer counts against the refundable balance
+    refund.status = 'failed';
+    refund.failureReason = data.reason || 'Refund failed at Paystack';
+    order.syncRefundStatus();
+    order.timeline.push({
+      status: order.status,
+      note: `Refund of ₦${refund.amount.toFixed(2)} failed at Paystack. Please retry or refund manually.`
+    });
+
+    await order.save();
+    return { status: 'processed', order };
+  },
+};
+
+/**
+ * @desc    Receive Paystack webhook events
+ * @route   POST /api/v1/payments/paystack/webhook
+ * @access  Public (verified by x-paystack-signature)
+ */
+exports.handlePaystackWebhook = async (req, res, next) => {
+  try {
+    const signature = req.headers['x-paystack-signature'];
+    if (!paystackUtil.verifyWebhookSignature(req.rawBody, signature)) {
+      return next(new ErrorResponse('Invalid webhook signature', 401));
+    }
+
+    const { event, data } = req.body;
+    if (!event || !data) {
+      return next(new ErrorResponse('Invalid webhook payload', 400));
+    }
+
+    // Paystack may deliver the same event more than once; key on the event and its object id
+    const eventKey = `paystack:${event}:${data.id || data.reference}`;
+    let webhookEvent = await WebhookEvent.findOne({ eventKey });
+
+    if (webhookEvent && ['processed', 'ignored'].includes(webhookEvent.status)) {
+      return success(res, 'Webhook already processed');
+    }
+
+    if (!webhookEvent) {
+      try {
+        webhookEvent = await WebhookEvent.create({
+          provider: 'paystack',
+          event,
+          eventKey,
+          reference: data.reference || data.transaction_reference,
+          payload: data,
+        });
+      } catch (createErr) {
+        // A concurrent delivery of the same event is already being handled
+        if (createErr.code === 11000) {
+          return success(res, 'Webhook already received');
+        }
+        throw createErr;
+      }
+    }
+
+    const handler = paystackEventHandlers[event];
+    if (!handler) {
+      webhookEvent.status = 'ignored';
+      webhookEvent.processedAt = new Date();
+      await webhookEvent.save();
+      return success(res, 'Webhook event ignored');
+    }
+
+    webhookEvent.attempts += 1;
+    try {
+      const outcome = await handler(data);
+      webhookEvent.status = outcome.status;
+      webhookEvent.error = outcome.error;
+      webhookEvent.order = outcome.order?._id;
+      webhookEvent.processedAt = new Date();
+      await webhookEvent.save();
+    } catch (handlerErr) {
+      webhookEvent.status = 'failed';
+      webhookEvent.error = handlerErr.message;
+      await webhookEvent.save();
+      // Responding with an error makes Paystack retry the delivery
+      throw handlerErr;
+    }
+
+    return success(res, 'Webhook processed');
+  } catch (err) {
+    next(err);
+  }
+};
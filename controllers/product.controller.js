@@ -2,8 +2,11 @@ const Product = require('../models/product.model');
 const Category = require('../models/category.model');
 const Review = require('../models/review.model');
 const Order = require('../models/order.model');
+const Settings = require('../models/settings.model');
 const { ErrorResponse } = require('../middleware/error.middleware');
 const { success, paginate } = require('../utils/response.util');
+const { getUnverifiedEmailError } = require('../utils/emailVerification.util');
+const { addSaleInfo } = require('../utils/product.util');
 
 /**
  * @desc    Get all products
@@ -73,7 +76,7 @@ exports.getProducts = async (req, res, next) => {
 
     const total = await Product.countDocuments(filter);
     const products = await Product.find(filter)
-      .select('name slug price images category averageRating stockQuantity scentNotes description')
+      .select('name slug price compareAtPrice sale images category averageRating stockQuantity scentNotes description')
       .populate('category', 'name slug')
       .sort(sortBy)
       .skip(startIndex)
@@ -84,7 +87,7 @@ exports.getProducts = async (req, res, next) => {
       return paginate(res, 'No products found matching the criteria', [], page, limit, 0);
     }
 
-    return paginate(res, 'Products retrieved successfully', products, page, limit, total);
+    return paginate(res, 'Products retrieved successfully', products.map(addSaleInfo), page, limit, total);
   } catch (err) {
     return next(new ErrorResponse(err.message || 'Server error', 500));
   }
@@ -99,8 +102,9 @@ exports.getProduct = async (req, res, next) => {
   console.log('get user product')
   try {
     const product = await Product.findOne({ slug: req.params.slug })
-      .select('name slug status price images category description scentNotes averageRating numReviews stockQuantity')
+      .select('name slug status price compareAtPrice sale images category description scentNotes averageRating numReviews stockQuantity type bundle')
       .populate('category', 'name slug')
+      .populate('bundle.components.product', 'name slug images')
       .lean();
 
     if (!product) {
@@ -129,7 +133,7 @@ exports.getProduct = async (req, res, next) => {
     };
 
     let relatedProducts = await Product.find(relatedFilter)
-      .select('name slug price images category')
+      .select('name slug price compareAtPrice sale images category')
       .populate('category', 'name slug')
       .sort({ featured: -1, createdAt: -1 })
       .limit(4)
@@ -144,7 +148,7 @@ exports.getProduct = async (req, res, next) => {
         stockQuantity: { $gt: 0 },
         featured: true,
       })
-        .select('name slug price images category')
+        .select('name slug price compareAtPrice sale images category')
         .populate('category', 'name slug')
         .sort({ createdAt: -1 })
         .limit(additionalLimit)
@@ -160,7 +164,7 @@ exports.getProduct = async (req, res, next) => {
         status: 'published',
         stockQuantity: { $gt: 0 },
       })
-        .select('name slug price images category')
+        .select('name slug price compareAtPrice sale images category')
         .populate('category', 'name slug')
         .sort({ createdAt: -1 })
         .limit(additionalLimit)
@@ -168,7 +172,10 @@ exports.getProduct = async (req, res, next) => {
       relatedProducts = [...relatedProducts, ...additionalProducts];
     }
 
-    return success(res, 'Product retrieved successfully', { product, relatedProducts });
+    return success(res, 'Product retrieved successfully', {
+      product: addSaleInfo(product),
+      relatedProducts: relatedProducts.map(addSaleInfo),
+    });
   } catch (err) {
     next(new ErrorResponse(err.message || 'Server error', 500));
   }
@@ -265,7 +272,7 @@ exports.getBestSellingProducts = async (req, res, next) => {
     const dateThreshold = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
 
     const salesData = await Order.aggregate([
-      { $match: dateThreshold ? { createdAt: { $gte: dateThreshold }, 'paymentInfo.status': 'paid' } : { 'paymentInfo.status': 'paid' } },
+      { $match: { ...(dateThreshold && { createdAt: { $gte: dateThreshold } }), 'paymentInfo.status': { $in: ['paid', 'partially_refunded'] } } },
       { $unwind: '$items' },
       {
         $group: {
@@ -365,6 +372,12 @@ exports.createProductReview = async (req, res, next) => {
       return next(new ErrorResponse('Rating must be between 1 and 5', 400));
     }
 
+    const settings = await Settings.getSettings();
+    const verificationError = getUnverifiedEmailError(req.user, settings, 'review');
+    if (verificationError) {
+      return next(new ErrorResponse(verificationError, 403));
+    }
+
     const product = await Product.findById(req.params.id);
     if (!product) {
       return next(new ErrorResponse(`Product not found with id of ${req.params.id}`, 404));
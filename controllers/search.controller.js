@@ -1,6 +1,7 @@
 const Product = require('../models/product.model');
 const Category = require('../models/category.model');
 const { success } = require('../utils/response.util');
+const { addSaleInfo } = require('../utils/product.util');
 
 /**
  * @desc    Search products
@@ -105,7 +106,7 @@ exports.searchProducts = async (req, res, next) => {
     };
 
     return success(res, 'Search results retrieved successfully', {
-      products,
+      products: products.map(product => addSaleInfo(product.toObject())),
       pagination: {
         page: Number(page),
         limit: Number(limit),
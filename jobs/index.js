@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Background jobs that run on a fixed interval inside the API process.
+ */
+
+const { releaseExpiredReservations } = require('../utils/inventory.util');
+const { processEmailOutbox } = require('../utils/email.util');
+const { processAbandonedCarts } = require('../utils/abandonedCart.util');
+const { processProductImports } = require('../utils/productCsv.util');
+const { processProductSchedules } = require('../utils/productSchedule.util');
+const { syncAllBundles } = require('../utils/bundle.util');
+
+const jobs = [
+  {
+    name: 'release-expired-reservations',
+    intervalMs: 60 * 1000, // every minute
+    run: async () => {
+      const cancelledCount = await releaseExpiredReservations();
+      if (cancelledCount > 0) {
+        console.log(`Released stock for ${cancelledCount} unpaid order(s) with expired reservations.`);
+      }
+    },
+  },
+  {
+    name: 'process-email-outbox',
+    intervalMs: 60 * 1000, // every minute
+    run: async () => {
+      await processEmailOutbox();
+    },
+  },
+  {
+    name: 'send-abandoned-cart-emails',
+    intervalMs: 15 * 60 * 1000, // every 15 minutes
+    run: async () => {
+      const sentCount = await processAbandonedCarts();
+      if (sentCount > 0) {
+        console.log(`Queued ${sentCount} abandoned cart recovery email(s).`);
+      }
+    },
+  },
+  {
+    name: 'process-product-imports',
+    intervalMs: 60 * 1000, // every minute
+    run: async () => {
+      await processProductImports();
+    },
+  },
+  {
+    name: 'apply-product-schedules',
+    intervalMs: 60 * 1000, // every minute
+    run: async () => {
+      const changedCount = await processProductSchedules();
+      if (changedCount > 0) {
+        console.log(`Applied scheduled publishing or sale changes to ${changedCount} product(s).`);
+      }
+    },
+  },
+  {
+    // Bulk updates skip the Product hooks that keep bundles in step with their components
+    name: 'sync-bundles',
+    intervalMs: 5 * 60 * 1000, // every 5 minutes
+    run: async () => {
+      const updatedCount = await syncAllBundles();
+      if (updatedCount > 0) {
+        console.log(`Refreshed the price or stock of ${updatedCount} bundle(s).`);
+      }
+    },
+  },
+];
+
+/**
+ * @desc Starts every background job. A job run is skipped if the previous run is still going,
+ * and errors are logged rather than crashing the server.
+ * @returns {Array<NodeJS.Timeout>} The interval timers, so they can be cleared on shutdown.
+ */
+const startJobs = () => {
+  return jobs.map(job => {
+    let running = false;
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await job.run();
+      } catch (err) {
+        console.error(`Job ${job.name} failed: ${err.message}`);
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs);
+    // Do not keep the process alive just for the jobs
+    timer.unref();
+    return timer;
+  });
+};
+
+module.exports = {
+  startJobs,
+};
@@ -0,0 +1,72 @@
+const {
+  describeAdminRequest,
+  loadSnapshot,
+  diffSnapshots,
+  findCreatedId,
+  recordAuditLog
+} = require('../utils/audit.util');
+
+/**
+ * Middleware that records every successful change made through the admin API.
+ * The target document is read before the request runs and again once the response has been
+ * sent, and the fields that differ are stored with who made the change and from where.
+ */
+exports.auditAdminChanges = async (req, res, next) => {
+  const description = describeAdminRequest(req.method, req.path);
+  if (!description) {
+    return next();
+  }
+
+  const { action, targetModel } = description;
+  let { targetId } = description;
+  let before = null;
+  try {
+    before = await loadSnapshot(targetModel, targetId);
+  } catch (err) {
+    console.error(`Failed to read ${targetModel} ${targetId} for the audit log:`, err.message);
+  }
+
+  // Keep the response body so the id of a newly created document can be found
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', async () => {
+    // Failed requests change nothing
+    if (res.statusCode >= 400 || !req.user) return;
+
+    let after = null;
+    try {
+      if (!targetId && req.method === 'POST') {
+        // Only when the response is the created document, not e.g. an import job
+        const createdId = findCreatedId(responseBody);
+        after = await loadSnapshot(targetModel, createdId);
+        if (after) targetId = createdId;
+      } else if (req.method !== 'DELETE') {
+        after = await loadSnapshot(targetModel, targetId);
+      }
+    } catch (err) {
+      console.error(`Failed to read ${targetModel} ${targetId} for the audit log:`, err.message);
+    }
+
+    await recordAuditLog({
+      actor: req.user._id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      targetModel,
+      targetId: targetId || before?._id || after?._id,
+      changes: diffSnapshots(before, after),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  });
+
+  next();
+};
@@ -1,11 +1,19 @@
 const jwt = require('jsonwebtoken');
 const { ErrorResponse } = require('./error.middleware');
 const User = require('../models/user.model');
+const { getActiveSession } = require('../utils/authSession.util');
+const { STAFF_ROLES, isTwoFactorRequired } = require('../utils/twoFactor.util');
+const { getUserPermissions } = require('../utils/permissions.util');
 
 /**
  * Middleware to protect routes that require authentication
  */
 exports.protect = async (req, res, next) => {
+  // Already authenticated earlier in this request, e.g. by the admin router
+  if (req.user && req.authSession) {
+    return next();
+  }
+
   let token;
 
   // Check if token exists in headers or cookies
@@ -30,12 +38,20 @@ exports.protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens of a session that was logged out or revoked are rejected before they expire
+    const session = await getActiveSession(decoded);
+    if (!session) {
+      return next(new ErrorResponse('Your session has ended. Please log in again.', 401));
+    }
+
     // Add user to request object
     req.user = await User.findById(decoded.id);
 
     if (!req.user) {
       return next(new ErrorResponse('User not found', 401));
     }
+    req.authSession = decoded.sid;
+    req.twoFactorVerified = session.twoFactorVerified;
 
     next();
   } catch (err) {
@@ -45,11 +61,60 @@ exports.protect = async (req, res, next) => {
 };
 
 /**
- * Middleware for role-based access control
+ * Middleware that identifies the user on routes that also serve guests.
+ * A missing or invalid token leaves req.user unset instead of failing the request.
+ */
+exports.optionalAuth = async (req, res, next) => {
+  let token;
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies && req.cookies.token) {
+    token = req.cookies.token;
+  }
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await getActiveSession(decoded);
+    const user = session ? await User.findById(decoded.id) : null;
+    if (user && user.active) {
+      req.user = user;
+      req.authSession = decoded.sid;
+      req.twoFactorVerified = session.twoFactorVerified;
+    }
+  } catch (err) {
+    // An expired, revoked or tampered token is treated as a guest
+  }
+  next();
+};
+
+/**
+ * Refuses staff routes to sessions that have not passed two-factor authentication when the
+ * account has it enabled or the store makes it mandatory.
+ * @returns {Promise<ErrorResponse|null>}
+ */
+const checkStaffTwoFactor = async (req) => {
+  if (req.twoFactorVerified || !(await isTwoFactorRequired(req.user))) {
+    return null;
+  }
+  const message = req.user.twoFactorEnabled
+    ? 'Please log in again and complete two-factor authentication to access this route'
+    : 'Two-factor authentication is required for staff accounts. Please set it up to continue';
+  return new ErrorResponse(message, 403);
+};
+
+/**
+ * Middleware for role-based access control.
+ * Routes open only to staff roles also require two-factor authentication where it applies.
  * @param {...String} roles - Roles allowed to access the route
  */
 exports.authorize = (...roles) => {
-  return (req, res, next) => {
+  const isStaffRoute = roles.every(role => STAFF_ROLES.includes(role));
+
+  return async (req, res, next) => {
     if (!req.user) {
       return next(new ErrorResponse('User not found', 401));
     }
@@ -62,6 +127,59 @@ exports.authorize = (...roles) => {
         )
       );
     }
+
+    if (isStaffRoute) {
+      try {
+        const twoFactorError = await checkStaffTwoFactor(req);
+        if (twoFactorError) return next(twoFactorError);
+      } catch (err) {
+        return next(err);
+      }
+    }
+    next();
+  };
+};
+
+/**
+ * Middleware for permission-based access control on staff routes.
+ * The user's permissions are worked out once per request and kept in req.permissions.
+ * @param {...String} permissions - Permissions the user must all have, e.g. 'orders.refund'
+ */
+exports.requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return next(new ErrorResponse('User not found', 401));
+    }
+
+    if (!STAFF_ROLES.includes(req.user.role)) {
+      return next(
+        new ErrorResponse(
+          `User role ${req.user.role} is not authorized to access this route`,
+          403
+        )
+      );
+    }
+
+    try {
+      const twoFactorError = await checkStaffTwoFactor(req);
+      if (twoFactorError) return next(twoFactorError);
+
+      if (!req.permissions) {
+        req.permissions = await getUserPermissions(req.user);
+      }
+    } catch (err) {
+      return next(err);
+    }
+
+    const missing = permissions.filter(permission => !req.permissions.includes(permission));
+    if (missing.length > 0) {
+      return next(
+        new ErrorResponse(
+          `You do not have permission to access this route (requires ${missing.join(', ')})`,
+          403
+        )
+      );
+    }
     next();
   };
-};
\ No newline at end of file
+};
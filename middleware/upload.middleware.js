@@ -33,4 +33,18 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
 });
 
-module.exports = { upload };
\ No newline at end of file
+// CSV files are parsed straight from memory and never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const extname = path.extname(file.originalname).toLowerCase() === '.csv';
+    const mimetype = /csv|text\/plain|ms-excel/.test(file.mimetype);
+    if (extname && mimetype) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV files are allowed'));
+  },
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+});
+
+module.exports = { upload, csvUpload };
\ No newline at end of file
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// A copy of a cart line at the time of the last recovery email, used to rebuild the cart
+const AbandonedCartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  productSlug: String,
+  productImage: String,
+  category: String,
+  variant: {
+    _id: mongoose.Schema.ObjectId,
+    size: String,
+    scentIntensity: String,
+    sku: String,
+    priceAdjustment: Number
+  },
+  sku: String,
+  price: Number,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  total: Number
+}, { _id: false });
+
+const RecoveryEmailSchema = new mongoose.Schema({
+  outbox: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'EmailOutbox'
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Tracks the recovery emails sent for a customer's idle cart and whether it turned into an order
+const AbandonedCartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cart: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Cart',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  items: [AbandonedCartItemSchema],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    // recovered: ordered after an email; closed: ordered before any email was sent, or too late to credit
+    enum: ['active', 'recovered', 'closed'],
+    default: 'active'
+  },
+  emails: [RecoveryEmailSchema],
+  lastEmailAt: Date,
+  restoredAt: Date,
+  restoreCount: {
+    type: Number,
+    default: 0
+  },
+  recoveredOrder: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order'
+  },
+  recoveredAt: Date,
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+// A cart has at most one recovery sequence running at a time
+AbandonedCartSchema.index({ cart: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+AbandonedCartSchema.index({ user: 1, status: 1 });
+AbandonedCartSchema.index({ email: 1, status: 1 });
+AbandonedCartSchema.index({ 'emails.sentAt': 1 });
+
+module.exports = mongoose.model('AbandonedCart', AbandonedCartSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One changed field of the audited document, by dot path
+const AuditChangeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// A record of a change made through the admin API, written by the audit middleware
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Copied so the entry still reads correctly if the user is later renamed or deleted
+  actorEmail: String,
+  actorRole: String,
+  // e.g. 'orders.refund', 'products.update', 'customers.vip'
+  action: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['POST', 'PUT', 'PATCH', 'DELETE'],
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  statusCode: Number,
+  targetModel: String,
+  targetId: mongoose.Schema.ObjectId,
+  changes: [AuditChangeSchema],
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// How many earlier refresh tokens of a session are remembered to detect reuse
+const MAX_PREVIOUS_TOKENS = 50;
+
+// A logged in device. Access tokens name the session they belong to, so revoking the session
+// rejects them straight away; the refresh token is rotated on every use and only its hash is stored.
+const AuthSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens already exchanged; presenting one again means the token was stolen
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  // Whether the login passed two-factor authentication, which the admin routes can require
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked_by_user', 'password_changed', 'token_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+AuthSessionSchema.index({ user: 1, revokedAt: 1 });
+// Sessions are removed once their refresh token could no longer be used
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * @desc Swaps a session's refresh token for a new one, remembering the old one for reuse detection,
+ * and extends the session so it only expires once it goes unused.
+ * The swap only happens if the given token is still the current one, so a token can be exchanged once.
+ * @param {string} sessionId
+ * @param {string} tokenHash - The hash of the refresh token being exchanged.
+ * @param {string} newTokenHash - The hash of the new refresh token.
+ * @param {Date} expiresAt - When the session now expires.
+ * @returns {Promise<Object|null>} The updated session, or null if the token was not the current one.
+ */
+AuthSessionSchema.statics.rotateRefreshToken = function (sessionId, tokenHash, newTokenHash, expiresAt) {
+  return this.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: { refreshTokenHash: newTokenHash, lastUsedAt: new Date(), expiresAt },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
@@ -49,6 +49,11 @@ const CartItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // This line's share of the coupon discount
+  discount: {
+    type: Number,
+    default: 0,
+  },
 });
 
 const CartSchema = new mongoose.Schema(
@@ -71,13 +76,25 @@ const CartSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Estimated until checkout, where shipping is added
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Whether the tax is already included in the prices (Settings.tax.includeInPrice)
+    taxInclusive: {
+      type: Boolean,
+      default: false,
+    },
     total: {
       type: Number,
       default: 0,
     },
     coupon: {
       code: String,
-      discount: Number,
+      type: { type: String },
+      discount: Number, // Discount amount in Naira, recalculated whenever the cart changes
+      freeShipping: Boolean,
     },
   },
   { timestamps: true }
@@ -87,7 +104,7 @@ const CartSchema = new mongoose.Schema(
 CartSchema.pre('save', function (next) {
   this.totalItems = this.items.reduce((sum, item) => sum + item.quantity, 0);
   this.subtotal = this.items.reduce((sum, item) => sum + item.total, 0);
-  this.total = this.subtotal - (this.discount || 0);
+  this.total = this.subtotal - (this.discount || 0) + (this.taxInclusive ? 0 : this.taxAmount || 0);
   next();
 });
 
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const RemittanceOrderSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  expectedAmount: {
+    type: Number,
+    required: true
+  },
+  collectedAmount: {
+    type: Number,
+    required: true,
+    min: [0, 'Collected amount cannot be negative']
+  },
+  // collectedAmount - expectedAmount: negative when the rider is short
+  difference: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Cash handed in by a delivery rider for a batch of delivered cash on delivery orders
+const CodRemittanceSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    unique: true,
+    trim: true
+  },
+  riderName: {
+    type: String,
+    required: [true, 'Please add the rider name'],
+    trim: true
+  },
+  orders: [RemittanceOrderSchema],
+  expectedTotal: {
+    type: Number,
+    required: true
+  },
+  collectedTotal: {
+    type: Number,
+    required: true
+  },
+  difference: {
+    type: Number,
+    required: true
+  },
+  note: String,
+  recordedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+CodRemittanceSchema.index({ 'orders.order': 1 });
+CodRemittanceSchema.index({ createdAt: -1 });
+
+CodRemittanceSchema.pre('save', function(next) {
+  if (this.isNew && !this.reference) {
+    this.reference = `COD-${Date.now()}-${Math.floor(1000 + Math.random() * 9000)}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('CodRemittance', CodRemittanceSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. `invoice`, for human-readable numbers that increase one at a time
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+ * @desc Atomically increments a sequence and returns the new value, creating it on first use.
+ * @param {string} name - The sequence name.
+ * @returns {Promise<number>} The next number in the sequence, starting at 1.
+ */
+CounterSchema.statics.nextSequence = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+
+const RedemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null // Guest checkouts are tracked by email only
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please add a coupon code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code cannot be more than 30 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping'],
+    required: [true, 'Please specify the coupon type']
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Coupon value cannot be negative']
+  },
+  // Caps the discount of percentage coupons, e.g. 20% off up to ₦10,000
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum subtotal cannot be negative']
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  usageLimit: {
+    type: Number,
+    default: null, // null means unlimited
+    min: [1, 'Usage limit must be at least 1']
+  },
+  usageLimitPerCustomer: {
+    type: Number,
+    default: null, // null means unlimited
+    min: [1, 'Per-customer usage limit must be at least 1']
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // When both lists are empty the coupon applies to the whole cart
+  appliesTo: {
+    products: [{ type: mongoose.Schema.ObjectId, ref: 'Product' }],
+    categories: [{ type: mongoose.Schema.ObjectId, ref: 'Category' }]
+  },
+  redemptions: [RedemptionSchema],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+CouponSchema.index({ active: 1, expiresAt: 1 });
+CouponSchema.index({ 'redemptions.email': 1 });
+
+// Cross-field checks are reported as validation errors so they surface as 400 responses
+CouponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage coupons must have a value between 1 and 100');
+  }
+  if (this.type === 'fixed' && this.value <= 0) {
+    this.invalidate('value', 'Fixed amount coupons must have a value greater than 0');
+  }
+  if (this.startsAt && this.expiresAt && this.startsAt >= this.expiresAt) {
+    this.invalidate('expiresAt', 'Coupon start date must be before its end date');
+  }
+  next();
+});
+
+/**
+ * @desc Counts how many times a customer has redeemed this coupon. Logged in customers are
+ * identified by their account, so a guest order typed with their email does not use up their
+ * limit; guests are identified by email.
+ * @param {object} customer
+ * @param {string} [customer.userId] - The customer's user id, if logged in.
+ * @param {string} [customer.email] - The customer's email address, used for guests.
+ * @returns {number} The number of redemptions.
+ */
+CouponSchema.methods.getCustomerRedemptionCount = function({ userId, email }) {
+  if (userId) {
+    return this.redemptions.filter(r => r.user && r.user.toString() === userId.toString()).length;
+  }
+  if (!email) return 0;
+  const normalizedEmail = email.toLowerCase().trim();
+  return this.redemptions.filter(r => r.email === normalizedEmail).length;
+};
+
+/**
+ * @desc Checks whether the coupon can currently be used for a given subtotal and customer.
+ * @param {object} options
+ * @param {number} options.subtotal - The cart or order subtotal before discounts.
+ * @param {string} [options.email] - The customer's email, used for the per-customer limit of guests.
+ * @param {string} [options.userId] - The customer's user id, used for the per-customer limit when logged in.
+ * @returns {string|null} A human readable reason the coupon cannot be used, or null if it is valid.
+ */
+CouponSchema.methods.getIneligibilityReason = function({ subtotal, email, userId }) {
+  const now = new Date();
+
+  if (!this.active) return 'This coupon is no longer active';
+  if (this.startsAt && this.startsAt > now) return 'This coupon is not yet valid';
+  if (this.expiresAt && this.expiresAt < now) return 'This coupon has expired';
+  if (this.usageLimit && this.usageCount >= this.usageLimit) {
+    return 'This coupon has reached its usage limit';
+  }
+  if (this.usageLimitPerCustomer && this.getCustomerRedemptionCount({ userId, email }) >= this.usageLimitPerCustomer) {
+    return 'You have already used this coupon the maximum number of times';
+  }
+  if (this.minSubtotal && subtotal < this.minSubtotal) {
+    return `A minimum subtotal of ₦${this.minSubtotal.toFixed(2)} is required for this coupon`;
+  }
+  return null;
+};
+
+/**
+ * @desc Calculates the discount this coupon gives on a set of line items,
+ * honouring any product or category restrictions.
+ * @param {Array<{product: string, category: string, total: number}>} items - Line items with their category ids.
+ * @returns {{discount: number, eligibleSubtotal: number, eligibleItems: Array<number>, freeShipping: boolean}}
+ * `eligibleItems` holds the indexes of the items the discount applies to.
+ */
+CouponSchema.methods.calculateDiscount = function(items) {
+  const productIds = (this.appliesTo?.products || []).map(id => id.toString());
+  const categoryIds = (this.appliesTo?.categories || []).map(id => id.toString());
+  const isRestricted = productIds.length > 0 || categoryIds.length > 0;
+
+  const eligibleItems = [];
+  items.forEach((item, index) => {
+    if (!isRestricted
+      || productIds.includes(item.product?.toString())
+      || categoryIds.includes(item.category?.toString())) {
+      eligibleItems.push(index);
+    }
+  });
+  const eligibleSubtotal = eligibleItems.reduce((sum, index) => sum + items[index].total, 0);
+
+  let discount = 0;
+  if (this.type === 'percentage') {
+    discount = (eligibleSubtotal * this.value) / 100;
+    if (this.maxDiscount) discount = Math.min(discount, this.maxDiscount);
+  } else if (this.type === 'fixed') {
+    discount = Math.min(this.value, eligibleSubtotal);
+  }
+
+  return {
+    discount: Math.round(discount * 100) / 100,
+    eligibleSubtotal,
+    eligibleItems,
+    freeShipping: this.type === 'free_shipping' && eligibleSubtotal > 0
+  };
+};
+
+/**
+ * @desc Atomically records a redemption, re-checking the total and per-customer limits
+ * in the same write so concurrent checkouts cannot exceed them.
+ * @param {object} options
+ * @param {string} options.couponId - The coupon being redeemed.
+ * @param {string} options.orderId - The order the redemption belongs to.
+ * @param {string} options.email - The customer's email address.
+ * @param {string} [options.userId] - The customer's user id, if logged in.
+ * @param {number} options.discount - The discount amount granted.
+ * @param {ClientSession} [options.session=null] - A transaction session to run the update in.
+ * @returns {Promise<object|null>} The updated coupon, or null if a limit has been reached.
+ */
+CouponSchema.statics.recordRedemption = async function({ couponId, orderId, email, userId = null, discount, session = null }) {
+  const coupon = await this.findById(couponId).select('usageLimit usageLimitPerCustomer').session(session).lean();
+  if (!coupon) return null;
+
+  const normalizedEmail = email.toLowerCase().trim();
+  const filter = { _id: couponId };
+  // Same rule as getCustomerRedemptionCount: by account when logged in, by email for guests
+  const isCustomersRedemption = userId
+    ? { $eq: ['$$this.user', new mongoose.Types.ObjectId(String(userId))] }
+    : { $eq: ['$$this.email', normalizedEmail] };
+  const conditions = [];
+
+  if (coupon.usageLimit) {
+    conditions.push({ $lt: ['$usageCount', coupon.usageLimit] });
+  }
+  if (coupon.usageLimitPerCustomer) {
+    conditions.push({
+      $lt: [
+        { $size: { $filter: { input: '$redemptions', cond: isCustomersRedemption } } },
+        coupon.usageLimitPerCustomer
+      ]
+    });
+  }
+  if (conditions.length > 0) {
+    filter.$expr = { $and: conditions };
+  }
+
+  return this.findOneAndUpdate(
+    filter,
+    {
+      $inc: { usageCount: 1 },
+      $push: { redemptions: { user: userId, email: normalizedEmail, order: orderId, discount } }
+    },
+    { new: true, session }
+  );
+};
+
+/**
+ * @desc Reverses a redemption recorded for an order, e.g. when the order is cancelled before payment.
+ * @param {string} couponId - The coupon id.
+ * @param {string} orderId - The order whose redemption should be removed.
+ */
+CouponSchema.statics.releaseRedemption = async function(couponId, orderId) {
+  await this.updateOne(
+    { _id: couponId, 'redemptions.order': orderId },
+    { $inc: { usageCount: -1 }, $pull: { redemptions: { order: orderId } } }
+  );
+};
+
+module.exports = mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const DeliveryEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    required: true
+  },
+  note: String,
+  error: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const EmailOutboxSchema = new mongoose.Schema({
+  template: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // The email is rendered when queued so retries send exactly the same content
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  // `queued` emails are picked up by the outbox job; `failed` means all attempts were used up
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  history: [DeliveryEventSchema],
+  // Records the email relates to, for lookups from the admin
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order'
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+EmailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+EmailOutboxSchema.index({ order: 1 });
+EmailOutboxSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('EmailOutbox', EmailOutboxSchema);
@@ -2,6 +2,42 @@
 
 const mongoose = require('mongoose');
 
+// Order statuses each status can move to. Payment-based guards are applied in
+// getStatusTransitionError, and the side effects of each change live in utils/orderStatus.util.js.
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  // A cancelled order can be revived if its payment arrives late
+  cancelled: ['processing', 'refunded'],
+  // Only reachable when a refund fails and the order goes back to its previous status
+  refunded: ['processing', 'shipped', 'delivered', 'cancelled']
+};
+
+// Statuses that mean the goods are being, or have been, sent to the customer
+const FULFILMENT_STATUSES = ['processing', 'shipped', 'delivered'];
+
+// What a bundle line was made of when it was ordered; quantity is per bundle
+const OrderBundleComponentSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  name: String,
+  sku: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
 const OrderItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.ObjectId,
@@ -33,13 +69,27 @@ const OrderItemSchema = new mongoose.Schema({
     required: true, // Should be required if always calculated and stored
     min: [0, 'Subtotal must be greater than 0']
   },
-  image: String
+  // This line's share of the coupon discount, and the tax charged on the line after it
+  discount: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  image: String,
+  // Set for bundles: stock is reserved and returned per component
+  bundleComponents: {
+    type: [OrderBundleComponentSchema],
+    default: undefined
+  }
 });
 
 const TimelineEventSchema = new mongoose.Schema({
   status: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     required: true
   },
   timestamp: {
@@ -73,6 +123,132 @@ const OrderNoteSchema = new mongoose.Schema({
   }
 });
 
+const RefundItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.ObjectId,
+    required: true // _id of the line in `items`
+  },
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product'
+  },
+  variantId: mongoose.Schema.ObjectId,
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Refunded quantity must be at least 1']
+  },
+  amount: {
+    type: Number,
+    min: [0, 'Refunded amount cannot be negative']
+  }
+}, { _id: false });
+
+const RefundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Refund amount must be greater than 0']
+  },
+  items: [RefundItemSchema],
+  reason: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['paystack', 'manual'],
+    required: true
+  },
+  // Paystack refunds are `pending` until the refund webhook confirms them
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  reference: String,
+  gatewayId: String,
+  failureReason: String,
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+});
+
+const ShipmentItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.ObjectId,
+    required: true // _id of the line in `items`
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Shipped quantity must be at least 1']
+  }
+}, { _id: false });
+
+const SHIPMENT_STATUSES = ['shipped', 'in_transit', 'out_for_delivery', 'delivered', 'failed_attempt', 'returned'];
+
+const ShipmentEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    required: true
+  },
+  description: String,
+  location: String,
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+});
+
+const ShipmentSchema = new mongoose.Schema({
+  carrier: {
+    type: String,
+    required: [true, 'Please add a carrier'],
+    trim: true
+  },
+  trackingNumber: {
+    type: String,
+    trim: true
+  },
+  // Built from the carrier's tracking URL template in Settings, or given by the admin
+  trackingUrl: String,
+  items: [ShipmentItemSchema],
+  // The status of the latest delivery event
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'shipped'
+  },
+  events: [ShipmentEventSchema],
+  shippedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: Date,
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+});
+
 const OrderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -112,11 +288,22 @@ const OrderSchema = new mongoose.Schema({
       default: 0,
       min: [0, 'Tax rate cannot be negative'] // Added validation
   },
+  // True when the tax was already included in the prices rather than added to the total
+  taxInclusive: {
+    type: Boolean,
+    default: false
+  },
   discount: {
     type: Number,
     default: 0,
     min: [0, 'Discount cannot be negative'] // Added validation
   },
+  coupon: {
+    code: String,
+    couponId: { type: mongoose.Schema.ObjectId, ref: 'Coupon' },
+    discount: { type: Number, min: [0, 'Coupon discount cannot be negative'] },
+    freeShipping: { type: Boolean, default: false }
+  },
   totalAmount: {
     type: Number,
     required: true,
@@ -141,28 +328,71 @@ const OrderSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'paid', 'partially_refunded', 'failed', 'refunded'],
       default: 'pending'
     },
     reference: String,
     transactionId: String,
-    refundReference: String,
+    refundReference: String, // Legacy single refund reference; refunds are now recorded in `refunds`
     paidAt: Date,
-    details: mongoose.Schema.Types.Mixed
+    details: mongoose.Schema.Types.Mixed,
+    // Proof of payment and review for bank transfer orders
+    bankTransfer: {
+      status: {
+        type: String,
+        enum: ['awaiting_proof', 'submitted', 'confirmed', 'rejected', 'expired']
+      },
+      // The customer must pay before this date or the order is cancelled
+      expiresAt: Date,
+      proofUrl: String,
+      proofPublicId: String,
+      senderName: String,
+      transferReference: String,
+      submittedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date,
+      rejectionReason: String
+    }
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
+  // Stock held for the order. Held stock is already deducted from the product and is
+  // returned if the order is not paid before `expiresAt` (no expiry for cash on delivery).
+  stockReservation: {
+    status: { type: String, enum: ['held', 'committed', 'released'] },
+    expiresAt: Date,
+    committedAt: Date,
+    releasedAt: Date
+  },
   timeline: [TimelineEventSchema],
   notes: [OrderNoteSchema],
+  refunds: [RefundSchema],
+  shipments: [ShipmentSchema],
   createdAt: {
     type: Date,
     default: Date.now
   },
+  // Assigned from the `invoice` counter the first time an invoice is generated
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  invoicedAt: Date,
   shippedAt: Date,
   deliveredAt: Date,
+  cancelledAt: Date,
+  // Set when the order was placed after an abandoned cart recovery email
+  abandonedCart: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'AbandonedCart'
+  },
   // Added updatedBy for general order updates
   updatedBy: {
     type: mongoose.Schema.ObjectId,
@@ -178,6 +408,30 @@ const OrderSchema = new mongoose.Schema({
 OrderSchema.index({ createdAt: -1, status: 1 });
 OrderSchema.index({ 'items.product': 1 });
 OrderSchema.index({ 'paymentInfo.status': 1 }); // Added index for payment status
+OrderSchema.index({ 'stockReservation.status': 1, 'stockReservation.expiresAt': 1 });
+OrderSchema.index({ 'paymentInfo.bankTransfer.status': 1, 'paymentInfo.bankTransfer.submittedAt': 1 });
+OrderSchema.index({ abandonedCart: 1 }, { sparse: true });
+
+// Remember the status the order was loaded with, so status changes can be checked on save
+OrderSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+OrderSchema.post('save', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+// Reject status changes the state machine does not allow, whichever code path made them
+OrderSchema.pre('validate', function(next) {
+  const fromStatus = this.$locals.savedStatus;
+  if (!this.isNew && fromStatus && this.isModified('status') && this.status !== fromStatus) {
+    const transitionError = this.getStatusTransitionError(this.status, fromStatus);
+    if (transitionError) {
+      this.invalidate('status', transitionError);
+    }
+  }
+  next();
+});
 
 // Pre-save hook for order number generation and timeline updates
 OrderSchema.pre('save', async function(next) {
@@ -208,20 +462,15 @@ OrderSchema.pre('save', async function(next) {
     }
   }
 
-  // Handle timeline updates and date fields only if status is modified
-  if (this.isModified('status')) {
+  // Make sure every status change is on the timeline, unless the code changing it already added an entry
+  const lastEvent = this.timeline[this.timeline.length - 1];
+  if (this.isModified('status') && lastEvent?.status !== this.status) {
     // Ensure the timeline entry always includes who updated it, falling back to the user if updatedBy is not explicitly set
     this.timeline.push({
       status: this.status,
       timestamp: Date.now(),
       updatedBy: this.updatedBy || this.user // Use this.updatedBy if set, else fallback to this.user
     });
-
-    if (this.status === 'shipped' && !this.shippedAt) {
-      this.shippedAt = Date.now();
-    } else if (this.status === 'delivered' && !this.deliveredAt) {
-      this.deliveredAt = Date.now();
-    }
   }
 
   // Calculate subtotal for order items if not already set or if price/quantity changes
@@ -251,9 +500,119 @@ OrderSchema.methods.addNote = function(content, userId, isInternal = true) {
   return this.save();
 };
 
+/**
+ * @desc Checks whether the order may move to a status, given its current status and payment.
+ * @param {string} status - The target status.
+ * @param {string} [fromStatus] - The status to move from. Defaults to the current status.
+ * @returns {string|null} Why the change is not allowed, or null if it is.
+ */
+OrderSchema.methods.getStatusTransitionError = function(status, fromStatus = this.status) {
+  if (!STATUS_TRANSITIONS[status]) {
+    return `Invalid order status: ${status}`;
+  }
+  if (status === fromStatus) {
+    return `Order is already ${status}`;
+  }
+  if (!STATUS_TRANSITIONS[fromStatus].includes(status)) {
+    return `Cannot change a ${fromStatus} order to ${status}`;
+  }
+
+  const paymentStatus = this.paymentInfo.status;
+  const isPaid = ['paid', 'partially_refunded'].includes(paymentStatus);
+
+  // Cash on delivery orders are fulfilled first and paid for on delivery
+  if (FULFILMENT_STATUSES.includes(status) && !isPaid && this.paymentInfo.method !== 'cash_on_delivery') {
+    return `Cannot change the order to ${status} until payment has been received`;
+  }
+  if (status === 'refunded' && paymentStatus !== 'refunded') {
+    return 'Orders are marked as refunded once the full amount has been refunded. Use the refund endpoint instead.';
+  }
+  if (fromStatus === 'refunded' && paymentStatus === 'refunded') {
+    return 'Cannot change the status of a fully refunded order';
+  }
+  return null;
+};
+
+/**
+ * @desc Sums the refunds that have not failed.
+ * @returns {number} The amount refunded or being refunded.
+ */
+OrderSchema.methods.getRefundedAmount = function() {
+  const total = this.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.round(total * 100) / 100;
+};
+
+/**
+ * @desc Calculates how much of the order can still be refunded.
+ * @returns {number} The remaining refundable balance.
+ */
+OrderSchema.methods.getRefundableBalance = function() {
+  return Math.max(0, Math.round((this.totalAmount - this.getRefundedAmount()) * 100) / 100);
+};
+
+/**
+ * @desc Counts how many units of an order line have already been refunded.
+ * @param {string} orderItemId - The _id of the line in `items`.
+ * @returns {number} The refunded quantity.
+ */
+OrderSchema.methods.getRefundedQuantity = function(orderItemId) {
+  return this.refunds
+    .filter(refund => refund.status !== 'failed')
+    .flatMap(refund => refund.items)
+    .filter(item => item.orderItem.toString() === orderItemId.toString())
+    .reduce((sum, item) => sum + item.quantity, 0);
+};
+
+/**
+ * @desc Counts how many units of an order line have been sent in shipments.
+ * @param {string} orderItemId - The _id of the line in `items`.
+ * @returns {number} The shipped quantity.
+ */
+OrderSchema.methods.getShippedQuantity = function(orderItemId) {
+  return this.shipments
+    .flatMap(shipment => shipment.items)
+    .filter(item => item.orderItem.toString() === orderItemId.toString())
+    .reduce((sum, item) => sum + item.quantity, 0);
+};
+
+/**
+ * @desc Checks whether every unit of the order has been shipped and delivered.
+ * @returns {boolean}
+ */
+OrderSchema.methods.isFullyDelivered = function() {
+  const allShipped = this.items.every(item => this.getShippedQuantity(item._id) >= item.quantity);
+  return allShipped && this.shipments.every(shipment => shipment.status === 'delivered');
+};
+
+/**
+ * @desc Updates the payment status (and the order status for full refunds) from the refund ledger.
+ * Called whenever a refund is added or changes status.
+ */
+OrderSchema.methods.syncRefundStatus = function() {
+  const refundedAmount = this.getRefundedAmount();
+  const wasFullyRefunded = this.paymentInfo.status === 'refunded';
+
+  if (refundedAmount <= 0) {
+    this.paymentInfo.status = 'paid';
+  } else if (refundedAmount >= this.totalAmount) {
+    this.paymentInfo.status = 'refunded';
+    this.status = 'refunded';
+  } else {
+    this.paymentInfo.status = 'partially_refunded';
+  }
+
+  // A failed refund can take a fully refunded order back to its previous status
+  if (wasFullyRefunded && this.paymentInfo.status !== 'refunded' && this.status === 'refunded') {
+    const previousEvent = [...this.timeline].reverse().find(e => e.status !== 'refunded');
+    this.status = previousEvent ? previousEvent.status : 'processing';
+  }
+};
+
 OrderSchema.statics.getTotalSales = async function(startDate, endDate) {
   const matchStage = {
-    'paymentInfo.status': 'paid'
+    'paymentInfo.status': { $in: ['paid', 'partially_refunded'] }
   };
   
   if (startDate && endDate) {
@@ -276,4 +635,7 @@ OrderSchema.statics.getTotalSales = async function(startDate, endDate) {
   return result.length > 0 ? result[0].totalSales : 0;
 };
 
+OrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+OrderSchema.statics.SHIPMENT_STATUSES = SHIPMENT_STATUSES;
+
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const { BUNDLE_PRICING_TYPES, priceBundle, queueBundleSync } = require('../utils/bundle.util');
 
 const StockAdjustmentSchema = new mongoose.Schema({
     variantId: { type: mongoose.Schema.Types.ObjectId, default: null }, // null for main product
@@ -7,7 +8,8 @@ const StockAdjustmentSchema = new mongoose.Schema({
     reason: { type: String, required: true },
     previousStock: { type: Number, required: true },
     newStock: { type: Number, required: true },
-    adjustedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    adjustedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for automatic adjustments
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
 }, { timestamps: { createdAt: 'adjustedAt' } });
 
 const VariantSchema = new mongoose.Schema({
@@ -19,6 +21,21 @@ const VariantSchema = new mongoose.Schema({
     isDefault: { type: Boolean, default: false },
 });
 
+// One item in a bundle: a product, or one of its variants, and how many go in each bundle
+const BundleComponentSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    quantity: { type: Number, required: true, min: [1, 'Component quantity must be at least 1'] },
+}, { _id: false });
+
+// A sale at a lower price between two times; the schedule job switches the price (see utils/productSchedule.util.js)
+const SaleSchema = new mongoose.Schema({
+    price: { type: Number, required: true, min: 0 },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, default: null },
+    status: { type: String, enum: ['scheduled', 'active', 'ended'], default: 'scheduled' },
+}, { _id: false });
+
 const ProductSchema = new mongoose.Schema(
     {
         name: {
@@ -30,6 +47,9 @@ const ProductSchema = new mongoose.Schema(
         slug: { type: String, unique: true, index: true },
         description: { type: String, required: [true, 'Please add a description'], maxlength: [2000, 'Description cannot be more than 2000 characters'] },
         price: { type: Number, required: [true, 'Please add a price'], min: 0 },
+        // While a sale is active, `price` is the sale price and `compareAtPrice` the regular price
+        compareAtPrice: { type: Number, min: 0, default: null },
+        sale: { type: SaleSchema, default: null },
         sku: { type: String, required: [true, 'Please add a SKU'], unique: true, trim: true },
         stockQuantity: { type: Number, required: [true, 'Please add a stock quantity'], min: 0 },
         reorderPoint: { type: Number, default: 10, min: 0 },
@@ -41,6 +61,15 @@ const ProductSchema = new mongoose.Schema(
         },
         ingredients: [{ type: String, trim: true }],
         variants: [VariantSchema],
+        // A bundle's price and stockQuantity are worked out from its components (see utils/bundle.util.js)
+        type: { type: String, enum: ['simple', 'bundle'], default: 'simple', index: true },
+        bundle: {
+            components: { type: [BundleComponentSchema], default: undefined },
+            pricing: {
+                type: { type: String, enum: BUNDLE_PRICING_TYPES },
+                value: { type: Number, min: 0 },
+            },
+        },
         stockAdjustments: [StockAdjustmentSchema],
         images: [{
             url: { type: String, required: true },
@@ -49,6 +78,8 @@ const ProductSchema = new mongoose.Schema(
             alt: { type: String, trim: true },
         }],
         status: { type: String, enum: ['draft', 'published', 'archived'], default: 'draft', index: true },
+        publishAt: { type: Date, default: null },
+        unpublishAt: { type: Date, default: null },
         featured: { type: Boolean, default: false },
         averageRating: { type: Number, min: 1, max: 5 },
         numReviews: { type: Number, default: 0, min: 0 },
@@ -69,6 +100,39 @@ ProductSchema.pre('save', function (next) {
     next();
 });
 
+// A bundle's price and stock come from its components, so work them out whenever it is saved
+ProductSchema.pre('validate', async function () {
+    if (this.type !== 'bundle' || !(this.isNew || this.isModified('bundle'))) return;
+    const { price, stockQuantity } = await priceBundle(this, this.$session());
+    this.price = price;
+    this.stockQuantity = stockQuantity;
+});
+
+// ...and keep the bundles a product belongs to in step with its stock and price, including
+// the atomic stock movements of `moveStock` (after the transaction, if there is one)
+ProductSchema.post('save', async function () {
+    if (this.type !== 'bundle') {
+        await queueBundleSync([this._id], this.$session());
+    }
+});
+
+ProductSchema.post('findOneAndUpdate', async function (doc) {
+    if (!doc) return;
+    const session = this.getOptions().session || null;
+    if (doc.type !== 'bundle') {
+        await queueBundleSync([doc._id], session);
+        return;
+    }
+    // Queries that did not return the components (a projection) have nothing to recalculate from
+    if (!doc.bundle?.components) return;
+    const { price, stockQuantity } = await priceBundle(doc, session);
+    if (price !== doc.price || stockQuantity !== doc.stockQuantity) {
+        await this.model.updateOne({ _id: doc._id }, { $set: { price, stockQuantity } }, { session });
+        doc.price = price;
+        doc.stockQuantity = stockQuantity;
+    }
+});
+
 /**
  * @desc Adjusts the stock quantity for the main product or a specific variant and logs the adjustment.
  * @param {object} options - Options for stock adjustment.
@@ -101,6 +165,53 @@ ProductSchema.methods.adjustStock = function({ adjustment, reason, userId, varia
     });
 };
 
+/**
+ * @desc Atomically moves stock for an order and logs the movement. Deductions only succeed
+ * when enough stock is available, so concurrent checkouts cannot oversell.
+ * @param {object} options - Options for the stock movement.
+ * @param {string} options.productId - The ID of the product.
+ * @param {string} [options.variantId=null] - The ID of the variant, or null for the main product.
+ * @param {number} options.adjustment - The quantity to add (positive) or remove (negative).
+ * @param {string} options.reason - The reason logged with the movement.
+ * @param {string} [options.orderId=null] - The order the movement belongs to.
+ * @param {string} [options.userId=null] - The user responsible, or null for automatic movements.
+ * @param {ClientSession} [options.session=null] - A transaction session to run the updates in.
+ * @returns {Promise<boolean>} False if the product or variant is missing or there is not enough stock.
+ */
+ProductSchema.statics.moveStock = async function({ productId, variantId = null, adjustment, reason, orderId = null, userId = null, session = null }) {
+    const filter = { _id: productId };
+    if (variantId) {
+        filter.variants = { $elemMatch: { _id: variantId, ...(adjustment < 0 && { stockQuantity: { $gte: -adjustment } }) } };
+    } else if (adjustment < 0) {
+        filter.stockQuantity = { $gte: -adjustment };
+    }
+
+    const stockPath = variantId ? 'variants.$[v].stockQuantity' : 'stockQuantity';
+    const product = await this.findOneAndUpdate(filter, { $inc: { [stockPath]: adjustment } }, {
+        new: true,
+        session,
+        projection: { stockQuantity: 1, variants: 1 },
+        ...(variantId && { arrayFilters: [{ 'v._id': variantId }] }),
+    });
+    if (!product) return false;
+
+    const newStock = variantId ? product.variants.id(variantId).stockQuantity : product.stockQuantity;
+    await this.updateOne({ _id: productId }, {
+        $push: {
+            stockAdjustments: {
+                variantId,
+                adjustment,
+                reason,
+                previousStock: newStock - adjustment,
+                newStock,
+                adjustedBy: userId,
+                order: orderId,
+            },
+        },
+    }, { session });
+    return true;
+};
+
 // Virtual for reviews
 ProductSchema.virtual('reviews', {
     ref: 'Review',
@@ -113,6 +224,9 @@ ProductSchema.virtual('reviews', {
 ProductSchema.index({ createdAt: -1 });
 ProductSchema.index({ updatedAt: -1, stockQuantity: 1 });
 ProductSchema.index({ name: 'text', sku: 'text' }); // Text index for search functionality
+ProductSchema.index({ publishAt: 1 }, { sparse: true });
+ProductSchema.index({ unpublishAt: 1 }, { sparse: true });
+ProductSchema.index({ 'sale.status': 1, 'sale.startsAt': 1, 'sale.endsAt': 1 });
 
 
 /**
@@ -122,6 +236,8 @@ ProductSchema.index({ name: 'text', sku: 'text' }); // Text index for search fun
  */
 ProductSchema.statics.getTotalInventoryValue = async function () {
     const result = await this.aggregate([
+        // Bundles hold no stock of their own; their components are counted instead
+        { $match: { type: { $ne: 'bundle' } } },
         {
             $project: {
                 _id: 0,
@@ -168,6 +284,7 @@ ProductSchema.statics.getTotalInventoryValue = async function () {
  */
 ProductSchema.statics.getInventorySummary = async function (lowStockThreshold) {
     const summaryData = await this.aggregate([
+        { $match: { type: { $ne: 'bundle' } } },
         {
             // Calculate total effective stock for each product (main + variants)
             $addFields: {
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A problem with one row of the uploaded CSV; row 1 is the header
+const ImportErrorSchema = new mongoose.Schema({
+  row: Number,
+  sku: String,
+  column: String,
+  message: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// One upload to the product CSV importer, kept so its progress and outcome can be checked later
+const ProductImportJobSchema = new mongoose.Schema({
+  fileName: String,
+  // A dry run only validates the file and never changes the catalog
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // `validated` and `invalid` are final for dry runs; a valid import is `queued` for the import job
+  status: {
+    type: String,
+    enum: ['validated', 'invalid', 'queued', 'processing', 'completed', 'failed'],
+    required: true
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  totalProducts: {
+    type: Number,
+    default: 0
+  },
+  processedProducts: {
+    type: Number,
+    default: 0
+  },
+  createdCount: {
+    type: Number,
+    default: 0
+  },
+  updatedCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: [ImportErrorSchema],
+  // The validated products waiting to be imported; only needed by the import job
+  items: {
+    type: [mongoose.Schema.Types.Mixed],
+    select: false
+  },
+  lastError: String,
+  startedAt: Date,
+  completedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ProductImportJobSchema.index({ createdAt: -1 });
+ProductImportJobSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('ProductImportJob', ProductImportJobSchema);
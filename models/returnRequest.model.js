@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+
+const ReturnItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.ObjectId,
+    required: true // _id of the line in the order's `items`
+  },
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  name: String,
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Set when the parcel arrives; may be lower than `quantity` if items are missing
+  receivedQuantity: {
+    type: Number,
+    min: [0, 'Received quantity cannot be negative']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  }
+}, { _id: false });
+
+const StatusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  note: String,
+  changedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Allowed status changes: requested → approved → received → refunded, or rejected before the refund
+const STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: ['refunded', 'rejected'],
+  refunded: [],
+  rejected: []
+};
+
+const ReturnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true,
+    trim: true
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  items: {
+    type: [ReturnItemSchema],
+    validate: [items => items.length > 0, 'Please select at least one item to return']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please provide a reason for the return'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot be more than 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'requested'
+  },
+  statusHistory: [StatusHistorySchema],
+  rejectionReason: String,
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  refundAmount: {
+    type: Number,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  // _id of the entry in the order's refund ledger
+  refundId: mongoose.Schema.ObjectId,
+  approvedAt: Date,
+  receivedAt: Date,
+  refundedAt: Date,
+  rejectedAt: Date,
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+ReturnRequestSchema.index({ order: 1 });
+ReturnRequestSchema.index({ user: 1, createdAt: -1 });
+ReturnRequestSchema.index({ status: 1, createdAt: -1 });
+
+ReturnRequestSchema.pre('save', function(next) {
+  if (this.isNew && !this.rmaNumber) {
+    // Generates a number like: RMA-1678886400000-AB12C
+    const randomComponent = Math.random().toString(36).substring(2, 7).toUpperCase();
+    this.rmaNumber = `RMA-${Date.now()}-${randomComponent}`;
+  }
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.user });
+  }
+  next();
+});
+
+/**
+ * @desc Checks whether the return can move to a given status.
+ * @param {string} status - The target status.
+ * @returns {boolean}
+ */
+ReturnRequestSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * @desc Moves the return to a new status and records it in the status history.
+ * The document is not saved.
+ * @param {string} status - The target status.
+ * @param {object} [options]
+ * @param {string} [options.note] - A note shown in the history.
+ * @param {string} [options.userId] - The user making the change.
+ */
+ReturnRequestSchema.methods.transitionTo = function(status, { note, userId } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change a ${this.status} return to ${status}`);
+  }
+
+  this.status = status;
+  this.updatedBy = userId;
+  this[`${status}At`] = new Date();
+  this.statusHistory.push({ status, note, changedBy: userId });
+};
+
+/**
+ * @desc Counts the units of each order line already covered by open or completed returns.
+ * Rejected returns are ignored so the customer can request them again.
+ * @param {string} orderId - The order id.
+ * @returns {Promise<Map<string, number>>} Quantities keyed by order item id.
+ */
+ReturnRequestSchema.statics.getReturnedQuantities = async function(orderId) {
+  const returns = await this.find({ order: orderId, status: { $ne: 'rejected' } }).select('items').lean();
+  const quantities = new Map();
+  returns.flatMap(r => r.items).forEach(item => {
+    const key = item.orderItem.toString();
+    quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+  });
+  return quantities;
+};
+
+module.exports = mongoose.model('ReturnRequest', ReturnRequestSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A named set of permissions given to `staff` accounts. The permission names are listed in utils/permissions.util.js.
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a role name'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Role name cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', RoleSchema);
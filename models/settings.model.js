@@ -41,6 +41,23 @@ const ShippingZoneSchema = new mongoose.Schema({
     }
 });
 
+const CarrierSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please add a carrier name'],
+        trim: true
+    },
+    // e.g. https://carrier.example/track?number={trackingNumber}
+    trackingUrlTemplate: {
+        type: String,
+        trim: true
+    },
+    active: {
+        type: Boolean,
+        default: true
+    }
+});
+
 const PaymentMethodSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -53,6 +70,8 @@ const PaymentMethodSchema = new mongoose.Schema({
     },
     description: String,
     instructions: String,
+    // Method specific settings. For `bank_transfer`: bankName, accountName, accountNumber and
+    // expiryDays (how long the customer has to pay before the order is cancelled)
     config: {
         type: mongoose.Schema.Types.Mixed,
         default: {}
@@ -100,6 +119,7 @@ const SettingsSchema = new mongoose.Schema({
     },
     shipping: {
         zones: [ShippingZoneSchema],
+        carriers: [CarrierSchema],
     },
     payment: {
         methods: [PaymentMethodSchema],
@@ -119,6 +139,48 @@ const SettingsSchema = new mongoose.Schema({
         type: Number,
         default: 5
     },
+    returns: {
+        enabled: { type: Boolean, default: true },
+        // Number of days after delivery during which a customer can request a return
+        windowDays: { type: Number, default: 14, min: [0, 'Return window cannot be negative'] }
+    },
+    cashOnDelivery: {
+        // Shipping zones where cash on delivery is offered; empty means every zone
+        allowedZones: [{ type: mongoose.Schema.ObjectId }],
+        // Orders above this total must be paid upfront; 0 means no limit
+        maxOrderValue: { type: Number, default: 0, min: [0, 'Maximum order value cannot be negative'] },
+        // Customers flagged by an admin (e.g. for refusing deliveries) cannot pay on delivery
+        blockFlaggedCustomers: { type: Boolean, default: true }
+    },
+    abandonedCarts: {
+        enabled: { type: Boolean, default: true },
+        // How long a customer's cart must sit untouched before the first recovery email
+        idleHours: { type: Number, default: 4, min: [1, 'Carts must be idle for at least 1 hour'] },
+        // Time between one recovery email and the next
+        followUpHours: { type: Number, default: 24, min: [1, 'Follow-up emails must be at least 1 hour apart'] },
+        maxEmails: {
+            type: Number,
+            default: 3,
+            min: [1, 'At least one recovery email must be sent'],
+            max: [3, 'No more than three recovery emails can be sent']
+        },
+        // How long the restore link in each email works; orders placed within this time count as recovered
+        linkExpiryDays: { type: Number, default: 7, min: [1, 'Restore links must last at least 1 day'] }
+    },
+    security: {
+        // Staff accounts must set up two-factor authentication before using the admin routes (superadmin only)
+        requireStaffTwoFactor: { type: Boolean, default: false }
+    },
+    emailVerification: {
+        // Whether customers who have not confirmed their email address can place orders and leave reviews
+        allowUnverifiedOrders: { type: Boolean, default: true },
+        allowUnverifiedReviews: { type: Boolean, default: true },
+        linkExpiryHours: { type: Number, default: 24, min: [1, 'Verification links must last at least 1 hour'] }
+    },
+    inventory: {
+        // How long stock stays reserved for an unpaid card order before the order is cancelled
+        reservationMinutes: { type: Number, default: 30, min: [5, 'Reservations must last at least 5 minutes'] }
+    },
     updatedBy: {
         type: mongoose.Schema.ObjectId,
         ref: 'User'
@@ -149,7 +211,7 @@ SettingsSchema.statics.getSettings = async function() {
             payment: {
                 methods: [
                     { name: 'paystack', displayName: 'Pay with Card', description: 'Pay securely with your credit/debit card', active: true },
-                    { name: 'bank_transfer', displayName: 'Bank Transfer', description: 'Make a direct bank transfer', instructions: 'Please transfer the total amount to the following account...', active: true },
+                    { name: 'bank_transfer', displayName: 'Bank Transfer', description: 'Make a direct bank transfer', instructions: 'Please transfer the total amount to the account below, quoting your order number, then upload your receipt.', config: { bankName: '', accountName: '', accountNumber: '', expiryDays: 2 }, active: true },
                     { name: 'cash_on_delivery', displayName: 'Cash on Delivery', description: 'Pay when you receive your order', active: true },
                 ],
                 defaultMethod: 'paystack',
@@ -5,6 +5,26 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 
+// A labelled entry in the customer's address book
+const AddressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Please add a label for the address, e.g. Home or Office'],
+    trim: true,
+    maxlength: [30, 'Address label cannot be more than 30 characters'],
+  },
+  firstName: { type: String, trim: true },
+  lastName: { type: String, trim: true },
+  phone: { type: String, trim: true },
+  street: { type: String, required: [true, 'Please add a street'], trim: true },
+  city: { type: String, required: [true, 'Please add a city'], trim: true },
+  state: { type: String, required: [true, 'Please add a state'], trim: true },
+  postalCode: { type: String, trim: true },
+  country: { type: String, default: 'Nigeria', trim: true },
+  isDefaultShipping: { type: Boolean, default: false },
+  isDefaultBilling: { type: Boolean, default: false },
+}, { timestamps: true });
+
 const UserSchema = new mongoose.Schema({
   firstName: {
     type: String,
@@ -31,9 +51,14 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['customer', 'admin', 'superadmin'],
+    enum: ['customer', 'staff', 'admin', 'superadmin'],
     default: 'customer',
   },
+  // The permissions of a `staff` account; admins and superadmins have every permission
+  staffRole: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Role',
+  },
   password: {
     type: String,
     required: [true, 'Please add a password'],
@@ -47,8 +72,42 @@ const UserSchema = new mongoose.Schema({
     postalCode: { type: String, trim: true },
     country: { type: String, default: 'Nigeria', trim: true },
   },
+  addresses: {
+    type: [AddressSchema],
+    validate: [addresses => addresses.length <= 20, 'You can save up to 20 addresses'],
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: Date,
+  emailVerificationToken: String,
+  emailVerificationExpire: Date,
+  // Two-factor authentication (staff accounts); the secret and recovery codes never leave the server
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // Secret generated by setup and waiting for a first valid code before it is switched on
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false,
+  },
   active: {
     type: Boolean,
     default: true,
@@ -103,9 +162,27 @@ UserSchema.pre('save', async function (next) {
   next();
 });
 
-UserSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id, role: this.role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// The address book always has a default shipping and billing address while it has any addresses
+UserSchema.pre('save', function (next) {
+  if (this.isModified('addresses') && this.addresses.length > 0) {
+    if (!this.addresses.some(address => address.isDefaultShipping)) {
+      this.addresses[0].isDefaultShipping = true;
+    }
+    if (!this.addresses.some(address => address.isDefaultBilling)) {
+      this.addresses[0].isDefaultBilling = true;
+    }
+  }
+  next();
+});
+
+/**
+ * @desc Signs a short-lived access token for one of the user's sessions.
+ * @param {string} sessionId - The AuthSession the token belongs to; revoking it rejects the token.
+ * @returns {string}
+ */
+UserSchema.methods.getSignedJwtToken = function (sessionId) {
+  return jwt.sign({ id: this._id, role: this.role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
   });
 };
 
@@ -120,4 +197,31 @@ UserSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+/**
+ * @desc Generates an email verification token, storing its hash on the user.
+ * @param {number} [expiresInHours=24]
+ * @returns {string} The unhashed token for the verification link.
+ */
+UserSchema.methods.getEmailVerificationToken = function (expiresInHours = 24) {
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpire = Date.now() + expiresInHours * 60 * 60 * 1000;
+  return verificationToken;
+};
+
+/**
+ * @desc Makes an address the default for shipping and/or billing, clearing the flag on the others.
+ * @param {string} addressId - The address in `addresses`.
+ * @param {Object} kinds
+ * @param {boolean} [kinds.shipping=false]
+ * @param {boolean} [kinds.billing=false]
+ */
+UserSchema.methods.setDefaultAddress = function (addressId, { shipping = false, billing = false } = {}) {
+  this.addresses.forEach((address) => {
+    const isTarget = address._id.toString() === addressId.toString();
+    if (shipping) address.isDefaultShipping = isTarget;
+    if (billing) address.isDefaultBilling = isTarget;
+  });
+};
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const WebhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['paystack'],
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Unique per provider event, used to make webhook handling idempotent
+  eventKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  reference: String,
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order'
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  error: String,
+  payload: mongoose.Schema.Types.Mixed,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+WebhookEventSchema.index({ reference: 1 });
+WebhookEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
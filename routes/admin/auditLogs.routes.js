@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getAuditLogs,
+  exportAuditLogs
+} = require('../../controllers/admin/auditLogs.controller');
+
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requirePermission('audit.view'));
+
+router
+  .route('/')
+  .get(getAuditLogs);
+
+router
+  .route('/export')
+  .get(exportAuditLogs);
+
+module.exports = router;
@@ -7,24 +7,24 @@ const {
   deleteCategory
 } = require('../../controllers/admin/categories.controller');
 
-const { protect, authorize } = require('../../middleware/auth.middleware');
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
 const { upload } = require('../../middleware/upload.middleware');
 
 const router = express.Router();
 
 // Apply protection and authorization to all routes
 router.use(protect);
-router.use(authorize('admin', 'superadmin'));
+router.use(requirePermission('products.view'));
 
 router
   .route('/')
   .get(getCategories)
-  .post(upload.single('image'), createCategory);
+  .post(requirePermission('products.write'), upload.single('image'), createCategory);
 
 router
   .route('/:id')
   .get(getCategory)
-  .put(upload.single('image'), updateCategory)
-  .delete(deleteCategory);
+  .put(requirePermission('products.write'), upload.single('image'), updateCategory)
+  .delete(requirePermission('products.write'), deleteCategory);
 
 module.exports = router;
\ No newline at end of file
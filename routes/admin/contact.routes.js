@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../../middleware/auth.middleware');
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
 const {
   getContactMessages,
   getContactMessage,
@@ -10,12 +10,12 @@ const {
 
 // All routes require admin authentication
 router.use(protect);
-router.use(authorize('admin', 'superadmin'));
+router.use(requirePermission('contact.view'));
 
 // Routes
 router.get('/', getContactMessages);
 router.get('/:id', getContactMessage);
-router.put('/:id', updateContactMessage);
-router.delete('/:id', deleteContactMessage);
+router.put('/:id', requirePermission('contact.write'), updateContactMessage);
+router.delete('/:id', requirePermission('contact.write'), deleteContactMessage);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../../controllers/admin/coupons.controller');
+
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requirePermission('coupons.view'));
+
+router
+  .route('/')
+  .get(getCoupons)
+  .post(requirePermission('coupons.write'), createCoupon);
+
+router
+  .route('/:id')
+  .get(getCoupon)
+  .put(requirePermission('coupons.write'), updateCoupon)
+  .delete(requirePermission('coupons.write'), deleteCoupon);
+
+module.exports = router;
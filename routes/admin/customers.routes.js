@@ -14,22 +14,22 @@ const {
   deactivateCustomer,
 } = require('../../controllers/admin/customers.controller');
 
-const { protect, authorize } = require('../../middleware/auth.middleware');
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
 
 const router = express.Router();
 
 router.use(protect);
-router.use(authorize('admin', 'superadmin'));
+router.use(requirePermission('customers.view'));
 
 router
   .route('/')
   .get(getCustomers)
-  .post(createCustomer);
+  .post(requirePermission('customers.write'), createCustomer);
 
 router
   .route('/:id')
   .get(getCustomer)
-  .put(updateCustomer);
+  .put(requirePermission('customers.write'), updateCustomer);
 
 router
   .route('/:id/orders')
@@ -38,11 +38,11 @@ router
 router
   .route('/:id/notes')
   .get(getCustomerNotes)
-  .post(addCustomerNote);
+  .post(requirePermission('customers.write'), addCustomerNote);
 
 router
   .route('/:id/notes/:noteId')
-  .delete(deleteCustomerNote);
+  .delete(requirePermission('customers.write'), deleteCustomerNote);
 
 router
   .route('/:id/reviews')
@@ -50,14 +50,14 @@ router
 
 router
   .route('/:id/vip')
-  .put(updateCustomerVip);
+  .put(requirePermission('customers.write'), updateCustomerVip);
 
 router
   .route('/:id/flag')
-  .put(updateCustomerFlag);
+  .put(requirePermission('customers.write'), updateCustomerFlag);
 
 router
   .route('/:id/deactivate')
-  .put(deactivateCustomer);
+  .put(requirePermission('customers.write'), deactivateCustomer);
 
 module.exports = router;
\ No newline at end of file
@@ -5,13 +5,13 @@ const {
   getActivityFeed
 } = require('../../controllers/admin/dashboard.controller');
 
-const { protect, authorize } = require('../../middleware/auth.middleware');
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
 
 const router = express.Router();
 
 // Apply protection and authorization to all routes
  router.use(protect);
- router.use(authorize('admin', 'superadmin'));
+ router.use(requirePermission('dashboard.view'));
 
 // --- Main Dashboard Endpoints ---
 router.get('/summary', getDashboardSummary);
@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  getEmails,
+  getEmail,
+  retryEmail
+} = require('../../controllers/admin/emails.controller');
+
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requirePermission('emails.view'));
+
+router
+  .route('/')
+  .get(getEmails);
+
+router
+  .route('/:id')
+  .get(getEmail);
+
+router
+  .route('/:id/retry')
+  .post(requirePermission('emails.retry'), retryEmail);
+
+module.exports = router;
@@ -10,9 +10,23 @@ const customersRoutes = require('./customers.routes');
 const inventoryRoutes = require('./inventory.routes');
 const settingsRoutes = require('./settings.routes');
 const contactRoutes = require('./contact.routes');
+const couponsRoutes = require('./coupons.routes');
+const returnsRoutes = require('./returns.routes');
+const emailsRoutes = require('./emails.routes');
+const paymentsRoutes = require('./payments.routes');
+const rolesRoutes = require('./roles.routes');
+const auditLogsRoutes = require('./auditLogs.routes');
+const { auditAdminChanges } = require('../../middleware/audit.middleware');
+const { protect } = require('../../middleware/auth.middleware');
 
 const router = express.Router();
 
+// Every admin route needs a login; authenticate first so anonymous requests never reach the audit reads
+router.use(protect);
+
+// Record who changed what through any admin route
+router.use(auditAdminChanges);
+
 // Mount admin route modules
 router.use('/users', usersRoutes);
 router.use('/dashboard', dashboardRoutes);
@@ -23,5 +37,11 @@ router.use('/customers', customersRoutes);
 router.use('/inventory', inventoryRoutes);
 router.use('/settings', settingsRoutes);
 router.use('/contact', contactRoutes);
+router.use('/coupons', couponsRoutes);
+router.use('/returns', returnsRoutes);
+router.use('/emails', emailsRoutes);
+router.use('/payments', paymentsRoutes);
+router.use('/roles', rolesRoutes);
+router.use('/audit-logs', auditLogsRoutes);
 
 module.exports = router;
\ No newline at end of file
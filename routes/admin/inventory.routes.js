@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../../middleware/auth.middleware');
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
 const {
   getInventory,
   getLowStockProducts,
@@ -13,13 +13,13 @@ const {
 } = require('../../controllers/admin/inventory.controller');
 
 router.use(protect);
-router.use(authorize('admin', 'superadmin'));
+router.use(requirePermission('inventory.view'));
 
 router.route('/').get(getInventory);
 router.route('/low-stock').get(getLowStockProducts);
 router.route('/out-of-stock').get(getOutOfStockProducts);
 router.route('/:id').get(getInventoryItem);
-router.route('/:id/adjust').put(adjustStock);
+router.route('/:id/adjust').put(requirePermission('inventory.adjust'), adjustStock);
 router.route('/:id/history').get(getStockHistory);
 router.route('/report').get(generateInventoryReport);
 router.route('/export').get(exportInventoryCSV);
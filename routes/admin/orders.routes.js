@@ -5,38 +5,63 @@ const {
   updateOrderStatus,
   addOrderNote,
   processRefund,
-  sendOrderEmail
+  sendOrderEmail,
+  createShipment,
+  addShipmentEvent,
+  getInvoice,
+  getPackingSlip,
+  getBulkPackingSlips
 } = require('../../controllers/admin/orders.controller');
 
-const { protect, authorize } = require('../../middleware/auth.middleware');
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
 
 const router = express.Router();
 
 router.use(protect);
-router.use(authorize('admin', 'superadmin'));
+router.use(requirePermission('orders.view'));
 
 router
   .route('/')
   .get(getOrders);
 
+router
+  .route('/packing-slips')
+  .post(getBulkPackingSlips);
+
 router
   .route('/:id')
   .get(getOrder);
 
+router
+  .route('/:id/invoice')
+  .get(getInvoice);
+
+router
+  .route('/:id/packing-slip')
+  .get(getPackingSlip);
+
 router
   .route('/:id/status')
-  .put(updateOrderStatus);
+  .put(requirePermission('orders.fulfil'), updateOrderStatus);
 
 router
   .route('/:id/notes')
-  .post(addOrderNote);
+  .post(requirePermission('orders.fulfil'), addOrderNote);
+
+router
+  .route('/:id/shipments')
+  .post(requirePermission('orders.fulfil'), createShipment);
+
+router
+  .route('/:id/shipments/:shipmentId/events')
+  .post(requirePermission('orders.fulfil'), addShipmentEvent);
 
 router
   .route('/:id/refund')
-  .post(processRefund);
+  .post(requirePermission('orders.refund'), processRefund);
 
 router
   .route('/:id/email')
-  .post(sendOrderEmail);
+  .post(requirePermission('orders.fulfil'), sendOrderEmail);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,44 @@
+const express = require('express');
+const {
+  getPendingTransfers,
+  confirmTransfer,
+  rejectTransfer,
+  getOutstandingCodOrders,
+  getCodRemittances,
+  getCodRemittance,
+  createCodRemittance
+} = require('../../controllers/admin/payments.controller');
+
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requirePermission('payments.view'));
+
+router
+  .route('/pending-transfers')
+  .get(getPendingTransfers);
+
+router
+  .route('/pending-transfers/:id/confirm')
+  .put(requirePermission('payments.verify'), confirmTransfer);
+
+router
+  .route('/pending-transfers/:id/reject')
+  .put(requirePermission('payments.verify'), rejectTransfer);
+
+router
+  .route('/cod-outstanding')
+  .get(getOutstandingCodOrders);
+
+router
+  .route('/cod-remittances')
+  .get(getCodRemittances)
+  .post(requirePermission('payments.verify'), createCodRemittance);
+
+router
+  .route('/cod-remittances/:id')
+  .get(getCodRemittance);
+
+module.exports = router;
@@ -10,34 +10,46 @@ const {
   setMainProductImage,
   generateSKU,
   generateVariantSKU,
+  importProducts,
+  getProductImports,
+  getProductImport,
+  exportProducts,
 } = require('../../controllers/admin/products.controller');
-const { protect, authorize } = require('../../middleware/auth.middleware');
-const { upload, cleanupFiles } = require('../../middleware/upload.middleware');
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
+const { upload, csvUpload, cleanupFiles } = require('../../middleware/upload.middleware');
 
 const router = express.Router();
 
 router.use(protect);
-router.use(authorize('admin', 'superadmin'));
+router.use(requirePermission('products.view'));
 
 router.route('/sku').get(generateSKU);
-router.route('/variant-sku').post(generateVariantSKU); 
+router.route('/variant-sku').post(requirePermission('products.write'), generateVariantSKU); 
+
+router.route('/export').get(exportProducts);
+
+router.route('/import')
+  .get(getProductImports)
+  .post(requirePermission('products.write'), csvUpload.single('file'), importProducts);
+
+router.route('/import/:jobId').get(getProductImport);
 
 router.route('/')
   .get(getProducts)
-  .post(createProduct);
+  .post(requirePermission('products.write'), createProduct);
 
 router.route('/:id')
   .get(getProduct)
-  .put(updateProduct)
-  .delete(deleteProduct);
+  .put(requirePermission('products.write'), updateProduct)
+  .delete(requirePermission('products.write'), deleteProduct);
 
 router.route('/:id/images')
-  .post(upload.array('images', 5), uploadProductImages); 
+  .post(requirePermission('products.write'), upload.array('images', 5), uploadProductImages); 
 
 router.route('/:id/images/:imageId')
-  .delete(deleteProductImage);
+  .delete(requirePermission('products.write'), deleteProductImage);
 
 router.route('/:id/images/:imageId/main')
-  .put(setMainProductImage);
+  .put(requirePermission('products.write'), setMainProductImage);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,42 @@
+const express = require('express');
+const {
+  getReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn
+} = require('../../controllers/admin/returns.controller');
+
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requirePermission('returns.view'));
+
+router
+  .route('/')
+  .get(getReturns);
+
+router
+  .route('/:id')
+  .get(getReturn);
+
+router
+  .route('/:id/approve')
+  .put(requirePermission('returns.manage'), approveReturn);
+
+router
+  .route('/:id/reject')
+  .put(requirePermission('returns.manage'), rejectReturn);
+
+router
+  .route('/:id/receive')
+  .put(requirePermission('returns.manage'), receiveReturn);
+
+router
+  .route('/:id/refund')
+  .post(requirePermission('orders.refund'), refundReturn);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const {
+  getPermissions,
+  getRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../../controllers/admin/roles.controller');
+
+const { protect, authorize } = require('../../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Only superadmins decide what each role can do
+router.use(protect);
+router.use(authorize('superadmin'));
+
+router
+  .route('/permissions')
+  .get(getPermissions);
+
+router
+  .route('/')
+  .get(getRoles)
+  .post(createRole);
+
+router
+  .route('/:id')
+  .get(getRole)
+  .put(updateRole)
+  .delete(deleteRole);
+
+module.exports = router;
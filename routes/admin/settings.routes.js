@@ -14,46 +14,46 @@ const {
   deleteRateFromZone
 } = require('../../controllers/admin/settings.controller');
 
-const { protect, authorize } = require('../../middleware/auth.middleware');
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
 const router = express.Router();
 
 // ... (your existing router.use middleware is perfect)
 router.use(protect);
-router.use(authorize('admin', 'superadmin'));
+router.use(requirePermission('settings.view'));
 
 router
   .route('/')
   .get(getSettings)
-  .put(updateSettings);
+  .put(requirePermission('settings.write'), updateSettings);
 
 // --- Shipping zones routes ---
 router
   .route('/shipping-zones')
-  .post(addShippingZone);
+  .post(requirePermission('settings.write'), addShippingZone);
 
 router
   .route('/shipping-zones/:id')
-  .put(updateShippingZone)
-  .delete(deleteShippingZone);
+  .put(requirePermission('settings.write'), updateShippingZone)
+  .delete(requirePermission('settings.write'), deleteShippingZone);
 
 // --- NEW: Shipping rates routes (nested under zones) ---
 router
   .route('/shipping-zones/:zoneId/rates')
-  .post(addRateToZone);
+  .post(requirePermission('settings.write'), addRateToZone);
 
 router
   .route('/shipping-zones/:zoneId/rates/:rateId')
-  .put(updateRateInZone)
-  .delete(deleteRateFromZone);
+  .put(requirePermission('settings.write'), updateRateInZone)
+  .delete(requirePermission('settings.write'), deleteRateFromZone);
 
 // --- Payment methods routes (unchanged) ---
 router
   .route('/payment-methods')
-  .post(addPaymentMethod);
+  .post(requirePermission('settings.write'), addPaymentMethod);
 
 router
   .route('/payment-methods/:id')
-  .put(updatePaymentMethod)
-  .delete(deletePaymentMethod);
+  .put(requirePermission('settings.write'), updatePaymentMethod)
+  .delete(requirePermission('settings.write'), deletePaymentMethod);
 
 module.exports = router;
\ No newline at end of file
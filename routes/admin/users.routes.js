@@ -7,13 +7,13 @@ const {
   deleteUser
 } = require('../../controllers/admin/users.controller');
 
-const { protect, authorize } = require('../../middleware/auth.middleware');
+const { protect, requirePermission } = require('../../middleware/auth.middleware');
 
 const router = express.Router();
 
 // Apply protection and authorization to all routes
 router.use(protect);
-router.use(authorize('admin', 'superadmin'));
+router.use(requirePermission('users.manage'));
 
 router
   .route('/')
@@ -1,4 +1,5 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const {
   login,
   adminLogin,
@@ -9,25 +10,66 @@ const {
   logout,
   forgotPassword,
   resetPassword,
-  verifyResetToken
+  verifyResetToken,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshToken,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } = require('../controllers/auth.controller');
 
 const { protect } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
+// Slows down guessing of two-factor codes
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: { success: false, error: 'Too many verification attempts. Please try again later.' }
+});
+
+// Each account can ask for a new verification link a few times an hour
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  keyGenerator: (req) => req.user.id,
+  message: { success: false, error: 'Too many verification emails requested. Please try again later.' }
+});
+
 // Public routes
 router.post('/login', login);
 router.post('/admin/login', adminLogin);
+router.post('/login/2fa', twoFactorLimiter, verifyTwoFactorLogin);
 router.post('/register', register);
+router.post('/refresh', refreshToken);
 router.post('/forgotpassword', forgotPassword);
 router.get('/resetpassword/:resettoken', verifyResetToken);
 router.put('/resetpassword/:resettoken', resetPassword);
+router.post('/verify-email/resend', protect, verificationEmailLimiter, resendVerificationEmail);
+router.post('/verify-email/:token', verifyEmail);
 
 // Protected routes
 router.get('/me', protect, getMe);
 router.put('/updatedetails', protect, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
 router.get('/logout', protect, logout);
+router.post('/logout-all', protect, logoutAll);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
+// Two-factor authentication (staff accounts)
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, twoFactorLimiter, enableTwoFactor);
+router.post('/2fa/disable', protect, twoFactorLimiter, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, twoFactorLimiter, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
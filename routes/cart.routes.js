@@ -7,16 +7,21 @@ const {
   clearCart,
   applyCoupon,
   removeCoupon,
+  restoreCart,
 } = require('../controllers/cart.controller');
-const { protect, authorize } = require('../middleware/auth.middleware');
+const { protect, authorize, optionalAuth } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
-// Public routes (accessible to guests and authenticated users)
-router.route('/').get(getCart).post(addToCart).delete(clearCart);
-router.route('/:itemId').put(updateCartItem).delete(removeCartItem);
-
 // Protected routes (require authentication)
+// Declared before '/:itemId' so DELETE /coupon is not treated as an item id
 router.route('/coupon').post(protect, authorize('customer'), applyCoupon).delete(protect, authorize('customer'), removeCoupon);
 
+// Public routes (accessible to guests and authenticated users)
+// The signed token in the recovery email identifies the customer whose cart is rebuilt
+router.post('/restore', restoreCart);
+// Logged in customers use their saved cart, guests the session cart
+router.route('/').get(optionalAuth, getCart).post(optionalAuth, addToCart).delete(optionalAuth, clearCart);
+router.route('/:itemId').put(optionalAuth, updateCartItem).delete(optionalAuth, removeCartItem);
+
 module.exports = router;
\ No newline at end of file
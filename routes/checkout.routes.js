@@ -4,13 +4,18 @@ const {
   initializeCheckout,
   getCheckoutSession,
   updateShipping,
-  updatePayment
+  updatePayment,
+  placeCheckoutOrder
 } = require('../controllers/checkout.controller');
+const { optionalAuth } = require('../middleware/auth.middleware');
+
+// Public routes; logged in customers check out their saved cart
+router.use(optionalAuth);
 
-// Public routes
 router.post('/initialize', initializeCheckout);
 router.get('/', getCheckoutSession);
 router.post('/shipping', updateShipping);
 router.post('/payment', updatePayment);
+router.post('/place-order', placeCheckoutOrder);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
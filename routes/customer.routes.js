@@ -3,8 +3,15 @@ const {
   register,
   getProfile,
   updateProfile,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
   getOrders,
   getOrder,
+  getOrderInvoice,
+  requestReturn,
+  getReturns,
   getRecentlyViewed,
   addToRecentlyViewed,
   getWishlist,
@@ -27,9 +34,22 @@ router.use(authorize('customer'));
 router.get('/profile', getProfile);
 router.put('/profile', updateProfile);
 
+// Address book routes
+router.route('/addresses')
+  .get(getAddresses)
+  .post(addAddress);
+router.route('/addresses/:addressId')
+  .put(updateAddress)
+  .delete(deleteAddress);
+
 // Order routes
 router.get('/orders', getOrders);
 router.get('/orders/:id', getOrder);
+router.get('/orders/:id/invoice', getOrderInvoice);
+router.post('/orders/:id/returns', requestReturn);
+
+// Return routes
+router.get('/returns', getReturns);
 
 // Recently viewed routes
 router.get('/recently-viewed', getRecentlyViewed);
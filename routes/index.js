@@ -11,6 +11,7 @@ const orderRoutes = require('./order.routes');
 const checkoutRoutes = require('./checkout.routes');
 const searchRoutes = require('./search.routes');
 const contactRoutes = require('./contact.routes');
+const paymentRoutes = require('./payment.routes');
 
 const router = express.Router();
 
@@ -25,6 +26,7 @@ router.use('/orders', orderRoutes);
 router.use('/checkout', checkoutRoutes);
 router.use('/search', searchRoutes);
 router.use('/contact', contactRoutes);
+router.use('/payments', paymentRoutes);
 
 // API health check route
 router.get('/health', (req, res) => {
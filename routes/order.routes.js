@@ -10,19 +10,22 @@ const {
   cancelOrder,
   trackOrder,
   initializePayment,
-  verifyPayment
+  verifyPayment,
+  submitBankTransferProof
 } = require('../controllers/order.controller');
 
 // Import your authentication middleware
-const { protect } = require('../middleware/auth.middleware'); // Assuming you have this
+const { protect, optionalAuth } = require('../middleware/auth.middleware'); // Assuming you have this
+const { upload } = require('../middleware/upload.middleware');
 
 // --- Public Routes ---
 router.get('/shipping-rates', getShippingRates);
 router.get('/payment-methods', getPaymentMethods);
-router.post('/', createOrder); // Allows guest and authenticated creation
+router.post('/', optionalAuth, createOrder); // Allows guest and authenticated creation
 router.get('/verify-payment/:reference', verifyPayment);
 router.get('/:id', getOrder);
 router.post('/:id/initialize-payment', initializePayment);
+router.post('/:id/bank-transfer-proof', upload.single('receipt'), submitBankTransferProof);
 router.get('/:id/tracking', trackOrder);
 
 // --- Private Routes (Require Authentication) ---
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { handlePaystackWebhook } = require('../controllers/payment.controller');
+
+// Payment provider webhooks (authenticated by signature, not by user session)
+router.post('/paystack/webhook', handlePaystackWebhook);
+
+module.exports = router;
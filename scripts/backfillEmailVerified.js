@@ -0,0 +1,30 @@
+// scripts/backfillEmailVerified.js
+// Marks customers who registered before email verification existed as verified, so turning off
+// `emailVerification.allowUnverifiedOrders` or `allowUnverifiedReviews` does not lock them out.
+// Accounts created since then always have `emailVerified` stored and are left alone.
+// Safe to run more than once: node scripts/backfillEmailVerified.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/user.model');
+
+dotenv.config();
+
+const backfillEmailVerified = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const result = await User.updateMany(
+      { role: 'customer', emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+    console.log(`Marked ${result.modifiedCount} existing customer(s) as verified`);
+  } catch (err) {
+    console.error('Error:', err);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+backfillEmailVerified();
@@ -20,6 +20,9 @@ const connectDB = require('./config/db');
 // Import routes
 const routes = require('./routes');
 
+// Import background jobs
+const { startJobs } = require('./jobs');
+
 // Import error handler middleware
 const { errorHandler } = require('./middleware/error.middleware');
 
@@ -34,8 +37,12 @@ const isProduction = process.env.NODE_ENV === 'production';
 // ADDED: Trust the first proxy in front of the app (essential for secure cookies in production)
 app.set('trust proxy', 1);
 
-// Body parser
-app.use(express.json());
+// Body parser (the raw body is kept for verifying webhook signatures)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Cookie parser
 app.use(cookieParser());
@@ -125,6 +132,7 @@ const PORT = process.env.PORT || 5000;
 
 const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+  startJobs();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,275 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const mongoose = require('mongoose');
+
+// Nothing here talks to MongoDB; fail fast if a query slips through unmocked
+mongoose.set('bufferCommands', false);
+
+const emailUtil = require('../utils/email.util');
+const queueEmail = mock.method(emailUtil, 'queueEmailSafely', () => {});
+
+const Order = require('../models/order.model');
+const WebhookEvent = require('../models/webhookEvent.model');
+const paystackUtil = require('../utils/paystack.util');
+const { applySuccessfulCharge } = require('../utils/payment.util');
+const { handlePaystackWebhook } = require('../controllers/payment.controller');
+
+const SECRET = 'sk_test_secret';
+
+const buildOrder = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: 'SL-0001',
+  totalAmount: 15000,
+  status: 'pending',
+  paymentInfo: { status: 'pending', reference: 'SL-0001' },
+  shippingAddress: { email: 'ada@example.com' },
+  timeline: [],
+  save: mock.fn(async () => {}),
+  ...overrides,
+});
+
+const buildCharge = (overrides = {}) => ({
+  id: 4099,
+  reference: 'SL-0001',
+  status: 'success',
+  amount: 1500000,
+  currency: 'NGN',
+  channel: 'card',
+  paid_at: '2026-10-18T10:00:00.000Z',
+  authorization: { bank: 'Test Bank', card_type: 'visa', last4: '4081' },
+  ...overrides,
+});
+
+const sign = body => crypto.createHmac('sha512', SECRET).update(body).digest('hex');
+
+// Calls the webhook handler the way Express would, with the raw body kept for the signature
+const deliverWebhook = async (payload, { signature } = {}) => {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  const req = {
+    headers: { 'x-paystack-signature': signature ?? sign(rawBody) },
+    rawBody,
+    body: payload,
+  };
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let error = null;
+  await handlePaystackWebhook(req, res, (err) => { error = err; });
+  return { res, error };
+};
+
+const buildWebhookEvent = (fields) => ({
+  attempts: 0,
+  ...fields,
+  save: mock.fn(async () => {}),
+});
+
+describe('applySuccessfulCharge', () => {
+  beforeEach(() => mock.method(console, 'error', () => {}));
+  afterEach(() => console.error.mock.restore());
+
+  it('marks a fully paid order as paid and processing', async () => {
+    const order = buildOrder();
+    const result = await applySuccessfulCharge(order, buildCharge());
+
+    assert.deepEqual(result, { applied: true, alreadyPaid: false, amountMismatch: false });
+    assert.equal(order.paymentInfo.status, 'paid');
+    assert.equal(order.paymentInfo.transactionId, '4099');
+    assert.equal(order.paymentInfo.details.last4, '4081');
+    assert.equal(order.status, 'processing');
+    assert.equal(order.timeline.length, 1);
+  });
+
+  it('accepts a charge for exactly the order total in kobo', async () => {
+    const order = buildOrder({ totalAmount: 1234.565 });
+    const result = await applySuccessfulCharge(order, buildCharge({ amount: 123457 }));
+
+    assert.equal(result.applied, true);
+  });
+
+  it('rejects a charge below the order total', async () => {
+    const order = buildOrder();
+    const result = await applySuccessfulCharge(order, buildCharge({ amount: 1499999 }));
+
+    assert.deepEqual(result, { applied: false, alreadyPaid: false, amountMismatch: true });
+    assert.equal(order.paymentInfo.status, 'pending');
+  });
+
+  it('rejects a charge in another currency', async () => {
+    const order = buildOrder();
+    const result = await applySuccessfulCharge(order, buildCharge({ currency: 'USD' }));
+
+    assert.equal(result.amountMismatch, true);
+    assert.equal(order.paymentInfo.status, 'pending');
+  });
+
+  it('does not apply a charge twice', async () => {
+    const order = buildOrder({ paymentInfo: { status: 'paid', reference: 'SL-0001', transactionId: '1' } });
+    const result = await applySuccessfulCharge(order, buildCharge());
+
+    assert.deepEqual(result, { applied: false, alreadyPaid: true, amountMismatch: false });
+    assert.equal(order.paymentInfo.transactionId, '1');
+    assert.equal(order.timeline.length, 0);
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  beforeEach(() => { process.env.PAYSTACK_SECRET_KEY = SECRET; });
+
+  it('accepts the HMAC-SHA512 of the raw body', () => {
+    const body = Buffer.from('{"event":"charge.success"}');
+    assert.equal(paystackUtil.verifyWebhookSignature(body, sign(body)), true);
+  });
+
+  it('rejects a signature for a different body', () => {
+    const body = Buffer.from('{"event":"charge.success"}');
+    assert.equal(paystackUtil.verifyWebhookSignature(body, sign(Buffer.from('{}'))), false);
+  });
+
+  it('rejects missing and malformed signatures', () => {
+    const body = Buffer.from('{}');
+    assert.equal(paystackUtil.verifyWebhookSignature(body, undefined), false);
+    assert.equal(paystackUtil.verifyWebhookSignature(body, 'not-hex'), false);
+  });
+
+  it('rejects everything when no secret key is configured', () => {
+    delete process.env.PAYSTACK_SECRET_KEY;
+    const body = Buffer.from('{}');
+    assert.equal(paystackUtil.verifyWebhookSignature(body, sign(body)), false);
+  });
+});
+
+describe('handlePaystackWebhook', () => {
+  let order;
+
+  beforeEach(() => {
+    process.env.PAYSTACK_SECRET_KEY = SECRET;
+    order = buildOrder();
+    mock.method(Order, 'findOne', async () => order);
+    queueEmail.mock.resetCalls();
+  });
+
+  afterEach(() => Order.findOne.mock.restore());
+
+  it('rejects a delivery with a bad signature before touching the database', async (t) => {
+    const findEvent = t.mock.method(WebhookEvent, 'findOne', async () => null);
+    const { error } = await deliverWebhook({ event: 'charge.success', data: buildCharge() }, { signature: 'ab'.repeat(64) });
+
+    assert.equal(error.statusCode, 401);
+    assert.equal(findEvent.mock.callCount(), 0);
+    assert.equal(order.save.mock.callCount(), 0);
+  });
+
+  it('applies a charge and records the event as processed', async (t) => {
+    const webhookEvent = buildWebhookEvent({ status: 'received' });
+    t.mock.method(WebhookEvent, 'findOne', async () => null);
+    const createEvent = t.mock.method(WebhookEvent, 'create', async () => webhookEvent);
+
+    const { res, error } = await deliverWebhook({ event: 'charge.success', data: buildCharge() });
+
+    assert.equal(error, null);
+    assert.equal(res.statusCode, 200);
+    assert.equal(createEvent.mock.calls[0].arguments[0].eventKey, 'paystack:charge.success:4099');
+    assert.equal(order.paymentInfo.status, 'paid');
+    assert.equal(order.save.mock.callCount(), 1);
+    assert.equal(queueEmail.mock.callCount(), 1);
+    assert.equal(webhookEvent.status, 'processed');
+    assert.equal(webhookEvent.attempts, 1);
+  });
+
+  it('acknowledges a repeated delivery without applying it again', async (t) => {
+    t.mock.method(WebhookEvent, 'findOne', async () => buildWebhookEvent({ status: 'processed' }));
+    const createEvent = t.mock.method(WebhookEvent, 'create', async () => {
+      throw new Error('should not be created');
+    });
+
+    const { res, error } = await deliverWebhook({ event: 'charge.success', data: buildCharge() });
+
+    assert.equal(error, null);
+    assert.equal(res.body.message, 'Webhook already processed');
+    assert.equal(createEvent.mock.callCount(), 0);
+    assert.equal(Order.findOne.mock.callCount(), 0);
+    assert.equal(order.paymentInfo.status, 'pending');
+  });
+
+  it('acknowledges a concurrent delivery of the same event without applying it', async (t) => {
+    t.mock.method(WebhookEvent, 'findOne', async () => null);
+    t.mock.method(WebhookEvent, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+
+    const { res, error } = await deliverWebhook({ event: 'charge.success', data: buildCharge() });
+
+    assert.equal(error, null);
+    assert.equal(res.body.message, 'Webhook already received');
+    assert.equal(Order.findOne.mock.callCount(), 0);
+  });
+
+  it('retries a delivery that failed before', async (t) => {
+    const webhookEvent = buildWebhookEvent({ status: 'failed', attempts: 1 });
+    t.mock.method(WebhookEvent, 'findOne', async () => webhookEvent);
+
+    const { error } = await deliverWebhook({ event: 'charge.success', data: buildCharge() });
+
+    assert.equal(error, null);
+    assert.equal(order.paymentInfo.status, 'paid');
+    assert.equal(webhookEvent.status, 'processed');
+    assert.equal(webhookEvent.attempts, 2);
+  });
+
+  it('records an underpaid charge as failed without paying the order', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const webhookEvent = buildWebhookEvent({ status: 'received' });
+    t.mock.method(WebhookEvent, 'findOne', async () => null);
+    t.mock.method(WebhookEvent, 'create', async () => webhookEvent);
+
+    const { res } = await deliverWebhook({ event: 'charge.success', data: buildCharge({ amount: 100 }) });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(webhookEvent.status, 'failed');
+    assert.equal(webhookEvent.error, 'Payment amount mismatch');
+    assert.equal(order.paymentInfo.status, 'pending');
+    assert.equal(order.save.mock.callCount(), 0);
+  });
+});
+
+describe('verifyTransaction against a Paystack stand-in', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = http.createServer((req, res) => {
+      const authorized = req.headers.authorization === `Bearer ${SECRET}`;
+      res.writeHead(authorized ? 200 : 401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(authorized
+        ? { status: true, data: buildCharge({ reference: req.url.split('/').pop() }) }
+        : { status: false, message: 'Invalid key' }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.PAYSTACK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.PAYSTACK_SECRET_KEY = SECRET;
+  });
+
+  afterEach(async () => {
+    delete process.env.PAYSTACK_BASE_URL;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('returns the transaction for a reference', async () => {
+    const response = await paystackUtil.verifyTransaction('SL-0042');
+
+    assert.equal(response.data.reference, 'SL-0042');
+    assert.equal(response.data.status, 'success');
+  });
+
+  it('throws the Paystack error message', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    process.env.PAYSTACK_SECRET_KEY = 'sk_test_wrong';
+
+    await assert.rejects(paystackUtil.verifyTransaction('SL-0042'), /Invalid key/);
+  });
+});
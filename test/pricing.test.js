@@ -0,0 +1,171 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { allocateProportionally, priceItems, getLineRefundAmount } = require('../utils/pricing.util');
+
+const NO_TAX = { tax: { enabled: false } };
+const VAT_EXCLUSIVE = { tax: { enabled: true, rate: 7.5, includeInPrice: false } };
+const VAT_INCLUSIVE = { tax: { enabled: true, rate: 7.5, includeInPrice: true } };
+
+describe('allocateProportionally', () => {
+  it('gives the rounding remainder to the largest fractional shares', () => {
+    // Exact shares are 1.67, 3.33, 0 and 5 kobo
+    assert.deepEqual(allocateProportionally(10, [1, 2, 0, 3]), [2, 3, 0, 5]);
+  });
+
+  it('breaks ties in line order and always adds up to the amount', () => {
+    const shares = allocateProportionally(100, [1, 1, 1]);
+    assert.deepEqual(shares, [34, 33, 33]);
+    assert.equal(shares.reduce((sum, share) => sum + share, 0), 100);
+  });
+
+  it('adds up to the amount for awkward weights', () => {
+    const weights = [333, 667, 1001, 1, 7];
+    const shares = allocateProportionally(9999, weights);
+    assert.equal(shares.reduce((sum, share) => sum + share, 0), 9999);
+    shares.forEach((share, index) => {
+      assert.ok(Math.abs(share - (9999 * weights[index]) / 2009) < 1);
+    });
+  });
+
+  it('allocates nothing when there is nothing to split or no weight', () => {
+    assert.deepEqual(allocateProportionally(0, [1, 2]), [0, 0]);
+    assert.deepEqual(allocateProportionally(500, [0, 0]), [0, 0]);
+  });
+});
+
+describe('priceItems', () => {
+  it('adds exclusive tax on top of the discounted lines', () => {
+    const pricing = priceItems({ items: [{ price: 1000, quantity: 2 }], settings: VAT_EXCLUSIVE });
+
+    assert.equal(pricing.subtotal, 2000);
+    assert.equal(pricing.taxAmount, 150);
+    assert.equal(pricing.taxInclusive, false);
+    assert.equal(pricing.totalAmount, 2150);
+  });
+
+  it('reports inclusive tax without adding it to the total', () => {
+    const pricing = priceItems({ items: [{ price: 1075, quantity: 1 }], settings: VAT_INCLUSIVE });
+
+    assert.equal(pricing.taxInclusive, true);
+    assert.equal(pricing.taxAmount, 75);
+    assert.equal(pricing.lines[0].tax, 75);
+    assert.equal(pricing.totalAmount, 1075);
+  });
+
+  it('takes inclusive tax out of the price after the discount', () => {
+    const pricing = priceItems({
+      items: [{ price: 2150, quantity: 1 }],
+      coupon: { discount: 1075 },
+      settings: VAT_INCLUSIVE,
+    });
+
+    assert.equal(pricing.lines[0].taxableAmount, 1075);
+    assert.equal(pricing.taxAmount, 75);
+    assert.equal(pricing.totalAmount, 1075);
+  });
+
+  it('ships free when the subtotal is exactly the threshold', () => {
+    const shippingRate = { price: 2500, freeShippingThreshold: 20000 };
+    const pricing = priceItems({ items: [{ price: 10000, quantity: 2 }], shippingRate, settings: NO_TAX });
+
+    assert.equal(pricing.freeShipping, true);
+    assert.equal(pricing.shippingFee, 0);
+    assert.equal(pricing.totalAmount, 20000);
+  });
+
+  it('charges shipping one kobo below the threshold', () => {
+    const shippingRate = { price: 2500, freeShippingThreshold: 20000 };
+    const pricing = priceItems({ items: [{ price: 19999.99, quantity: 1 }], shippingRate, settings: NO_TAX });
+
+    assert.equal(pricing.freeShipping, false);
+    assert.equal(pricing.shippingFee, 2500);
+    assert.equal(pricing.totalAmount, 22499.99);
+  });
+
+  it('ships free with a free-shipping coupon below the threshold', () => {
+    const pricing = priceItems({
+      items: [{ price: 100, quantity: 1 }],
+      coupon: { discount: 0, freeShipping: true },
+      shippingRate: { price: 2500, freeShippingThreshold: 20000 },
+      settings: NO_TAX,
+    });
+
+    assert.equal(pricing.shippingFee, 0);
+    assert.equal(pricing.totalAmount, 100);
+  });
+
+  it('spreads a restricted coupon over its eligible lines only', () => {
+    const pricing = priceItems({
+      items: [{ price: 100, quantity: 1 }, { price: 300, quantity: 1 }, { price: 50, quantity: 2 }],
+      coupon: { discount: 50, eligibleItems: [0, 1] },
+      settings: NO_TAX,
+    });
+
+    assert.deepEqual(pricing.lines.map(line => line.discount), [12.5, 37.5, 0]);
+    assert.equal(pricing.discount, 50);
+    assert.equal(pricing.totalAmount, 450);
+  });
+
+  it('caps a restricted coupon at the eligible subtotal', () => {
+    const pricing = priceItems({
+      items: [{ price: 100, quantity: 1 }, { price: 300, quantity: 1 }],
+      coupon: { discount: 1000, eligibleItems: [0] },
+      settings: NO_TAX,
+    });
+
+    assert.deepEqual(pricing.lines.map(line => line.discount), [100, 0]);
+    assert.equal(pricing.totalAmount, 300);
+  });
+
+  it('keeps kobo-exact totals when a discount does not split evenly', () => {
+    const pricing = priceItems({
+      items: [{ price: 10, quantity: 1 }, { price: 10, quantity: 1 }, { price: 10, quantity: 1 }],
+      coupon: { discount: 0.1 },
+      settings: VAT_EXCLUSIVE,
+    });
+
+    assert.deepEqual(pricing.lines.map(line => line.discount), [0.04, 0.03, 0.03]);
+    assert.equal(pricing.discount, 0.1);
+    const lineTax = pricing.lines.reduce((sum, line) => sum + Math.round(line.tax * 100), 0);
+    assert.equal(Math.round(pricing.taxAmount * 100), lineTax);
+    assert.equal(pricing.totalAmount, 29.9 + pricing.taxAmount);
+  });
+
+  it('keeps the extra fields of each line', () => {
+    const pricing = priceItems({ items: [{ sku: 'CND-001', price: 5, quantity: 3 }], settings: NO_TAX });
+
+    assert.equal(pricing.lines[0].sku, 'CND-001');
+    assert.equal(pricing.lines[0].total, 15);
+  });
+});
+
+describe('getLineRefundAmount', () => {
+  it('refunds the discounted line, not the list price', () => {
+    const line = { total: 3000, discount: 300, tax: 0, quantity: 3 };
+    assert.equal(getLineRefundAmount(line, 1, false), 900);
+    assert.equal(getLineRefundAmount(line, 3, false), 2700);
+  });
+
+  it('adds exclusive tax but not inclusive tax', () => {
+    const line = { total: 2000, discount: 200, tax: 135, quantity: 2 };
+    assert.equal(getLineRefundAmount(line, 2, false), 1935);
+    assert.equal(getLineRefundAmount(line, 2, true), 1800);
+  });
+
+  it('refunds exactly what was paid when the units are refunded one at a time', () => {
+    const line = { total: 1000, discount: 0.01, tax: 0, quantity: 3 };
+    const parts = [0, 1, 2].map(refunded => getLineRefundAmount(line, 1, false, refunded));
+    assert.equal(Math.round(parts.reduce((sum, part) => sum + part, 0) * 100), 99999);
+  });
+
+  it('agrees with the prices the engine worked out', () => {
+    const pricing = priceItems({
+      items: [{ price: 1500, quantity: 2 }, { price: 500, quantity: 1 }],
+      coupon: { discount: 350, freeShipping: false },
+      settings: VAT_EXCLUSIVE,
+    });
+    const refunded = pricing.lines.reduce((sum, line) => sum + getLineRefundAmount(line, line.quantity, false), 0);
+    assert.equal(refunded, pricing.totalAmount - pricing.shippingFee);
+  });
+});
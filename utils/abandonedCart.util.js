@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Abandoned cart recovery: finds customers' carts that have sat idle, sends up to
+ * three reminder emails with a signed link that rebuilds the cart, and credits the orders placed
+ * afterwards so the dashboard can report the revenue recovered.
+ */
+
+const jwt = require('jsonwebtoken');
+const AbandonedCart = require('../models/abandonedCart.model');
+const Cart = require('../models/cart.model');
+const Order = require('../models/order.model');
+const Settings = require('../models/settings.model');
+const { queueEmail } = require('./email.util');
+const { mergeItemsIntoCart } = require('./cart.util');
+
+const MAX_RECOVERY_EMAILS = 3;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Restore tokens are signed with the JWT secret; the purpose claim keeps them from being used anywhere else
+const RESTORE_TOKEN_PURPOSE = 'cart_restore';
+
+/**
+ * @desc Reads the recovery rules from Settings, filling in the defaults.
+ */
+const getRecoveryRules = (settings) => {
+  const rules = settings.abandonedCarts || {};
+  return {
+    enabled: rules.enabled !== false,
+    idleHours: rules.idleHours || 4,
+    followUpHours: rules.followUpHours || 24,
+    maxEmails: Math.min(rules.maxEmails || MAX_RECOVERY_EMAILS, MAX_RECOVERY_EMAILS),
+    linkExpiryDays: rules.linkExpiryDays || 7,
+  };
+};
+
+/**
+ * @desc Builds the signed link that restores an abandoned cart.
+ * @param {Object} abandonedCart - The AbandonedCart document.
+ * @param {number} expiryDays - How long the link works.
+ * @returns {string}
+ */
+const buildRestoreUrl = (abandonedCart, expiryDays) => {
+  const token = jwt.sign(
+    { abandonedCart: abandonedCart._id.toString(), purpose: RESTORE_TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: `${expiryDays}d` }
+  );
+  return `${process.env.CLIENT_URL}/cart/restore?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * @desc Sends the next recovery email for every customer cart that is due one.
+ * A cart is due once it has been idle for `idleHours`, and again every `followUpHours`, up to
+ * `maxEmails` times. Carts whose owner has ordered since the cart last changed are skipped.
+ * @returns {Promise<number>} The number of emails queued.
+ */
+const processAbandonedCarts = async () => {
+  const settings = await Settings.getSettings();
+  const rules = getRecoveryRules(settings);
+  if (!rules.enabled) return 0;
+
+  const now = Date.now();
+  const idleSince = new Date(now - rules.idleHours * HOUR_MS);
+  // Carts idle for longer than the whole sequence can take have nothing left to send
+  const oldestIdle = new Date(idleSince.getTime() - rules.maxEmails * rules.followUpHours * HOUR_MS);
+
+  const carts = await Cart.find({
+    user: { $ne: null },
+    'items.0': { $exists: true },
+    updatedAt: { $gte: oldestIdle, $lte: idleSince },
+  }).populate('user', 'firstName email role active');
+
+  let sentCount = 0;
+  for (const cart of carts) {
+    const user = cart.user;
+    if (!user || !user.active || user.role !== 'customer') continue;
+
+    try {
+      let abandonedCart = await AbandonedCart.findOne({ cart: cart._id, status: 'active' });
+      if (!abandonedCart) {
+        abandonedCart = new AbandonedCart({ user: user._id, cart: cart._id, email: user.email });
+      }
+      if (abandonedCart.emails.length >= rules.maxEmails) continue;
+      if (abandonedCart.lastEmailAt && abandonedCart.lastEmailAt.getTime() > now - rules.followUpHours * HOUR_MS) continue;
+
+      // Orders placed without the saved cart (e.g. as a guest) leave it behind, so look for one since it last changed
+      const orderedSince = await Order.exists({
+        $or: [{ user: user._id }, { 'shippingAddress.email': user.email }],
+        createdAt: { $gte: cart.updatedAt },
+      });
+      if (orderedSince) continue;
+
+      abandonedCart.items = cart.items.map(item => item.toObject());
+      abandonedCart.subtotal = cart.subtotal;
+
+      const emailNumber = abandonedCart.emails.length + 1;
+      const entry = await queueEmail({
+        template: 'abandonedCart',
+        to: user.email,
+        data: {
+          customerName: user.firstName,
+          items: abandonedCart.items,
+          subtotal: abandonedCart.subtotal,
+          restoreUrl: buildRestoreUrl(abandonedCart, rules.linkExpiryDays),
+          expiresInDays: rules.linkExpiryDays,
+          emailNumber,
+          isLastEmail: emailNumber === rules.maxEmails,
+        },
+        user: user._id,
+      });
+
+      abandonedCart.emails.push({ outbox: entry?._id, sentAt: new Date() });
+      abandonedCart.lastEmailAt = new Date();
+      await abandonedCart.save();
+      sentCount++;
+    } catch (err) {
+      console.error(`Failed to send the recovery email for cart ${cart._id}:`, err.message);
+    }
+  }
+
+  return sentCount;
+};
+
+/**
+ * @desc Rebuilds a customer's cart from the link in a recovery email. The saved lines are merged
+ * into whatever is in the cart now, at today's prices and stock.
+ * @param {string} token - The signed token from the restore link.
+ * @returns {Promise<{ cart: Object|null, dropped: Array, adjusted: Array, couponError: string|null, error: string|null }>}
+ */
+const restoreAbandonedCart = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    payload = null;
+  }
+  if (!payload || payload.purpose !== RESTORE_TOKEN_PURPOSE) {
+    return { cart: null, error: 'This cart link is invalid or has expired' };
+  }
+
+  const abandonedCart = await AbandonedCart.findById(payload.abandonedCart).populate('user', 'email role active');
+  if (!abandonedCart || !abandonedCart.user || !abandonedCart.user.active) {
+    return { cart: null, error: 'This cart link is invalid or has expired' };
+  }
+  if (abandonedCart.status === 'recovered') {
+    return { cart: null, error: 'The items in this cart have already been ordered' };
+  }
+
+  let cart = await Cart.findOne({ user: abandonedCart.user._id });
+  if (!cart) {
+    cart = new Cart({ user: abandonedCart.user._id, items: [] });
+  }
+
+  // Lines still in the cart were saved into the email copy, so only add what has gone missing
+  const inCart = new Set(cart.items.map(item => `${item.product}:${item.variant?._id || ''}`));
+  const missingItems = abandonedCart.items
+    .map(item => item.toObject())
+    .filter(item => !inCart.has(`${item.product}:${item.variant?._id || ''}`));
+
+  const { dropped, adjusted, couponError } = await mergeItemsIntoCart(cart, missingItems, abandonedCart.user);
+  await cart.save();
+
+  abandonedCart.restoredAt = new Date();
+  abandonedCart.restoreCount += 1;
+  await abandonedCart.save();
+
+  return { cart, dropped, adjusted, couponError, error: null };
+};
+
+/**
+ * @desc Closes the recovery sequence of the customer who placed an order. The order is credited
+ * to the sequence if a recovery email was sent within the restore link's lifetime. Guest orders
+ * are not matched to a sequence.
+ * Errors are logged rather than thrown so tracking never fails a checkout.
+ * @param {Object} order - The order just placed.
+ * @returns {Promise<Object|null>} The AbandonedCart document that was closed, if any.
+ */
+const recordCartRecovery = async (order) => {
+  try {
+    // Anyone can type an email into a guest order, so only the customer's own orders count
+    if (!order.user) return null;
+
+    const abandonedCart = await AbandonedCart.findOne({ status: 'active', user: order.user }).sort({ updatedAt: -1 });
+    if (!abandonedCart) return null;
+
+    const settings = await Settings.getSettings();
+    const { linkExpiryDays } = getRecoveryRules(settings);
+    const credited = abandonedCart.lastEmailAt
+      && Date.now() - abandonedCart.lastEmailAt.getTime() <= linkExpiryDays * DAY_MS;
+
+    if (credited) {
+      abandonedCart.status = 'recovered';
+      abandonedCart.recoveredOrder = order._id;
+      abandonedCart.recoveredAt = new Date();
+      await Order.updateOne({ _id: order._id }, { abandonedCart: abandonedCart._id });
+    } else {
+      abandonedCart.status = 'closed';
+    }
+    abandonedCart.closedAt = new Date();
+    await abandonedCart.save();
+
+    return abandonedCart;
+  } catch (err) {
+    console.error(`Failed to record cart recovery for order ${order.orderNumber}:`, err.message);
+    return null;
+  }
+};
+
+module.exports = {
+  processAbandonedCarts,
+  restoreAbandonedCart,
+  recordCartRecovery,
+};
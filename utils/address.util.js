@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Customer address book helpers: checks saved addresses against the shipping zones
+ * and turns a saved address into the shipping address stored on an order.
+ */
+
+const ADDRESS_FIELDS = ['label', 'firstName', 'lastName', 'phone', 'street', 'city', 'state', 'postalCode', 'country'];
+
+/**
+ * @desc Checks that an active shipping zone delivers to a state. A zone listing 'Others' delivers everywhere.
+ * @param {Object} settings - The store settings.
+ * @param {string} state
+ * @returns {string|null} The error message, or null when the state is served.
+ */
+const getStateError = (settings, state) => {
+  const activeZones = settings.shipping.zones.filter(zone => zone.active);
+  const served = activeZones.some(zone => zone.regions.includes(state) || zone.regions.includes('Others'));
+  return served ? null : `We do not deliver to ${state} yet.`;
+};
+
+/**
+ * @desc Picks the editable address fields from a request body.
+ * @param {Object} body
+ * @returns {Object}
+ */
+const pickAddressFields = (body) => {
+  const fields = {};
+  ADDRESS_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * @desc Builds an order's shipping address from a saved address. Name and phone fall back to the
+ * customer's profile, and the email is always the customer's.
+ * @param {Object} address - An entry of `User.addresses`.
+ * @param {Object} user - The customer.
+ * @returns {Object}
+ */
+const toShippingAddress = (address, user) => ({
+  firstName: address.firstName || user.firstName,
+  lastName: address.lastName || user.lastName,
+  email: user.email,
+  street: address.street,
+  city: address.city,
+  state: address.state,
+  postalCode: address.postalCode,
+  country: address.country,
+  phone: address.phone || user.phone,
+});
+
+/**
+ * @desc Works out the shipping address for an order from either a saved address or a full address.
+ * @param {Object} options
+ * @param {string} [options.addressId] - A saved address of the logged in customer.
+ * @param {Object} [options.shippingAddress] - A full address, used when no `addressId` is given.
+ * @param {Object} [options.user] - The logged in customer, if any.
+ * @returns {{ shippingAddress: Object|null, error: string|null, statusCode: number }}
+ */
+const resolveShippingAddress = ({ addressId, shippingAddress, user }) => {
+  if (!addressId) {
+    return { shippingAddress: shippingAddress || null, error: null, statusCode: 200 };
+  }
+  if (!user) {
+    return { shippingAddress: null, error: 'Please log in to use a saved address', statusCode: 401 };
+  }
+
+  const address = user.addresses?.id(addressId);
+  if (!address) {
+    return { shippingAddress: null, error: 'Saved address not found', statusCode: 404 };
+  }
+  return { shippingAddress: toShippingAddress(address, user), error: null, statusCode: 200 };
+};
+
+module.exports = {
+  getStateError,
+  pickAddressFields,
+  toShippingAddress,
+  resolveShippingAddress,
+};
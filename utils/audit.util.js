@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Audit trail helpers: work out which document an admin request changes, snapshot it
+ * and record the fields that changed. Used by the audit middleware on the admin router.
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLog.model');
+
+// Admin resources and the model they change; payments has one model per sub-resource
+const RESOURCE_MODELS = {
+  users: 'User',
+  customers: 'User',
+  products: 'Product',
+  inventory: 'Product',
+  categories: 'Category',
+  orders: 'Order',
+  coupons: 'Coupon',
+  returns: 'ReturnRequest',
+  contact: 'Contact',
+  emails: 'EmailOutbox',
+  roles: 'Role',
+  settings: 'Settings',
+  payments: {
+    'pending-transfers': 'Order',
+    'cod-remittances': 'CodRemittance',
+  },
+};
+
+// POST routes that only generate something and change nothing
+const READ_ONLY_ROUTES = ['POST /orders/packing-slips', 'POST /products/variant-sku'];
+
+// Secrets that must never be copied into the audit trail
+const REDACTED_FIELDS = ['password', 'resetPasswordToken', 'emailVerificationToken', 'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorRecoveryCodes', 'refreshTokenHash', 'previousTokenHashes'];
+const IGNORED_FIELDS = ['__v', 'updatedAt'];
+
+// Customer contact details in audited documents, hidden from staff without customers.view_pii
+const CUSTOMER_PII_PATHS = {
+  User: [/^email$/, /^phone$/, /^address(\.|$)/, /^addresses(\.|$)/],
+  Order: [/^shippingAddress\./],
+  ReturnRequest: [/^email$/],
+};
+
+const METHOD_VERBS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value) && /^[a-f\d]{24}$/i.test(value);
+
+/**
+ * @desc Works out what an admin request changes from its method and path.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path below /api/v1/admin, e.g. '/orders/64f.../refund'.
+ * @returns {{ action: string, targetModel: string|null, targetId: string|null }|null} Null for requests that are not audited.
+ */
+const describeAdminRequest = (method, path) => {
+  if (!METHOD_VERBS[method]) return null;
+
+  const segments = path.split('/').filter(Boolean);
+  if (segments.length === 0) return null;
+  if (READ_ONLY_ROUTES.includes(`${method} /${segments.filter(segment => !isObjectId(segment)).join('/')}`)) return null;
+
+  // The action is the path without ids, plus the verb when the path names a document rather than an action
+  const names = segments.filter(segment => !isObjectId(segment));
+  const endsWithId = isObjectId(segments[segments.length - 1]);
+  const action = names.length === 1 || endsWithId || method === 'DELETE'
+    ? `${names.join('.')}.${METHOD_VERBS[method]}`
+    : names.join('.');
+
+  const [resource, ...rest] = segments;
+  let targetModel = RESOURCE_MODELS[resource] || null;
+  let idSegments = rest;
+  if (targetModel && typeof targetModel === 'object') {
+    targetModel = targetModel[rest[0]] || null;
+    idSegments = rest.slice(1);
+  }
+  const targetId = isObjectId(idSegments[0]) ? idSegments[0] : null;
+
+  return { action, targetModel, targetId };
+};
+
+/**
+ * @desc Loads the current state of an audited document.
+ * @param {string} modelName
+ * @param {string|null} id - Null for the settings, which are a single document.
+ * @returns {Promise<Object|null>}
+ */
+const loadSnapshot = async (modelName, id) => {
+  if (!modelName) return null;
+  const Model = mongoose.model(modelName);
+  if (modelName === 'Settings') return Model.findOne().lean();
+  if (!id) return null;
+  return Model.findById(id).lean();
+};
+
+/**
+ * @desc Flattens a document into dot paths. Arrays are flattened by index, so a new timeline
+ * entry shows up as its own paths rather than as a copy of the whole array.
+ */
+const flatten = (value, prefix = '', result = {}) => {
+  if (value instanceof mongoose.Types.ObjectId) {
+    result[prefix] = value.toString();
+  } else if (value instanceof Date) {
+    result[prefix] = value.toISOString();
+  } else if (Array.isArray(value)) {
+    if (value.length === 0 && prefix) result[prefix] = [];
+    value.forEach((item, index) => flatten(item, prefix ? `${prefix}.${index}` : String(index), result));
+  } else if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 0 && prefix) result[prefix] = {};
+    keys.forEach((key) => {
+      if (IGNORED_FIELDS.includes(key)) return;
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (REDACTED_FIELDS.includes(key)) {
+        result[path] = value[key] === undefined || value[key] === null ? value[key] : '[redacted]';
+      } else {
+        flatten(value[key], path, result);
+      }
+    });
+  } else if (prefix) {
+    result[prefix] = value;
+  }
+  return result;
+};
+
+/**
+ * @desc Lists the fields that differ between two snapshots.
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{ path: string, before: *, after: * }>}
+ */
+const diffSnapshots = (before, after) => {
+  const beforeFields = flatten(before || {});
+  const afterFields = flatten(after || {});
+  const paths = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+
+  const changes = [];
+  for (const path of paths) {
+    if (JSON.stringify(beforeFields[path]) !== JSON.stringify(afterFields[path])) {
+      changes.push({ path, before: beforeFields[path], after: afterFields[path] });
+    }
+  }
+  return changes;
+};
+
+/**
+ * @desc Hides the customer contact details in an audit entry's changes, for viewers without the
+ * `customers.view_pii` permission.
+ * @param {Object} log - A plain AuditLog object.
+ * @returns {Object} The same object, with customer contact details redacted.
+ */
+const redactAuditLogPii = (log) => {
+  const piiPaths = CUSTOMER_PII_PATHS[log.targetModel];
+  if (!piiPaths || !log.changes) return log;
+
+  const redact = value => (value === undefined || value === null ? value : '[redacted]');
+  log.changes = log.changes.map(change => (piiPaths.some(pattern => pattern.test(change.path))
+    ? { ...change, before: redact(change.before), after: redact(change.after) }
+    : change));
+  return log;
+};
+
+/**
+ * @desc Finds the id of the document a create request returned, e.g. `data.product._id`.
+ * @param {Object} body - The JSON response body.
+ * @returns {string|null}
+ */
+const findCreatedId = (body) => {
+  const data = body?.data;
+  if (!data || typeof data !== 'object') return null;
+  if (data._id) return String(data._id);
+  const created = Object.values(data).find(value => value && typeof value === 'object' && !Array.isArray(value) && value._id);
+  return created ? String(created._id) : null;
+};
+
+/**
+ * @desc Writes an audit entry. Errors are logged rather than thrown, so auditing never fails a request.
+ * @param {Object} entry - The AuditLog fields.
+ * @returns {Promise<Object|null>}
+ */
+const recordAuditLog = async (entry) => {
+  try {
+    return await AuditLog.create(entry);
+  } catch (err) {
+    console.error(`Failed to write the audit log for ${entry.action}:`, err.message);
+    return null;
+  }
+};
+
+module.exports = {
+  describeAdminRequest,
+  loadSnapshot,
+  diffSnapshots,
+  findCreatedId,
+  recordAuditLog,
+  redactAuditLogPii,
+};
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Login sessions: short-lived access tokens paired with refresh tokens that are
+ * rotated on every use. Each login creates an AuthSession; presenting a refresh token that has
+ * already been exchanged revokes the whole session, as it means the token was copied.
+ */
+
+const crypto = require('crypto');
+const AuthSession = require('../models/authSession.model');
+const User = require('../models/user.model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFRESH_COOKIE_PATH = '/api/v1/auth';
+
+const getRefreshTokenDays = () => Number(process.env.JWT_REFRESH_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @desc Refresh tokens are "<session id>.<secret>" so the session can be found without a lookup by hash.
+ */
+const buildRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  return `${sessionId}.${secret}`;
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) {
+    return null;
+  }
+  return sessionId;
+};
+
+/**
+ * @desc Starts a session for a user who has just logged in.
+ * @param {Object} user - The User document.
+ * @param {Object} req - The request, for the device details shown in the session list.
+ * @param {Object} [options]
+ * @param {boolean} [options.twoFactorVerified=false] - Whether the login passed two-factor authentication.
+ * @returns {Promise<{ session: Object, accessToken: string, refreshToken: string }>}
+ */
+const startSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const session = new AuthSession({
+    user: user._id,
+    twoFactorVerified,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * DAY_MS),
+  });
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, accessToken: user.getSignedJwtToken(session._id), refreshToken };
+};
+
+/**
+ * @desc Exchanges a refresh token for a new access token and refresh token.
+ * @param {string} refreshToken
+ * @returns {Promise<{ user: Object|null, session: Object|null, accessToken: string|null, refreshToken: string|null, error: string|null, statusCode: number }>}
+ */
+const refreshSession = async (refreshToken) => {
+  const fail = (error) => ({ user: null, session: null, accessToken: null, refreshToken: null, error, statusCode: 401 });
+
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) {
+    return fail('Invalid refresh token');
+  }
+
+  const session = await AuthSession.findById(sessionId).select('+previousTokenHashes');
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return fail('Your session has expired. Please log in again.');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = buildRefreshToken(session._id);
+  const rotated = await AuthSession.rotateRefreshToken(
+    session._id,
+    tokenHash,
+    hashToken(newRefreshToken),
+    new Date(Date.now() + getRefreshTokenDays() * DAY_MS)
+  );
+
+  if (!rotated) {
+    // A token that was already exchanged is being used again: whoever holds the session now is unknown
+    if (session.previousTokenHashes.includes(tokenHash)) {
+      console.warn(`Refresh token reuse detected for session ${session._id} of user ${session.user}; revoking the session`);
+      await revokeSession(session._id, 'token_reuse');
+      return fail('Your session has been ended for your security. Please log in again.');
+    }
+    return fail('Invalid refresh token');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.active) {
+    await revokeSession(session._id, 'logout');
+    return fail('Your session has expired. Please log in again.');
+  }
+
+  return {
+    user,
+    session: rotated,
+    accessToken: user.getSignedJwtToken(rotated._id),
+    refreshToken: newRefreshToken,
+    error: null,
+    statusCode: 200,
+  };
+};
+
+/**
+ * @desc Finds the session an access token belongs to, if it is still active.
+ * @param {Object} decoded - The verified access token payload.
+ * @returns {Promise<{ _id: Object, twoFactorVerified: boolean }|null>}
+ */
+const getActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+  return AuthSession.findOne({
+    _id: decoded.sid,
+    user: decoded.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).select('twoFactorVerified').lean();
+};
+
+/**
+ * @desc Records that a session has passed two-factor authentication.
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+const markSessionTwoFactorVerified = async (sessionId) => {
+  await AuthSession.updateOne({ _id: sessionId, revokedAt: null }, { twoFactorVerified: true });
+};
+
+/**
+ * @desc Revokes one session.
+ * @param {string} sessionId
+ * @param {string} reason - One of AuthSession's `revokedReason` values.
+ * @param {string} [userId] - When given, only a session of this user is revoked.
+ * @returns {Promise<boolean>} Whether an active session was revoked.
+ */
+const revokeSession = async (sessionId, reason, userId) => {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.user = userId;
+  const result = await AuthSession.updateOne(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount > 0;
+};
+
+/**
+ * @desc Revokes every active session of a user.
+ * @param {string} userId
+ * @param {string} reason - One of AuthSession's `revokedReason` values.
+ * @returns {Promise<number>} The number of sessions revoked.
+ */
+const revokeAllSessions = async (userId, reason) => {
+  const result = await AuthSession.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * @desc Lists a user's active sessions, newest activity first.
+ * @param {string} userId
+ * @param {string} [currentSessionId] - The session of the request, flagged as `current`.
+ * @returns {Promise<Array<Object>>}
+ */
+const getActiveSessions = async (userId, currentSessionId) => {
+  const sessions = await AuthSession.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 }).lean();
+
+  return sessions.map(session => ({
+    id: session._id,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session._id.toString() === String(currentSessionId),
+  }));
+};
+
+/**
+ * @desc Sets the access and refresh token cookies. The refresh token cookie is only sent to the auth routes.
+ * @param {Object} res - Express response object.
+ * @param {Object} tokens - The result of `startSession` or `refreshSession`.
+ * @returns {Object} The response, for chaining.
+ */
+const setAuthCookies = (res, { session, accessToken, refreshToken }) => {
+  const options = {
+    expires: session.expiresAt,
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+  };
+
+  return res
+    .cookie('token', accessToken, options)
+    .cookie('refreshToken', refreshToken, { ...options, path: REFRESH_COOKIE_PATH });
+};
+
+/**
+ * @desc Clears the access and refresh token cookies.
+ * @param {Object} res - Express response object.
+ * @returns {Object} The response, for chaining.
+ */
+const clearAuthCookies = (res) => {
+  const options = {
+    expires: new Date(Date.now() + 10 * 1000), // 10 seconds
+    httpOnly: true,
+  };
+
+  return res
+    .cookie('token', 'none', options)
+    .cookie('refreshToken', 'none', { ...options, path: REFRESH_COOKIE_PATH });
+};
+
+module.exports = {
+  startSession,
+  refreshSession,
+  getActiveSession,
+  markSessionTwoFactorVerified,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSessions,
+  setAuthCookies,
+  clearAuthCookies,
+};
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Bank transfer payments: the account details shown to customers, proof of
+ * payment uploads and the admin review that confirms or rejects a transfer.
+ */
+
+const fs = require('fs').promises;
+const cloudinary = require('../config/cloudinary');
+const { commitOrderStock } = require('./inventory.util');
+const { changeOrderStatus } = require('./orderStatus.util');
+const { queueEmailSafely } = require('./email.util');
+
+// After a rejected proof, the customer always gets at least this long to upload a new one
+const REUPLOAD_GRACE_HOURS = 24;
+
+/**
+ * @desc Reads the bank account customers should pay into from the bank transfer payment method.
+ * @param {Object} settings - The store settings.
+ * @returns {Object|null} The bank details and instructions, or null if bank transfer is not enabled.
+ */
+const getBankTransferDetails = (settings) => {
+  const method = settings.payment.methods.find(m => m.name === 'bank_transfer' && m.active);
+  if (!method) return null;
+
+  const config = method.config || {};
+  return {
+    bankName: config.bankName,
+    accountName: config.accountName,
+    accountNumber: config.accountNumber,
+    instructions: method.instructions,
+    expiryDays: config.expiryDays,
+  };
+};
+
+/**
+ * @desc Checks that an order is a bank transfer order still waiting for its payment.
+ * @returns {string|null} Why the order cannot take a transfer action, or null if it can.
+ */
+const getPendingTransferError = (order) => {
+  if (order.paymentInfo.method !== 'bank_transfer') {
+    return 'This order is not paid by bank transfer';
+  }
+  if (order.paymentInfo.status !== 'pending') {
+    return `The payment for this order is already ${order.paymentInfo.status.replace(/_/g, ' ')}`;
+  }
+  return null;
+};
+
+/**
+ * @desc Stores the customer's proof of payment and puts the transfer in the admin review queue.
+ * The order is saved. The stock stays reserved until the transfer has been reviewed.
+ * @param {Object} order - The order document.
+ * @param {Object} options
+ * @param {Object} options.file - The uploaded receipt from multer. The temporary file is always removed.
+ * @param {string} [options.senderName] - The name on the account the transfer came from.
+ * @param {string} [options.transferReference] - The bank's reference for the transfer.
+ * @returns {Promise<{ order: Object|null, error: string|null }>}
+ */
+const submitTransferProof = async (order, { file, senderName, transferReference }) => {
+  try {
+    const pendingError = getPendingTransferError(order);
+    if (pendingError) {
+      return { order: null, error: pendingError };
+    }
+    if (order.status !== 'pending') {
+      return { order: null, error: `Cannot add a payment to a ${order.status} order` };
+    }
+
+    const transferStatus = order.paymentInfo.bankTransfer?.status;
+    if (transferStatus === 'submitted') {
+      return { order: null, error: 'A proof of payment is already waiting for review' };
+    }
+
+    const result = await cloudinary.uploader.upload(file.path, {
+      folder: 'scenture/payment-proofs',
+      resource_type: 'image',
+      timeout: 60000,
+    });
+
+    // Remove the previous receipt if one was rejected
+    const previousPublicId = order.paymentInfo.bankTransfer?.proofPublicId;
+    if (previousPublicId) {
+      cloudinary.uploader.destroy(previousPublicId)
+        .catch(err => console.error(`Failed to delete old payment proof ${previousPublicId}:`, err.message));
+    }
+
+    order.set({
+      'paymentInfo.bankTransfer.status': 'submitted',
+      'paymentInfo.bankTransfer.proofUrl': result.secure_url,
+      'paymentInfo.bankTransfer.proofPublicId': result.public_id,
+      'paymentInfo.bankTransfer.senderName': senderName,
+      'paymentInfo.bankTransfer.transferReference': transferReference,
+      'paymentInfo.bankTransfer.submittedAt': new Date(),
+      'paymentInfo.bankTransfer.rejectionReason': undefined,
+    });
+    // Hold the stock until an admin has reviewed the transfer
+    order.set('stockReservation.expiresAt', undefined);
+    order.timeline.push({
+      status: order.status,
+      note: 'Proof of bank transfer uploaded. Waiting for payment confirmation.',
+    });
+    await order.save();
+
+    return { order, error: null };
+  } finally {
+    await fs.unlink(file.path).catch(err => console.error(`Failed to delete temp file ${file.path}:`, err));
+  }
+};
+
+/**
+ * @desc Confirms that a bank transfer has arrived: marks the order paid, commits its stock and
+ * moves it to processing. The order is saved and the customer is sent their order confirmation.
+ * @param {Object} order - The order document.
+ * @param {Object} options
+ * @param {string} options.userId - The admin confirming the transfer.
+ * @param {string} [options.note] - A note for the timeline.
+ * @returns {Promise<{ order: Object|null, error: string|null }>}
+ */
+const confirmBankTransfer = async (order, { userId, note }) => {
+  const pendingError = getPendingTransferError(order);
+  if (pendingError) {
+    return { order: null, error: pendingError };
+  }
+
+  const bankTransfer = order.paymentInfo.bankTransfer || {};
+  order.paymentInfo.status = 'paid';
+  order.paymentInfo.paidAt = new Date();
+  order.paymentInfo.transactionId = bankTransfer.transferReference || `BT-${order.orderNumber}`;
+  order.set('paymentInfo.bankTransfer.status', 'confirmed');
+  order.set('paymentInfo.bankTransfer.reviewedBy', userId);
+  order.set('paymentInfo.bankTransfer.reviewedAt', new Date());
+
+  const { outOfStock } = await commitOrderStock(order, { userId });
+  if (outOfStock) {
+    // The order expired and its stock has been sold since; nothing has been saved
+    return { order: null, error: 'Some items in this order are no longer in stock. Reject the transfer and refund the customer instead.' };
+  }
+
+  // Orders cancelled because the transfer arrived late are revived by the state machine
+  const { error: transitionError } = await changeOrderStatus(order, 'processing', {
+    userId,
+    actor: 'admin',
+    note: note || 'Bank transfer confirmed. Order is now being processed.',
+    notify: false,
+  });
+  if (transitionError) {
+    return { order: null, error: transitionError };
+  }
+
+  queueEmailSafely({
+    template: 'orderConfirmation',
+    to: order.shippingAddress.email,
+    data: { order },
+    order: order._id,
+    user: order.user,
+  });
+
+  return { order, error: null };
+};
+
+/**
+ * @desc Rejects a submitted proof of payment. The customer can upload a new one before the
+ * order expires, and is given at least REUPLOAD_GRACE_HOURS to do so. The order is saved.
+ * @param {Object} order - The order document.
+ * @param {Object} options
+ * @param {string} options.userId - The admin rejecting the transfer.
+ * @param {string} options.reason - Why the proof was not accepted (shown to the customer).
+ * @returns {Promise<{ order: Object|null, error: string|null }>}
+ */
+const rejectBankTransfer = async (order, { userId, reason }) => {
+  const pendingError = getPendingTransferError(order);
+  if (pendingError) {
+    return { order: null, error: pendingError };
+  }
+  if (order.paymentInfo.bankTransfer?.status !== 'submitted') {
+    return { order: null, error: 'There is no proof of payment waiting for review on this order' };
+  }
+
+  const graceExpiry = Date.now() + REUPLOAD_GRACE_HOURS * 60 * 60 * 1000;
+  const expiresAt = new Date(Math.max(order.paymentInfo.bankTransfer.expiresAt?.getTime() || 0, graceExpiry));
+
+  order.set('paymentInfo.bankTransfer.status', 'rejected');
+  order.set('paymentInfo.bankTransfer.rejectionReason', reason);
+  order.set('paymentInfo.bankTransfer.reviewedBy', userId);
+  order.set('paymentInfo.bankTransfer.reviewedAt', new Date());
+  order.set('paymentInfo.bankTransfer.expiresAt', expiresAt);
+  // Let the reservation expire again if the customer does not send a valid payment in time
+  if (order.stockReservation?.status === 'held') {
+    order.set('stockReservation.expiresAt', expiresAt);
+  }
+  order.updatedBy = userId;
+  order.timeline.push({
+    status: order.status,
+    note: `Proof of bank transfer rejected: ${reason}`,
+    updatedBy: userId,
+  });
+  await order.save();
+
+  queueEmailSafely({
+    template: 'bankTransferRejected',
+    to: order.shippingAddress.email,
+    data: { order, reason, expiresAt },
+    order: order._id,
+    user: order.user,
+  });
+
+  return { order, error: null };
+};
+
+module.exports = {
+  getBankTransferDetails,
+  submitTransferProof,
+  confirmBankTransfer,
+  rejectBankTransfer,
+};
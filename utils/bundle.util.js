@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Bundles (gift sets): products made up of other products or variants. A bundle has no
+ * stock of its own. Its `stockQuantity` is the number of complete sets the component stock can make,
+ * and its `price` is either fixed or the components' value less a percentage. Both are stored on the
+ * bundle and refreshed whenever a component changes, so bundles are listed, filtered and added to
+ * carts like any other product. Ordered bundles take their stock from the components (see inventory.util).
+ * Changes made inside a transaction refresh the bundles once it commits, and the bundle sync job
+ * catches anything the model hooks miss, such as bulk updates.
+ */
+
+const mongoose = require('mongoose');
+
+const BUNDLE_PRICING_TYPES = ['fixed', 'percentage_off'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * @desc Helper function to find the product or variant a component refers to, with its live price and stock.
+ */
+const findComponentItem = (component, productMap) => {
+  const product = productMap.get(component.product.toString());
+  if (!product) return null;
+  if (!component.variant) {
+    return { product, variant: null, price: product.price, stock: product.stockQuantity };
+  }
+  const variant = (product.variants || []).find(v => v._id.toString() === component.variant.toString());
+  if (!variant) return null;
+  return { product, variant, price: product.price + (variant.priceAdjustment || 0), stock: variant.stockQuantity };
+};
+
+/**
+ * @desc Works out a bundle's price and how many complete bundles the component stock can make.
+ * A component that was deleted or archived makes the bundle unavailable.
+ * @param {Object} bundle - The bundle product (its `bundle` field is used).
+ * @param {Map<string, Object>} productMap - The component products by id.
+ * @returns {{ price: number, stockQuantity: number, componentsValue: number }}
+ */
+const calculateBundle = (bundle, productMap) => {
+  const { components, pricing } = bundle.bundle;
+  let componentsValue = 0;
+  let stockQuantity = components.length > 0 ? Infinity : 0;
+
+  for (const component of components) {
+    const item = findComponentItem(component, productMap);
+    if (!item || item.product.status === 'archived') {
+      stockQuantity = 0;
+      continue;
+    }
+    componentsValue += item.price * component.quantity;
+    stockQuantity = Math.min(stockQuantity, Math.floor(Math.max(item.stock, 0) / component.quantity));
+  }
+
+  const price = pricing.type === 'fixed'
+    ? pricing.value
+    : componentsValue * (1 - pricing.value / 100);
+
+  return { price: roundAmount(price), stockQuantity, componentsValue: roundAmount(componentsValue) };
+};
+
+const loadComponentProducts = async (bundles, session = null) => {
+  const Product = mongoose.model('Product');
+  const productIds = [...new Set(bundles.flatMap(bundle => bundle.bundle.components.map(c => c.product.toString())))];
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name sku price stockQuantity variants status')
+    .session(session)
+    .lean();
+  return new Map(products.map(p => [p._id.toString(), p]));
+};
+
+/**
+ * @desc Recalculates the price and stock of a single bundle from its components.
+ * @param {Object} bundle - The bundle product.
+ * @param {ClientSession} [session=null]
+ * @returns {Promise<{ price: number, stockQuantity: number, componentsValue: number }>}
+ */
+const priceBundle = async (bundle, session = null) => {
+  const productMap = await loadComponentProducts([bundle], session);
+  return calculateBundle(bundle, productMap);
+};
+
+/**
+ * @desc Helper function to store the recalculated price and stock of the bundles that changed.
+ */
+const refreshBundles = async (bundles, session = null) => {
+  if (bundles.length === 0) return 0;
+  const Product = mongoose.model('Product');
+  const productMap = await loadComponentProducts(bundles, session);
+  let updatedCount = 0;
+  for (const bundle of bundles) {
+    const { price, stockQuantity } = calculateBundle(bundle, productMap);
+    if (price === bundle.price && stockQuantity === bundle.stockQuantity) continue;
+    await Product.updateOne({ _id: bundle._id }, { $set: { price, stockQuantity } }, { session });
+    updatedCount += 1;
+  }
+  return updatedCount;
+};
+
+/**
+ * @desc Refreshes the stored price and stock of the bundles that contain any of the given products.
+ * @param {Array<string>} productIds - The component products that changed.
+ * @param {ClientSession} [session=null] - The session to run in, if any.
+ * @returns {Promise<number>} The number of bundles updated.
+ */
+const syncBundlesContaining = async (productIds, session = null) => {
+  const Product = mongoose.model('Product');
+  const bundles = await Product.find({ type: 'bundle', 'bundle.components.product': { $in: productIds } })
+    .select('bundle price stockQuantity')
+    .session(session)
+    .lean();
+  return refreshBundles(bundles, session);
+};
+
+/**
+ * @desc Called by the Product model whenever a product's stock or price may have changed. Inside a
+ * transaction the products are only noted on the session, to be synced by `syncPendingBundles` once
+ * it commits: updating the bundles in the transaction would lock them, so concurrent checkouts of
+ * different components of one bundle would conflict.
+ * @param {Array<string>} productIds - The component products that changed.
+ * @param {ClientSession} [session=null] - The session the change was made in, if any.
+ * @returns {Promise<number>} The number of bundles updated now.
+ */
+const queueBundleSync = async (productIds, session = null) => {
+  if (session?.inTransaction()) {
+    session.pendingBundleProducts = [...(session.pendingBundleProducts || []), ...productIds.map(String)];
+    return 0;
+  }
+  return syncBundlesContaining(productIds, session);
+};
+
+/**
+ * @desc Syncs the bundles noted on a session by `queueBundleSync`, after its transaction has
+ * committed. Errors are logged rather than thrown; the bundle sync job catches up later.
+ * @param {ClientSession} session
+ * @returns {Promise<number>} The number of bundles updated.
+ */
+const syncPendingBundles = async (session) => {
+  const productIds = [...new Set(session.pendingBundleProducts || [])];
+  session.pendingBundleProducts = [];
+  if (productIds.length === 0) return 0;
+  try {
+    return await syncBundlesContaining(productIds);
+  } catch (err) {
+    console.error(`Failed to sync bundles after a transaction: ${err.message}`);
+    return 0;
+  }
+};
+
+/**
+ * @desc Recalculates every bundle. Run by the bundle sync job to catch changes the model hooks do
+ * not see, such as bulk updates.
+ * @returns {Promise<number>} The number of bundles updated.
+ */
+const syncAllBundles = async () => {
+  const Product = mongoose.model('Product');
+  const bundles = await Product.find({ type: 'bundle' }).select('bundle price stockQuantity').lean();
+  return refreshBundles(bundles);
+};
+
+/**
+ * @desc Validates the bundle details sent when creating or updating a bundle product.
+ * Components must be existing products that are not bundles themselves; products with variants
+ * must name the variant, since that is where their stock is kept.
+ * @param {Object} input - { components: [{ product, variant, quantity }], pricing: { type, value } }
+ * @param {string} [bundleId=null] - The bundle being updated, which cannot contain itself.
+ * @returns {Promise<{ bundle: Object|null, error: string|null }>}
+ */
+const validateBundle = async (input, bundleId = null) => {
+  if (!input || typeof input !== 'object') {
+    return { bundle: null, error: 'Please provide the bundle components and pricing' };
+  }
+
+  const { components, pricing } = input;
+  if (!Array.isArray(components) || components.length === 0) {
+    return { bundle: null, error: 'A bundle needs at least one component' };
+  }
+  if (!pricing || !BUNDLE_PRICING_TYPES.includes(pricing.type)) {
+    return { bundle: null, error: `Bundle pricing type must be one of: ${BUNDLE_PRICING_TYPES.join(', ')}` };
+  }
+  const value = Number(pricing.value);
+  if (Number.isNaN(value) || value < 0) {
+    return { bundle: null, error: 'Bundle pricing value must be a non-negative number' };
+  }
+  if (pricing.type === 'percentage_off' && value > 100) {
+    return { bundle: null, error: 'A bundle cannot be more than 100% off' };
+  }
+
+  for (const [index, component] of components.entries()) {
+    if (!component || !mongoose.Types.ObjectId.isValid(component.product)) {
+      return { bundle: null, error: `Component at index ${index} needs a valid product` };
+    }
+    if (component.variant && !mongoose.Types.ObjectId.isValid(component.variant)) {
+      return { bundle: null, error: `Component at index ${index} has an invalid variant` };
+    }
+    if (!Number.isInteger(Number(component.quantity)) || Number(component.quantity) < 1) {
+      return { bundle: null, error: `Component at index ${index}: quantity must be a whole number of at least 1` };
+    }
+  }
+
+  const Product = mongoose.model('Product');
+  const productIds = components.map(component => component.product);
+  const products = await Product.find({ _id: { $in: productIds } }).select('name type variants').lean();
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  const seen = new Set();
+  const normalized = [];
+  for (const [index, component] of components.entries()) {
+    const product = productMap.get(String(component.product));
+    if (!product) {
+      return { bundle: null, error: `Component at index ${index}: product not found with id of ${component.product}` };
+    }
+    if (product.type === 'bundle' || (bundleId && String(product._id) === String(bundleId))) {
+      return { bundle: null, error: `Component at index ${index}: a bundle cannot contain another bundle` };
+    }
+
+    const hasVariants = product.variants && product.variants.length > 0;
+    if (hasVariants && !component.variant) {
+      return { bundle: null, error: `Component at index ${index}: please choose a variant of "${product.name}"` };
+    }
+    if (!hasVariants && component.variant) {
+      return { bundle: null, error: `Component at index ${index}: "${product.name}" has no variants` };
+    }
+    if (component.variant && !product.variants.some(v => v._id.toString() === String(component.variant))) {
+      return { bundle: null, error: `Component at index ${index}: variant not found for "${product.name}"` };
+    }
+
+    const key = `${product._id}:${component.variant || ''}`;
+    if (seen.has(key)) {
+      return { bundle: null, error: `Component at index ${index} repeats an earlier component; increase its quantity instead` };
+    }
+    seen.add(key);
+
+    normalized.push({ product: product._id, variant: component.variant || null, quantity: Number(component.quantity) });
+  }
+
+  return { bundle: { components: normalized, pricing: { type: pricing.type, value } }, error: null };
+};
+
+/**
+ * @desc Snapshots a bundle's components for an order item, so the order still knows what was
+ * packed and which stock to return if the bundle is later changed.
+ * @param {Object} bundle - The bundle product.
+ * @returns {Promise<Array<{ product: string, variant: string|null, name: string, sku: string, quantity: number }>>}
+ */
+const describeBundleComponents = async (bundle) => {
+  const productMap = await loadComponentProducts([bundle]);
+  return bundle.bundle.components.map((component) => {
+    const item = findComponentItem(component, productMap);
+    return {
+      product: component.product,
+      variant: component.variant || null,
+      name: item ? `${item.product.name}${item.variant ? ` (${item.variant.size})` : ''}` : 'Unavailable item',
+      sku: item ? (item.variant?.sku || item.product.sku) : undefined,
+      quantity: component.quantity,
+    };
+  });
+};
+
+/**
+ * @desc Lists the bundles each product is used in, for the inventory views.
+ * @param {Array<string>} productIds
+ * @returns {Promise<Map<string, Array<{ bundle: Object, variant: string|null, quantity: number }>>>}
+ * For each product id, the bundles using it (with their name, SKU, status and stock), the variant
+ * they use and how many go in each bundle.
+ */
+const getBundleUsage = async (productIds) => {
+  const Product = mongoose.model('Product');
+  const bundles = await Product.find({ type: 'bundle', 'bundle.components.product': { $in: productIds } })
+    .select('name sku status stockQuantity bundle.components')
+    .lean();
+
+  const usage = new Map(productIds.map(id => [id.toString(), []]));
+  for (const bundle of bundles) {
+    for (const component of bundle.bundle.components) {
+      const uses = usage.get(component.product.toString());
+      if (!uses) continue;
+      uses.push({
+        bundle: { _id: bundle._id, name: bundle.name, sku: bundle.sku, status: bundle.status, stockQuantity: bundle.stockQuantity },
+        variant: component.variant || null,
+        quantity: component.quantity,
+      });
+    }
+  }
+  return usage;
+};
+
+module.exports = {
+  BUNDLE_PRICING_TYPES,
+  calculateBundle,
+  priceBundle,
+  syncBundlesContaining,
+  queueBundleSync,
+  syncPendingBundles,
+  syncAllBundles,
+  validateBundle,
+  describeBundleComponents,
+  getBundleUsage,
+};
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Cart totals, and merging cart lines into a customer's cart: the guest's session
+ * cart when they log in or register, or a saved copy when an abandoned cart is restored.
+ */
+
+const Product = require('../models/product.model');
+const Cart = require('../models/cart.model');
+const Settings = require('../models/settings.model');
+const { evaluateCoupon } = require('./coupon.util');
+const { priceItems } = require('./pricing.util');
+
+/**
+ * @desc    Helper function to bring cart line prices up to date with the live products, so
+ * price changes and scheduled sales reach carts. Lines whose product or variant no longer
+ * exists keep their price; getCart removes them the next time the cart is loaded.
+ * @param   {Array<object>} items - The cart items, updated in place.
+ */
+const refreshItemPrices = async (items) => {
+  if (items.length === 0) return;
+  const productIds = [...new Set(items.map(item => item.product.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } }).select('price variants').lean();
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  items.forEach((item) => {
+    const product = productMap.get(item.product.toString());
+    if (!product) return;
+    if (!item.variant?._id) {
+      item.price = product.price;
+      return;
+    }
+    const variant = product.variants.find(v => v._id.toString() === item.variant._id.toString());
+    if (variant) item.price = product.price + (variant.priceAdjustment || 0);
+  });
+};
+
+/**
+ * @desc    Helper function to recalculate all cart totals through the pricing engine.
+ * This also re-validates and applies any existing coupon; a coupon that is no longer
+ * valid (expired, limit reached, minimum subtotal not met) is removed from the cart.
+ * Line prices are refreshed from the live products first.
+ * Shipping is not known yet, so the cart total is the items, discount and tax only.
+ * @param   {object} cart - The cart object to recalculate.
+ * @param   {object} [user] - The logged in user, used for per-customer coupon limits.
+ * @returns {Promise<string|null>} The reason a coupon was removed, if any.
+ */
+const recalculateCart = async (cart, user) => {
+  await refreshItemPrices(cart.items);
+
+  let couponResult = null;
+  let couponError = null;
+  if (cart.coupon && cart.coupon.code) {
+    if (cart.items.length === 0) {
+      couponError = 'Your cart is empty';
+    } else {
+      const result = await evaluateCoupon({ code: cart.coupon.code, items: cart.items, email: user?.email, userId: user?._id });
+      if (result.error) {
+        couponError = result.error;
+      } else {
+        couponResult = result;
+      }
+    }
+  }
+
+  const settings = await Settings.getSettings();
+  const pricing = priceItems({
+    items: cart.items.map(item => ({ price: item.price, quantity: item.quantity })),
+    coupon: couponResult,
+    settings,
+  });
+
+  cart.items.forEach((item, index) => {
+    item.total = pricing.lines[index].total;
+    item.discount = pricing.lines[index].discount;
+  });
+  cart.totalItems = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+  cart.subtotal = pricing.subtotal;
+  cart.discount = pricing.discount;
+  cart.taxAmount = pricing.taxAmount;
+  cart.taxInclusive = pricing.taxInclusive;
+  cart.total = pricing.totalAmount;
+
+  if (couponResult) {
+    cart.coupon = {
+      code: couponResult.coupon.code,
+      type: couponResult.coupon.type,
+      discount: pricing.discount,
+      freeShipping: couponResult.freeShipping,
+    };
+  } else if (couponError) {
+    cart.coupon = undefined;
+  }
+
+  return couponError;
+};
+
+// Cart lines for the same product and variant are combined into one
+const getLineKey = (item) => `${item.product.toString()}:${item.variant?._id ? item.variant._id.toString() : ''}`;
+
+const describeLine = (item) => ({
+  productName: item.productName,
+  sku: item.sku,
+  variant: item.variant?.size || null,
+});
+
+/**
+ * @desc Adds cart lines to a cart. Lines for the same product and variant are combined, prices
+ * are refreshed, quantities are clamped to the stock available and items that can no longer be
+ * bought are dropped. Totals and the coupon are recalculated; the cart is not saved.
+ * @param {Object} cart - The Cart document.
+ * @param {Array<Object>} incomingItems - Cart lines to add, e.g. from a session cart.
+ * @param {Object} user - The cart's owner, used for per-customer coupon limits.
+ * @returns {Promise<{ dropped: Array, adjusted: Array, couponError: string|null }>}
+ */
+const mergeItemsIntoCart = async (cart, incomingItems, user) => {
+  // Combine the cart's lines with the incoming ones, keeping the first line's details
+  const lines = new Map();
+  for (const item of [...cart.items.map(i => i.toObject()), ...incomingItems]) {
+    const key = getLineKey(item);
+    const existing = lines.get(key);
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      const { _id, ...line } = item;
+      lines.set(key, line);
+    }
+  }
+
+  const productIds = [...new Set([...lines.values()].map(line => line.product.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } }).lean();
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  const dropped = [];
+  const adjusted = [];
+  const items = [];
+  for (const line of lines.values()) {
+    const product = productMap.get(line.product.toString());
+    if (!product || product.status !== 'published') {
+      dropped.push({ ...describeLine(line), reason: 'This product is no longer available' });
+      continue;
+    }
+
+    let livePrice = product.price;
+    let liveStock = product.stockQuantity;
+    if (line.variant?._id) {
+      const variant = product.variants?.find(v => v._id.toString() === line.variant._id.toString());
+      if (!variant) {
+        dropped.push({ ...describeLine(line), reason: 'This product variant is no longer available' });
+        continue;
+      }
+      livePrice += variant.priceAdjustment || 0;
+      liveStock = variant.stockQuantity;
+    }
+
+    if (liveStock <= 0) {
+      dropped.push({ ...describeLine(line), reason: 'This product is out of stock' });
+      continue;
+    }
+
+    const quantity = Math.min(line.quantity, liveStock);
+    if (quantity < line.quantity) {
+      adjusted.push({
+        ...describeLine(line),
+        requestedQuantity: line.quantity,
+        quantity,
+        reason: `Only ${liveStock} available`,
+      });
+    }
+
+    items.push({ ...line, price: livePrice, quantity, total: quantity * livePrice });
+  }
+
+  cart.items = items;
+  const couponError = await recalculateCart(cart, user);
+
+  return { dropped, adjusted, couponError };
+};
+
+/**
+ * @desc Merges a guest's session cart into their customer cart (see `mergeItemsIntoCart`).
+ * The customer's coupon is kept, or the guest's adopted if they had none, and re-validated.
+ * The cart is saved and the session cart cleared.
+ * Errors are logged rather than thrown so a failed merge never blocks a login; the guest cart
+ * then stays in the session.
+ * @param {Object} session - The express session holding the guest cart.
+ * @param {Object} user - The customer who just logged in or registered.
+ * @returns {Promise<{ cart: Object, dropped: Array, adjusted: Array, couponError: string|null }|null>}
+ * What changed, or null if there was nothing to merge.
+ */
+const mergeGuestCart = async (session, user) => {
+  const guestCart = session?.cart;
+  if (!guestCart || !guestCart.items || guestCart.items.length === 0 || user.role !== 'customer') {
+    return null;
+  }
+
+  try {
+    let cart = await Cart.findOne({ user: user._id });
+    if (!cart) {
+      cart = new Cart({ user: user._id, items: [] });
+    }
+
+    if (!cart.coupon?.code && guestCart.coupon?.code) {
+      cart.coupon = { code: guestCart.coupon.code };
+    }
+    const { dropped, adjusted, couponError } = await mergeItemsIntoCart(cart, guestCart.items, user);
+    await cart.save();
+
+    session.cart = null;
+
+    return { cart, dropped, adjusted, couponError };
+  } catch (err) {
+    console.error(`Failed to merge the guest cart for user ${user._id}:`, err.message);
+    return null;
+  }
+};
+
+/**
+ * @desc Takes the lines of a placed order out of the customer's saved cart or the guest session
+ * cart. Each matching cart line loses the ordered quantity and is removed once none is left;
+ * anything else in the cart, such as lines added after a checkout started, stays. Totals and the
+ * coupon are recalculated.
+ * @param {Object} session - The express session.
+ * @param {Object} [user] - The logged in customer, if any.
+ * @param {Array<Object>} orderItems - The order's items.
+ * @returns {Promise<void>}
+ */
+const removeOrderedItems = async (session, user, orderItems) => {
+  const cart = user ? await Cart.findOne({ user: user.id }) : session?.cart;
+  if (!cart || !cart.items || cart.items.length === 0) return;
+
+  const orderedQuantities = new Map();
+  for (const item of orderItems) {
+    const key = getLineKey(item);
+    orderedQuantities.set(key, (orderedQuantities.get(key) || 0) + item.quantity);
+  }
+
+  let changed = false;
+  const remaining = [];
+  for (const item of cart.items) {
+    const key = getLineKey(item);
+    const ordered = orderedQuantities.get(key) || 0;
+    if (ordered === 0) {
+      remaining.push(item);
+      continue;
+    }
+    changed = true;
+    const taken = Math.min(ordered, item.quantity);
+    orderedQuantities.set(key, ordered - taken);
+    if (item.quantity > taken) {
+      item.quantity -= taken;
+      remaining.push(item);
+    }
+  }
+  if (!changed) return;
+
+  cart.items = remaining;
+  await recalculateCart(cart, user);
+  if (user) {
+    await cart.save();
+  } else {
+    session.cart = cart;
+  }
+};
+
+module.exports = {
+  recalculateCart,
+  mergeItemsIntoCart,
+  mergeGuestCart,
+  removeOrderedItems,
+};
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Cash on delivery rules for checkout, and the reconciliation of the cash
+ * riders collect against the delivered orders it pays for.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const User = require('../models/user.model');
+const CodRemittance = require('../models/codRemittance.model');
+const { commitOrderStock } = require('./inventory.util');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * @desc Checks whether an order may be paid on delivery under the rules in Settings.
+ * @param {Object} options
+ * @param {Object} options.settings - The store settings.
+ * @param {Object} options.shippingZone - The shipping zone the order is delivered to.
+ * @param {number} options.totalAmount - The order total.
+ * @param {string} options.email - The customer's email address, used to find flagged guest checkouts.
+ * @param {string} [options.userId] - The logged in customer, if any.
+ * @returns {Promise<string|null>} Why cash on delivery is not allowed, or null if it is.
+ */
+const getCashOnDeliveryError = async ({ settings, shippingZone, totalAmount, email, userId }) => {
+  const method = settings.payment.methods.find(m => m.name === 'cash_on_delivery');
+  if (!method || !method.active) {
+    return 'Cash on delivery is not available';
+  }
+
+  const rules = settings.cashOnDelivery || {};
+
+  const allowedZones = (rules.allowedZones || []).map(String);
+  if (allowedZones.length > 0 && !allowedZones.includes(shippingZone._id.toString())) {
+    return `Cash on delivery is not available for delivery to ${shippingZone.name}. Please choose another payment method.`;
+  }
+
+  if (rules.maxOrderValue > 0 && totalAmount > rules.maxOrderValue) {
+    return `Cash on delivery is only available for orders up to ${rules.maxOrderValue.toLocaleString('en-NG')}. Please choose another payment method.`;
+  }
+
+  if (rules.blockFlaggedCustomers !== false) {
+    // Guests are checked by email so a flagged customer cannot get round the rule by logging out
+    const customer = userId
+      ? await User.findById(userId).select('isFlagged')
+      : await User.findOne({ email: email.toLowerCase() }).select('isFlagged');
+    if (customer?.isFlagged) {
+      return 'Cash on delivery is not available for this account. Please choose another payment method.';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @desc Records the cash a rider collected for a batch of delivered cash on delivery orders,
+ * marks the orders paid and works out the differences against what was expected.
+ * The orders and the remittance are written in one transaction.
+ * @param {Object} options
+ * @param {string} options.riderName - The rider handing in the cash.
+ * @param {Array<{orderId: string, collectedAmount: number}>} options.orders - The cash collected per order.
+ * @param {string} [options.note]
+ * @param {string} options.userId - The admin recording the remittance.
+ * @returns {Promise<{ remittance: Object|null, error: string|null }>}
+ */
+const recordCodRemittance = async ({ riderName, orders, note, userId }) => {
+  const orderIds = orders.map(o => String(o.orderId));
+  if (new Set(orderIds).size !== orderIds.length) {
+    return { remittance: null, error: 'Each order can only appear once in a remittance' };
+  }
+
+  for (const entry of orders) {
+    const amount = Number(entry.collectedAmount);
+    if (entry.collectedAmount === undefined || entry.collectedAmount === null || Number.isNaN(amount) || amount < 0) {
+      return { remittance: null, error: `Please provide a valid collected amount for order ${entry.orderId}` };
+    }
+  }
+
+  const session = await mongoose.startSession();
+  let remittance;
+  let paidOrders = [];
+  let validationError = null;
+  try {
+    await session.withTransaction(async () => {
+      validationError = null;
+      const orderDocs = await Order.find({ _id: { $in: orderIds } }).session(session);
+      const ordersById = new Map(orderDocs.map(order => [order._id.toString(), order]));
+
+      const lines = [];
+      for (const entry of orders) {
+        const order = ordersById.get(String(entry.orderId));
+        if (!order) {
+          validationError = `Order not found with id of ${entry.orderId}`;
+          break;
+        }
+        if (order.paymentInfo.method !== 'cash_on_delivery') {
+          validationError = `Order ${order.orderNumber} is not a cash on delivery order`;
+          break;
+        }
+        if (order.status !== 'delivered') {
+          validationError = `Order ${order.orderNumber} has not been delivered yet`;
+          break;
+        }
+        if (order.paymentInfo.status !== 'pending') {
+          validationError = `Order ${order.orderNumber} has already been reconciled`;
+          break;
+        }
+
+        const collectedAmount = roundAmount(Number(entry.collectedAmount));
+        lines.push({
+          order: order._id,
+          orderNumber: order.orderNumber,
+          expectedAmount: order.totalAmount,
+          collectedAmount,
+          difference: roundAmount(collectedAmount - order.totalAmount),
+        });
+      }
+      if (validationError) {
+        // Nothing has been written yet, so there is nothing to roll back
+        return;
+      }
+
+      const expectedTotal = roundAmount(lines.reduce((sum, line) => sum + line.expectedAmount, 0));
+      const collectedTotal = roundAmount(lines.reduce((sum, line) => sum + line.collectedAmount, 0));
+
+      [remittance] = await CodRemittance.create([{
+        riderName,
+        orders: lines,
+        expectedTotal,
+        collectedTotal,
+        difference: roundAmount(collectedTotal - expectedTotal),
+        note,
+        recordedBy: userId,
+      }], { session });
+
+      paidOrders = [];
+      for (const line of lines) {
+        const order = ordersById.get(line.order.toString());
+        order.paymentInfo.status = 'paid';
+        order.paymentInfo.paidAt = new Date();
+        order.paymentInfo.transactionId = remittance.reference;
+        order.paymentInfo.details = {
+          riderName,
+          collectedAmount: line.collectedAmount,
+          difference: line.difference,
+        };
+        order.updatedBy = userId;
+        order.timeline.push({
+          status: order.status,
+          note: line.difference === 0
+            ? `Cash collected by ${riderName} reconciled (${remittance.reference}).`
+            : `Cash collected by ${riderName} reconciled (${remittance.reference}) with a difference of ${line.difference.toFixed(2)}.`,
+          updatedBy: userId,
+        });
+        await order.save({ session });
+        paidOrders.push(order);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (validationError) {
+    return { remittance: null, error: validationError };
+  }
+
+  // The stock for cash on delivery orders stays reserved until the cash is in
+  for (const order of paidOrders) {
+    await commitOrderStock(order, { userId });
+  }
+
+  return { remittance, error: null };
+};
+
+module.exports = {
+  getCashOnDeliveryError,
+  recordCodRemittance,
+};
@@ -0,0 +1,341 @@
+/**
+ * @fileoverview Checkout: prices a set of cart lines against live product data, shipping rates and
+ * coupons, and places the order. The checkout API and `POST /orders` both place orders through
+ * `placeOrder`, so an order is validated and priced the same way whichever route created it.
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const Coupon = require('../models/coupon.model');
+const Settings = require('../models/settings.model');
+const User = require('../models/user.model');
+const { evaluateCoupon } = require('./coupon.util');
+const { reserveStock, getReservationExpiry } = require('./inventory.util');
+const { getCashOnDeliveryError } = require('./cashOnDelivery.util');
+const { recordCartRecovery } = require('./abandonedCart.util');
+const { priceItems } = require('./pricing.util');
+const { getUnverifiedEmailError } = require('./emailVerification.util');
+const { describeBundleComponents, syncPendingBundles } = require('./bundle.util');
+
+const generateOrderNumber = () => {
+  // Generates a number like: ORD-1678886400000-AB12C
+  const timestamp = Date.now();
+  const randomComponent = Math.random().toString(36).substring(2, 7).toUpperCase();
+  return `ORD-${timestamp}-${randomComponent}`;
+};
+
+/**
+ * @desc Finds an active shipping rate and checks that its zone delivers to the given state.
+ * @param {Object} settings - The store settings.
+ * @param {string} shippingRateId - The selected shipping rate.
+ * @param {string} state - The state the order is delivered to.
+ * @returns {{ rate: Object|null, zone: Object|null, error: string|null }}
+ */
+const findShippingRate = (settings, shippingRateId, state) => {
+  let rate, zone;
+  for (const shippingZone of settings.shipping.zones) {
+    const shippingRate = shippingZone.shippingRates.id(shippingRateId);
+    if (shippingRate) {
+      rate = shippingRate;
+      zone = shippingZone;
+      break;
+    }
+  }
+
+  if (!rate || !zone || !rate.active || !zone.active) {
+    return { rate: null, zone: null, error: 'The selected shipping method is invalid or unavailable.' };
+  }
+  if (!zone.regions.includes(state) && !zone.regions.includes('Others')) {
+    return { rate: null, zone: null, error: 'The selected shipping method is not available for your state.' };
+  }
+  return { rate, zone, error: null };
+};
+
+/**
+ * @desc Builds order items from cart lines using live product prices.
+ * Lines with too little stock are reported rather than failing the whole call. A bundle's price and
+ * stock are kept up to date from its components, so bundles are checked like any other product.
+ * @param {Array<{product: string, variant: string, quantity: number}>} items - The cart lines.
+ * @returns {Promise<{ orderItems: Array, unavailableItems: Array, error: string|null, statusCode: number }>}
+ */
+const buildOrderItems = async (items) => {
+  const orderItems = [];
+  const unavailableItems = [];
+  const productIds = items.map(item => item.product);
+  const products = await Product.find({ '_id': { $in: productIds } });
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  for (const item of items) {
+    const product = productMap.get(String(item.product));
+    if (!product) {
+      return { orderItems, unavailableItems, error: 'Product not found.', statusCode: 404 };
+    }
+    if (product.status !== 'published') {
+      return { orderItems, unavailableItems, error: `Product "${product.name}" is currently unavailable.`, statusCode: 400 };
+    }
+
+    let price = product.price;
+    let stock = product.stockQuantity;
+    let sku = product.sku;
+    let variantInfo = null;
+
+    if (item.variant) {
+      const variant = product.variants.id(item.variant);
+      if (!variant) {
+        return { orderItems, unavailableItems, error: `Selected variant for "${product.name}" not found.`, statusCode: 404 };
+      }
+      price = product.price + variant.priceAdjustment;
+      stock = variant.stockQuantity;
+      sku = variant.sku;
+      variantInfo = { _id: variant._id, size: variant.size, scentIntensity: variant.scentIntensity };
+    }
+
+    // Quick check against the stock we just read; placing the order re-checks it atomically
+    if (item.quantity > stock) {
+      unavailableItems.push({ product: product._id, variant: variantInfo?._id || null, name: product.name, sku, requested: item.quantity, available: stock });
+      continue;
+    }
+
+    orderItems.push({
+      product: product._id,
+      name: product.name,
+      sku,
+      price,
+      quantity: item.quantity,
+      variant: variantInfo,
+      image: product.images.find(img => img.isMain)?.url || product.images[0]?.url,
+      total: price * item.quantity,
+      // A bundle's stock is its components', so the order keeps what it was made of
+      bundleComponents: product.type === 'bundle' ? await describeBundleComponents(product) : undefined
+    });
+  }
+
+  return { orderItems, unavailableItems, error: null, statusCode: 200 };
+};
+
+/**
+ * @desc Prices cart lines for checkout through the pricing engine. Shipping is only added once a
+ * rate has been chosen, and an invalid coupon is reported in `couponError` instead of failing the quote.
+ * @param {Object} options
+ * @param {Array} options.items - The cart lines ({ product, variant, quantity }).
+ * @param {Object} [options.shippingAddress] - Needed with `shippingRateId` to check the rate covers the state.
+ * @param {string} [options.shippingRateId] - The selected shipping rate.
+ * @param {string} [options.couponCode]
+ * @param {string} [options.email] - The customer's email, for per-customer coupon limits.
+ * @param {string} [options.userId] - The logged in customer, for per-customer coupon limits.
+ * @param {Object} options.settings - The store settings.
+ * @returns {Promise<{ quote: Object|null, error: string|null, statusCode: number }>}
+ */
+const quoteOrder = async ({ items, shippingAddress, shippingRateId, couponCode, email, userId, settings }) => {
+  let shippingRate = null;
+  let shippingZone = null;
+  if (shippingRateId) {
+    const result = findShippingRate(settings, shippingRateId, shippingAddress?.state);
+    if (result.error) {
+      return { quote: null, error: result.error, statusCode: 400 };
+    }
+    shippingRate = result.rate;
+    shippingZone = result.zone;
+  }
+
+  const { orderItems, unavailableItems, error, statusCode } = await buildOrderItems(items);
+  if (error) {
+    return { quote: null, error, statusCode };
+  }
+
+  let coupon = null;
+  let couponError = null;
+  if (couponCode) {
+    const result = await evaluateCoupon({ code: couponCode, items: orderItems, email, userId });
+    if (result.error) {
+      couponError = result.error;
+    } else {
+      coupon = result;
+    }
+  }
+
+  const { lines, ...totals } = priceItems({ items: orderItems, coupon, shippingRate, settings });
+
+  return {
+    quote: { orderItems: lines, unavailableItems, shippingRate, shippingZone, coupon, couponError, ...totals },
+    error: null,
+    statusCode: 200,
+  };
+};
+
+/**
+ * @desc Validates, prices and places an order. The coupon redemption, stock reservation and order
+ * are written in one transaction.
+ * @param {Object} options
+ * @param {Array} options.items - The cart lines ({ product, variant, quantity }).
+ * @param {Object} options.shippingAddress
+ * @param {string} options.shippingRateId
+ * @param {string} options.paymentMethod - The name of an active payment method, e.g. 'paystack'.
+ * @param {string} [options.couponCode]
+ * @param {string} [options.userId=null] - The logged in customer, if any.
+ * @returns {Promise<{ order: Object|null, error: string|null, statusCode: number, unavailableItems: Array }>}
+ */
+const placeOrder = async ({ items, shippingAddress, shippingRateId, paymentMethod, couponCode, userId = null }) => {
+  const fail = (error, statusCode = 400, unavailableItems = []) => ({ order: null, error, statusCode, unavailableItems });
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    return fail('Your cart is empty.');
+  }
+  if (!shippingAddress || !shippingAddress.state || !shippingAddress.email) {
+    return fail('Please provide a complete shipping address including state and email.');
+  }
+  if (!paymentMethod) {
+    return fail('Please select a payment method.');
+  }
+  if (!shippingRateId) {
+    return fail('Please select a shipping method.');
+  }
+
+  const settings = await Settings.getSettings();
+  if (!settings.payment.methods.some(m => m.name === paymentMethod && m.active)) {
+    return fail('The selected payment method is not available.');
+  }
+
+  if (userId) {
+    const customer = await User.findById(userId).select('role emailVerified');
+    const verificationError = getUnverifiedEmailError(customer, settings, 'order');
+    if (verificationError) {
+      return fail(verificationError, 403);
+    }
+  }
+
+  const { quote, error, statusCode } = await quoteOrder({
+    items,
+    shippingAddress,
+    shippingRateId,
+    couponCode,
+    email: shippingAddress.email,
+    userId,
+    settings,
+  });
+  if (error) {
+    return fail(error, statusCode);
+  }
+  if (quote.unavailableItems.length > 0) {
+    return fail('Some items in your cart are not available in the requested quantity.', 400, quote.unavailableItems);
+  }
+  if (quote.couponError) {
+    return fail(quote.couponError);
+  }
+
+  if (paymentMethod === 'cash_on_delivery') {
+    const codError = await getCashOnDeliveryError({
+      settings,
+      shippingZone: quote.shippingZone,
+      totalAmount: quote.totalAmount,
+      email: shippingAddress.email,
+      userId,
+    });
+    if (codError) {
+      return fail(codError);
+    }
+  }
+
+  const { orderItems, shippingRate, coupon, subtotal, discount, shippingFee, taxRate, taxInclusive, taxAmount, totalAmount } = quote;
+
+  const session = await mongoose.startSession();
+  let order;
+  let unavailableItems = [];
+  let placeError = null;
+  try {
+    // withTransaction retries the callback on transient errors such as write conflicts
+    await session.withTransaction(async () => {
+      placeError = null;
+      const orderId = new mongoose.Types.ObjectId();
+      const orderNumber = generateOrderNumber();
+
+      if (coupon) {
+        const redeemed = await Coupon.recordRedemption({
+          couponId: coupon.coupon._id,
+          orderId,
+          email: shippingAddress.email,
+          userId,
+          discount,
+          session,
+        });
+        if (!redeemed) {
+          placeError = 'This coupon has reached its usage limit';
+          throw new Error(placeError);
+        }
+      }
+
+      // Stock is held until the order is paid or its reservation expires
+      unavailableItems = await reserveStock({ orderId, orderNumber, items: orderItems, userId, session });
+      if (unavailableItems.length > 0) {
+        placeError = 'Some items in your cart are not available in the requested quantity.';
+        throw new Error(placeError);
+      }
+
+      const reservationExpiry = await getReservationExpiry(paymentMethod, settings);
+
+      [order] = await Order.create([{
+        _id: orderId,
+        orderNumber,
+        user: userId,
+        items: orderItems,
+        shippingAddress,
+        shippingMethod: {
+          name: shippingRate.name,
+          rateId: shippingRate._id,
+          price: shippingFee, // Store the actual fee charged
+          description: shippingRate.description
+        },
+        paymentInfo: {
+          method: paymentMethod,
+          status: 'pending',
+          // Bank transfer orders wait for the customer to upload a proof of payment
+          bankTransfer: paymentMethod === 'bank_transfer'
+            ? { status: 'awaiting_proof', expiresAt: reservationExpiry }
+            : undefined
+        },
+        subtotal,
+        shippingFee,
+        taxAmount,
+        taxRate,
+        taxInclusive,
+        discount,
+        coupon: coupon ? {
+          code: coupon.coupon.code,
+          couponId: coupon.coupon._id,
+          discount,
+          freeShipping: coupon.freeShipping
+        } : undefined,
+        totalAmount,
+        status: 'pending',
+        stockReservation: {
+          status: 'held',
+          expiresAt: reservationExpiry
+        },
+        timeline: [{ status: 'pending', date: Date.now(), description: 'Order placed by customer.' }]
+      }], { session });
+    });
+  } catch (txnErr) {
+    if (!placeError) throw txnErr;
+  } finally {
+    await session.endSession();
+  }
+
+  if (placeError) {
+    return fail(placeError, 400, unavailableItems);
+  }
+
+  // Bundles made from the reserved items are refreshed now the stock change has committed
+  await syncPendingBundles(session);
+
+  // Stop any cart recovery emails and credit the order if one brought the customer back
+  await recordCartRecovery(order);
+
+  return { order, error: null, statusCode: 201, unavailableItems: [] };
+};
+
+module.exports = {
+  findShippingRate,
+  quoteOrder,
+  placeOrder,
+};
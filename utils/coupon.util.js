@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Utility functions for validating coupons against cart or order line items.
+ */
+const Coupon = require('../models/coupon.model');
+const Product = require('../models/product.model');
+
+/**
+ * @desc Looks up a coupon by code and calculates the discount it gives on the supplied items.
+ * Product categories are resolved from the database so category restrictions work for
+ * both cart items (which only store the category name) and order items.
+ *
+ * @param {object} options
+ * @param {string} options.code - The coupon code entered by the customer.
+ * @param {Array<{product: string, total: number}>} options.items - The line items to discount.
+ * @param {string} [options.email] - The customer's email, used for the per-customer usage limit of guests.
+ * @param {string} [options.userId] - The customer's user id, used for the per-customer usage limit when logged in.
+ * @returns {Promise<object>} `{ coupon, discount, eligibleItems, freeShipping }` when valid, or `{ coupon, error }` when not.
+ * `eligibleItems` holds the indexes of the items the discount applies to.
+ */
+const evaluateCoupon = async ({ code, items, email, userId }) => {
+  const coupon = await Coupon.findOne({ code: String(code).toUpperCase().trim() });
+  if (!coupon) {
+    return { coupon: null, error: 'Invalid or expired coupon code' };
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.total, 0);
+  const reason = coupon.getIneligibilityReason({ subtotal, email, userId });
+  if (reason) {
+    return { coupon, error: reason };
+  }
+
+  const productIds = [...new Set(items.map(item => item.product.toString()))];
+  const products = await Product.find({ _id: { $in: productIds } }).select('category').lean();
+  const categoryMap = new Map(products.map(p => [p._id.toString(), p.category]));
+
+  const { discount, eligibleSubtotal, eligibleItems, freeShipping } = coupon.calculateDiscount(
+    items.map(item => ({
+      product: item.product,
+      category: categoryMap.get(item.product.toString()),
+      total: item.total,
+    }))
+  );
+
+  if (eligibleSubtotal === 0) {
+    return { coupon, error: 'This coupon does not apply to any items in your cart' };
+  }
+
+  return { coupon, discount, eligibleItems, freeShipping };
+};
+
+module.exports = {
+  evaluateCoupon,
+};
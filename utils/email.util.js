@@ -1,7 +1,37 @@
 /**
- * Email utility for sending emails using Nodemailer
+ * Email utility for sending emails using Nodemailer.
+ * Transactional emails are rendered from named templates and queued in the
+ * EmailOutbox collection, which is retried until delivery succeeds.
  */
 const nodemailer = require('nodemailer');
+const EmailOutbox = require('../models/emailOutbox.model');
+const Settings = require('../models/settings.model');
+const { renderTemplate, getBranding } = require('./emailTemplates.util');
+
+// Templates that can be switched off with the `emailNotifications` toggles in Settings.
+// Templates not listed here (refunds, password resets, returns) are always sent.
+const NOTIFICATION_TOGGLES = {
+  orderConfirmation: 'orderConfirmation',
+  orderStatusUpdate: 'orderStatusUpdate',
+  orderShipped: 'orderShipped',
+  lowStockAlert: 'lowStockAlert'
+};
+
+// Templates carrying a one-time link, and the data field holding it. The outbox stores these emails
+// with the link removed so nobody reading the outbox can use it; the link is only in the first
+// delivery attempt, so they are never retried and the customer asks for a new link instead.
+const ONE_TIME_LINK_FIELDS = {
+  passwordReset: 'resetUrl',
+  emailVerification: 'verifyUrl',
+  abandonedCart: 'restoreUrl'
+};
+const REDACTED_LINK = '[link removed]';
+
+// Minutes to wait before each retry; the last value is reused for later attempts
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+
+// Emails stuck in `sending` for this long (e.g. the server restarted mid-send) are queued again
+const STUCK_SENDING_MINUTES = 10;
 
 /**
  * Create a transporter for sending emails
@@ -54,104 +84,179 @@ const sendEmail = async (options) => {
   return await transporter.sendMail(mailOptions);
 };
 
-module.exports = sendEmail;
+/**
+ * Check whether emails from a template carry a one-time link, so are stored redacted and not retried
+ * @param {String} template - Template name
+ * @returns {Boolean}
+ */
+const hasOneTimeLink = (template) => Boolean(ONE_TIME_LINK_FIELDS[template]);
 
 /**
- * Send an order confirmation email
- * @param {Object} order - Order object
- * @param {String} customerEmail - Customer email
- * @returns {Promise<Object>} Email send info
+ * Send a delivery attempt for an outbox entry and record the outcome
+ * @param {Object} entry - EmailOutbox document
+ * @param {Object} [content] - The rendered { subject, text, html } to send instead of the stored copy
+ * @returns {Promise<Object|null>} The updated entry, or null if it was not queued
+ */
+const deliverOutboxEntry = async (entry, content = null) => {
+  // Claim the entry so two workers never send the same email
+  const claimed = await EmailOutbox.findOneAndUpdate(
+    { _id: entry._id, status: 'queued' },
+    {
+      $set: { status: 'sending' },
+      $inc: { attempts: 1 },
+      $push: { history: { status: 'sending' } }
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  try {
+    const message = content || claimed;
+    const info = await sendEmail({
+      email: claimed.to,
+      subject: message.subject,
+      message: message.text,
+      html: message.html
+    });
+
+    claimed.status = 'sent';
+    claimed.sentAt = new Date();
+    claimed.messageId = info?.messageId;
+    claimed.lastError = undefined;
+    claimed.history.push({ status: 'sent' });
+  } catch (err) {
+    const gaveUp = claimed.attempts >= claimed.maxAttempts;
+    const delay = RETRY_DELAYS_MINUTES[Math.min(claimed.attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+
+    claimed.status = gaveUp ? 'failed' : 'queued';
+    claimed.lastError = err.message;
+    if (!gaveUp) {
+      claimed.nextAttemptAt = new Date(Date.now() + delay * 60 * 1000);
+    }
+    claimed.history.push({
+      status: claimed.status,
+      error: err.message,
+      note: gaveUp
+        ? `Gave up after ${claimed.attempts} attempt(s)${hasOneTimeLink(claimed.template) ? '; emails with a one-time link are not retried' : ''}`
+        : `Retrying in ${delay} minute(s)`
+    });
+    console.error(`Email ${claimed._id} (${claimed.template}) to ${claimed.to} failed: ${err.message}`);
+  }
+
+  return claimed.save();
+};
+
+/**
+ * Render a template and add it to the outbox. A first delivery attempt is started
+ * straight away; failures are retried by the outbox job. Emails with a one-time link are
+ * stored with the link removed and delivered once, before this resolves.
+ * @param {Object} options - Queue options
+ * @param {String} options.template - Template name, e.g. 'orderConfirmation'
+ * @param {String} options.to - Recipient email
+ * @param {Object} options.data - Template data
+ * @param {String} [options.order] - Related order id
+ * @param {String} [options.user] - Related user id
+ * @returns {Promise<Object|null>} The outbox entry, or null if the notification is switched off
  */
-const sendOrderConfirmationEmail = async (order, customerEmail) => {
-  const subject = `Order Confirmation - ${order.orderNumber}`;
-  
-  // Create plain text version
-  const message = `
-    Dear ${order.user?.firstName || 'Customer'},
-
-    Thank you for your order with Scenture Lagos!
-
-    Order Number: ${order.orderNumber}
-    Order Date: ${new Date(order.createdAt).toLocaleDateString()}
-    Order Status: ${order.status}
-    Order Total: ${order.totalAmount}
-
-    We'll notify you when your order has been shipped.
-
-    Thank you for shopping with Scenture Lagos!
-  `;
-
-  // Create HTML version
-  const html = `
-    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #333;">Thank you for your order!</h2>
-      <p>Dear ${order.user?.firstName || 'Customer'},</p>
-      <p>We're pleased to confirm your order with Scenture Lagos.</p>
-      
-      <div style="background-color: #f7f7f7; padding: 15px; margin: 20px 0;">
-        <p><strong>Order Number:</strong> ${order.orderNumber}</p>
-        <p><strong>Order Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
-        <p><strong>Order Status:</strong> ${order.status}</p>
-        <p><strong>Order Total:</strong> ₦${order.totalAmount.toFixed(2)}</p>
-      </div>
-      
-      <h3 style="color: #333;">Order Items:</h3>
-      <table style="width: 100%; border-collapse: collapse;">
-        <thead>
-          <tr style="background-color: #f2f2f2;">
-            <th style="padding: 8px; text-align: left; border-bottom: 1px solid #ddd;">Item</th>
-            <th style="padding: 8px; text-align: center; border-bottom: 1px solid #ddd;">Quantity</th>
-            <th style="padding: 8px; text-align: right; border-bottom: 1px solid #ddd;">Price</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${order.items.map(item => `
-            <tr>
-              <td style="padding: 8px; text-align: left; border-bottom: 1px solid #ddd;">${item.name} ${item.variant ? `(${item.variant})` : ''}</td>
-              <td style="padding: 8px; text-align: center; border-bottom: 1px solid #ddd;">${item.quantity}</td>
-              <td style="padding: 8px; text-align: right; border-bottom: 1px solid #ddd;">₦${item.price.toFixed(2)}</td>
-            </tr>
-          `).join('')}
-        </tbody>
-        <tfoot>
-          <tr>
-            <td colspan="2" style="padding: 8px; text-align: right; border-top: 1px solid #ddd;"><strong>Subtotal:</strong></td>
-            <td style="padding: 8px; text-align: right; border-top: 1px solid #ddd;">₦${order.subtotal.toFixed(2)}</td>
-          </tr>
-          <tr>
-            <td colspan="2" style="padding: 8px; text-align: right;"><strong>Shipping:</strong></td>
-            <td style="padding: 8px; text-align: right;">₦${order.shippingFee.toFixed(2)}</td>
-          </tr>
-          ${order.tax > 0 ? `
-            <tr>
-              <td colspan="2" style="padding: 8px; text-align: right;"><strong>Tax:</strong></td>
-              <td style="padding: 8px; text-align: right;">₦${order.tax.toFixed(2)}</td>
-            </tr>
-          ` : ''}
-          <tr>
-            <td colspan="2" style="padding: 8px; text-align: right; border-top: 1px solid #ddd;"><strong>Total:</strong></td>
-            <td style="padding: 8px; text-align: right; border-top: 1px solid #ddd;"><strong>₦${order.totalAmount.toFixed(2)}</strong></td>
-          </tr>
-        </tfoot>
-      </table>
-      
-      <div style="margin-top: 30px;">
-        <p>We'll notify you when your order has been shipped.</p>
-        <p>Thank you for shopping with Scenture Lagos!</p>
-      </div>
-      
-      <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #777;">
-        <p>If you have any questions, please contact our customer service at support@scenture.com</p>
-      </div>
-    </div>
-  `;
-
-  return await sendEmail({
-    email: customerEmail,
-    subject,
-    message,
-    html
+const queueEmail = async ({ template, to, data = {}, order, user }) => {
+  if (!to) {
+    throw new Error(`No recipient for ${template} email`);
+  }
+
+  const settings = await Settings.getSettings();
+  const toggle = NOTIFICATION_TOGGLES[template];
+  if (toggle && settings.emailNotifications?.[toggle] === false) {
+    return null;
+  }
+
+  const branding = getBranding(settings);
+  const content = renderTemplate(template, data, branding);
+  const linkField = ONE_TIME_LINK_FIELDS[template];
+  const stored = linkField
+    ? renderTemplate(template, { ...data, [linkField]: REDACTED_LINK }, branding)
+    : content;
+
+  const entry = await EmailOutbox.create({
+    template,
+    to,
+    subject: stored.subject,
+    text: stored.text,
+    html: stored.html,
+    order,
+    user,
+    ...(linkField && { maxAttempts: 1 }),
+    history: [{ status: 'queued' }]
   });
+
+  if (linkField) {
+    return (await deliverOutboxEntry(entry, content)) || entry;
+  }
+
+  deliverOutboxEntry(entry).catch(err => console.error(`Email ${entry._id} delivery error: ${err.message}`));
+
+  return entry;
+};
+
+/**
+ * Queue an email without letting a failure affect the caller (for notifications
+ * that should never break the request that triggered them)
+ * @param {Object} options - Same options as queueEmail
+ */
+const queueEmailSafely = (options) => {
+  queueEmail(options).catch(err => console.error(`Failed to queue ${options.template} email: ${err.message}`));
+};
+
+/**
+ * Put a failed outbox entry back in the queue and attempt it again
+ * @param {Object} entry - EmailOutbox document
+ * @param {String} [userId] - The admin retrying the email
+ * @returns {Promise<Object>} The updated entry
+ */
+const retryOutboxEntry = async (entry, userId) => {
+  entry.status = 'queued';
+  entry.nextAttemptAt = new Date();
+  entry.maxAttempts = Math.max(entry.maxAttempts, entry.attempts + 1);
+  entry.history.push({ status: 'queued', note: `Retried manually${userId ? ` by ${userId}` : ''}` });
+  await entry.save();
+
+  return (await deliverOutboxEntry(entry)) || entry;
+};
+
+/**
+ * Send every queued email that is due. Run periodically by the background jobs.
+ * @param {Number} [batchSize=50] - Maximum emails to send per run
+ * @returns {Promise<Number>} The number of emails attempted
+ */
+const processEmailOutbox = async (batchSize = 50) => {
+  const stuckBefore = new Date(Date.now() - STUCK_SENDING_MINUTES * 60 * 1000);
+  const oneTimeLinkTemplates = Object.keys(ONE_TIME_LINK_FIELDS);
+  await EmailOutbox.updateMany(
+    { status: 'sending', template: { $nin: oneTimeLinkTemplates }, updatedAt: { $lt: stuckBefore } },
+    { $set: { status: 'queued', nextAttemptAt: new Date() }, $push: { history: { status: 'queued', note: 'Delivery attempt timed out' } } }
+  );
+  // Only the redacted copy is left of these, so there is nothing worth sending again
+  await EmailOutbox.updateMany(
+    { status: 'sending', template: { $in: oneTimeLinkTemplates }, updatedAt: { $lt: stuckBefore } },
+    { $set: { status: 'failed' }, $push: { history: { status: 'failed', note: 'Delivery attempt timed out; emails with a one-time link are not retried' } } }
+  );
+
+  // Emails with a one-time link are only ever sent by queueEmail, which holds the link
+  const dueEntries = await EmailOutbox.find({ status: 'queued', template: { $nin: oneTimeLinkTemplates }, nextAttemptAt: { $lte: new Date() } })
+    .sort('nextAttemptAt')
+    .limit(batchSize);
+
+  for (const entry of dueEntries) {
+    await deliverOutboxEntry(entry);
+  }
+
+  return dueEntries.length;
 };
 
-module.exports.sendOrderConfirmationEmail = sendOrderConfirmationEmail;
\ No newline at end of file
+module.exports = {
+  sendEmail,
+  queueEmail,
+  queueEmailSafely,
+  hasOneTimeLink,
+  retryOutboxEntry,
+  processEmailOutbox
+};
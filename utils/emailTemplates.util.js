@@ -0,0 +1,396 @@
+/**
+ * @fileoverview Named templates for transactional emails.
+ * Each template receives the data for one email plus the store branding from Settings
+ * and returns `{ subject, text, html }`. HTML bodies are wrapped in a shared branded layout.
+ */
+
+/**
+ * @desc Escapes text for safe use inside HTML.
+ * @param {*} value - The value to escape.
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * @desc Formats an amount with the store currency symbol, e.g. ₦1,500.00
+ */
+const formatMoney = (amount, branding) => `${branding.currencySymbol}${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1).replace(/_/g, ' ');
+
+/**
+ * @desc Wraps a template body in the branded email layout.
+ * @param {Object} branding - Store branding from `getBranding`.
+ * @param {string} title - The heading shown at the top of the email.
+ * @param {string} bodyHtml - The template body.
+ * @returns {string} The full HTML document.
+ */
+const renderLayout = (branding, title, bodyHtml) => {
+  const header = branding.logo
+    ? `<img src="${escapeHtml(branding.logo)}" alt="${escapeHtml(branding.storeName)}" style="max-height: 60px;">`
+    : `<h1 style="margin: 0; color: #333;">${escapeHtml(branding.storeName)}</h1>`;
+  const contactLine = [branding.storeEmail, branding.storePhone].filter(Boolean).map(escapeHtml).join(' | ');
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <div style="text-align: center; padding: 20px 0; border-bottom: 1px solid #eee;">${header}</div>
+      <h2 style="color: #333;">${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; font-size: 12px; color: #777;">
+        <p>Thank you for shopping with ${escapeHtml(branding.storeName)}!</p>
+        ${contactLine ? `<p>If you have any questions, please contact us at ${contactLine}</p>` : ''}
+        ${branding.address ? `<p>${escapeHtml(branding.address)}</p>` : ''}
+      </div>
+    </div>
+  `;
+};
+
+const renderOrderSummary = (order, branding) => `
+  <div style="background-color: #f7f7f7; padding: 15px; margin: 20px 0;">
+    <p><strong>Order Number:</strong> ${escapeHtml(order.orderNumber)}</p>
+    <p><strong>Order Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
+    <p><strong>Order Status:</strong> ${escapeHtml(capitalize(order.status))}</p>
+    <p><strong>Order Total:</strong> ${formatMoney(order.totalAmount, branding)}</p>
+  </div>
+`;
+
+const renderItemsTable = (order, branding) => `
+  <table style="width: 100%; border-collapse: collapse;">
+    <thead>
+      <tr style="background-color: #f2f2f2;">
+        <th style="padding: 8px; text-align: left; border-bottom: 1px solid #ddd;">Item</th>
+        <th style="padding: 8px; text-align: center; border-bottom: 1px solid #ddd;">Quantity</th>
+        <th style="padding: 8px; text-align: right; border-bottom: 1px solid #ddd;">Price</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${order.items.map(item => `
+        <tr>
+          <td style="padding: 8px; text-align: left; border-bottom: 1px solid #ddd;">${escapeHtml(item.name)}${item.variant?.size ? ` (${escapeHtml(item.variant.size)})` : ''}</td>
+          <td style="padding: 8px; text-align: center; border-bottom: 1px solid #ddd;">${item.quantity}</td>
+          <td style="padding: 8px; text-align: right; border-bottom: 1px solid #ddd;">${formatMoney(item.price, branding)}</td>
+        </tr>
+      `).join('')}
+    </tbody>
+    <tfoot>
+      <tr>
+        <td colspan="2" style="padding: 8px; text-align: right; border-top: 1px solid #ddd;"><strong>Subtotal:</strong></td>
+        <td style="padding: 8px; text-align: right; border-top: 1px solid #ddd;">${formatMoney(order.subtotal, branding)}</td>
+      </tr>
+      ${order.discount > 0 ? `
+        <tr>
+          <td colspan="2" style="padding: 8px; text-align: right;"><strong>Discount:</strong></td>
+          <td style="padding: 8px; text-align: right;">-${formatMoney(order.discount, branding)}</td>
+        </tr>
+      ` : ''}
+      <tr>
+        <td colspan="2" style="padding: 8px; text-align: right;"><strong>Shipping:</strong></td>
+        <td style="padding: 8px; text-align: right;">${formatMoney(order.shippingFee, branding)}</td>
+      </tr>
+      ${order.taxAmount > 0 ? `
+        <tr>
+          <td colspan="2" style="padding: 8px; text-align: right;"><strong>${order.taxInclusive ? 'Tax (included):' : 'Tax:'}</strong></td>
+          <td style="padding: 8px; text-align: right;">${formatMoney(order.taxAmount, branding)}</td>
+        </tr>
+      ` : ''}
+      <tr>
+        <td colspan="2" style="padding: 8px; text-align: right; border-top: 1px solid #ddd;"><strong>Total:</strong></td>
+        <td style="padding: 8px; text-align: right; border-top: 1px solid #ddd;"><strong>${formatMoney(order.totalAmount, branding)}</strong></td>
+      </tr>
+    </tfoot>
+  </table>
+`;
+
+const customerNameFor = (order, customerName) => customerName || order?.shippingAddress?.firstName || 'Customer';
+
+const templates = {
+  /**
+   * @param {Object} data
+   * @param {Object} data.order - The paid order.
+   * @param {string} [data.customerName]
+   */
+  orderConfirmation: ({ order, customerName }, branding) => {
+    const name = customerNameFor(order, customerName);
+    return {
+      subject: `Order Confirmation - ${order.orderNumber}`,
+      text: `Dear ${name},\n\nThank you for your order with ${branding.storeName}!\n\nOrder Number: ${order.orderNumber}\nOrder Total: ${formatMoney(order.totalAmount, branding)}\n\nWe'll notify you when your order has been shipped.`,
+      html: renderLayout(branding, 'Thank you for your order!', `
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>We're pleased to confirm your order with ${escapeHtml(branding.storeName)}.</p>
+        ${renderOrderSummary(order, branding)}
+        <h3 style="color: #333;">Order Items:</h3>
+        ${renderItemsTable(order, branding)}
+        <p style="margin-top: 30px;">We'll notify you when your order has been shipped.</p>
+      `),
+    };
+  },
+
+  /**
+   * @param {Object} data
+   * @param {Object} data.order - The order whose status changed.
+   * @param {string} [data.note] - An optional note for the customer.
+   * @param {string} [data.customerName]
+   */
+  orderStatusUpdate: ({ order, note, customerName }, branding) => {
+    const name = customerNameFor(order, customerName);
+    const status = capitalize(order.status);
+    return {
+      subject: `Order ${order.orderNumber} is now ${status}`,
+      text: `Dear ${name},\n\nThe status of your order ${order.orderNumber} has been updated to: ${status}.${note ? `\n\n${note}` : ''}`,
+      html: renderLayout(branding, 'Your order has been updated', `
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>The status of your order has been updated to <strong>${escapeHtml(status)}</strong>.</p>
+        ${note ? `<p>${escapeHtml(note)}</p>` : ''}
+        ${renderOrderSummary(order, branding)}
+      `),
+    };
+  },
+
+  /**
+   * @param {Object} data
+   * @param {Object} data.order - The shipped order.
+   * @param {Object} [data.tracking] - { carrier, trackingNumber, trackingUrl }
+   * @param {string} [data.customerName]
+   */
+  orderShipped: ({ order, tracking, customerName }, branding) => {
+    const name = customerNameFor(order, customerName);
+    const trackingText = tracking?.trackingNumber
+      ? `\n\nCarrier: ${tracking.carrier || 'N/A'}\nTracking Number: ${tracking.trackingNumber}${tracking.trackingUrl ? `\nTrack your parcel: ${tracking.trackingUrl}` : ''}`
+      : '';
+    return {
+      subject: `Your order ${order.orderNumber} has shipped`,
+      text: `Dear ${name},\n\nGood news! Your order ${order.orderNumber} is on its way.${trackingText}`,
+      html: renderLayout(branding, 'Your order is on its way!', `
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>Good news! Your order has been shipped.</p>
+        ${tracking?.trackingNumber ? `
+          <div style="background-color: #f7f7f7; padding: 15px; margin: 20px 0;">
+            <p><strong>Carrier:</strong> ${escapeHtml(tracking.carrier || 'N/A')}</p>
+            <p><strong>Tracking Number:</strong> ${escapeHtml(tracking.trackingNumber)}</p>
+            ${tracking.trackingUrl ? `<p><a href="${escapeHtml(tracking.trackingUrl)}">Track your parcel</a></p>` : ''}
+          </div>
+        ` : ''}
+        ${renderOrderSummary(order, branding)}
+      `),
+    };
+  },
+
+  /**
+   * @param {Object} data
+   * @param {Object} data.order - The refunded order.
+   * @param {Object} data.refund - The refund ledger entry.
+   * @param {string} [data.customerName]
+   */
+  refundProcessed: ({ order, refund, customerName }, branding) => {
+    const name = customerNameFor(order, customerName);
+    const amount = formatMoney(refund.amount, branding);
+    return {
+      subject: `Refund Processed for Order ${order.orderNumber}`,
+      text: `Dear ${name},\n\nWe have processed a refund of ${amount} for your order ${order.orderNumber}.\n\nReason: ${refund.reason}\n\nThe refund should appear in your account within 5-10 business days, depending on your payment provider.`,
+      html: renderLayout(branding, 'Refund Processed', `
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>We have processed a refund for your order.</p>
+        <div style="background-color: #f7f7f7; padding: 15px; margin: 20px 0;">
+          <p><strong>Order Number:</strong> ${escapeHtml(order.orderNumber)}</p>
+          <p><strong>Refund Amount:</strong> ${amount}</p>
+          <p><strong>Reason:</strong> ${escapeHtml(refund.reason)}</p>
+          <p><strong>Refund Reference:</strong> ${escapeHtml(refund.reference || 'N/A')}</p>
+        </div>
+        <p>The refund should appear in your account within 5-10 business days, depending on your payment provider.</p>
+      `),
+    };
+  },
+
+  /**
+   * @param {Object} data
+   * @param {Object} data.order - The order paid by bank transfer.
+   * @param {string} data.reason - Why the proof of payment was not accepted.
+   * @param {Date} [data.expiresAt] - When the order will be cancelled if no valid payment is received.
+   * @param {string} [data.customerName]
+   */
+  bankTransferRejected: ({ order, reason, expiresAt, customerName }, branding) => {
+    const name = customerNameFor(order, customerName);
+    const deadline = expiresAt
+      ? new Date(expiresAt).toLocaleString('en-NG', { timeZone: 'Africa/Lagos', dateStyle: 'medium', timeStyle: 'short' })
+      : null;
+    return {
+      subject: `We could not confirm your payment for order ${order.orderNumber}`,
+      text: `Dear ${name},\n\nWe could not confirm the bank transfer for your order ${order.orderNumber}.\n\nReason: ${reason}\n\nPlease upload a new proof of payment${deadline ? ` before ${deadline}` : ''} or contact us for help.`,
+      html: renderLayout(branding, 'Payment not confirmed', `
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>We could not confirm the bank transfer for your order <strong>${escapeHtml(order.orderNumber)}</strong>.</p>
+        <div style="background-color: #f7f7f7; padding: 15px; margin: 20px 0;">
+          <p><strong>Reason:</strong> ${escapeHtml(reason)}</p>
+        </div>
+        <p>Please upload a new proof of payment${deadline ? ` before <strong>${escapeHtml(deadline)}</strong>` : ''} or contact us for help.</p>
+      `),
+    };
+  },
+
+  /**
+   * @param {Object} data
+   * @param {string} data.resetUrl - The password reset link.
+   * @param {number} [data.expiresInMinutes=10]
+   * @param {string} [data.customerName]
+   */
+  passwordReset: ({ resetUrl, expiresInMinutes = 10, customerName }, branding) => ({
+    subject: 'Password reset token',
+    text: `You are receiving this email because you (or someone else) has requested the reset of a password. Please visit: \n\n${resetUrl}\n\nThis link will expire in ${expiresInMinutes} minutes.`,
+    html: renderLayout(branding, 'Reset your password', `
+      <p>Dear ${escapeHtml(customerName || 'Customer')},</p>
+      <p>You are receiving this email because you (or someone else) has requested the reset of a password.</p>
+      <p><a href="${escapeHtml(resetUrl)}" style="display: inline-block; padding: 10px 20px; background-color: #333; color: #fff; text-decoration: none;">Reset Password</a></p>
+      <p>This link will expire in ${expiresInMinutes} minutes. If you did not request this, you can ignore this email.</p>
+    `),
+  }),
+
+  /**
+   * @param {Object} data
+   * @param {string} data.verifyUrl - The email verification link.
+   * @param {number} [data.expiresInHours=24]
+   * @param {string} [data.customerName]
+   */
+  emailVerification: ({ verifyUrl, expiresInHours = 24, customerName }, branding) => ({
+    subject: `Confirm your email address for ${branding.storeName}`,
+    text: `Please confirm your email address by visiting: \n\n${verifyUrl}\n\nThis link will expire in ${expiresInHours} hours.`,
+    html: renderLayout(branding, 'Confirm your email address', `
+      <p>Dear ${escapeHtml(customerName || 'Customer')},</p>
+      <p>Thank you for creating an account with ${escapeHtml(branding.storeName)}. Please confirm that this is your email address.</p>
+      <p><a href="${escapeHtml(verifyUrl)}" style="display: inline-block; padding: 10px 20px; background-color: #333; color: #fff; text-decoration: none;">Confirm Email</a></p>
+      <p>This link will expire in ${expiresInHours} hours. If you did not create an account, you can ignore this email.</p>
+    `),
+  }),
+
+  /**
+   * @param {Object} data
+   * @param {Array<Object>} data.items - The cart lines left behind.
+   * @param {number} data.subtotal - The cart subtotal.
+   * @param {string} data.restoreUrl - The signed link that rebuilds the cart.
+   * @param {number} data.expiresInDays - How long the link works.
+   * @param {number} data.emailNumber - Which email of the recovery sequence this is, starting at 1.
+   * @param {boolean} data.isLastEmail - Whether this is the final reminder.
+   * @param {string} [data.customerName]
+   */
+  abandonedCart: ({ items, subtotal, restoreUrl, expiresInDays, emailNumber, isLastEmail, customerName }, branding) => {
+    const name = customerName || 'Customer';
+    const subjects = {
+      1: 'You left something in your cart',
+      2: `Your cart at ${branding.storeName} is waiting for you`,
+    };
+    const subject = isLastEmail && emailNumber > 1
+      ? 'Last reminder: your cart is still saved'
+      : subjects[emailNumber] || subjects[2];
+    const itemLabel = (item) => `${item.productName}${item.variant?.size ? ` (${item.variant.size})` : ''}`;
+
+    return {
+      subject,
+      text: `Dear ${name},\n\nYou left these items in your cart:\n\n${items.map(item => `${itemLabel(item)} x ${item.quantity}`).join('\n')}\n\nSubtotal: ${formatMoney(subtotal, branding)}\n\nPick up where you left off: ${restoreUrl}\n\nThis link will expire in ${expiresInDays} day(s).`,
+      html: renderLayout(branding, 'Still thinking it over?', `
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>You left these items in your cart. We've saved them for you.</p>
+        <ul>
+          ${items.map(item => `<li>${escapeHtml(itemLabel(item))} x ${item.quantity} - ${formatMoney(item.total, branding)}</li>`).join('')}
+        </ul>
+        <p><strong>Subtotal:</strong> ${formatMoney(subtotal, branding)}</p>
+        <p><a href="${escapeHtml(restoreUrl)}" style="display: inline-block; padding: 10px 20px; background-color: #333; color: #fff; text-decoration: none;">Return to my cart</a></p>
+        <p>Prices and availability are checked again when you return. This link will expire in ${expiresInDays} day(s).</p>
+      `),
+    };
+  },
+
+  /**
+   * @param {Object} data
+   * @param {Array<{name: string, sku: string, stock: number}>} data.products - The products that are low on stock.
+   * @param {number} data.threshold - The low stock threshold from Settings.
+   */
+  lowStockAlert: ({ products, threshold }, branding) => ({
+    subject: `Low stock alert: ${products.length} product(s) at or below ${threshold} units`,
+    text: `The following products are running low:\n\n${products.map(p => `${p.name} (${p.sku}): ${p.stock} left`).join('\n')}`,
+    html: renderLayout(branding, 'Low Stock Alert', `
+      <p>The following products are at or below the low stock threshold of ${threshold} units:</p>
+      <ul>
+        ${products.map(p => `<li><strong>${escapeHtml(p.name)}</strong> (${escapeHtml(p.sku)}): ${p.stock} left</li>`).join('')}
+      </ul>
+    `),
+  }),
+
+  /**
+   * @param {Object} data
+   * @param {Object} data.returnRequest - The return request.
+   * @param {Object} data.order - The order being returned.
+   * @param {string} [data.customerName]
+   */
+  returnStatus: ({ returnRequest, order, customerName }, branding) => {
+    const name = customerNameFor(order, customerName);
+    const statusMessages = {
+      requested: 'We have received your return request and will review it shortly.',
+      approved: 'Your return request has been approved. Please send the items back to us, quoting your return number.',
+      rejected: `Unfortunately your return request has been declined.${returnRequest.rejectionReason ? ` Reason: ${returnRequest.rejectionReason}` : ''}`,
+      received: 'We have received your returned items. Your refund will be processed shortly.',
+      refunded: `Your refund of ${formatMoney(returnRequest.refundAmount, branding)} has been issued. It should appear in your account within 5-10 business days, depending on your payment provider.`
+    };
+    const statusMessage = statusMessages[returnRequest.status];
+    const items = returnRequest.items.map(item => `${item.name} x ${item.quantity}`);
+
+    return {
+      subject: `Return ${returnRequest.rmaNumber} for Order ${order.orderNumber} - ${capitalize(returnRequest.status)}`,
+      text: `Dear ${name},\n\n${statusMessage}\n\nReturn Number: ${returnRequest.rmaNumber}\nOrder Number: ${order.orderNumber}\nItems: ${items.join(', ')}`,
+      html: renderLayout(branding, 'Return Update', `
+        <p>Dear ${escapeHtml(name)},</p>
+        <p>${escapeHtml(statusMessage)}</p>
+        <div style="background-color: #f7f7f7; padding: 15px; margin: 20px 0;">
+          <p><strong>Return Number:</strong> ${escapeHtml(returnRequest.rmaNumber)}</p>
+          <p><strong>Order Number:</strong> ${escapeHtml(order.orderNumber)}</p>
+          <p><strong>Items:</strong></p>
+          <ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+        </div>
+      `),
+    };
+  },
+};
+
+/**
+ * @desc Renders a named template.
+ * @param {string} name - The template name, e.g. 'orderConfirmation'.
+ * @param {Object} data - The template data.
+ * @param {Object} branding - Store branding from `getBranding`.
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+const renderTemplate = (name, data, branding) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data, branding);
+};
+
+/**
+ * @desc Builds the branding used by every template from the store settings.
+ * @param {Object} settings - The Settings document.
+ * @returns {Object} Branding values.
+ */
+const getBranding = (settings) => {
+  const address = settings.storeAddress
+    ? [settings.storeAddress.street, settings.storeAddress.city, settings.storeAddress.state, settings.storeAddress.country].filter(Boolean).join(', ')
+    : '';
+  return {
+    storeName: settings.storeName || 'Scenture Lagos',
+    storeEmail: settings.storeEmail,
+    storePhone: settings.storePhone,
+    logo: settings.logo,
+    currencySymbol: settings.currency?.symbol || '₦',
+    address,
+  };
+};
+
+module.exports = {
+  templateNames: Object.keys(templates),
+  renderTemplate,
+  getBranding,
+  escapeHtml,
+};
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Customer email verification: sends the verification link and decides whether an
+ * unverified customer may place orders or leave reviews under the store settings.
+ */
+
+const Settings = require('../models/settings.model');
+const { queueEmail } = require('./email.util');
+
+/**
+ * @desc Generates a new verification token for a user and emails them the link.
+ * @param {Object} user - The User document. It is saved with the new token.
+ * @returns {Promise<Object|null>} The outbox entry.
+ */
+const sendVerificationEmail = async (user) => {
+  const settings = await Settings.getSettings();
+  const expiresInHours = settings.emailVerification?.linkExpiryHours || 24;
+
+  const verificationToken = user.getEmailVerificationToken(expiresInHours);
+  await user.save({ validateBeforeSave: false });
+
+  return queueEmail({
+    template: 'emailVerification',
+    to: user.email,
+    data: {
+      verifyUrl: `${process.env.CLIENT_URL}/verify-email/${verificationToken}`,
+      expiresInHours,
+      customerName: user.firstName,
+    },
+    user: user._id,
+  });
+};
+
+/**
+ * @desc Sends the verification email to a new customer without failing their registration.
+ * Await it before changing the user further, as it saves the user.
+ * @param {Object} user - The User document.
+ * @returns {Promise<boolean>} Whether the email was queued.
+ */
+const sendVerificationEmailSafely = async (user) => {
+  try {
+    await sendVerificationEmail(user);
+    return true;
+  } catch (err) {
+    console.error(`Failed to send the verification email to user ${user._id}:`, err.message);
+    return false;
+  }
+};
+
+/**
+ * @desc Checks whether a customer may do something that the store can restrict to verified emails.
+ * Staff accounts are never restricted.
+ * @param {Object} user - The User document.
+ * @param {Object} settings - The store settings.
+ * @param {'order'|'review'} action
+ * @returns {string|null} The error message, or null when the action is allowed.
+ */
+const getUnverifiedEmailError = (user, settings, action) => {
+  if (!user || user.role !== 'customer' || user.emailVerified) {
+    return null;
+  }
+
+  const rules = settings.emailVerification || {};
+  if (action === 'order' && rules.allowUnverifiedOrders === false) {
+    return 'Please verify your email address before placing an order.';
+  }
+  if (action === 'review' && rules.allowUnverifiedReviews === false) {
+    return 'Please verify your email address before leaving a review.';
+  }
+  return null;
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendVerificationEmailSafely,
+  getUnverifiedEmailError,
+};
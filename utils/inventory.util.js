@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Stock reservation helpers for orders.
+ * Stock is reserved (deducted) when an order is placed, committed once the order is paid
+ * and released back to the product if the order is cancelled or never paid.
+ * Every movement is logged in the product's `stockAdjustments`.
+ */
+
+const Order = require('../models/order.model');
+const Product = require('../models/product.model');
+const Settings = require('../models/settings.model');
+
+// Used when the bank transfer payment method has no `expiryDays` configured
+const DEFAULT_BANK_TRANSFER_EXPIRY_DAYS = 2;
+
+/**
+ * @desc Helper function to get the variant id of an order item. Order items store a snapshot
+ * of the variant, while cart and request items only carry its id.
+ */
+const getVariantId = (item) => item.variant?._id || item.variant || null;
+
+/**
+ * @desc Helper function to list the stock an order's items take. A bundle has no stock of its own,
+ * so a bundle line becomes one line per component, for the component quantity times the bundles ordered.
+ */
+const getStockItems = (items) => items.flatMap((item) => {
+  if (!item.bundleComponents || item.bundleComponents.length === 0) return [item];
+  return item.bundleComponents.map(component => ({
+    product: component.product,
+    variant: component.variant,
+    quantity: component.quantity * item.quantity,
+    name: `${component.name} (in ${item.name})`,
+    sku: component.sku,
+  }));
+});
+
+/**
+ * @desc Calculates when the stock reservation for a new order should expire.
+ * @param {string} paymentMethod - The order's payment method.
+ * @param {Object} [settings] - The store settings, fetched if not provided.
+ * @returns {Promise<Date|null>} The expiry date, or null if the reservation does not expire.
+ */
+const getReservationExpiry = async (paymentMethod, settings) => {
+  // Cash on delivery orders are only paid on delivery, so their stock stays reserved
+  if (paymentMethod === 'cash_on_delivery') return null;
+
+  const { inventory = {}, payment } = settings || await Settings.getSettings();
+
+  // Bank transfers take longer to arrive, so the customer gets the number of days set on the payment method
+  if (paymentMethod === 'bank_transfer') {
+    const bankTransfer = payment?.methods?.find(method => method.name === 'bank_transfer');
+    const days = bankTransfer?.config?.expiryDays || DEFAULT_BANK_TRANSFER_EXPIRY_DAYS;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const minutes = inventory.reservationMinutes || 30;
+  return new Date(Date.now() + minutes * 60 * 1000);
+};
+
+/**
+ * @desc Returns the stock of a list of order items to their products.
+ * @param {Object} options
+ * @param {string} options.orderId - The order the stock belonged to.
+ * @param {Array} options.items - The order items ({ product, variant, quantity, bundleComponents }).
+ * @param {string} options.reason - The reason logged with each stock movement.
+ * @param {string} [options.userId=null] - The user returning the stock, or null for automatic movements.
+ */
+const restockItems = async ({ orderId, items, reason, userId = null }) => {
+  for (const item of getStockItems(items)) {
+    await Product.moveStock({
+      productId: item.product,
+      variantId: getVariantId(item),
+      adjustment: item.quantity,
+      reason,
+      orderId,
+      userId,
+    });
+  }
+};
+
+/**
+ * @desc Helper function to read how much stock is left for an item, for reporting shortages.
+ */
+const getAvailableStock = async (item, session) => {
+  const product = await Product.findById(item.product).select('stockQuantity variants').session(session).lean();
+  if (!product) return 0;
+  const variantId = getVariantId(item);
+  if (!variantId) return product.stockQuantity;
+  const variant = product.variants.find(v => v._id.toString() === variantId.toString());
+  return variant ? variant.stockQuantity : 0;
+};
+
+/**
+ * @desc Reserves stock for every item of an order, using conditional decrements so stock never goes negative.
+ * Every item is attempted so all shortages can be reported at once. Inside a transaction the caller
+ * aborts it on a shortage; without one, the items reserved so far are put back.
+ * @param {Object} options
+ * @param {string} options.orderId - The id of the order (may be pre-generated before the order is saved).
+ * @param {string} options.orderNumber - The order number, used in the log reason.
+ * @param {Array} options.items - The order items ({ product, variant, quantity, name, sku, bundleComponents }).
+ * @param {string} [options.userId=null] - The customer placing the order.
+ * @param {ClientSession} [options.session=null] - The transaction session the order is created in.
+ * @returns {Promise<Array>} The items that could not be reserved ({ product, variant, name, sku, requested, available }).
+ */
+const reserveStock = async ({ orderId, orderNumber, items, userId = null, session = null }) => {
+  const reservedItems = [];
+  const unavailableItems = [];
+
+  for (const item of getStockItems(items)) {
+    const reserved = await Product.moveStock({
+      productId: item.product,
+      variantId: getVariantId(item),
+      adjustment: -item.quantity,
+      reason: `Reserved for order ${orderNumber}`,
+      orderId,
+      userId,
+      session,
+    });
+
+    if (reserved) {
+      reservedItems.push(item);
+    } else {
+      unavailableItems.push({
+        product: item.product,
+        variant: getVariantId(item),
+        name: item.name,
+        sku: item.sku,
+        requested: item.quantity,
+        available: await getAvailableStock(item, session),
+      });
+    }
+  }
+
+  if (unavailableItems.length > 0 && !session) {
+    await restockItems({
+      orderId,
+      items: reservedItems,
+      reason: `Reservation for order ${orderNumber} rolled back`,
+      userId,
+    });
+  }
+
+  return unavailableItems;
+};
+
+/**
+ * @desc Turns an order's reservation into a permanent deduction once it has been paid.
+ * If the reservation had already expired, the stock is reserved again when still available.
+ * The order is modified in place but not saved.
+ * @param {Object} order - The order document.
+ * @param {Object} [options]
+ * @param {string} [options.userId=null] - The user confirming the payment, if any.
+ * @returns {Promise<{ committed: boolean, outOfStock: boolean }>}
+ */
+const commitOrderStock = async (order, { userId = null } = {}) => {
+  const reservationStatus = order.stockReservation?.status;
+
+  // Orders placed before reservations existed had their stock deducted permanently
+  if (!reservationStatus || reservationStatus === 'committed') {
+    return { committed: false, outOfStock: false };
+  }
+
+  // Claim the reservation so it cannot be released (or committed twice) at the same time
+  const committedAt = new Date();
+  const claimed = await Order.updateOne(
+    { _id: order._id, 'stockReservation.status': reservationStatus },
+    { $set: { 'stockReservation.status': 'committed', 'stockReservation.committedAt': committedAt } }
+  );
+  if (claimed.modifiedCount === 0) {
+    const latest = await Order.findById(order._id).select('stockReservation').lean();
+    order.set('stockReservation', latest.stockReservation);
+    return commitOrderStock(order, { userId });
+  }
+
+  if (reservationStatus === 'released') {
+    // The reservation expired before the payment arrived; take the stock again if we still have it
+    const unavailableItems = await reserveStock({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      items: order.items,
+      userId,
+    });
+    if (unavailableItems.length > 0) {
+      await Order.updateOne({ _id: order._id }, { $set: { 'stockReservation.status': 'released' }, $unset: { 'stockReservation.committedAt': 1 } });
+      return { committed: false, outOfStock: true };
+    }
+  } else {
+    for (const item of getStockItems(order.items)) {
+      await Product.moveStock({
+        productId: item.product,
+        variantId: getVariantId(item),
+        adjustment: 0,
+        reason: `Reservation for order ${order.orderNumber} confirmed by payment`,
+        orderId: order._id,
+        userId,
+      });
+    }
+  }
+
+  order.set('stockReservation.status', 'committed');
+  order.set('stockReservation.committedAt', committedAt);
+  return { committed: true, outOfStock: false };
+};
+
+/**
+ * @desc Returns an order's reserved or committed stock to the products, e.g. when it is cancelled.
+ * The order is modified in place but not saved.
+ * @param {Object} order - The order document.
+ * @param {Object} options
+ * @param {string} options.reason - The reason logged with each stock movement.
+ * @param {string} [options.userId=null] - The user releasing the stock, or null for automatic releases.
+ * @returns {Promise<boolean>} True if stock was returned, false if it had already been released.
+ */
+const releaseOrderStock = async (order, { reason, userId = null }) => {
+  const releasedAt = new Date();
+
+  // Claim the release atomically so stock is never returned twice
+  const claimed = await Order.updateOne(
+    {
+      _id: order._id,
+      $or: [
+        { 'stockReservation.status': { $in: ['held', 'committed'] } },
+        { 'stockReservation.status': { $exists: false } },
+      ],
+    },
+    { $set: { 'stockReservation.status': 'released', 'stockReservation.releasedAt': releasedAt } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  // Units already put back by a refund with restocking must not be returned twice
+  const restockedQuantities = new Map();
+  (order.refunds || [])
+    .filter(refund => refund.restocked && refund.status !== 'failed')
+    .flatMap(refund => refund.items)
+    .forEach(item => {
+      const key = item.orderItem.toString();
+      restockedQuantities.set(key, (restockedQuantities.get(key) || 0) + item.quantity);
+    });
+  const itemsToReturn = order.items
+    .map(item => ({
+      product: item.product,
+      variant: item.variant,
+      name: item.name,
+      bundleComponents: item.bundleComponents,
+      quantity: item.quantity - (restockedQuantities.get(item._id.toString()) || 0),
+    }))
+    .filter(item => item.quantity > 0);
+
+  await restockItems({ orderId: order._id, items: itemsToReturn, reason, userId });
+
+  order.set('stockReservation.status', 'released');
+  order.set('stockReservation.releasedAt', releasedAt);
+  return true;
+};
+
+/**
+ * @desc Cancels unpaid orders whose reservation has expired and returns their stock.
+ * Run periodically by the background jobs.
+ * @returns {Promise<number>} The number of orders cancelled.
+ */
+const releaseExpiredReservations = async () => {
+  const expiredOrders = await Order.find({
+    status: 'pending',
+    'paymentInfo.status': 'pending',
+    'stockReservation.status': 'held',
+    'stockReservation.expiresAt': { $lte: new Date() },
+  });
+
+  let cancelledCount = 0;
+  for (const order of expiredOrders) {
+    const released = await releaseOrderStock(order, {
+      reason: `Reservation expired: order ${order.orderNumber} was not paid in time`,
+    });
+    if (!released) continue;
+
+    order.status = 'cancelled';
+    order.cancelledAt = new Date();
+    if (order.paymentInfo.bankTransfer?.status) {
+      order.paymentInfo.bankTransfer.status = 'expired';
+    }
+    order.timeline.push({
+      status: 'cancelled',
+      note: 'Order cancelled automatically because payment was not received in time.'
+    });
+    await order.save();
+    cancelledCount++;
+  }
+
+  return cancelledCount;
+};
+
+module.exports = {
+  getStockItems,
+  getReservationExpiry,
+  reserveStock,
+  restockItems,
+  commitOrderStock,
+  releaseOrderStock,
+  releaseExpiredReservations,
+};
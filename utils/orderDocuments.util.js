@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Printable order documents: branded PDF invoices and packing slips.
+ * Shared by the admin order endpoints and the customer invoice download.
+ */
+
+const PDFDocument = require('pdfkit');
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const Order = require('../models/order.model');
+const Counter = require('../models/counter.model');
+const Settings = require('../models/settings.model');
+const { getBranding } = require('./emailTemplates.util');
+const { redactShippingAddress } = require('./permissions.util');
+
+const PAGE_MARGIN = 50;
+const BOTTOM_LIMIT = 100; // Space kept free at the bottom of each page for totals and footers
+
+/**
+ * @desc Checks whether an invoice can be issued for the order.
+ * @param {Object} order - The order document.
+ * @returns {string|null} Why no invoice is available, or null if one is.
+ */
+const getInvoiceError = (order) => {
+  if (!['paid', 'partially_refunded', 'refunded'].includes(order.paymentInfo.status)) {
+    return 'An invoice is only available once the order has been paid';
+  }
+  return null;
+};
+
+/**
+ * @desc Gives the order its invoice number the first time an invoice is generated.
+ * The order is updated in the database and in place.
+ * @param {Object} order - The order document.
+ * @returns {Promise<string>} The invoice number.
+ */
+const assignInvoiceNumber = async (order) => {
+  if (order.invoiceNumber) return order.invoiceNumber;
+
+  const seq = await Counter.nextSequence('invoice');
+  const invoicedAt = new Date();
+  const invoiceNumber = `INV-${invoicedAt.getFullYear()}-${String(seq).padStart(6, '0')}`;
+
+  // Only set it if another request has not numbered the invoice in the meantime
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, invoiceNumber: { $exists: false } },
+    { $set: { invoiceNumber, invoicedAt } },
+    { new: true }
+  ).select('invoiceNumber invoicedAt');
+  const latest = updated || await Order.findById(order._id).select('invoiceNumber invoicedAt');
+
+  order.set({ invoiceNumber: latest.invoiceNumber, invoicedAt: latest.invoicedAt });
+  return latest.invoiceNumber;
+};
+
+/**
+ * @desc Loads the store logo for embedding in a PDF. The logo may be an uploaded file
+ * (`/uploads/...`) or a remote URL. Failures are logged and the store name is used instead.
+ * @param {string} logo - The `logo` value from Settings.
+ * @returns {Promise<Buffer|null>}
+ */
+const loadLogo = async (logo) => {
+  if (!logo) return null;
+  try {
+    if (/^https?:\/\//i.test(logo)) {
+      const response = await axios.get(logo, { responseType: 'arraybuffer', timeout: 5000 });
+      return Buffer.from(response.data);
+    }
+    return await fs.promises.readFile(path.join(__dirname, '../public', logo.replace(/^\/+/, '')));
+  } catch (err) {
+    console.error(`Could not load store logo for PDF: ${err.message}`);
+    return null;
+  }
+};
+
+/**
+ * @desc Loads the branding shared by every document in a PDF.
+ * @returns {Promise<Object>} Branding values plus the logo image and currency code.
+ */
+const getDocumentBranding = async () => {
+  const settings = await Settings.getSettings();
+  return {
+    ...getBranding(settings),
+    logoImage: await loadLogo(settings.logo),
+    // The built-in PDF fonts have no naira sign, so amounts are shown with the currency code
+    currencyCode: settings.currency?.code || 'NGN',
+  };
+};
+
+const formatAmount = (amount, branding) => `${branding.currencyCode} ${Number(amount || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-NG', { timeZone: 'Africa/Lagos', year: 'numeric', month: 'long', day: 'numeric' });
+
+const describeVariant = (item) => [item.variant?.size, item.variant?.scentIntensity].filter(Boolean).join(', ');
+
+const formatAddress = (address) => [
+  `${address.firstName} ${address.lastName}`,
+  address.street,
+  [address.city, address.state, address.postalCode].filter(Boolean).join(', '),
+  address.country,
+  address.phone,
+].filter(Boolean);
+
+/**
+ * @desc Draws the store header with the document title and reference lines on the right.
+ */
+const drawHeader = (doc, branding, title, referenceLines) => {
+  const top = doc.y;
+
+  if (branding.logoImage) {
+    try {
+      doc.image(branding.logoImage, PAGE_MARGIN, top, { fit: [150, 60] });
+    } catch (err) {
+      // Unsupported image formats fall back to the store name
+      doc.fontSize(18).font('Helvetica-Bold').text(branding.storeName, PAGE_MARGIN, top);
+    }
+  } else {
+    doc.fontSize(18).font('Helvetica-Bold').text(branding.storeName, PAGE_MARGIN, top);
+  }
+
+  doc.fontSize(20).font('Helvetica-Bold').text(title, 300, top, { align: 'right' });
+  doc.fontSize(10).font('Helvetica');
+  referenceLines.forEach(line => doc.text(line, 300, doc.y, { align: 'right' }));
+
+  doc.y = Math.max(doc.y, top + 70);
+  doc.fontSize(9).font('Helvetica').fillColor('#555555');
+  [branding.address, [branding.storeEmail, branding.storePhone].filter(Boolean).join(' | ')]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, PAGE_MARGIN));
+  doc.fillColor('#000000').moveDown(1.5);
+};
+
+/**
+ * @desc Draws one row of a table. Each column is `{ text, x, width, align }`.
+ * @returns {number} The y position below the row.
+ */
+const drawRow = (doc, y, columns, { bold = false } = {}) => {
+  doc.fontSize(10).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  const heights = columns.map(col => doc.heightOfString(String(col.text), { width: col.width }));
+  columns.forEach(col => doc.text(String(col.text), col.x, y, { width: col.width, align: col.align || 'left' }));
+  return y + Math.max(...heights) + 6;
+};
+
+/**
+ * @desc Starts a new page when the next block would not fit.
+ * @returns {number} The y position to continue from.
+ */
+const ensureSpace = (doc, y, needed = 20) => {
+  if (y + needed > doc.page.height - BOTTOM_LIMIT) {
+    doc.addPage();
+    return PAGE_MARGIN;
+  }
+  return y;
+};
+
+/**
+ * @desc Draws the billing and shipping details side by side. With `hideContactDetails` the
+ * customer's email and phone are masked.
+ */
+const drawAddresses = (doc, order, leftTitle, rightTitle, rightLines, { hideContactDetails = false } = {}) => {
+  const address = hideContactDetails ? redactShippingAddress(order.shippingAddress) : order.shippingAddress;
+  const top = doc.y;
+  doc.fontSize(11).font('Helvetica-Bold').text(leftTitle, PAGE_MARGIN, top);
+  doc.fontSize(10).font('Helvetica');
+  [...formatAddress(address), address.email].filter(Boolean)
+    .forEach(line => doc.text(line, PAGE_MARGIN));
+  const leftBottom = doc.y;
+
+  doc.fontSize(11).font('Helvetica-Bold').text(rightTitle, 320, top);
+  doc.fontSize(10).font('Helvetica');
+  rightLines.forEach(line => doc.text(line, 320));
+
+  doc.y = Math.max(leftBottom, doc.y);
+  doc.moveDown(1.5);
+};
+
+/**
+ * @desc Draws an invoice for one order on the current page.
+ * @param {Object} doc - The PDFKit document.
+ * @param {Object} order - The order, with an invoice number assigned.
+ * @param {Object} branding - From `getDocumentBranding`.
+ * @param {Object} [options]
+ * @param {boolean} [options.hideContactDetails=false] - Mask the customer's email and phone.
+ */
+const drawInvoice = (doc, order, branding, { hideContactDetails = false } = {}) => {
+  drawHeader(doc, branding, 'INVOICE', [
+    `Invoice No: ${order.invoiceNumber}`,
+    `Invoice Date: ${formatDate(order.invoicedAt || Date.now())}`,
+    `Order No: ${order.orderNumber}`,
+    `Order Date: ${formatDate(order.createdAt)}`,
+  ]);
+
+  drawAddresses(doc, order, 'Bill To', 'Shipping & Payment', [
+    `Shipping: ${order.shippingMethod.name}${order.shippingMethod.description ? ` (${order.shippingMethod.description})` : ''}`,
+    `Payment Method: ${order.paymentInfo.method.replace(/_/g, ' ')}`,
+    `Payment Status: ${order.paymentInfo.status.replace(/_/g, ' ')}`,
+    order.paymentInfo.paidAt ? `Paid On: ${formatDate(order.paymentInfo.paidAt)}` : null,
+  ].filter(Boolean), { hideContactDetails });
+
+  const columns = { item: 50, qty: 310, price: 370, total: 460 };
+  let y = drawRow(doc, doc.y, [
+    { text: 'Item', x: columns.item, width: 250 },
+    { text: 'Qty', x: columns.qty, width: 50, align: 'right' },
+    { text: 'Unit Price', x: columns.price, width: 80, align: 'right' },
+    { text: 'Amount', x: columns.total, width: 85, align: 'right' },
+  ], { bold: true });
+  doc.moveTo(PAGE_MARGIN, y - 3).lineTo(doc.page.width - PAGE_MARGIN, y - 3).stroke();
+
+  order.items.forEach(item => {
+    y = ensureSpace(doc, y);
+    const variant = describeVariant(item);
+    y = drawRow(doc, y, [
+      { text: variant ? `${item.name} (${variant})` : item.name, x: columns.item, width: 250 },
+      { text: item.quantity, x: columns.qty, width: 50, align: 'right' },
+      { text: formatAmount(item.price, branding), x: columns.price, width: 80, align: 'right' },
+      { text: formatAmount(item.total || item.price * item.quantity, branding), x: columns.total, width: 85, align: 'right' },
+    ]);
+  });
+
+  // Totals, including the tax breakdown
+  const totals = [
+    ['Subtotal', formatAmount(order.subtotal, branding)],
+    order.discount > 0 ? [`Discount${order.coupon?.code ? ` (${order.coupon.code})` : ''}`, `-${formatAmount(order.discount, branding)}`] : null,
+    ['Shipping', formatAmount(order.shippingFee, branding)],
+    [`Tax (${order.taxRate || 0}%${order.taxInclusive ? ', included' : ''})`, formatAmount(order.taxAmount, branding)],
+  ].filter(Boolean);
+
+  y = ensureSpace(doc, y + 10, (totals.length + 2) * 18);
+  doc.moveTo(300, y - 5).lineTo(doc.page.width - PAGE_MARGIN, y - 5).stroke();
+  totals.forEach(([label, value]) => {
+    y = drawRow(doc, y, [
+      { text: label, x: 300, width: 150, align: 'right' },
+      { text: value, x: columns.total, width: 85, align: 'right' },
+    ]);
+  });
+  y = drawRow(doc, y, [
+    { text: 'Total', x: 300, width: 150, align: 'right' },
+    { text: formatAmount(order.totalAmount, branding), x: columns.total, width: 85, align: 'right' },
+  ], { bold: true });
+
+  const refundedAmount = order.getRefundedAmount();
+  if (refundedAmount > 0) {
+    y = drawRow(doc, y, [
+      { text: 'Refunded', x: 300, width: 150, align: 'right' },
+      { text: `-${formatAmount(refundedAmount, branding)}`, x: columns.total, width: 85, align: 'right' },
+    ]);
+  }
+
+  doc.fontSize(9).font('Helvetica').fillColor('#555555')
+    .text(`Thank you for shopping with ${branding.storeName}.`, PAGE_MARGIN, y + 30, { align: 'center' })
+    .fillColor('#000000');
+};
+
+/**
+ * @desc Draws a packing slip for one order on the current page. Prices are left out.
+ * @param {Object} doc - The PDFKit document.
+ * @param {Object} order - The order, with `items.product` populated for SKUs if available.
+ * @param {Object} branding - From `getDocumentBranding`.
+ */
+const drawPackingSlip = (doc, order, branding) => {
+  drawHeader(doc, branding, 'PACKING SLIP', [
+    `Order No: ${order.orderNumber}`,
+    `Order Date: ${formatDate(order.createdAt)}`,
+  ]);
+
+  drawAddresses(doc, order, 'Ship To', 'Shipping', [
+    order.shippingMethod.name,
+    order.shippingMethod.description,
+    order.paymentInfo.method === 'cash_on_delivery' ? `Collect on delivery: ${formatAmount(order.totalAmount, branding)}` : null,
+  ].filter(Boolean));
+
+  const columns = { check: 50, item: 75, sku: 330, qty: 460 };
+  let y = drawRow(doc, doc.y, [
+    { text: '', x: columns.check, width: 20 },
+    { text: 'Item', x: columns.item, width: 250 },
+    { text: 'SKU', x: columns.sku, width: 120 },
+    { text: 'Qty', x: columns.qty, width: 85, align: 'right' },
+  ], { bold: true });
+  doc.moveTo(PAGE_MARGIN, y - 3).lineTo(doc.page.width - PAGE_MARGIN, y - 3).stroke();
+
+  order.items.forEach(item => {
+    y = ensureSpace(doc, y);
+    doc.rect(columns.check, y, 10, 10).stroke();
+    const variant = describeVariant(item);
+    const sku = item.variant?.sku || item.product?.sku || '';
+    y = drawRow(doc, y, [
+      { text: '', x: columns.check, width: 20 },
+      { text: variant ? `${item.name} (${variant})` : item.name, x: columns.item, width: 250 },
+      { text: sku || 'N/A', x: columns.sku, width: 120 },
+      { text: item.quantity, x: columns.qty, width: 85, align: 'right' },
+    ]);
+  });
+
+  const customerNotes = (order.notes || []).filter(note => !note.isInternal);
+  if (customerNotes.length > 0) {
+    y = ensureSpace(doc, y + 15, 40);
+    doc.fontSize(11).font('Helvetica-Bold').text('Notes', PAGE_MARGIN, y);
+    doc.fontSize(10).font('Helvetica');
+    customerNotes.forEach(note => doc.text(note.content, PAGE_MARGIN));
+  }
+};
+
+/**
+ * @desc Streams a PDF to the response.
+ * @param {Object} res - Express response object.
+ * @param {string} fileName - The download file name.
+ * @param {Function} draw - Called with the PDFKit document to add the content.
+ */
+const sendPdf = (res, fileName, draw) => {
+  const doc = new PDFDocument({ margin: PAGE_MARGIN, size: 'A4' });
+
+  res.setHeader('Content-disposition', `attachment; filename=${fileName}`);
+  res.setHeader('Content-type', 'application/pdf');
+  doc.pipe(res);
+
+  draw(doc);
+  doc.end();
+};
+
+/**
+ * @desc Sends the invoice PDF for an order, assigning its invoice number if needed.
+ * @param {Object} res - Express response object.
+ * @param {Object} order - The order document.
+ * @param {Object} [options]
+ * @param {boolean} [options.hideContactDetails=false] - Mask the customer's email and phone, for
+ * staff without the customers.view_pii permission.
+ */
+const sendInvoicePdf = async (res, order, { hideContactDetails = false } = {}) => {
+  await assignInvoiceNumber(order);
+  const branding = await getDocumentBranding();
+  sendPdf(res, `invoice-${order.invoiceNumber}.pdf`, doc => drawInvoice(doc, order, branding, { hideContactDetails }));
+};
+
+/**
+ * @desc Sends packing slips for one or more orders as a single PDF, one order per page.
+ * @param {Object} res - Express response object.
+ * @param {Array<Object>} orders - The order documents, with `items.product` populated for SKUs.
+ * @param {string} fileName - The download file name.
+ */
+const sendPackingSlipsPdf = async (res, orders, fileName) => {
+  const branding = await getDocumentBranding();
+  sendPdf(res, fileName, doc => {
+    orders.forEach((order, index) => {
+      if (index > 0) doc.addPage();
+      drawPackingSlip(doc, order, branding);
+    });
+  });
+};
+
+module.exports = {
+  getInvoiceError,
+  assignInvoiceNumber,
+  sendInvoicePdf,
+  sendPackingSlipsPdf,
+};
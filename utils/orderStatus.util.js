@@ -0,0 +1,110 @@
+/**
+ * @fileoverview The order state machine. Allowed transitions and their payment guards are
+ * defined on the Order model (see `STATUS_TRANSITIONS`); this module applies a status change
+ * together with its side effects, so admins and customers go through exactly the same rules.
+ */
+
+const { commitOrderStock, releaseOrderStock } = require('./inventory.util');
+const { queueEmailSafely } = require('./email.util');
+
+/**
+ * Side effects for each target status.
+ * - `apply` runs before the order is saved and may return an error message to abort the change.
+ * - `email` is the template sent to the customer once the change has been saved.
+ * - `emailData` adds template data on top of the order and note.
+ */
+const statusEffects = {
+  processing: {
+    apply: async (order, { fromStatus, userId }) => {
+      // A cancelled order gave its stock back, so take it again before reviving the order
+      if (fromStatus === 'cancelled') {
+        const { outOfStock } = await commitOrderStock(order, { userId });
+        if (outOfStock) return 'Some items in this order are no longer in stock';
+      }
+      return null;
+    },
+    email: 'orderStatusUpdate',
+  },
+  shipped: {
+    apply: async (order) => {
+      if (!order.shippedAt) order.shippedAt = new Date();
+      return null;
+    },
+    email: 'orderShipped',
+    // Tracking details of the shipment that moved the order to shipped, if there is one
+    emailData: (order) => ({ tracking: order.shipments[order.shipments.length - 1] }),
+  },
+  delivered: {
+    apply: async (order) => {
+      if (!order.deliveredAt) order.deliveredAt = new Date();
+      return null;
+    },
+    email: 'orderStatusUpdate',
+  },
+  cancelled: {
+    apply: async (order, { userId, actor }) => {
+      order.cancelledAt = new Date();
+      // releaseOrderStock is a no-op if the stock was already returned
+      await releaseOrderStock(order, {
+        reason: `Order ${order.orderNumber} cancelled by ${actor}`,
+        userId,
+      });
+      return null;
+    },
+    email: 'orderStatusUpdate',
+  },
+};
+
+/**
+ * @desc Moves an order to a new status, running the side effects of the transition, and saves it.
+ * @param {Object} order - The order document.
+ * @param {string} status - The target status.
+ * @param {Object} [options]
+ * @param {string} [options.userId=null] - The user making the change, or null for automatic changes.
+ * @param {string} [options.actor='admin'] - Who made the change, used in stock movement reasons.
+ * @param {string} [options.note] - A note for the timeline and the customer email.
+ * @param {boolean} [options.notify=true] - Whether to email the customer about the change.
+ * @returns {Promise<{ order: Object|null, error: string|null }>}
+ */
+const changeOrderStatus = async (order, status, { userId = null, actor = 'admin', note, notify = true } = {}) => {
+  const transitionError = order.getStatusTransitionError(status);
+  if (transitionError) {
+    return { order: null, error: transitionError };
+  }
+
+  const fromStatus = order.status;
+  const effects = statusEffects[status] || {};
+
+  if (effects.apply) {
+    const effectError = await effects.apply(order, { fromStatus, userId, actor });
+    if (effectError) {
+      return { order: null, error: effectError };
+    }
+  }
+
+  order.status = status;
+  order.updatedBy = userId;
+  order.timeline.push({
+    status,
+    note: note || `Order status changed from ${fromStatus} to ${status} by ${actor}.`,
+    updatedBy: userId,
+  });
+
+  await order.save();
+
+  if (notify && effects.email) {
+    queueEmailSafely({
+      template: effects.email,
+      to: order.shippingAddress.email,
+      data: { order, note, ...(effects.emailData ? effects.emailData(order) : {}) },
+      order: order._id,
+      user: order.user,
+    });
+  }
+
+  return { order, error: null };
+};
+
+module.exports = {
+  changeOrderStatus,
+};
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Utility functions for starting Paystack payments and applying confirmed
+ * payments to orders. Shared by the browser verification endpoint and the Paystack webhook so
+ * both paths apply exactly the same checks.
+ */
+
+const paystackUtil = require('./paystack.util');
+const { commitOrderStock } = require('./inventory.util');
+
+// Orders are charged in naira; Paystack amounts are in kobo
+const PAYSTACK_CURRENCY = 'NGN';
+
+/**
+ * @desc Starts a Paystack transaction for an order and saves the payment reference on it.
+ * Paystack API errors are thrown to the caller.
+ * @param {Object} order - The order document to pay for.
+ * @returns {Promise<{ authorization_url: string, reference: string, access_code: string }>}
+ */
+const initializeOrderPayment = async (order) => {
+  // Use the generated unique order number for the reference for easy reconciliation
+  const reference = order.orderNumber;
+  const paymentData = {
+    amount: Math.round(order.totalAmount * 100), // Ensure it's an integer in kobo
+    email: order.shippingAddress.email,
+    reference: reference,
+    // The callback URL should ideally point to a page that triggers the verification
+    callback_url: `${process.env.CLIENT_URL}/order-status?reference=${reference}`,
+    metadata: {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      customerName: `${order.shippingAddress.firstName} ${order.shippingAddress.lastName}`
+    }
+  };
+
+  const paystackResponse = await paystackUtil.initializeTransaction(paymentData);
+
+  // Save the reference to the order
+  order.paymentInfo.reference = reference;
+  await order.save();
+
+  return {
+    authorization_url: paystackResponse.data.authorization_url,
+    reference: paystackResponse.data.reference,
+    access_code: paystackResponse.data.access_code
+  };
+};
+
+/**
+ * @desc Applies a successful Paystack charge to an order and commits its stock reservation.
+ * The order is modified in place but not saved; the caller is responsible for persisting it.
+ *
+ * @param {Object} order - The order document the charge belongs to.
+ * @param {Object} data - The `data` object of a Paystack transaction (verify response or webhook payload).
+ * @returns {Promise<{ applied: boolean, alreadyPaid: boolean, amountMismatch: boolean }>}
+ * `amountMismatch` is also set when the charge was made in another currency.
+ */
+const applySuccessfulCharge = async (order, data) => {
+  // A charge in another currency is not worth the order total, whatever its amount
+  if (data.currency && data.currency !== PAYSTACK_CURRENCY) {
+    console.error(`SECURITY ALERT: Payment for order ${order.orderNumber} was made in ${data.currency}, expected ${PAYSTACK_CURRENCY}.`);
+    return { applied: false, alreadyPaid: false, amountMismatch: true };
+  }
+
+  // --- CRITICAL: Verify amount paid matches order total ---
+  const amountPaidInKobo = data.amount;
+  const orderTotalInKobo = Math.round(order.totalAmount * 100);
+  if (amountPaidInKobo < orderTotalInKobo) {
+    // This is a security risk. Log this event for manual review.
+    console.error(`SECURITY ALERT: Partial payment detected for order ${order.orderNumber}. Expected ${orderTotalInKobo}, received ${amountPaidInKobo}.`);
+    return { applied: false, alreadyPaid: false, amountMismatch: true };
+  }
+
+  // Idempotency check: a charge can be confirmed by both the browser and the webhook
+  if (['paid', 'partially_refunded', 'refunded'].includes(order.paymentInfo.status)) {
+    return { applied: false, alreadyPaid: true, amountMismatch: false };
+  }
+
+  order.paymentInfo.status = 'paid';
+  order.paymentInfo.paidAt = data.paid_at ? new Date(data.paid_at) : new Date();
+  order.paymentInfo.transactionId = data.id.toString();
+  order.paymentInfo.details = {
+    channel: data.channel,
+    bank: data.authorization?.bank,
+    card_type: data.authorization?.card_type,
+    last4: data.authorization?.last4,
+  };
+  order.status = 'processing';
+  order.timeline.push({
+    status: 'processing',
+    note: 'Payment successful. Order is now being processed.'
+  });
+
+  const { outOfStock } = await commitOrderStock(order);
+  if (outOfStock) {
+    // The order was paid after its reservation expired and the stock has been sold since
+    console.error(`STOCK ALERT: Order ${order.orderNumber} was paid after its reservation expired and is no longer in stock.`);
+    order.timeline.push({
+      status: 'processing',
+      note: 'Payment received after the stock reservation expired. Some items are out of stock; manual review required.'
+    });
+  }
+
+  return { applied: true, alreadyPaid: false, amountMismatch: false };
+};
+
+module.exports = {
+  initializeOrderPayment,
+  applySuccessfulCharge,
+};
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const crypto = require('crypto');
 
 /**
  * Paystack API utility for payment operations
@@ -10,7 +11,8 @@ const paystackUtil = {
    */
   getPaystackAPI: () => {
     const paystackAPI = axios.create({
-      baseURL: 'https://api.paystack.co',
+      // PAYSTACK_BASE_URL lets tests and local development point at a stand-in server
+      baseURL: process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co',
       headers: {
         Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
         'Content-Type': 'application/json'
@@ -73,7 +75,7 @@ const paystackUtil = {
       const paystackAPI = paystackUtil.getPaystackAPI();
       const response = await paystackAPI.post('/refund', {
         transaction: transactionId,
-        amount: amount * 100, // Convert to kobo (Paystack uses the smallest currency unit)
+        amount: Math.round(amount * 100), // Convert to kobo (Paystack uses the smallest currency unit)
         reason: reason
       });
       
@@ -84,6 +86,30 @@ const paystackUtil = {
     }
   },
 
+  /**
+   * Verify that a webhook request was sent by Paystack
+   * @param {Buffer|string} rawBody - The raw, unparsed request body
+   * @param {string} signature - The value of the x-paystack-signature header
+   * @returns {boolean} True if the HMAC SHA512 signature matches
+   */
+  verifyWebhookSignature: (rawBody, signature) => {
+    if (!rawBody || !signature || !process.env.PAYSTACK_SECRET_KEY) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
+      .update(rawBody)
+      .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const signatureBuffer = Buffer.from(String(signature), 'hex');
+
+    // timingSafeEqual throws on length mismatch, so compare lengths first
+    return expectedBuffer.length === signatureBuffer.length
+      && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  },
+
   /**
    * Get transaction details
    * @param {string} transactionId - Transaction ID
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Staff permissions. Admins and superadmins can do everything; `staff` accounts get
+ * the permissions of the Role assigned to them, so e.g. fulfilment staff can ship orders without
+ * being able to refund them. The admin routers check permissions with `requirePermission`.
+ */
+
+const Role = require('../models/role.model');
+
+const PERMISSIONS = {
+  'dashboard.view': 'View the dashboard and sales figures',
+  'orders.view': 'View orders, invoices and packing slips',
+  'orders.fulfil': 'Update order status, add notes and shipments, and email customers about orders',
+  'orders.refund': 'Refund orders and returns',
+  'returns.view': 'View return requests',
+  'returns.manage': 'Approve, reject and receive returns',
+  'products.view': 'View products and categories',
+  'products.write': 'Create, edit and delete products and categories',
+  'inventory.view': 'View stock levels, history and reports',
+  'inventory.adjust': 'Adjust stock levels',
+  'customers.view': 'View customers, their orders and reviews',
+  'customers.view_pii': 'See customers\' email addresses, phone numbers and addresses',
+  'customers.write': 'Create and edit customers, notes and flags',
+  'coupons.view': 'View coupons',
+  'coupons.write': 'Create, edit and delete coupons',
+  'payments.view': 'View pending bank transfers and cash on delivery remittances',
+  'payments.verify': 'Confirm or reject bank transfers and record cash remittances',
+  'settings.view': 'View store settings',
+  'settings.write': 'Change store settings, shipping zones and payment methods',
+  'emails.view': 'View the email outbox',
+  'emails.retry': 'Retry failed emails',
+  'contact.view': 'View contact messages',
+  'contact.write': 'Update and delete contact messages',
+  'users.manage': 'Manage staff accounts',
+  'audit.view': 'View and export the audit log of admin changes',
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+const FULL_ACCESS_ROLES = ['admin', 'superadmin'];
+
+/**
+ * @desc Works out the permissions of a user.
+ * @param {Object} user - The User document.
+ * @returns {Promise<Array<string>>}
+ */
+const getUserPermissions = async (user) => {
+  if (!user) return [];
+  if (FULL_ACCESS_ROLES.includes(user.role)) return PERMISSION_KEYS;
+  if (user.role !== 'staff' || !user.staffRole) return [];
+
+  const role = await Role.findById(user.staffRole).select('permissions').lean();
+  return role ? role.permissions : [];
+};
+
+/**
+ * @desc Whether the request's user has a permission. Only works after `requirePermission` has run.
+ * @param {Object} req
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const hasPermission = (req, permission) => Boolean(req.permissions?.includes(permission));
+
+/**
+ * @desc Finds permission names that do not exist.
+ * @param {Array<string>} permissions
+ * @returns {Array<string>}
+ */
+const findUnknownPermissions = (permissions) => permissions.filter(permission => !PERMISSIONS[permission]);
+
+const maskEmail = (email) => {
+  if (!email) return email;
+  const [local, domain] = email.split('@');
+  return `${local.charAt(0)}***@${domain}`;
+};
+
+const maskPhone = (phone) => (phone ? `***${String(phone).slice(-4)}` : phone);
+
+/**
+ * @desc Hides a customer's contact details from staff without the `customers.view_pii` permission.
+ * @param {Object} customer - A plain customer object.
+ * @returns {Object} The same object, with email and phone masked and addresses removed.
+ */
+const redactCustomerPii = (customer) => {
+  customer.email = maskEmail(customer.email);
+  customer.phone = maskPhone(customer.phone);
+  delete customer.address;
+  delete customer.addresses;
+  return customer;
+};
+
+/**
+ * @desc Masks the customer's email and phone on a shipping address. The name and address are
+ * kept, since fulfilment staff need them to ship the order.
+ * @param {Object} address - A plain shipping address.
+ * @returns {Object} A masked copy.
+ */
+const redactShippingAddress = (address) => ({
+  ...address,
+  email: maskEmail(address.email),
+  phone: maskPhone(address.phone),
+});
+
+/**
+ * @desc Hides the customer's contact details on an order or return request: the shipping address
+ * email and phone, the return's email and the populated customer account.
+ * @param {Object} record - An order or return request, as a document or plain object.
+ * @returns {Object} A plain, redacted copy.
+ */
+const redactOrderPii = (record) => {
+  const plain = typeof record.toObject === 'function' ? record.toObject() : { ...record };
+  if (plain.shippingAddress) plain.shippingAddress = redactShippingAddress(plain.shippingAddress);
+  if (plain.email) plain.email = maskEmail(plain.email);
+  if (plain.user && plain.user.email !== undefined) plain.user = redactCustomerPii({ ...plain.user });
+  return plain;
+};
+
+/**
+ * @desc Returns an order or return request as the request's user may see it: unchanged with the
+ * `customers.view_pii` permission, otherwise with the customer's contact details hidden.
+ * @param {Object} req
+ * @param {Object} record - An order or return request.
+ * @returns {Object}
+ */
+const showOrderTo = (req, record) => (hasPermission(req, 'customers.view_pii') ? record : redactOrderPii(record));
+
+/**
+ * @desc Returns an outbox email as the request's user may see it: unchanged with the
+ * `customers.view_pii` permission, otherwise with the recipient address and the populated
+ * account's contact details hidden.
+ * @param {Object} req
+ * @param {Object} entry - An EmailOutbox entry, as a document or plain object.
+ * @returns {Object}
+ */
+const showEmailTo = (req, entry) => {
+  if (hasPermission(req, 'customers.view_pii')) return entry;
+  const plain = typeof entry.toObject === 'function' ? entry.toObject() : { ...entry };
+  plain.to = maskEmail(plain.to);
+  if (plain.user && plain.user.email !== undefined) plain.user = redactCustomerPii({ ...plain.user });
+  return plain;
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  getUserPermissions,
+  hasPermission,
+  findUnknownPermissions,
+  redactCustomerPii,
+  redactShippingAddress,
+  redactOrderPii,
+  showOrderTo,
+  showEmailTo,
+};
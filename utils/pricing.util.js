@@ -0,0 +1,140 @@
+/**
+ * @fileoverview The pricing engine. The cart, the checkout preview and order placement all price
+ * through `priceItems`, so the totals a customer sees are always the totals they are charged.
+ * Amounts are worked out in kobo (integers) and converted back to naira at the end, so rounding
+ * happens once per line and the breakdown always adds up to the totals.
+ */
+
+const toKobo = (amount) => Math.round(Number(amount || 0) * 100);
+const fromKobo = (kobo) => kobo / 100;
+
+/**
+ * @desc Splits an amount across lines in proportion to their weights. Remainders from rounding
+ * go to the lines with the largest fractional shares, so the parts always add up to the amount.
+ * @param {number} amountKobo - The amount to split.
+ * @param {Array<number>} weights - One weight per line; lines with a weight of 0 get nothing.
+ * @returns {Array<number>} The share of each line, in kobo.
+ */
+const allocateProportionally = (amountKobo, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (amountKobo <= 0 || totalWeight <= 0) {
+    return weights.map(() => 0);
+  }
+
+  const exactShares = weights.map(weight => (amountKobo * weight) / totalWeight);
+  const shares = exactShares.map(Math.floor);
+  let remainder = amountKobo - shares.reduce((sum, share) => sum + share, 0);
+
+  const byFraction = exactShares
+    .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+    .sort((a, b) => b.fraction - a.fraction);
+  for (const { index } of byFraction) {
+    if (remainder <= 0) break;
+    shares[index] += 1;
+    remainder -= 1;
+  }
+  return shares;
+};
+
+/**
+ * @desc Prices a set of line items.
+ * - Line totals are unit price x quantity.
+ * - The coupon discount is spread across the lines it applies to, in proportion to their totals.
+ * - Shipping is free when the subtotal reaches the rate's `freeShippingThreshold` or the coupon
+ *   gives free shipping. Shipping is not taxed.
+ * - Tax is charged on each line after its discount. With `Settings.tax.includeInPrice` the tax is
+ *   already part of the price and is only reported; otherwise it is added to the total.
+ *
+ * @param {Object} options
+ * @param {Array<{price: number, quantity: number}>} options.items - The line items. Other fields are kept.
+ * @param {Object} [options.coupon] - A valid result of `evaluateCoupon` ({ discount, eligibleItems, freeShipping }).
+ * @param {Object} [options.shippingRate] - The selected shipping rate ({ price, freeShippingThreshold }).
+ * @param {Object} options.settings - The store settings.
+ * @returns {{
+ *   lines: Array<Object>,
+ *   subtotal: number,
+ *   discount: number,
+ *   shippingFee: number,
+ *   freeShipping: boolean,
+ *   taxRate: number,
+ *   taxInclusive: boolean,
+ *   taxAmount: number,
+ *   totalAmount: number
+ * }} Each line gets `total`, `discount`, `taxableAmount` and `tax`.
+ */
+const priceItems = ({ items, coupon = null, shippingRate = null, settings }) => {
+  const lineTotals = items.map(item => toKobo(item.price) * item.quantity);
+  const subtotal = lineTotals.reduce((sum, total) => sum + total, 0);
+
+  // Only the lines the coupon applies to share its discount; without eligibility info every line does
+  let lineDiscounts = items.map(() => 0);
+  if (coupon && coupon.discount > 0) {
+    const eligible = new Set(coupon.eligibleItems || items.map((item, index) => index));
+    const weights = lineTotals.map((total, index) => (eligible.has(index) ? total : 0));
+    const eligibleSubtotal = weights.reduce((sum, weight) => sum + weight, 0);
+    lineDiscounts = allocateProportionally(Math.min(toKobo(coupon.discount), eligibleSubtotal), weights);
+  }
+  const discount = lineDiscounts.reduce((sum, lineDiscount) => sum + lineDiscount, 0);
+
+  let shippingFee = 0;
+  let freeShipping = false;
+  if (shippingRate) {
+    const threshold = toKobo(shippingRate.freeShippingThreshold);
+    freeShipping = Boolean(coupon?.freeShipping) || (threshold > 0 && subtotal >= threshold);
+    shippingFee = freeShipping ? 0 : toKobo(shippingRate.price);
+  }
+
+  const taxRate = settings.tax?.enabled ? settings.tax.rate || 0 : 0;
+  const taxInclusive = Boolean(settings.tax?.enabled && settings.tax.includeInPrice);
+
+  const lines = items.map((item, index) => {
+    const taxableAmount = lineTotals[index] - lineDiscounts[index];
+    const tax = taxInclusive
+      ? Math.round(taxableAmount - taxableAmount / (1 + taxRate / 100))
+      : Math.round((taxableAmount * taxRate) / 100);
+    return {
+      ...item,
+      total: fromKobo(lineTotals[index]),
+      discount: fromKobo(lineDiscounts[index]),
+      taxableAmount: fromKobo(taxableAmount),
+      tax: fromKobo(tax),
+    };
+  });
+  const taxAmount = lines.reduce((sum, line) => sum + toKobo(line.tax), 0);
+
+  const totalAmount = subtotal - discount + shippingFee + (taxInclusive ? 0 : taxAmount);
+
+  return {
+    lines,
+    subtotal: fromKobo(subtotal),
+    discount: fromKobo(discount),
+    shippingFee: fromKobo(shippingFee),
+    freeShipping,
+    taxRate,
+    taxInclusive,
+    taxAmount: fromKobo(taxAmount),
+    totalAmount: fromKobo(totalAmount),
+  };
+};
+
+/**
+ * @desc Works out what the customer paid for some units of a priced line: its total less its
+ * discount, plus its tax when the tax was added to the total. Each unit is refunded its share of
+ * that, with the rounding settled so refunding every unit returns exactly what was paid.
+ * @param {Object} line - A priced line ({ total, discount, tax, quantity }), e.g. an order item.
+ * @param {number} quantity - The units being refunded.
+ * @param {boolean} taxInclusive - Whether the tax was already part of the prices.
+ * @param {number} [alreadyRefunded=0] - Units of the line refunded before.
+ * @returns {number}
+ */
+const getLineRefundAmount = (line, quantity, taxInclusive, alreadyRefunded = 0) => {
+  const paid = toKobo(line.total) - toKobo(line.discount) + (taxInclusive ? 0 : toKobo(line.tax));
+  const paidFor = (units) => Math.round((paid * units) / line.quantity);
+  return fromKobo(paidFor(alreadyRefunded + quantity) - paidFor(alreadyRefunded));
+};
+
+module.exports = {
+  allocateProportionally,
+  priceItems,
+  getLineRefundAmount,
+};
@@ -32,6 +32,39 @@ const calculateProductStatus = (product, lowStockThreshold) => {
     }
 };
 
+/**
+ * @desc Helper function to get a product's regular price. While a sale is on, `price` holds the
+ * sale price and `compareAtPrice` the regular one (see utils/productSchedule.util.js).
+ * @param {Object} product - The product.
+ * @returns {number} The regular price.
+ */
+const getRegularPrice = (product) => {
+    if (product?.sale?.status === 'active' && product.compareAtPrice != null) {
+        return product.compareAtPrice;
+    }
+    return product?.price;
+};
+
+/**
+ * @desc Adds the sale details shown to customers: `price` is already the price they pay, `onSale`
+ * says whether it is reduced, and `compareAtPrice` and `saleEndsAt` describe the sale.
+ * The admin's sale schedule itself is not returned.
+ * @param {Object} product - A plain product object.
+ * @returns {Object} A copy of the product with `onSale`, `compareAtPrice` and `saleEndsAt`.
+ */
+const addSaleInfo = (product) => {
+    const { sale, ...publicProduct } = product;
+    const onSale = sale?.status === 'active' && product.compareAtPrice > product.price;
+    return {
+        ...publicProduct,
+        onSale,
+        compareAtPrice: onSale ? product.compareAtPrice : null,
+        saleEndsAt: onSale ? sale.endsAt || null : null,
+    };
+};
+
 module.exports = {
     calculateProductStatus,
+    getRegularPrice,
+    addSaleInfo,
 };
\ No newline at end of file
@@ -0,0 +1,586 @@
+/**
+ * @fileoverview Bulk product import and export in CSV. A catalog CSV has one row per product, or one
+ * row per variant for products with variants (the product columns repeated on each row), so an
+ * exported file can be edited and imported again. Imports are keyed on the product and variant
+ * SKUs: existing products are updated, new ones are created, and blank cells keep current values.
+ * Stock of existing products is changed by the difference between the stock and stock-at-export
+ * columns, so stock sold since the export is not restored. Bundles are not part of the catalog CSV.
+ */
+
+const Product = require('../models/product.model');
+const Category = require('../models/category.model');
+const ProductImportJob = require('../models/productImportJob.model');
+const { getRegularPrice } = require('./product.util');
+const { buildPricing } = require('./productSchedule.util');
+
+const CATALOG_COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'category',
+  'price',
+  'stockQuantity',
+  'stockQuantityAtExport',
+  'reorderPoint',
+  'status',
+  'featured',
+  'scentNotesTop',
+  'scentNotesMiddle',
+  'scentNotesBase',
+  'ingredients',
+  'variantSku',
+  'variantSize',
+  'variantScentIntensity',
+  'variantStockQuantity',
+  'variantStockQuantityAtExport',
+  'variantPriceAdjustment',
+  'variantIsDefault',
+];
+
+const VARIANT_COLUMNS = CATALOG_COLUMNS.filter(column => column.startsWith('variant'));
+
+// Separates the values of list cells such as ingredients: "Soy wax|Cotton wick"
+const LIST_SEPARATOR = '|';
+
+const SCENT_NOTE_COLUMNS = { scentNotesTop: 'top', scentNotesMiddle: 'middle', scentNotesBase: 'base' };
+
+const REQUIRED_FOR_NEW_PRODUCTS = ['name', 'description', 'category', 'price', 'stockQuantity'];
+const REQUIRED_FOR_NEW_VARIANTS = ['variantSize', 'variantStockQuantity'];
+
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_STOCK_REASON = 'CSV import';
+
+// Imports stuck in `processing` for this long (e.g. the server restarted mid-import) are queued again
+const STUCK_IMPORT_MINUTES = 15;
+// How often, in products, the job's progress is saved while importing
+const PROGRESS_SAVE_INTERVAL = 25;
+
+/**
+ * @desc Parses CSV text into rows of cells. Handles quoted cells containing commas, quotes and line breaks.
+ * @param {string} text
+ * @returns {{ rows: Array<Array<string>>, error: string|null }}
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    return { rows: [], error: 'The CSV has a quoted cell that is never closed' };
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return { rows, error: null };
+};
+
+const parseNumber = (raw, { integer = false, min = null } = {}) => {
+  const value = Number(raw);
+  if (Number.isNaN(value)) return { error: 'must be a number' };
+  if (integer && !Number.isInteger(value)) return { error: 'must be a whole number' };
+  if (min !== null && value < min) return { error: `cannot be less than ${min}` };
+  return { value };
+};
+
+const parseBoolean = (raw) => {
+  const normalized = raw.toLowerCase();
+  if (['true', 'yes', '1'].includes(normalized)) return { value: true };
+  if (['false', 'no', '0'].includes(normalized)) return { value: false };
+  return { error: 'must be true or false' };
+};
+
+const parseList = (raw) => ({ value: raw.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) });
+
+const parseText = (maxLength) => (raw) => (raw.length > maxLength
+  ? { error: `cannot be more than ${maxLength} characters` }
+  : { value: raw });
+
+const parseEnum = (values) => (raw) => {
+  const value = raw.toLowerCase();
+  return values.includes(value) ? { value } : { error: `must be one of ${values.join(', ')}` };
+};
+
+// How each column's cells are read; blank cells are skipped before these run
+const CELL_PARSERS = {
+  sku: raw => ({ value: raw }),
+  name: parseText(100),
+  description: parseText(2000),
+  category: raw => ({ value: raw.toLowerCase() }),
+  price: raw => parseNumber(raw, { min: 0 }),
+  stockQuantity: raw => parseNumber(raw, { integer: true, min: 0 }),
+  stockQuantityAtExport: raw => parseNumber(raw, { integer: true, min: 0 }),
+  reorderPoint: raw => parseNumber(raw, { integer: true, min: 0 }),
+  status: parseEnum(Product.schema.path('status').enumValues),
+  featured: parseBoolean,
+  scentNotesTop: parseList,
+  scentNotesMiddle: parseList,
+  scentNotesBase: parseList,
+  ingredients: parseList,
+  variantSku: raw => ({ value: raw }),
+  variantSize: parseText(50),
+  variantScentIntensity: parseEnum(['light', 'medium', 'strong']),
+  variantStockQuantity: raw => parseNumber(raw, { integer: true, min: 0 }),
+  variantStockQuantityAtExport: raw => parseNumber(raw, { integer: true, min: 0 }),
+  variantPriceAdjustment: raw => parseNumber(raw),
+  variantIsDefault: parseBoolean,
+};
+
+/**
+ * @desc Reads the CSV rows into one entry per product SKU, collecting every row-level error.
+ * Rows are numbered as in a spreadsheet, so the header is row 1.
+ */
+const groupRows = (header, dataRows) => {
+  const errors = [];
+  const products = new Map();
+  const variantRows = new Map();
+
+  dataRows.forEach((cells, index) => {
+    const row = index + 2;
+    if (cells.every(cell => cell.trim() === '')) return;
+    if (cells.length > header.length) {
+      errors.push({ row, message: `Row has ${cells.length} cells but the header has ${header.length}` });
+      return;
+    }
+
+    const values = {};
+    header.forEach((column, columnIndex) => {
+      const raw = (cells[columnIndex] || '').trim();
+      if (raw === '') return;
+      const { value, error } = CELL_PARSERS[column](raw);
+      if (error) {
+        errors.push({ row, sku: values.sku, column, message: `${column} ${error}` });
+      } else {
+        values[column] = value;
+      }
+    });
+
+    const { sku } = values;
+    if (!sku) {
+      errors.push({ row, column: 'sku', message: 'sku is required' });
+      return;
+    }
+
+    let product = products.get(sku);
+    if (!product) {
+      product = { sku, row, values: {}, valueRows: {}, variants: [] };
+      products.set(sku, product);
+    }
+
+    // Product columns may repeat on every variant row, but must not disagree
+    Object.keys(values)
+      .filter(column => column !== 'sku' && !VARIANT_COLUMNS.includes(column))
+      .forEach((column) => {
+        if (product.values[column] === undefined) {
+          product.values[column] = values[column];
+          product.valueRows[column] = row;
+        } else if (JSON.stringify(product.values[column]) !== JSON.stringify(values[column])) {
+          errors.push({ row, sku, column, message: `${column} differs from row ${product.valueRows[column]} for the same product` });
+        }
+      });
+
+    const variantValues = VARIANT_COLUMNS.filter(column => values[column] !== undefined);
+    if (variantValues.length === 0) return;
+    if (!values.variantSku) {
+      errors.push({ row, sku, column: 'variantSku', message: 'variantSku is required on rows with variant columns' });
+      return;
+    }
+    if (variantRows.has(values.variantSku)) {
+      errors.push({ row, sku, column: 'variantSku', message: `variantSku ${values.variantSku} is already used on row ${variantRows.get(values.variantSku)}` });
+      return;
+    }
+    variantRows.set(values.variantSku, row);
+    product.variants.push({ sku: values.variantSku, row, values });
+  });
+
+  return { products: [...products.values()], errors };
+};
+
+/**
+ * @desc Helper function to work out the stock change a row asks for. New products and variants take
+ * the stock as given; existing ones move by the difference from the stock at export.
+ * @returns {{ stockQuantity?: number, stockAdjustment?: number }}
+ */
+const toStockFields = (isNew, stockQuantity, stockAtExport) => {
+  if (stockQuantity === undefined) return {};
+  if (isNew) return { stockQuantity };
+  return stockQuantity === stockAtExport ? {} : { stockAdjustment: stockQuantity - stockAtExport };
+};
+
+/**
+ * @desc Helper function to check the stock cells of a row for an existing product or variant.
+ * @returns {string|null} The error message, if any.
+ */
+const checkStockChange = (stockQuantity, stockAtExport, atExportColumn, canAdjustStock) => {
+  if (stockQuantity === undefined) return null;
+  if (stockAtExport === undefined) {
+    return `${atExportColumn} is required to change the stock of existing products; export the catalog again to get it`;
+  }
+  if (stockQuantity !== stockAtExport && !canAdjustStock) {
+    return 'Changing stock needs the inventory.adjust permission';
+  }
+  return null;
+};
+
+/**
+ * @desc Helper function to turn a validated product entry into the fields stored on the import job.
+ * Only the cells that were filled in are included, so blank cells keep the current values.
+ */
+const toImportItem = (product, categoryIds, existing) => {
+  const fields = {};
+  Object.entries(product.values).forEach(([column, value]) => {
+    if (column === 'stockQuantity' || column === 'stockQuantityAtExport') return;
+    if (SCENT_NOTE_COLUMNS[column]) {
+      fields.scentNotes = { ...fields.scentNotes, [SCENT_NOTE_COLUMNS[column]]: value };
+    } else if (column === 'category') {
+      fields.category = categoryIds.get(value);
+    } else {
+      fields[column] = value;
+    }
+  });
+  Object.assign(fields, toStockFields(!existing, product.values.stockQuantity, product.values.stockQuantityAtExport));
+
+  const existingVariantSkus = (existing?.variants || []).map(variant => variant.sku);
+  const variants = product.variants.map(({ sku, row, values }) => {
+    const variantFields = toStockFields(!existingVariantSkus.includes(sku), values.variantStockQuantity, values.variantStockQuantityAtExport);
+    if (values.variantSize !== undefined) variantFields.size = values.variantSize;
+    if (values.variantScentIntensity !== undefined) variantFields.scentIntensity = values.variantScentIntensity;
+    if (values.variantPriceAdjustment !== undefined) variantFields.priceAdjustment = values.variantPriceAdjustment;
+    if (values.variantIsDefault !== undefined) variantFields.isDefault = values.variantIsDefault;
+    return { sku, row, fields: variantFields };
+  });
+
+  return { sku: product.sku, row: product.row, fields, variants };
+};
+
+/**
+ * @desc Validates a catalog CSV against the file format and the current catalog.
+ * @param {string} text - The CSV file contents.
+ * @param {Object} [options]
+ * @param {boolean} [options.canAdjustStock=false] - Whether the uploader may change the stock of existing products.
+ * @returns {Promise<{ items: Array<Object>, rowErrors: Array<Object>, totalRows: number }>}
+ * The products to import, or an empty list if any row has an error.
+ */
+const validateCatalogCsv = async (text, { canAdjustStock = false } = {}) => {
+  const { rows, error } = parseCsv(text);
+  if (error) return { items: [], rowErrors: [{ message: error }], totalRows: 0 };
+  if (rows.length < 2) return { items: [], rowErrors: [{ message: 'The CSV has no product rows' }], totalRows: 0 };
+
+  const header = rows[0].map(column => column.trim());
+  const dataRows = rows.slice(1);
+  const totalRows = dataRows.length;
+
+  const headerErrors = [];
+  const unknownColumns = header.filter(column => !CATALOG_COLUMNS.includes(column));
+  const duplicateColumns = header.filter((column, index) => header.indexOf(column) !== index);
+  if (!header.includes('sku')) headerErrors.push({ row: 1, column: 'sku', message: 'The header must include a sku column' });
+  if (unknownColumns.length > 0) headerErrors.push({ row: 1, message: `Unknown column(s): ${unknownColumns.join(', ')}` });
+  if (duplicateColumns.length > 0) headerErrors.push({ row: 1, message: `Duplicate column(s): ${duplicateColumns.join(', ')}` });
+  if (totalRows > MAX_IMPORT_ROWS) headerErrors.push({ message: `The CSV has ${totalRows} rows; at most ${MAX_IMPORT_ROWS} can be imported at once` });
+  if (headerErrors.length > 0) return { items: [], rowErrors: headerErrors, totalRows };
+
+  const { products, errors } = groupRows(header, dataRows);
+  const skus = products.map(product => product.sku);
+  const variantSkus = products.flatMap(product => product.variants.map(variant => variant.sku));
+  const slugs = [...new Set(products.map(product => product.values.category).filter(Boolean))];
+  const names = [...new Set(products.map(product => product.values.name).filter(Boolean))];
+
+  const [categories, existingProducts, variantOwners, namedProducts] = await Promise.all([
+    Category.find({ slug: { $in: slugs } }).select('slug').lean(),
+    Product.find({ sku: { $in: skus } }).select('sku type category variants.sku').lean(),
+    Product.find({ 'variants.sku': { $in: variantSkus } }).select('sku variants.sku').lean(),
+    Product.find({ name: { $in: names } }).select('sku name category').lean(),
+  ]);
+
+  const categoryIds = new Map(categories.map(category => [category.slug, category._id.toString()]));
+  const existingBySku = new Map(existingProducts.map(product => [product.sku, product]));
+  const variantOwnerBySku = new Map(variantOwners.flatMap(product => product.variants.map(variant => [variant.sku, product.sku])));
+  const namesInUse = new Map(namedProducts.map(product => [`${product.category}:${product.name}`, product.sku]));
+
+  products.forEach((product) => {
+    const existing = existingBySku.get(product.sku);
+    const { values, valueRows } = product;
+
+    // Bundles are made of other products, which a catalog row cannot describe
+    if (existing?.type === 'bundle') {
+      errors.push({ row: product.row, sku: product.sku, column: 'sku', message: `${product.sku} is a bundle; bundles are edited one at a time` });
+      return;
+    }
+
+    if (!existing) {
+      // Cells that failed to parse are already reported
+      const invalidColumns = errors.filter(error => error.sku === product.sku).map(error => error.column);
+      REQUIRED_FOR_NEW_PRODUCTS
+        .filter(column => values[column] === undefined && !invalidColumns.includes(column))
+        .forEach(column => errors.push({ row: product.row, sku: product.sku, column, message: `${column} is required for new products` }));
+    } else {
+      const stockError = checkStockChange(values.stockQuantity, values.stockQuantityAtExport, 'stockQuantityAtExport', canAdjustStock);
+      if (stockError) errors.push({ row: valueRows.stockQuantity, sku: product.sku, column: 'stockQuantity', message: stockError });
+    }
+
+    if (values.category && !categoryIds.has(values.category)) {
+      errors.push({ row: valueRows.category, sku: product.sku, column: 'category', message: `No category with slug ${values.category}` });
+    }
+
+    // Product names are unique within a category, as when creating products one at a time
+    const categoryId = categoryIds.get(values.category) || existing?.category?.toString();
+    if (values.name && categoryId) {
+      const key = `${categoryId}:${values.name}`;
+      const owner = namesInUse.get(key);
+      if (owner && owner !== product.sku) {
+        errors.push({ row: valueRows.name, sku: product.sku, column: 'name', message: `Product ${owner} in this category is already called ${values.name}` });
+      } else {
+        namesInUse.set(key, product.sku);
+      }
+    }
+
+    const existingVariantSkus = (existing?.variants || []).map(variant => variant.sku);
+    product.variants.forEach((variant) => {
+      const owner = variantOwnerBySku.get(variant.sku);
+      if (owner && owner !== product.sku) {
+        errors.push({ row: variant.row, sku: product.sku, column: 'variantSku', message: `variantSku ${variant.sku} belongs to product ${owner}` });
+      }
+      if (!existingVariantSkus.includes(variant.sku)) {
+        REQUIRED_FOR_NEW_VARIANTS
+          .filter(column => variant.values[column] === undefined)
+          .forEach(column => errors.push({ row: variant.row, sku: product.sku, column, message: `${column} is required for new variants` }));
+      } else {
+        const { variantStockQuantity, variantStockQuantityAtExport } = variant.values;
+        const stockError = checkStockChange(variantStockQuantity, variantStockQuantityAtExport, 'variantStockQuantityAtExport', canAdjustStock);
+        if (stockError) errors.push({ row: variant.row, sku: product.sku, column: 'variantStockQuantity', message: stockError });
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    return { items: [], rowErrors: errors.sort((a, b) => (a.row || 0) - (b.row || 0)), totalRows };
+  }
+  return { items: products.map(product => toImportItem(product, categoryIds, existingBySku.get(product.sku))), rowErrors: [], totalRows };
+};
+
+/**
+ * @desc Helper function to apply an import's stock change to an existing product or variant. The
+ * change is made with `moveStock`, so it adds to whatever orders have done since the export. The
+ * job id is logged with the change, so a resumed import does not apply it twice.
+ */
+const applyImportStockChange = async ({ product, variant = null, adjustment, userId, jobId }) => {
+  const reason = `${IMPORT_STOCK_REASON} ${jobId}`;
+  const variantId = variant ? variant._id : null;
+  const alreadyApplied = await Product.exists({
+    _id: product._id,
+    stockAdjustments: { $elemMatch: { reason, variantId } },
+  });
+  if (alreadyApplied) return;
+
+  const moved = await Product.moveStock({ productId: product._id, variantId, adjustment, reason, userId });
+  if (!moved) {
+    throw new Error(`Not enough stock left to remove ${-adjustment} from ${variant ? variant.sku : product.sku}`);
+  }
+};
+
+/**
+ * @desc Creates or updates one product from an import item. Stock changes to existing products
+ * and variants are logged as stock adjustments, like any other change to stock.
+ * @param {Object} item - An item built by `validateCatalogCsv`.
+ * @param {Object} options
+ * @param {string} options.userId - The user who uploaded the file.
+ * @param {string} options.jobId - The import job.
+ * @returns {Promise<string>} 'created' or 'updated'.
+ */
+const importCatalogItem = async (item, { userId, jobId }) => {
+  const { stockQuantity, stockAdjustment, scentNotes, price, ...fields } = item.fields;
+
+  let product = await Product.findOne({ sku: item.sku });
+  const isNew = !product;
+  if (isNew) {
+    product = new Product({ sku: item.sku, price, stockQuantity, createdBy: userId });
+  } else {
+    product.updatedBy = userId;
+    // The CSV holds the regular price, which a running or scheduled sale must stay below
+    if (price !== undefined) {
+      const { fields: pricing, error: pricingError } = buildPricing({ price }, product);
+      if (pricingError) throw new Error(pricingError);
+      product.set(pricing);
+    }
+  }
+
+  product.set(fields);
+  Object.entries(scentNotes || {}).forEach(([note, values]) => product.set(`scentNotes.${note}`, values));
+
+  const variantStockChanges = [];
+  item.variants.forEach((variant) => {
+    const { stockAdjustment: variantAdjustment, ...variantFields } = variant.fields;
+    const existing = product.variants.find(v => v.sku === variant.sku);
+    if (!existing) {
+      product.variants.push({ sku: variant.sku, ...variantFields });
+      return;
+    }
+    existing.set(variantFields);
+    if (variantAdjustment) variantStockChanges.push({ variant: existing, adjustment: variantAdjustment });
+  });
+
+  // Existing stock is moved atomically below rather than saved from the loaded copy
+  await product.save();
+
+  if (stockAdjustment) {
+    await applyImportStockChange({ product, adjustment: stockAdjustment, userId, jobId });
+  }
+  for (const { variant, adjustment } of variantStockChanges) {
+    await applyImportStockChange({ product, variant, adjustment, userId, jobId });
+  }
+
+  return isNew ? 'created' : 'updated';
+};
+
+const getImportErrorMessage = (err) => {
+  if (err.name === 'ValidationError') {
+    return Object.values(err.errors).map(val => val.message).join(', ');
+  }
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyValue)[0];
+    return `Duplicate field value: ${err.keyValue[field]} for ${field}`;
+  }
+  return err.message;
+};
+
+/**
+ * @desc Imports the products of a claimed job, saving progress as it goes. A resumed job carries
+ * on after the last saved product; importing a product twice gives the same result.
+ */
+const runProductImport = async (job) => {
+  for (let index = job.processedProducts; index < job.items.length; index += 1) {
+    const item = job.items[index];
+    try {
+      const outcome = await importCatalogItem(item, { userId: job.createdBy, jobId: job._id });
+      if (outcome === 'created') {
+        job.createdCount += 1;
+      } else {
+        job.updatedCount += 1;
+      }
+    } catch (err) {
+      job.failedCount += 1;
+      job.rowErrors.push({ row: item.row, sku: item.sku, message: getImportErrorMessage(err) });
+    }
+
+    job.processedProducts = index + 1;
+    if (job.processedProducts % PROGRESS_SAVE_INTERVAL === 0) {
+      await job.save();
+    }
+  }
+
+  job.status = 'completed';
+  job.completedAt = new Date();
+  job.items = [];
+  await job.save();
+};
+
+/**
+ * @desc Runs queued product imports, one at a time. Started straight after an upload and by the
+ * product import job, which also picks up imports interrupted by a restart.
+ * @returns {Promise<number>} The number of imports run.
+ */
+const processProductImports = async () => {
+  await ProductImportJob.updateMany(
+    { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STUCK_IMPORT_MINUTES * 60 * 1000) } },
+    { $set: { status: 'queued' } }
+  );
+
+  let processedCount = 0;
+  for (;;) {
+    // Claim the job so two workers never import the same file
+    const job = await ProductImportJob.findOneAndUpdate(
+      { status: 'queued' },
+      { $set: { status: 'processing', startedAt: new Date() } },
+      { new: true, sort: { createdAt: 1 } }
+    ).select('+items');
+    if (!job) break;
+
+    try {
+      await runProductImport(job);
+    } catch (err) {
+      console.error(`Product import ${job._id} failed: ${err.message}`);
+      job.status = 'failed';
+      job.lastError = err.message;
+      job.completedAt = new Date();
+      await job.save();
+    }
+    processedCount += 1;
+  }
+
+  return processedCount;
+};
+
+/**
+ * @desc Builds the rows of a full catalog CSV in the format the importer reads.
+ * @param {Array<Object>} products - Lean products with `category` populated with its slug.
+ * @returns {Array<Object>} One row per product, or per variant for products with variants.
+ */
+const buildCatalogRows = (products) => products.flatMap((product) => {
+  const productRow = {
+    sku: product.sku,
+    name: product.name,
+    description: product.description,
+    category: product.category?.slug || '',
+    price: getRegularPrice(product),
+    stockQuantity: product.stockQuantity,
+    stockQuantityAtExport: product.stockQuantity,
+    reorderPoint: product.reorderPoint,
+    status: product.status,
+    featured: product.featured,
+    scentNotesTop: (product.scentNotes?.top || []).join(LIST_SEPARATOR),
+    scentNotesMiddle: (product.scentNotes?.middle || []).join(LIST_SEPARATOR),
+    scentNotesBase: (product.scentNotes?.base || []).join(LIST_SEPARATOR),
+    ingredients: (product.ingredients || []).join(LIST_SEPARATOR),
+  };
+
+  if (!product.variants || product.variants.length === 0) return [productRow];
+
+  return product.variants.map(variant => ({
+    ...productRow,
+    variantSku: variant.sku,
+    variantSize: variant.size,
+    variantScentIntensity: variant.scentIntensity,
+    variantStockQuantity: variant.stockQuantity,
+    variantStockQuantityAtExport: variant.stockQuantity,
+    variantPriceAdjustment: variant.priceAdjustment,
+    variantIsDefault: variant.isDefault,
+  }));
+});
+
+module.exports = {
+  CATALOG_COLUMNS,
+  parseCsv,
+  validateCatalogCsv,
+  importCatalogItem,
+  processProductImports,
+  buildCatalogRows,
+};
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Scheduled product changes: publish and unpublish times, and sales with a start and
+ * end. While a sale is on, the product's `price` is the sale price and `compareAtPrice` the regular
+ * price, so carts, checkout, price filters and bundles all use the sale price without knowing about
+ * sales. The product schedule job applies due changes every minute.
+ */
+
+const Product = require('../models/product.model');
+const { getRegularPrice } = require('./product.util');
+
+/**
+ * @desc Helper function to read an optional date from a request. Null or '' clears it.
+ */
+const parseDate = (value, field) => {
+  if (value === null || value === '') return { value: null, error: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return { value: null, error: `${field} must be a valid date` };
+  return { value: date, error: null };
+};
+
+/**
+ * @desc Validates the publish and unpublish times sent when creating or updating a product.
+ * @param {Object} input - { publishAt, unpublishAt }; null clears a time and undefined keeps the current one.
+ * @param {Object} [product=null] - The product being updated.
+ * @returns {{ fields: Object, error: string|null }} The fields to set.
+ */
+const buildPublishSchedule = ({ publishAt, unpublishAt }, product = null) => {
+  const fields = {};
+  for (const [field, value] of Object.entries({ publishAt, unpublishAt })) {
+    if (value === undefined) continue;
+    const { value: date, error } = parseDate(value, field);
+    if (error) return { fields: {}, error };
+    fields[field] = date;
+  }
+
+  const nextPublishAt = fields.publishAt !== undefined ? fields.publishAt : product?.publishAt;
+  const nextUnpublishAt = fields.unpublishAt !== undefined ? fields.unpublishAt : product?.unpublishAt;
+  if (nextPublishAt && nextUnpublishAt && nextUnpublishAt <= nextPublishAt) {
+    return { fields: {}, error: 'unpublishAt must be after publishAt' };
+  }
+
+  return { fields, error: null };
+};
+
+/**
+ * @desc Works out the pricing fields for a create or update from a new regular price, a sale to
+ * schedule (null cancels it), or both. The price an admin sends is always the regular price.
+ * A sale that has already started is applied straight away.
+ * @param {Object} input
+ * @param {number} [input.price] - The new regular price.
+ * @param {Object|null} [input.sale] - { price, startsAt, endsAt }; startsAt defaults to now and endsAt is optional.
+ * @param {Object} [product=null] - The product being updated.
+ * @param {Date} [now=new Date()]
+ * @returns {{ fields: { price: number, compareAtPrice: number|null, sale: Object|null }|null, error: string|null }}
+ */
+const buildPricing = ({ price, sale }, product = null, now = new Date()) => {
+  const regularPrice = price !== undefined ? Number(price) : getRegularPrice(product);
+  if (Number.isNaN(regularPrice) || regularPrice < 0) {
+    return { fields: null, error: 'Price must be a non-negative number' };
+  }
+
+  const currentSale = product?.sale && product.sale.status !== 'ended'
+    ? { price: product.sale.price, startsAt: product.sale.startsAt, endsAt: product.sale.endsAt, status: product.sale.status }
+    : null;
+
+  let nextSale = currentSale;
+  if (sale === null) {
+    nextSale = null;
+  } else if (sale !== undefined) {
+    if (typeof sale !== 'object') {
+      return { fields: null, error: 'Sale must be an object with a price, startsAt and endsAt' };
+    }
+    const salePrice = Number(sale.price);
+    if (sale.price === undefined || Number.isNaN(salePrice) || salePrice < 0) {
+      return { fields: null, error: 'Sale price must be a non-negative number' };
+    }
+    const { value: startsAt, error: startsAtError } = parseDate(sale.startsAt ?? null, 'Sale startsAt');
+    const { value: endsAt, error: endsAtError } = parseDate(sale.endsAt ?? null, 'Sale endsAt');
+    if (startsAtError || endsAtError) {
+      return { fields: null, error: startsAtError || endsAtError };
+    }
+    if (endsAt && endsAt <= now) {
+      return { fields: null, error: 'The sale must end in the future' };
+    }
+    if (startsAt && endsAt && endsAt <= startsAt) {
+      return { fields: null, error: 'The sale must end after it starts' };
+    }
+    nextSale = { price: salePrice, startsAt: startsAt || now, endsAt, status: 'scheduled' };
+  }
+
+  if (nextSale && nextSale.price >= regularPrice) {
+    return { fields: null, error: 'The sale price must be lower than the regular price' };
+  }
+  if (nextSale?.status === 'scheduled' && nextSale.startsAt <= now) {
+    nextSale.status = 'active';
+  }
+
+  const onSale = nextSale?.status === 'active';
+  return {
+    fields: {
+      price: onSale ? nextSale.price : regularPrice,
+      compareAtPrice: onSale ? regularPrice : null,
+      sale: nextSale,
+    },
+    error: null,
+  };
+};
+
+/**
+ * @desc Applies a product's due scheduled changes. The product is modified in place but not saved.
+ * Unpublished products are archived, so they also drop out of any bundles they are part of.
+ * @param {Object} product - The Product document.
+ * @param {Date} [now=new Date()]
+ * @returns {boolean} Whether anything changed.
+ */
+const applyProductSchedule = (product, now = new Date()) => {
+  let changed = false;
+
+  if (product.publishAt && product.publishAt <= now) {
+    product.status = 'published';
+    product.publishAt = null;
+    changed = true;
+  }
+  if (product.unpublishAt && product.unpublishAt <= now) {
+    if (product.status === 'published') product.status = 'archived';
+    product.unpublishAt = null;
+    changed = true;
+  }
+
+  const { sale } = product;
+  if (sale?.status === 'scheduled' && sale.startsAt <= now) {
+    if (sale.endsAt && sale.endsAt <= now) {
+      // The whole sale was missed, e.g. while the server was down
+      sale.status = 'ended';
+    } else {
+      product.compareAtPrice = product.price;
+      product.price = sale.price;
+      sale.status = 'active';
+    }
+    changed = true;
+  }
+  if (sale?.status === 'active' && sale.endsAt && sale.endsAt <= now) {
+    product.price = product.compareAtPrice ?? product.price;
+    product.compareAtPrice = null;
+    sale.status = 'ended';
+    changed = true;
+  }
+
+  return changed;
+};
+
+/**
+ * @desc Applies every due publish, unpublish, sale start and sale end. Run by the background jobs.
+ * Each product is saved on its own so bundles containing it pick up the new price and status.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} The number of products changed.
+ */
+const processProductSchedules = async (now = new Date()) => {
+  const dueProducts = await Product.find({
+    $or: [
+      { publishAt: { $lte: now } },
+      { unpublishAt: { $lte: now } },
+      { 'sale.status': 'scheduled', 'sale.startsAt': { $lte: now } },
+      { 'sale.status': 'active', 'sale.endsAt': { $lte: now } },
+    ],
+  });
+
+  let changedCount = 0;
+  for (const product of dueProducts) {
+    if (!applyProductSchedule(product, now)) continue;
+    try {
+      await product.save();
+      changedCount += 1;
+    } catch (err) {
+      console.error(`Failed to apply the schedule of product ${product.sku}: ${err.message}`);
+    }
+  }
+
+  return changedCount;
+};
+
+module.exports = {
+  buildPublishSchedule,
+  buildPricing,
+  applyProductSchedule,
+  processProductSchedules,
+};
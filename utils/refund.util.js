@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Utility functions for refunding orders.
+ * Used by the admin refund endpoint and the returns workflow so every refund
+ * goes through the same ledger, gateway and restocking logic.
+ */
+
+const Product = require('../models/product.model');
+const paystackUtil = require('./paystack.util');
+const { getStockItems } = require('./inventory.util');
+const { getLineRefundAmount } = require('./pricing.util');
+
+/**
+ * @desc Validates the line items of a refund against the order. Each line is valued at what the
+ * customer paid for it, after its share of the coupon discount and with any tax added on top.
+ * @param {Object} order - The order being refunded.
+ * @param {Array<{itemId: string, quantity: number}>} items - The lines to refund.
+ * @returns {{ refundItems: Array, itemsTotal: number, error: string|null }}
+ */
+const buildRefundItems = (order, items) => {
+  const refundItems = [];
+  let itemsTotal = 0;
+
+  for (const { itemId, quantity } of items) {
+    const orderItem = order.items.id(itemId);
+    if (!orderItem) {
+      return { error: `Order item ${itemId} not found on this order` };
+    }
+
+    const qty = parseInt(quantity, 10);
+    const refundableQuantity = orderItem.quantity - order.getRefundedQuantity(orderItem._id);
+    if (!qty || qty < 1 || qty > refundableQuantity) {
+      return { error: `Invalid quantity for "${orderItem.name}". ${refundableQuantity} unit(s) can still be refunded.` };
+    }
+
+    const alreadyRefunded = orderItem.quantity - refundableQuantity;
+    const amount = getLineRefundAmount(orderItem, qty, order.taxInclusive, alreadyRefunded);
+    refundItems.push({
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      variantId: orderItem.variant?._id || null,
+      name: orderItem.name,
+      quantity: qty,
+      amount,
+    });
+    itemsTotal += amount;
+  }
+
+  return { refundItems, itemsTotal: Math.round(itemsTotal * 100) / 100, error: null };
+};
+
+/**
+ * @desc Refunds part or all of an order through Paystack (or manually when the order was not paid
+ * through Paystack), records it in the order's refund ledger and saves the order.
+ * Failed gateway attempts are also recorded in the ledger.
+ *
+ * @param {Object} order - The order document to refund.
+ * @param {Object} options
+ * @param {number} [options.amount] - The amount to refund; defaults to the value of `items`.
+ * @param {Array<{itemId: string, quantity: number}>} [options.items=[]] - The order lines being refunded.
+ * @param {string} options.reason - The (sanitized) refund reason.
+ * @param {boolean} [options.restock=false] - Whether to return the refunded items to stock.
+ * @param {string} options.userId - The admin issuing the refund.
+ * @returns {Promise<{ refund: Object|null, error: string|null }>} The ledger entry, or an error message.
+ */
+const issueRefund = async (order, { amount, items = [], reason, restock = false, userId }) => {
+  if (!['paid', 'partially_refunded'].includes(order.paymentInfo.status)) {
+    return { refund: null, error: 'Cannot refund an order that has not been paid' };
+  }
+  if (restock && items.length === 0) {
+    return { refund: null, error: 'Please select the items to restock' };
+  }
+
+  const { refundItems, itemsTotal, error: itemsError } = buildRefundItems(order, items);
+  if (itemsError) {
+    return { refund: null, error: itemsError };
+  }
+
+  // The amount defaults to the value of the refunded lines, but can be set explicitly (e.g. to include shipping)
+  const refundAmount = Math.round(parseFloat(amount || itemsTotal) * 100) / 100;
+  const refundableBalance = order.getRefundableBalance();
+
+  if (!refundAmount || refundAmount <= 0) {
+    return { refund: null, error: 'Invalid refund amount' };
+  }
+  if (refundAmount > refundableBalance) {
+    return { refund: null, error: `Refund amount exceeds the refundable balance of ₦${refundableBalance.toFixed(2)}` };
+  }
+
+  const refund = {
+    amount: refundAmount,
+    items: refundItems,
+    reason,
+    createdBy: userId,
+  };
+
+  // Check if we have a transaction ID and Paystack is configured
+  if (order.paymentInfo.transactionId && process.env.PAYSTACK_SECRET_KEY) {
+    refund.method = 'paystack';
+    try {
+      const refundResponse = await paystackUtil.processRefund(order.paymentInfo.transactionId, refundAmount, reason);
+
+      if (!refundResponse.status) {
+        throw new Error(refundResponse.message || 'Paystack refund failed');
+      }
+      refund.gatewayId = refundResponse.data?.id?.toString();
+      refund.reference = refundResponse.data?.reference || refund.gatewayId;
+      // Paystack usually queues refunds; the refund webhook confirms them
+      if (refundResponse.data?.status === 'processed') {
+        refund.status = 'processed';
+        refund.processedAt = new Date();
+      }
+    } catch (paystackError) {
+      console.error('Paystack refund error:', paystackError);
+      // Keep the failed attempt in the ledger for reference
+      order.refunds.push({ ...refund, status: 'failed', failureReason: paystackError.message });
+      await order.save();
+      return { refund: null, error: `Refund failed: ${paystackError.message}` };
+    }
+  } else {
+    // Manual refund process (no payment gateway integration)
+    refund.method = 'manual';
+    refund.reference = `MANUAL-${Date.now()}`;
+    refund.status = 'processed';
+    refund.processedAt = new Date();
+  }
+
+  // Return the refunded items to stock if requested
+  if (restock) {
+    // Bundles go back to stock as their components
+    const stockItems = getStockItems(refundItems.map(item => ({
+      product: item.product,
+      variant: item.variantId,
+      name: item.name,
+      quantity: item.quantity,
+      bundleComponents: order.items.id(item.orderItem)?.bundleComponents,
+    })));
+    for (const item of stockItems) {
+      const product = await Product.findById(item.product);
+      if (!product) continue;
+      product.adjustStock({
+        adjustment: item.quantity,
+        reason: `Restocked from refund on order ${order.orderNumber}`,
+        userId,
+        variantId: item.variant || null,
+      });
+      await product.save();
+    }
+    refund.restocked = true;
+  }
+
+  order.refunds.push(refund);
+  order.updatedBy = userId;
+  order.syncRefundStatus();
+
+  const action = refund.status === 'pending' ? 'initiated' : 'processed';
+
+  // Add refund details to order notes
+  order.notes.push({
+    content: `Refund ${action}: ${refundAmount.toFixed(2)} - Reason: ${reason} (Ref: ${refund.reference || 'N/A'})${refund.restocked ? ' - items restocked' : ''}`,
+    isInternal: true,
+    createdBy: userId
+  });
+
+  // Add to timeline
+  order.timeline.push({
+    status: order.status,
+    note: `Refund of ${refundAmount.toFixed(2)} ${action} - Reason: ${reason}`,
+    updatedBy: userId
+  });
+
+  await order.save();
+
+  return { refund: order.refunds[order.refunds.length - 1], error: null };
+};
+
+module.exports = {
+  buildRefundItems,
+  issueRefund,
+};
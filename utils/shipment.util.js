@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Utility functions for shipping orders, including split shipments
+ * and the delivery events posted while a parcel is on its way.
+ */
+
+const Settings = require('../models/settings.model');
+const { changeOrderStatus } = require('./orderStatus.util');
+const { queueEmailSafely } = require('./email.util');
+
+/**
+ * @desc Fills a carrier's tracking URL template with a tracking number.
+ * @param {string} template - e.g. `https://carrier.example/track?number={trackingNumber}`.
+ * @param {string} trackingNumber
+ * @returns {string|undefined} The tracking URL, or undefined if either part is missing.
+ */
+const buildTrackingUrl = (template, trackingNumber) => {
+  if (!template || !trackingNumber) return undefined;
+  return template.replace(/\{trackingNumber\}/g, encodeURIComponent(trackingNumber));
+};
+
+/**
+ * @desc Validates the line items of a shipment against what is still left to ship.
+ * When no items are given, everything that has not shipped yet is included.
+ * @param {Object} order - The order being shipped.
+ * @param {Array<{itemId: string, quantity: number}>} items - The lines in the shipment.
+ * @returns {{ shipmentItems: Array, error: string|null }}
+ */
+const buildShipmentItems = (order, items) => {
+  if (items.length === 0) {
+    const shipmentItems = order.items
+      .map(orderItem => ({
+        orderItem: orderItem._id,
+        name: orderItem.name,
+        quantity: orderItem.quantity - order.getShippedQuantity(orderItem._id),
+      }))
+      .filter(item => item.quantity > 0);
+
+    if (shipmentItems.length === 0) {
+      return { error: 'Every item in this order has already been shipped' };
+    }
+    return { shipmentItems, error: null };
+  }
+
+  const shipmentItems = [];
+  for (const { itemId, quantity } of items) {
+    const orderItem = order.items.id(itemId);
+    if (!orderItem) {
+      return { error: `Order item ${itemId} not found on this order` };
+    }
+
+    const qty = parseInt(quantity, 10);
+    const remainingQuantity = orderItem.quantity - order.getShippedQuantity(orderItem._id);
+    if (!qty || qty < 1 || qty > remainingQuantity) {
+      return { error: `Invalid quantity for "${orderItem.name}". ${remainingQuantity} unit(s) are left to ship.` };
+    }
+
+    shipmentItems.push({ orderItem: orderItem._id, name: orderItem.name, quantity: qty });
+  }
+
+  return { shipmentItems, error: null };
+};
+
+/**
+ * @desc Records a shipment on the order and saves it. The first shipment moves the order to
+ * `shipped`; every shipment emails the customer its tracking details.
+ * @param {Object} order - The order document.
+ * @param {Object} options
+ * @param {string} options.carrier - The carrier name. Matched against the carriers in Settings for the tracking URL.
+ * @param {string} [options.trackingNumber]
+ * @param {string} [options.trackingUrl] - Overrides the URL built from the carrier's template.
+ * @param {Array<{itemId: string, quantity: number}>} [options.items=[]] - The lines shipped; defaults to everything left to ship.
+ * @param {string} [options.note] - A note for the timeline.
+ * @param {string} options.userId - The admin creating the shipment.
+ * @returns {Promise<{ shipment: Object|null, error: string|null }>}
+ */
+const createShipment = async (order, { carrier, trackingNumber, trackingUrl, items = [], note, userId }) => {
+  if (!['processing', 'shipped'].includes(order.status)) {
+    return { shipment: null, error: `Cannot ship a ${order.status} order` };
+  }
+
+  const { shipmentItems, error: itemsError } = buildShipmentItems(order, items);
+  if (itemsError) {
+    return { shipment: null, error: itemsError };
+  }
+
+  const settings = await Settings.getSettings();
+  const carrierSettings = (settings.shipping.carriers || [])
+    .find(c => c.name.toLowerCase() === carrier.toLowerCase());
+
+  order.shipments.push({
+    carrier: carrierSettings ? carrierSettings.name : carrier,
+    trackingNumber,
+    trackingUrl: trackingUrl || buildTrackingUrl(carrierSettings?.trackingUrlTemplate, trackingNumber),
+    items: shipmentItems,
+    events: [{ status: 'shipped', description: note || 'Shipment created.', createdBy: userId }],
+    createdBy: userId,
+  });
+  const shipment = order.shipments[order.shipments.length - 1];
+
+  const shipmentNote = `Shipment sent with ${shipment.carrier}${trackingNumber ? ` (tracking number ${trackingNumber})` : ''}.`;
+
+  if (order.status === 'processing') {
+    // The state machine saves the order and sends the shipped email with this shipment's tracking details
+    const { error: transitionError } = await changeOrderStatus(order, 'shipped', {
+      userId,
+      actor: 'admin',
+      note: note || shipmentNote,
+    });
+    if (transitionError) {
+      return { shipment: null, error: transitionError };
+    }
+    return { shipment, error: null };
+  }
+
+  // Later parts of a split shipment
+  order.updatedBy = userId;
+  order.timeline.push({ status: order.status, note: note || shipmentNote, updatedBy: userId });
+  await order.save();
+
+  queueEmailSafely({
+    template: 'orderShipped',
+    to: order.shippingAddress.email,
+    data: { order, tracking: shipment },
+    order: order._id,
+    user: order.user,
+  });
+
+  return { shipment, error: null };
+};
+
+/**
+ * @desc Records a delivery event on a shipment and saves the order. The order is marked
+ * delivered once every item has shipped and every shipment has been delivered.
+ * @param {Object} order - The order document.
+ * @param {string} shipmentId - The _id of the shipment.
+ * @param {Object} event
+ * @param {string} event.status - One of the shipment statuses.
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {Date|string} [event.occurredAt] - Defaults to now.
+ * @param {string} event.userId - The admin posting the event.
+ * @returns {Promise<{ shipment: Object|null, error: string|null }>}
+ */
+const addShipmentEvent = async (order, shipmentId, { status, description, location, occurredAt, userId }) => {
+  const shipment = order.shipments.id(shipmentId);
+  if (!shipment) {
+    return { shipment: null, error: `Shipment not found with id of ${shipmentId}` };
+  }
+  if (shipment.status === 'delivered') {
+    return { shipment: null, error: 'This shipment has already been delivered' };
+  }
+
+  const eventDate = occurredAt ? new Date(occurredAt) : new Date();
+  if (Number.isNaN(eventDate.getTime())) {
+    return { shipment: null, error: 'Please provide a valid date for the event' };
+  }
+
+  shipment.events.push({ status, description, location, occurredAt: eventDate, createdBy: userId });
+  shipment.status = status;
+  if (status === 'delivered') {
+    shipment.deliveredAt = eventDate;
+  }
+
+  if (order.status === 'shipped' && order.isFullyDelivered()) {
+    const { error: transitionError } = await changeOrderStatus(order, 'delivered', {
+      userId,
+      actor: 'admin',
+      note: 'All shipments have been delivered.',
+    });
+    if (transitionError) {
+      return { shipment: null, error: transitionError };
+    }
+    return { shipment, error: null };
+  }
+
+  order.updatedBy = userId;
+  await order.save();
+
+  return { shipment, error: null };
+};
+
+module.exports = {
+  buildTrackingUrl,
+  createShipment,
+  addShipmentEvent,
+};
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Two-factor authentication for staff accounts: time-based one-time passwords
+ * (RFC 6238, as used by Google Authenticator and similar apps), one-time recovery codes and the
+ * short-lived challenge token that links the two steps of an admin login.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Settings = require('../models/settings.model');
+const User = require('../models/user.model');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from one step either side are accepted to allow for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const STAFF_ROLES = ['staff', 'admin', 'superadmin'];
+
+// Challenge tokens are signed with the JWT secret; the purpose claim keeps them from being used as access tokens
+const CHALLENGE_TOKEN_PURPOSE = '2fa_challenge';
+const CHALLENGE_EXPIRY = '5m';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * @desc Works out the one-time password for a time step (HOTP, RFC 4226).
+ * @param {string} secret - The base32 secret.
+ * @param {number} step - The number of 30 second steps since the Unix epoch.
+ * @returns {string}
+ */
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(binary).padStart(TOTP_DIGITS, '0');
+};
+
+const getCurrentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * @desc Checks a one-time password. A code is only accepted once: steps at or before
+ * `lastUsedStep` are rejected so an intercepted code cannot be replayed.
+ * @param {string} secret - The base32 secret.
+ * @param {string} code - The code the user typed.
+ * @param {number} [lastUsedStep] - The step of the last code accepted for this user.
+ * @returns {number|null} The step the code belongs to, or null if it is not valid.
+ */
+const verifyTotp = (secret, code, lastUsedStep) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(token)) {
+    return null;
+  }
+
+  const currentStep = getCurrentStep();
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep && step <= lastUsedStep) continue;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * @desc Generates a new secret and the otpauth:// URL that authenticator apps read from a QR code.
+ * @param {Object} user - The User document.
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+const generateTwoFactorSecret = async (user) => {
+  const settings = await Settings.getSettings();
+  const issuer = settings.storeName || 'Scenture Lagos';
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  const label = encodeURIComponent(`${issuer}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return { secret, otpauthUrl: `otpauth://totp/${label}?${params.toString()}` };
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+/**
+ * @desc Generates a fresh set of recovery codes.
+ * @returns {{ codes: Array<string>, hashes: Array<string> }} The codes to show once, and the hashes to store.
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * @desc Checks a second factor for a user with two-factor authentication enabled and records its use:
+ * the TOTP step is remembered and a recovery code is removed. The use is written with a conditional
+ * update, so of two requests racing with the same code only one is verified. The user must be
+ * loaded with `+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep`; the document is
+ * updated to match but the recorded fields are not left for the caller's save to overwrite.
+ * @param {Object} user - The User document.
+ * @param {Object} factor
+ * @param {string} [factor.code] - A code from the authenticator app.
+ * @param {string} [factor.recoveryCode] - One of the user's recovery codes.
+ * @returns {Promise<{ verified: boolean, method: string|null }>}
+ */
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+    if (step === null) return { verified: false, method: null };
+
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }] },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    if (modifiedCount === 0) return { verified: false, method: null };
+
+    user.twoFactorLastUsedStep = step;
+    user.unmarkModified('twoFactorLastUsedStep');
+    return { verified: true, method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!(user.twoFactorRecoveryCodes || []).includes(hash)) return { verified: false, method: null };
+
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } }
+    );
+    if (modifiedCount === 0) return { verified: false, method: null };
+
+    user.twoFactorRecoveryCodes.pull(hash);
+    user.unmarkModified('twoFactorRecoveryCodes');
+    return { verified: true, method: 'recovery_code' };
+  }
+
+  return { verified: false, method: null };
+};
+
+/**
+ * @desc Signs the token that carries a password-verified login to the second step.
+ * @param {Object} user
+ * @returns {string}
+ */
+const signChallengeToken = (user) => jwt.sign(
+  { id: user._id, purpose: CHALLENGE_TOKEN_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_EXPIRY }
+);
+
+/**
+ * @desc Reads a challenge token.
+ * @param {string} token
+ * @returns {string|null} The id of the user who passed the password step, or null if the token is invalid.
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === CHALLENGE_TOKEN_PURPOSE ? payload.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const isStaff = (user) => Boolean(user && STAFF_ROLES.includes(user.role));
+
+/**
+ * @desc Whether a staff account must pass two-factor authentication to use the admin routes.
+ * @param {Object} user - The User document.
+ * @param {Object} [settings] - The store settings, loaded when not given.
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequired = async (user, settings) => {
+  if (!isStaff(user)) return false;
+  if (user.twoFactorEnabled) return true;
+  const storeSettings = settings || await Settings.getSettings();
+  return Boolean(storeSettings.security?.requireStaffTwoFactor);
+};
+
+module.exports = {
+  STAFF_ROLES,
+  generateTwoFactorSecret,
+  verifyTotp,
+  generateRecoveryCodes,
+  checkSecondFactor,
+  signChallengeToken,
+  verifyChallengeToken,
+  isStaff,
+  isTwoFactorRequired,
+};